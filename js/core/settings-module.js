@@ -158,6 +158,10 @@ VistaKine.settings = {
         // Apply render quality
         if (VistaKine.renderer) {
             switch (settings.renderQuality) {
+                case 'auto':
+                    // The renderer picks a preset from the device
+                    VistaKine.renderer.setQuality('auto');
+                    break;
                 case 'low':
                     // Lower render quality (disable effects, reduce resolution)
                     VistaKine.renderer.setQuality('low');
@@ -315,6 +319,10 @@ VistaKine.settings = {
         // Apply physics quality - moved from performance
         if (VistaKine.physics) {
             switch (settings.physicsQuality) {
+                case 'auto':
+                    // The physics service picks a preset from the device
+                    VistaKine.physics.setQuality('auto');
+                    break;
                 case 'low':
                     VistaKine.physics.setQuality('low');
                     break;
@@ -325,13 +333,17 @@ VistaKine.settings = {
                     VistaKine.physics.setQuality('high');
                     break;
             }
-        }
 
-        // Apply physics debug setting
-        const playground = VistaKine.visualizationEngine?.getActivePlayground();
-        if (playground && typeof playground.togglePhysicsDebug === 'function') {
-            playground.togglePhysicsDebug(settings.physicsDebug);
+            VistaKine.physics.setMaxObjects(settings.maxObjects);
         }
+
+        // Apply physics debug setting to every playground on the page
+        const playgrounds = VistaKine.visualization?.engine?.getPlaygrounds() || [];
+        playgrounds.forEach(playground => {
+            if (typeof playground.togglePhysicsDebug === 'function') {
+                playground.togglePhysicsDebug(settings.physicsDebug);
+            }
+        });
     },
 
     /**
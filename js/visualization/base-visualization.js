@@ -0,0 +1,339 @@
+/**
+ * VistaKine Base Visualization
+ *
+ * Shared scaffolding for visualizations registered with the engine through
+ * VistaKine.visualization.register(). Subclasses only describe their content
+ * in build() and update(); the engine drives the lifecycle:
+ *
+ * - create(): set up scene, camera, renderer and controls, then start rendering
+ * - resize(width, height): match the container after layout changes
+ * - pause() / resume(): stop rendering while the container is off screen
+ * - dispose(): release GPU resources and remove everything added to the DOM
+ *
+ * THREE and OrbitControls are provided globally by three-setup.js. Renderers
+ * come from the shared renderer service so they follow the quality settings.
+ */
+
+import rendererService from './renderer-service.js';
+
+/**
+ * Format a number for display without "-0" or trailing zeros
+ */
+export function formatNumber(value, digits = 2) {
+    const rounded = Number(value.toFixed(digits));
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+export default class BaseVisualization {
+    constructor(container, engine) {
+        this.container = container;
+        this.engine = engine;
+
+        // Subclasses may override these before create() runs
+        this.backgroundColor = 0xffffff;
+        this.cameraPosition = [5, 5, 5];
+        this.cameraTarget = [0, 0, 0];
+        this.fov = 45;
+
+        this.paused = true;
+        this.disposed = false;
+        this.frameId = null;
+        this.elapsed = 0;
+
+        // DOM nodes added by the visualization, removed again on dispose
+        this.uiElements = [];
+
+        this.animate = this.animate.bind(this);
+    }
+
+    /**
+     * Build the scene and start rendering
+     */
+    async create() {
+        this.computedStyle = getComputedStyle(document.documentElement);
+
+        this.initScene();
+        this.initCamera();
+        this.initRenderer();
+        this.initControls();
+        this.initLights();
+
+        await this.build();
+
+        this.resume();
+        return true;
+    }
+
+    initScene() {
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(this.backgroundColor);
+        this.clock = new THREE.Clock(false);
+    }
+
+    initCamera() {
+        const aspect = (this.container.clientWidth / this.container.clientHeight) || 16 / 9;
+        this.camera = new THREE.PerspectiveCamera(this.fov, aspect, 0.1, 1000);
+        this.camera.position.set(...this.cameraPosition);
+        this.camera.lookAt(...this.cameraTarget);
+    }
+
+    initRenderer() {
+        this.renderer = rendererService.createRenderer();
+        rendererService.setSize(this.renderer, this.container.clientWidth, this.container.clientHeight);
+
+        const canvas = this.renderer.domElement;
+        canvas.style.width = '100%';
+        canvas.style.height = '100%';
+        canvas.style.display = 'block';
+        this.container.appendChild(canvas);
+    }
+
+    initControls() {
+        if (typeof window.OrbitControls === 'undefined') {
+            console.warn('OrbitControls not available, using a static camera');
+            this.controls = null;
+            return;
+        }
+
+        this.controls = new window.OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.target.set(...this.cameraTarget);
+    }
+
+    initLights() {
+        this.scene.add(new THREE.AmbientLight(0xffffff, 0.7));
+
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
+        directionalLight.position.set(5, 10, 7.5);
+        this.scene.add(directionalLight);
+    }
+
+    /**
+     * Add a ground grid that the engine's grid toggle button can hide
+     */
+    addGrid(size = 10, divisions = 10, colorCenter = 0x888888, colorGrid = 0xcccccc) {
+        this.gridHelper = new THREE.GridHelper(size, divisions, colorCenter, colorGrid);
+        this.gridHelper.name = 'grid';
+        this.scene.add(this.gridHelper);
+        return this.gridHelper;
+    }
+
+    /**
+     * Create a camera-facing text label
+     */
+    createLabel(text, color = 0x333333, options = {}) {
+        const fontSize = options.fontSize || 48;
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+
+        context.font = `bold ${fontSize}px Arial`;
+        canvas.width = Math.max(64, Math.ceil(context.measureText(text).width + fontSize * 0.5));
+        canvas.height = Math.ceil(fontSize * 1.4);
+
+        if (options.background) {
+            context.fillStyle = options.background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        // Canvas resizing resets the context state
+        context.font = `bold ${fontSize}px Arial`;
+        context.fillStyle = typeof color === 'number' ? '#' + color.toString(16).padStart(6, '0') : color;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false }));
+        const height = options.height || 0.4;
+        sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+        sprite.renderOrder = 10;
+
+        if (options.position) {
+            sprite.position.copy(options.position);
+        }
+
+        return sprite;
+    }
+
+    /**
+     * Attach a DOM element to the container and track it for disposal
+     */
+    addUI(element) {
+        this.container.appendChild(element);
+        this.uiElements.push(element);
+        return element;
+    }
+
+    /**
+     * Create a control panel overlay (styled by .viz-panel in visualization.css)
+     *
+     * @param {string} title - Panel heading, omitted when empty
+     * @param {string[]} modifiers - Placement modifiers such as 'right' or 'top'
+     */
+    createPanel(title, modifiers = []) {
+        const panel = document.createElement('div');
+        panel.className = ['viz-panel', ...modifiers.map(m => `viz-panel--${m}`)].join(' ');
+
+        // Keep container-level pointer handlers from treating panel clicks as scene picks
+        panel.addEventListener('pointerdown', e => e.stopPropagation());
+
+        if (title) {
+            const heading = document.createElement('h4');
+            heading.className = 'viz-panel__title';
+            heading.textContent = title;
+            panel.appendChild(heading);
+        }
+
+        return this.addUI(panel);
+    }
+
+    createRow(parent) {
+        const row = document.createElement('div');
+        row.className = 'viz-panel__row';
+        parent.appendChild(row);
+        return row;
+    }
+
+    addButton(parent, text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'viz-panel__button';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        parent.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Add a labelled range slider with a live value display
+     *
+     * @param {HTMLElement} parent - Element to append the slider to
+     * @param {object} options - { label, min, max, step, value, format, onInput }
+     * @returns {HTMLInputElement} The range input
+     */
+    addSlider(parent, { label, min, max, step = 0.1, value, format, onInput }) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'viz-panel__slider';
+
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.value = value;
+
+        const display = document.createElement('span');
+        display.className = 'viz-panel__value';
+        const formatValue = format || (v => v.toFixed(step < 1 ? 2 : 0));
+        display.textContent = formatValue(Number(value));
+
+        input.addEventListener('input', () => {
+            const numeric = Number(input.value);
+            display.textContent = formatValue(numeric);
+            if (onInput) onInput(numeric);
+        });
+
+        // Programmatic updates should refresh the display too
+        input.setValue = numeric => {
+            input.value = numeric;
+            display.textContent = formatValue(Number(input.value));
+        };
+
+        wrapper.append(name, input, display);
+        parent.appendChild(wrapper);
+        return input;
+    }
+
+    /**
+     * Override to populate the scene; may return a promise
+     */
+    build() {}
+
+    /**
+     * Override to advance the visualization each frame
+     */
+    update(dt, elapsed) {}
+
+    animate() {
+        if (this.paused || this.disposed) return;
+
+        this.frameId = requestAnimationFrame(this.animate);
+
+        // Clamp so a long stall doesn't make animations jump
+        const dt = Math.min(this.clock.getDelta(), 0.1);
+        this.elapsed += dt;
+
+        if (this.controls) this.controls.update();
+        this.update(dt, this.elapsed);
+        this.render();
+    }
+
+    render() {
+        rendererService.render(this.renderer, this.scene, this.camera);
+    }
+
+    resize(width, height) {
+        if (!this.renderer || width === 0 || height === 0) return;
+
+        rendererService.setSize(this.renderer, width, height);
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+
+        // Keep the last frame visible while paused
+        if (this.paused) this.render();
+    }
+
+    pause() {
+        if (this.paused) return;
+
+        this.paused = true;
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.clock.stop();
+    }
+
+    resume() {
+        if (!this.paused || this.disposed) return;
+
+        this.paused = false;
+        this.clock.start();
+        this.frameId = requestAnimationFrame(this.animate);
+    }
+
+    dispose() {
+        if (this.disposed) return;
+
+        this.pause();
+        this.disposed = true;
+
+        if (this.controls) this.controls.dispose();
+
+        if (this.scene) {
+            this.scene.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) {
+                    const materials = Array.isArray(object.material) ? object.material : [object.material];
+                    materials.forEach(material => {
+                        if (material.map) material.map.dispose();
+                        material.dispose();
+                    });
+                }
+            });
+        }
+
+        if (this.renderer) {
+            rendererService.release(this.renderer);
+            this.renderer.dispose();
+            this.renderer.domElement.remove();
+        }
+
+        this.uiElements.forEach(element => element.remove());
+        this.uiElements = [];
+    }
+}
@@ -0,0 +1,403 @@
+/**
+ * Collision Events
+ *
+ * Contact starts and stops drained from Rapier's EventQueue after every
+ * step, with each start measured as an impact: the impulse exchanged, the
+ * normal speed at which the bodies met and parted, their ratio (the
+ * coefficient of restitution) and the energy lost.
+ *
+ * Rapier reports a start one step early, when the bodies come within its
+ * prediction distance, and resolves the impact in the step after it. A start
+ * is therefore measured across both steps: velocities from before the first,
+ * the impulse from the contact forces of both, and velocities from after the
+ * second. Energy lost is the drop in kinetic plus potential energy of the
+ * pair's dynamic bodies over those steps, so gravity does not count as a
+ * loss, but anything else touching the bodies at the time does.
+ *
+ * Events are plain objects with `time` in simulated seconds and `bodies` as
+ * two labels. Stops only carry those.
+ */
+
+import { kineticEnergy } from './physics-world.js';
+
+// Approaches slower than this (m/s) are resting contacts, with no restitution to speak of
+const MIN_APPROACH_SPEED = 0.05;
+
+// Starts slower than this (m/s) are settling contacts and get no flash
+const FLASH_MIN_SPEED = 0.5;
+const FLASH_DURATION = 0.5;
+const FLASH_COLOR = 0xf59e0b;
+
+const CSV_COLUMNS = [
+    ['Time (s)', event => event.time],
+    ['Event', event => event.type],
+    ['Body 1', event => event.bodies[0]],
+    ['Body 2', event => event.bodies[1]],
+    ['Impulse (N·s)', event => event.impulse],
+    ['Approach speed (m/s)', event => event.approachSpeed],
+    ['Separation speed (m/s)', event => event.separationSpeed],
+    ['Restitution', event => event.restitution],
+    ['Energy lost (J)', event => event.energyLost],
+    ['Contact x (m)', event => event.point && event.point.x],
+    ['Contact y (m)', event => event.point && event.point.y],
+    ['Contact z (m)', event => event.point && event.point.z]
+];
+
+function pairKey(handle1, handle2) {
+    return handle1 < handle2 ? `${handle1}:${handle2}` : `${handle2}:${handle1}`;
+}
+
+/**
+ * Velocity of a point of a body, v + ω × r, for the arm r from its center
+ */
+function pointVelocity(state, arm) {
+    if (!state || !arm) return new THREE.Vector3();
+    return new THREE.Vector3().copy(state.angvel).cross(arm).add(state.linvel);
+}
+
+function bodyState(body) {
+    return {
+        linvel: new THREE.Vector3().copy(body.linvel()),
+        angvel: new THREE.Vector3().copy(body.angvel()),
+        translation: new THREE.Vector3().copy(body.translation())
+    };
+}
+
+export default class CollisionMonitor {
+    /**
+     * @param {object} RAPIER - The initialized Rapier module
+     * @param {object} options
+     * @param {number} options.capacity - Oldest events are dropped beyond this
+     */
+    constructor(RAPIER, { capacity = 1000 } = {}) {
+        this.RAPIER = RAPIER;
+        this.capacity = capacity;
+        this.eventQueue = new RAPIER.EventQueue(true);
+
+        this.events = [];
+        // Changes whenever the events do, for views to notice
+        this.revision = 0;
+        // Pairs of colliders in contact, by key: [handle1, handle2]
+        this.activePairs = new Map();
+        // Starts waiting for the step that resolves them, by pair key
+        this.pending = new Map();
+        // Velocities of the dynamic bodies before the step, by body handle
+        this.stepStart = new Map();
+        // Bodies of the objects, by collider handle. Collider.parent() is no
+        // use here: in a restored world the ground and walls report body 0.
+        this.colliderBodies = new Map();
+    }
+
+    get activeCount() {
+        return this.activePairs.size;
+    }
+
+    /**
+     * Active events for a collider: starts, stops and the contact forces the
+     * impulses are read from
+     */
+    get activeEvents() {
+        return this.RAPIER.ActiveEvents.COLLISION_EVENTS | this.RAPIER.ActiveEvents.CONTACT_FORCE_EVENTS;
+    }
+
+    /**
+     * Keep the velocities of the bodies before a step; call right before it
+     *
+     * @param {THREE.Mesh[]} objects - Meshes carrying `body`
+     */
+    beforeStep(objects) {
+        this.stepStart.clear();
+        this.colliderBodies.clear();
+        objects.forEach(mesh => {
+            const body = mesh.body;
+            if (!body) return;
+            for (let i = 0; i < body.numColliders(); i++) {
+                this.colliderBodies.set(body.collider(i).handle, body);
+            }
+            if (body.isDynamic()) this.stepStart.set(body.handle, bodyState(body));
+        });
+    }
+
+    /**
+     * Drain the events of the step just taken
+     *
+     * @param {RAPIER.World} world
+     * @param {PhysicsEnvironment} environment - For the potential energy
+     * @param {number} time - Simulated time after the step
+     * @param {Function} describe - Label for a collider, e.g. 'Box 2'
+     * @returns {object[]} Events added to the log by this step
+     */
+    afterStep(world, environment, time, describe) {
+        // Time went back: the events after it belong to a run that no longer exists
+        const latest = this.events[this.events.length - 1];
+        if (latest && latest.time >= time) this.truncate(time);
+
+        const impulses = new Map();
+        this.eventQueue.drainContactForceEvents(event => {
+            const key = pairKey(event.collider1(), event.collider2());
+            impulses.set(key, (impulses.get(key) || 0) + event.totalForceMagnitude() * world.timestep);
+        });
+
+        // Starts from the last step are resolved now
+        const added = [];
+        this.pending.forEach((start, key) => {
+            start.impulse += impulses.get(key) || 0;
+            this.finishStart(world, environment, start);
+            added.push(start);
+        });
+        this.pending.clear();
+
+        this.eventQueue.drainCollisionEvents((handle1, handle2, started) => {
+            const key = pairKey(handle1, handle2);
+            const collider1 = world.getCollider(handle1);
+            const collider2 = world.getCollider(handle2);
+
+            if (started) {
+                this.activePairs.set(key, [handle1, handle2]);
+            } else {
+                this.activePairs.delete(key);
+            }
+            if (!collider1 || !collider2) return;
+
+            const bodies = [describe(collider1), describe(collider2)];
+            if (!started) {
+                added.push({ time, type: 'stop', bodies });
+                return;
+            }
+
+            const start = { time, type: 'start', bodies, impulse: impulses.get(key) || 0 };
+            this.beginStart(world, collider1, collider2, start);
+            this.pending.set(key, start);
+        });
+
+        // Removing a body ends its contacts without any event
+        this.activePairs.forEach(([handle1, handle2], key) => {
+            if (!world.getCollider(handle1) || !world.getCollider(handle2)) this.activePairs.delete(key);
+        });
+
+        added.forEach(event => this.events.push(event));
+        if (this.events.length > this.capacity) this.events.splice(0, this.events.length - this.capacity);
+        if (added.length > 0) this.revision++;
+        return added;
+    }
+
+    /**
+     * Contact normal, contact point and approach speed, from the manifold
+     * that started the contact and the velocities before its step
+     */
+    beginStart(world, collider1, collider2, start) {
+        const normal = new THREE.Vector3();
+        const point = new THREE.Vector3();
+        let points = 0;
+
+        world.contactPair(collider1, collider2, (manifold, flipped) => {
+            // Normal from collider1 to collider2
+            const sign = flipped ? -1 : 1;
+            const manifoldNormal = manifold.normal();
+            normal.x += sign * manifoldNormal.x;
+            normal.y += sign * manifoldNormal.y;
+            normal.z += sign * manifoldNormal.z;
+
+            for (let k = 0; k < manifold.numSolverContacts(); k++) {
+                point.add(manifold.solverContactPoint(k));
+                points++;
+            }
+        });
+
+        const body1 = this.colliderBodies.get(collider1.handle) || null;
+        const body2 = this.colliderBodies.get(collider2.handle) || null;
+        start.handles = [body1 ? body1.handle : null, body2 ? body2.handle : null];
+        start.normal = normal.lengthSq() > 0 ? normal.normalize() : null;
+        start.point = points > 0 ? point.divideScalar(points) : null;
+        start.before = start.handles.map(handle => handle === null ? null : this.stepStart.get(handle) || null);
+        start.kinematic = [body1, body2].some(body => body && body.isKinematic());
+        // Arms to the contact point as the contact starts, kept for the step after
+        start.arms = [body1, body2].map(body => body && start.point
+            ? new THREE.Vector3().subVectors(start.point, body.translation())
+            : null);
+
+        start.approachSpeed = null;
+        if (start.normal && start.point) {
+            const relative = pointVelocity(start.before[0], start.arms[0]).sub(pointVelocity(start.before[1], start.arms[1]));
+            start.approachSpeed = relative.dot(start.normal);
+        }
+    }
+
+    /**
+     * Separation speed, restitution and energy lost, from the velocities
+     * after the step that resolved the contact
+     */
+    finishStart(world, environment, start) {
+        const bodies = start.handles.map(handle => handle === null ? null : world.getRigidBody(handle));
+        const after = bodies.map(body => body && body.isDynamic() ? bodyState(body) : null);
+
+        start.separationSpeed = null;
+        start.restitution = null;
+        if (start.approachSpeed !== null) {
+            const relative = pointVelocity(after[1], start.arms[1]).sub(pointVelocity(after[0], start.arms[0]));
+            start.separationSpeed = relative.dot(start.normal);
+            if (start.approachSpeed >= MIN_APPROACH_SPEED) start.restitution = start.separationSpeed / start.approachSpeed;
+        }
+
+        // A dragged body is pushed by the pointer, so its energy says nothing
+        start.energyLost = null;
+        const gone = start.handles.some((handle, i) => handle !== null && !bodies[i]);
+        if (!start.kinematic && !gone) {
+            start.energyLost = 0;
+            bodies.forEach((body, i) => {
+                const before = start.before[i];
+                if (!before || !after[i]) return;
+                const mass = body.mass();
+                start.energyLost += kineticEnergy(body, before.linvel, before.angvel)
+                    + mass * environment.potentialAt(before.translation)
+                    - kineticEnergy(body)
+                    - mass * environment.potentialAt(after[i].translation);
+            });
+        }
+
+        delete start.handles;
+        delete start.before;
+        delete start.arms;
+        delete start.kinematic;
+        if (start.point) start.point = { x: start.point.x, y: start.point.y, z: start.point.z };
+        if (start.normal) start.normal = { x: start.normal.x, y: start.normal.y, z: start.normal.z };
+    }
+
+    /**
+     * Drop the events after a time
+     */
+    truncate(time) {
+        this.events = this.events.filter(event => event.time < time);
+        this.revision++;
+    }
+
+    clear() {
+        this.events = [];
+        this.revision++;
+    }
+
+    /**
+     * Start over from a restored world: contacts in progress are read from
+     * it, since no start will be reported for them, and the events after
+     * its time are dropped
+     *
+     * @param {RAPIER.World} world
+     * @param {THREE.Mesh[]} objects - Meshes carrying `body`
+     * @param {number} time - Simulated time of the restored world
+     */
+    restore(world, objects, time) {
+        this.eventQueue.clear();
+        this.pending.clear();
+        this.stepStart.clear();
+        this.colliderBodies.clear();
+        this.activePairs.clear();
+
+        objects.forEach(mesh => {
+            const body = mesh.body;
+            if (!body) return;
+            for (let i = 0; i < body.numColliders(); i++) {
+                const collider = body.collider(i);
+                world.contactPairsWith(collider, other => {
+                    world.contactPair(collider, other, manifold => {
+                        if (manifold.numContacts() > 0) {
+                            this.activePairs.set(pairKey(collider.handle, other.handle), [collider.handle, other.handle]);
+                        }
+                    });
+                });
+            }
+        });
+
+        if (this.events.some(event => event.time > time)) {
+            this.events = this.events.filter(event => event.time <= time);
+            this.revision++;
+        }
+    }
+
+    /**
+     * Spreadsheet-ready CSV, one row per event; empty cells where a value
+     * was not measured
+     */
+    toCSV() {
+        const quote = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const header = CSV_COLUMNS.map(([label]) => label);
+        const rows = this.events.map(event => CSV_COLUMNS
+            .map(([, read]) => read(event))
+            .map(value => value === null || value === undefined ? '' : quote(String(value)))
+            .join(','));
+        return [header.join(','), ...rows].join('\n');
+    }
+
+    dispose() {
+        this.eventQueue.free();
+        this.events = [];
+        this.activePairs.clear();
+        this.pending.clear();
+        this.colliderBodies.clear();
+    }
+}
+
+/**
+ * Brief expanding markers at the contact points of impacts
+ */
+export class CollisionFlashes {
+    constructor(scene) {
+        this.scene = scene;
+        this.flashes = [];
+        this.geometry = new THREE.SphereGeometry(1, 16, 12);
+    }
+
+    /**
+     * Flash where a start event happened, larger for harder impacts
+     */
+    add(event) {
+        if (event.type !== 'start' || !event.point || !(event.approachSpeed >= FLASH_MIN_SPEED)) return;
+
+        const material = new THREE.MeshBasicMaterial({
+            color: FLASH_COLOR,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false
+        });
+        const mesh = new THREE.Mesh(this.geometry, material);
+        mesh.position.copy(event.point);
+        mesh.renderOrder = 2;
+        this.scene.add(mesh);
+
+        const size = 0.1 + 0.1 * Math.log1p(event.impulse || 0);
+        this.flashes.push({ mesh, size, age: 0 });
+    }
+
+    /**
+     * Grow and fade the flashes; call once per frame
+     *
+     * @param {number} dt - Seconds since the last frame
+     */
+    update(dt) {
+        this.flashes = this.flashes.filter(flash => {
+            flash.age += dt;
+            const progress = flash.age / FLASH_DURATION;
+            if (progress >= 1) {
+                this.removeFlash(flash);
+                return false;
+            }
+            flash.mesh.scale.setScalar(flash.size * (1 + progress));
+            flash.mesh.material.opacity = 0.8 * (1 - progress);
+            return true;
+        });
+    }
+
+    removeFlash(flash) {
+        this.scene.remove(flash.mesh);
+        flash.mesh.material.dispose();
+    }
+
+    clear() {
+        this.flashes.forEach(flash => this.removeFlash(flash));
+        this.flashes = [];
+    }
+
+    dispose() {
+        this.clear();
+        this.geometry.dispose();
+    }
+}
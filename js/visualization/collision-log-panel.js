@@ -0,0 +1,194 @@
+/**
+ * Collision Log Panel
+ *
+ * Scrollable list of the playground's collision events, newest first, with
+ * the measured impulse, speeds, restitution and energy lost for each impact
+ * and CSV export of the whole log.
+ */
+
+// Rows drawn at once; the export has every event
+const MAX_ROWS = 200;
+
+function format(value, digits = 2) {
+    return value === null || value === undefined ? '–' : value.toFixed(digits);
+}
+
+export default class CollisionLogPanel {
+    /**
+     * @param {object} options
+     * @param {HTMLElement} options.container - Element the panel is placed in
+     * @param {CollisionMonitor} options.monitor - Source of the events
+     * @param {Function} options.createButton - (parent, text, onClick) => button, for matching buttons
+     * @param {Function} options.onExport - Called with (filename, text, type) to download a file
+     */
+    constructor({ container, monitor, createButton, onExport = () => {} }) {
+        this.container = container;
+        this.monitor = monitor;
+        this.createButton = createButton;
+        this.onExport = onExport;
+
+        this.showStops = false;
+        this.shownRevision = null;
+        this.createPanel();
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'physics-collision-log';
+        panel.style.position = 'absolute';
+        panel.style.top = '10px';
+        panel.style.left = '50%';
+        panel.style.transform = 'translateX(-50%)';
+        panel.style.width = '340px';
+        panel.style.padding = '10px';
+        panel.style.borderRadius = '5px';
+        panel.style.fontFamily = 'var(--body-font, sans-serif)';
+        panel.style.fontSize = '13px';
+        panel.style.backgroundColor = 'var(--bg-color, #ffffff)';
+        panel.style.color = 'var(--text-color, #333333)';
+        panel.style.boxShadow = 'var(--shadow-md)';
+        panel.style.zIndex = '100';
+        panel.style.display = 'none';
+
+        const header = document.createElement('div');
+        header.style.display = 'flex';
+        header.style.justifyContent = 'space-between';
+        header.style.alignItems = 'center';
+        const title = document.createElement('h3');
+        title.style.margin = '0';
+        title.style.fontSize = '15px';
+        title.textContent = 'Collisions';
+        header.appendChild(title);
+        this.createButton(header, '×', () => this.close());
+        panel.appendChild(header);
+
+        this.summary = document.createElement('div');
+        this.summary.style.fontSize = '12px';
+        this.summary.style.opacity = '0.7';
+        this.summary.style.margin = '4px 0';
+        panel.appendChild(this.summary);
+
+        const stopsLabel = document.createElement('label');
+        stopsLabel.style.display = 'block';
+        stopsLabel.style.fontSize = '12px';
+        const stopsCheckbox = document.createElement('input');
+        stopsCheckbox.type = 'checkbox';
+        stopsCheckbox.checked = this.showStops;
+        stopsCheckbox.addEventListener('change', () => {
+            this.showStops = stopsCheckbox.checked;
+            this.renderRows();
+        });
+        stopsLabel.appendChild(stopsCheckbox);
+        stopsLabel.appendChild(document.createTextNode(' Show contact ends'));
+        panel.appendChild(stopsLabel);
+
+        this.list = document.createElement('div');
+        this.list.style.maxHeight = '220px';
+        this.list.style.overflowY = 'auto';
+        this.list.style.marginTop = '6px';
+        this.list.style.fontSize = '12px';
+        this.list.style.fontVariantNumeric = 'tabular-nums';
+        panel.appendChild(this.list);
+
+        const buttons = document.createElement('div');
+        buttons.style.display = 'flex';
+        buttons.style.flexWrap = 'wrap';
+        buttons.style.gap = '5px';
+        buttons.style.marginTop = '6px';
+        panel.appendChild(buttons);
+        this.createButton(buttons, 'Clear', () => {
+            this.monitor.clear();
+            this.update();
+        });
+        this.createButton(buttons, 'Export CSV', () => {
+            this.onExport('physics-collisions.csv', this.monitor.toCSV(), 'text/csv');
+        });
+
+        this.container.appendChild(panel);
+        this.panel = panel;
+    }
+
+    get isOpen() {
+        return this.panel.style.display !== 'none';
+    }
+
+    open() {
+        this.panel.style.display = 'block';
+        this.shownRevision = null;
+        this.update();
+    }
+
+    close() {
+        this.panel.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show the events logged since the last call; call once per frame
+     */
+    update() {
+        if (!this.isOpen) return;
+
+        const impacts = this.monitor.events.filter(event => event.type === 'start').length;
+        this.summary.textContent = `In contact: ${this.monitor.activeCount} pairs · ${impacts} impacts logged`;
+
+        if (this.monitor.revision === this.shownRevision) return;
+        this.shownRevision = this.monitor.revision;
+        this.renderRows();
+    }
+
+    renderRows() {
+        const rows = [];
+        const events = this.monitor.events;
+        for (let i = events.length - 1; i >= 0 && rows.length < MAX_ROWS; i--) {
+            const event = events[i];
+            if (event.type === 'stop' && !this.showStops) continue;
+            rows.push(this.createRow(event));
+        }
+
+        if (rows.length === 0) {
+            const empty = document.createElement('div');
+            empty.style.opacity = '0.7';
+            empty.textContent = 'Drop or throw objects to log their impacts';
+            rows.push(empty);
+        }
+        this.list.replaceChildren(...rows);
+    }
+
+    createRow(event) {
+        const row = document.createElement('div');
+        row.style.padding = '3px 0';
+        row.style.borderBottom = '1px solid var(--border-color, #e5e7eb)';
+
+        const heading = document.createElement('div');
+        heading.textContent = `${format(event.time)} s  ${event.bodies[0]} – ${event.bodies[1]}`;
+        row.appendChild(heading);
+
+        const details = document.createElement('div');
+        details.style.opacity = '0.7';
+        if (event.type === 'stop') {
+            details.textContent = 'Separated';
+        } else {
+            details.textContent = [
+                `J ${format(event.impulse)} N·s`,
+                `v ${format(event.approachSpeed)} → ${format(event.separationSpeed)} m/s`,
+                `e ${format(event.restitution)}`,
+                `ΔE ${format(event.energyLost)} J`
+            ].join('  ');
+        }
+        row.appendChild(details);
+
+        return row;
+    }
+
+    dispose() {
+        if (this.panel.parentNode) this.panel.parentNode.removeChild(this.panel);
+    }
+}
@@ -0,0 +1,313 @@
+/**
+ * Environment Panel
+ *
+ * Editor for a PhysicsEnvironment: gravity with planet presets, wind, air
+ * drag, the water layer for buoyancy and the radial attractors. Every edit
+ * is written to the environment straight away and reported through onChange.
+ */
+
+import { GRAVITY_PRESETS } from './physics-environment.js';
+import { formatNumber } from './base-visualization.js';
+
+const PRESET_LABELS = {
+    earth: 'Earth',
+    moon: 'Moon',
+    mars: 'Mars',
+    zero: 'Zero-g',
+    custom: 'Custom'
+};
+
+export default class EnvironmentPanel {
+    /**
+     * @param {object} options
+     * @param {HTMLElement} options.container - Element the panel is placed in
+     * @param {PhysicsEnvironment} options.environment - Environment being edited
+     * @param {Function} options.createButton - (parent, text, onClick) => button, for matching buttons
+     * @param {Function} options.onChange - Called after every edit
+     * @param {Function} options.onFieldToggle - Called with whether the field arrows should show
+     */
+    constructor({ container, environment, createButton, onChange = () => {}, onFieldToggle = () => {} }) {
+        this.container = container;
+        this.environment = environment;
+        this.createButton = createButton;
+        this.onChange = onChange;
+        this.onFieldToggle = onFieldToggle;
+
+        this.createPanel();
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'physics-environment';
+        panel.style.position = 'absolute';
+        panel.style.top = '10px';
+        panel.style.left = '10px';
+        panel.style.width = '260px';
+        panel.style.maxHeight = '60%';
+        panel.style.overflowY = 'auto';
+        panel.style.padding = '10px';
+        panel.style.borderRadius = '5px';
+        panel.style.fontFamily = 'var(--body-font, sans-serif)';
+        panel.style.fontSize = '13px';
+        panel.style.backgroundColor = 'var(--bg-color, #ffffff)';
+        panel.style.color = 'var(--text-color, #333333)';
+        panel.style.boxShadow = 'var(--shadow-md)';
+        panel.style.zIndex = '100';
+        panel.style.display = 'none';
+
+        const header = document.createElement('div');
+        header.style.display = 'flex';
+        header.style.justifyContent = 'space-between';
+        header.style.alignItems = 'center';
+        const title = document.createElement('h3');
+        title.style.margin = '0';
+        title.style.fontSize = '15px';
+        title.textContent = 'Environment';
+        header.appendChild(title);
+        this.createButton(header, '×', () => this.close());
+        panel.appendChild(header);
+
+        // Gravity
+        this.createHeading(panel, 'Gravity');
+        this.presetSelect = document.createElement('select');
+        Object.entries(PRESET_LABELS).forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key === 'custom' ? label : `${label} (${GRAVITY_PRESETS[key]} m/s²)`;
+            this.presetSelect.appendChild(option);
+        });
+        this.presetSelect.addEventListener('change', () => {
+            const strength = GRAVITY_PRESETS[this.presetSelect.value];
+            if (strength === undefined) return;
+            this.environment.setGravity({ x: 0, y: -1, z: 0 }, strength);
+            this.changed();
+        });
+        this.createRow(panel, 'Preset', this.presetSelect);
+
+        this.gravityDirection = this.createVectorInputs(panel, 'Direction', () => this.applyGravity());
+        this.gravityStrength = this.createNumberInput(panel, 'Strength (m/s²)', { min: 0, step: 0.1 }, () => this.applyGravity());
+
+        // Air
+        this.createHeading(panel, 'Air');
+        this.windInputs = this.createVectorInputs(panel, 'Wind (m/s)', values => {
+            this.environment.wind = values;
+            this.changed();
+        });
+        this.dragInput = this.createNumberInput(panel, 'Drag coefficient Cd', { min: 0, step: 0.05 }, value => {
+            this.environment.dragCoefficient = Math.max(value, 0);
+            this.changed();
+        });
+        this.airDensityInput = this.createNumberInput(panel, 'Air density (kg/m³)', { min: 0, step: 0.1 }, value => {
+            this.environment.airDensity = Math.max(value, 0);
+            this.changed();
+        });
+        this.windNote = document.createElement('div');
+        this.windNote.style.fontSize = '12px';
+        this.windNote.style.opacity = '0.7';
+        this.windNote.textContent = 'Wind pushes bodies through drag, so it needs Cd above 0.';
+        panel.appendChild(this.windNote);
+
+        // Water
+        this.createHeading(panel, 'Water');
+        this.buoyancyCheckbox = document.createElement('input');
+        this.buoyancyCheckbox.type = 'checkbox';
+        this.buoyancyCheckbox.addEventListener('change', () => {
+            this.environment.buoyancy.enabled = this.buoyancyCheckbox.checked;
+            this.changed();
+        });
+        this.createRow(panel, 'Buoyancy', this.buoyancyCheckbox);
+        this.levelInput = this.createNumberInput(panel, 'Water level (m)', { min: 0, step: 0.5 }, value => {
+            this.environment.buoyancy.level = Math.max(value, 0);
+            this.changed();
+        });
+        this.waterDensityInput = this.createNumberInput(panel, 'Density (kg/m³)', { min: 0, step: 50 }, value => {
+            this.environment.buoyancy.density = Math.max(value, 0);
+            this.changed();
+        });
+
+        // Attractors
+        this.createHeading(panel, 'Attractors');
+        this.attractorList = document.createElement('div');
+        panel.appendChild(this.attractorList);
+        this.createButton(panel, 'Add Attractor', () => {
+            this.environment.attractors.push({ position: { x: 0, y: 6, z: 0 }, strength: 50 });
+            this.changed();
+        });
+
+        this.fieldCheckbox = document.createElement('input');
+        this.fieldCheckbox.type = 'checkbox';
+        this.fieldCheckbox.addEventListener('change', () => this.onFieldToggle(this.fieldCheckbox.checked));
+        this.createRow(panel, 'Show field arrows', this.fieldCheckbox);
+
+        this.container.appendChild(panel);
+        this.panel = panel;
+    }
+
+    createHeading(parent, text) {
+        const heading = document.createElement('h4');
+        heading.style.margin = '10px 0 2px 0';
+        heading.style.fontSize = '13px';
+        heading.textContent = text;
+        parent.appendChild(heading);
+    }
+
+    createRow(parent, labelText, input) {
+        const label = document.createElement('label');
+        label.style.display = 'flex';
+        label.style.justifyContent = 'space-between';
+        label.style.alignItems = 'center';
+        label.style.gap = '4px';
+        label.style.marginTop = '4px';
+        label.textContent = labelText;
+        label.appendChild(input);
+        parent.appendChild(label);
+        return label;
+    }
+
+    createNumberInput(parent, labelText, { min, step }, onChange) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        if (min !== undefined) input.min = min;
+        input.step = step;
+        input.style.width = '70px';
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value)) {
+                onChange(value);
+            } else {
+                this.refresh();
+            }
+        });
+        this.createRow(parent, labelText, input);
+        return input;
+    }
+
+    /**
+     * Three inputs reporting {x, y, z} together
+     */
+    createVectorInputs(parent, labelText, onChange) {
+        const group = document.createElement('span');
+        group.style.display = 'flex';
+        group.style.gap = '2px';
+        const inputs = ['x', 'y', 'z'].map(axis => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 0.5;
+            input.title = axis;
+            input.style.width = '46px';
+            input.addEventListener('change', () => {
+                const [x, y, z] = inputs.map(field => parseFloat(field.value) || 0);
+                onChange({ x, y, z });
+            });
+            group.appendChild(input);
+            return input;
+        });
+        this.createRow(parent, labelText, group);
+        return inputs;
+    }
+
+    applyGravity() {
+        const [x, y, z] = this.gravityDirection.map(input => parseFloat(input.value) || 0);
+        const strength = Math.max(parseFloat(this.gravityStrength.value) || 0, 0);
+        this.environment.setGravity({ x, y, z }, strength);
+        this.changed();
+    }
+
+    changed() {
+        this.refresh();
+        this.onChange();
+    }
+
+    get isOpen() {
+        return this.panel.style.display !== 'none';
+    }
+
+    open() {
+        this.panel.style.display = 'block';
+        this.refresh();
+    }
+
+    close() {
+        this.panel.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Fill the inputs from the environment, e.g. after a scene or frame was loaded
+     */
+    refresh() {
+        const environment = this.environment;
+        const gravity = new THREE.Vector3().copy(environment.gravity);
+        const strength = gravity.length();
+
+        // The preset that matches, if gravity points straight down
+        const preset = Object.keys(GRAVITY_PRESETS).find(key =>
+            Math.abs(GRAVITY_PRESETS[key] - strength) < 1e-3 &&
+            (strength === 0 || (Math.abs(gravity.x) < 1e-6 && Math.abs(gravity.z) < 1e-6 && gravity.y < 0))
+        );
+        this.presetSelect.value = preset || 'custom';
+
+        const direction = strength > 0 ? gravity.clone().divideScalar(strength) : new THREE.Vector3(0, -1, 0);
+        this.setVectorInputs(this.gravityDirection, direction);
+        this.gravityStrength.value = formatNumber(strength, 3);
+
+        this.setVectorInputs(this.windInputs, environment.wind);
+        this.dragInput.value = environment.dragCoefficient;
+        this.airDensityInput.value = environment.airDensity;
+        this.windNote.style.display = environment.dragCoefficient > 0 ? 'none' : 'block';
+
+        this.buoyancyCheckbox.checked = environment.buoyancy.enabled;
+        this.levelInput.value = environment.buoyancy.level;
+        this.waterDensityInput.value = environment.buoyancy.density;
+
+        this.refreshAttractors();
+    }
+
+    setVectorInputs(inputs, vector) {
+        inputs[0].value = formatNumber(vector.x, 3);
+        inputs[1].value = formatNumber(vector.y, 3);
+        inputs[2].value = formatNumber(vector.z, 3);
+    }
+
+    // One row per attractor: position, strength and a remove button
+    refreshAttractors() {
+        this.attractorList.replaceChildren();
+
+        this.environment.attractors.forEach((attractor, index) => {
+            const row = document.createElement('div');
+            row.style.borderTop = '1px solid var(--border-color, #dddddd)';
+            row.style.marginTop = '4px';
+
+            const inputs = this.createVectorInputs(row, `#${index + 1} at`, position => {
+                attractor.position = position;
+                this.changed();
+            });
+            this.setVectorInputs(inputs, attractor.position);
+
+            const strength = this.createNumberInput(row, 'Strength (m³/s²)', { step: 10 }, value => {
+                attractor.strength = value;
+                this.changed();
+            });
+            strength.title = 'Acceleration is strength / r²; negative values repel';
+            strength.value = attractor.strength;
+
+            this.createButton(row, 'Remove', () => {
+                this.environment.attractors.splice(index, 1);
+                this.changed();
+            });
+
+            this.attractorList.appendChild(row);
+        });
+    }
+
+    dispose() {
+        if (this.panel.parentNode) this.panel.parentNode.removeChild(this.panel);
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * Joint Visuals
+ *
+ * Draws the playground's joints: a coil for springs, a line for ropes that
+ * sags while the rope is slack, and rods from each body's center to the
+ * pivot for the rigid joints (hinge, slider, ball and weld).
+ *
+ * Joints are the playground's joint records: `bodies` holds two meshes, the
+ * second null for a joint to the world, and `anchors` holds each anchor in
+ * its body's local frame, or in world space for the world.
+ */
+
+const JOINT_COLORS = {
+    spring: 0xf59e0b,
+    rope: 0x92400e,
+    rigid: 0x475569
+};
+
+const COIL_TURNS = 10;
+const COIL_RADIUS = 0.12;
+const COIL_POINTS = 160;
+const ROPE_POINTS = 24;
+const PIVOT_RADIUS = 0.08;
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+function createLine(pointCount, color, segments = false) {
+    const geometry = new THREE.BufferGeometry();
+    const attribute = new THREE.BufferAttribute(new Float32Array(pointCount * 3), 3);
+    attribute.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('position', attribute);
+
+    const material = new THREE.LineBasicMaterial({ color });
+    const line = segments ? new THREE.LineSegments(geometry, material) : new THREE.Line(geometry, material);
+    line.frustumCulled = false;
+    return line;
+}
+
+function setPoints(line, points) {
+    const attribute = line.geometry.getAttribute('position');
+    points.forEach((point, i) => attribute.setXYZ(i, point.x, point.y, point.z));
+    attribute.needsUpdate = true;
+}
+
+export default class JointVisuals {
+    constructor(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+        scene.add(this.group);
+
+        // Joint record -> { line, pivot }
+        this.visuals = new Map();
+    }
+
+    /**
+     * Redraw every joint; joints that are new get a visual and ones no longer
+     * listed lose theirs, so a rewound or reloaded list can be passed as is
+     *
+     * @param {object[]} joints - Joint records
+     */
+    update(joints) {
+        this.visuals.forEach((visual, joint) => {
+            if (!joints.includes(joint)) this.remove(joint);
+        });
+
+        joints.forEach(joint => {
+            if (!this.visuals.has(joint)) this.add(joint);
+            this.draw(joint, this.visuals.get(joint));
+        });
+    }
+
+    add(joint) {
+        let visual;
+        switch (joint.type) {
+            case 'spring':
+                visual = { line: createLine(COIL_POINTS, JOINT_COLORS.spring) };
+                break;
+            case 'rope':
+                visual = { line: createLine(ROPE_POINTS, JOINT_COLORS.rope) };
+                break;
+            default:
+                // Center to anchor on each body, and between the anchors for a slider
+                visual = {
+                    line: createLine(6, JOINT_COLORS.rigid, true),
+                    pivot: new THREE.Mesh(
+                        new THREE.SphereGeometry(PIVOT_RADIUS, 12, 12),
+                        new THREE.MeshStandardMaterial({ color: JOINT_COLORS.rigid })
+                    )
+                };
+                this.group.add(visual.pivot);
+        }
+
+        this.group.add(visual.line);
+        this.visuals.set(joint, visual);
+    }
+
+    remove(joint) {
+        const visual = this.visuals.get(joint);
+        if (!visual) return;
+
+        [visual.line, visual.pivot].filter(Boolean).forEach(object => {
+            this.group.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        this.visuals.delete(joint);
+    }
+
+    /**
+     * World positions of both anchors and both body centers
+     */
+    getEnds(joint) {
+        const [first, second] = joint.bodies;
+
+        first.updateMatrixWorld();
+        const anchor1 = first.localToWorld(new THREE.Vector3().copy(joint.anchors[0]));
+        const center1 = first.position.clone();
+
+        let anchor2;
+        let center2;
+        if (second) {
+            second.updateMatrixWorld();
+            anchor2 = second.localToWorld(new THREE.Vector3().copy(joint.anchors[1]));
+            center2 = second.position.clone();
+        } else {
+            anchor2 = new THREE.Vector3().copy(joint.anchors[1]);
+            center2 = anchor2.clone();
+        }
+
+        return { anchor1, anchor2, center1, center2 };
+    }
+
+    draw(joint, visual) {
+        const { anchor1, anchor2, center1, center2 } = this.getEnds(joint);
+
+        switch (joint.type) {
+            case 'spring':
+                setPoints(visual.line, this.coilPoints(anchor1, anchor2));
+                break;
+            case 'rope':
+                setPoints(visual.line, this.ropePoints(anchor1, anchor2, joint.length));
+                break;
+            default:
+                setPoints(visual.line, [center1, anchor1, anchor1, anchor2, anchor2, center2]);
+                visual.pivot.position.copy(anchor2);
+        }
+    }
+
+    // A helix around the line between the ends
+    coilPoints(start, end) {
+        const axis = new THREE.Vector3().subVectors(end, start);
+        const direction = axis.clone().normalize();
+
+        // Two directions across the coil
+        const side = Math.abs(direction.dot(UP)) > 0.9 ? new THREE.Vector3(1, 0, 0) : UP;
+        const u = new THREE.Vector3().crossVectors(direction, side).normalize();
+        const v = new THREE.Vector3().crossVectors(direction, u);
+
+        const points = [];
+        for (let i = 0; i < COIL_POINTS; i++) {
+            const t = i / (COIL_POINTS - 1);
+            const angle = t * COIL_TURNS * Math.PI * 2;
+            // Straight ends where the coil meets the bodies
+            const radius = t < 0.05 || t > 0.95 ? 0 : COIL_RADIUS;
+            points.push(start.clone()
+                .addScaledVector(axis, t)
+                .addScaledVector(u, Math.cos(angle) * radius)
+                .addScaledVector(v, Math.sin(angle) * radius));
+        }
+        return points;
+    }
+
+    // Straight when taut; a parabola of the rope's length when slack
+    ropePoints(start, end, length) {
+        const distance = start.distanceTo(end);
+        // Sag of a shallow parabola: length ≈ distance + 8·sag² / (3·distance)
+        const sag = distance > 0 && length > distance ? Math.sqrt(3 * distance * (length - distance) / 8) : 0;
+
+        const points = [];
+        for (let i = 0; i < ROPE_POINTS; i++) {
+            const t = i / (ROPE_POINTS - 1);
+            const point = start.clone().lerp(end, t);
+            point.y -= 4 * sag * t * (1 - t);
+            points.push(point);
+        }
+        return points;
+    }
+
+    dispose() {
+        [...this.visuals.keys()].forEach(joint => this.remove(joint));
+        this.scene.remove(this.group);
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * VistaKine Line Chart
+ *
+ * Minimal canvas chart for live readouts inside visualization panels. Each
+ * series is a list of (x, y) points; the axes rescale to fit the data and
+ * always include zero so the sign of a quantity stays readable.
+ */
+
+export default class LineChart {
+    /**
+     * @param {object} options
+     * @param {number} options.width - CSS width in pixels
+     * @param {number} options.height - CSS height in pixels
+     * @param {string} options.xLabel - Horizontal axis caption
+     * @param {string} options.yLabel - Vertical axis caption
+     * @param {Array<{name: string, color: string}>} options.series - Series drawn in order
+     * @param {number} options.maxPoints - Oldest points are dropped beyond this
+     */
+    constructor({ width = 240, height = 120, xLabel = '', yLabel = '', series = [], maxPoints = 2000 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.xLabel = xLabel;
+        this.yLabel = yLabel;
+        this.maxPoints = maxPoints;
+        this.series = series.map(s => ({ ...s, points: [] }));
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'viz-chart';
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        this.canvas.width = width * ratio;
+        this.canvas.height = height * ratio;
+        this.context = this.canvas.getContext('2d');
+        this.context.scale(ratio, ratio);
+
+        this.dirty = true;
+    }
+
+    /**
+     * Append a point to a series
+     */
+    addPoint(seriesIndex, x, y) {
+        const points = this.series[seriesIndex].points;
+        points.push({ x, y });
+        if (points.length > this.maxPoints) points.shift();
+        this.dirty = true;
+    }
+
+    clear() {
+        this.series.forEach(s => {
+            s.points = [];
+        });
+        this.dirty = true;
+        this.draw();
+    }
+
+    getBounds() {
+        const bounds = { minX: Infinity, maxX: -Infinity, minY: 0, maxY: 0 };
+
+        this.series.forEach(s => s.points.forEach(({ x, y }) => {
+            bounds.minX = Math.min(bounds.minX, x);
+            bounds.maxX = Math.max(bounds.maxX, x);
+            bounds.minY = Math.min(bounds.minY, y);
+            bounds.maxY = Math.max(bounds.maxY, y);
+        }));
+
+        if (!Number.isFinite(bounds.minX)) {
+            bounds.minX = 0;
+            bounds.maxX = 1;
+        }
+        if (bounds.maxX - bounds.minX < 1e-6) bounds.maxX = bounds.minX + 1;
+        if (bounds.maxY - bounds.minY < 1e-6) bounds.maxY = bounds.minY + 1;
+
+        return bounds;
+    }
+
+    /**
+     * Redraw if points were added since the last draw
+     */
+    draw() {
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        const ctx = this.context;
+        const style = getComputedStyle(document.documentElement);
+        const textColor = style.getPropertyValue('--text-color').trim() || '#333';
+        const gridColor = style.getPropertyValue('--border-color').trim() || '#ccc';
+
+        const padding = { left: 34, right: 8, top: 8, bottom: 18 };
+        const plotWidth = this.width - padding.left - padding.right;
+        const plotHeight = this.height - padding.top - padding.bottom;
+        const { minX, maxX, minY, maxY } = this.getBounds();
+
+        const toX = x => padding.left + (x - minX) / (maxX - minX) * plotWidth;
+        const toY = y => padding.top + (1 - (y - minY) / (maxY - minY)) * plotHeight;
+
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        // Frame and zero line
+        ctx.strokeStyle = gridColor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(padding.left, padding.top, plotWidth, plotHeight);
+        ctx.beginPath();
+        ctx.moveTo(padding.left, toY(0));
+        ctx.lineTo(padding.left + plotWidth, toY(0));
+        ctx.stroke();
+
+        ctx.fillStyle = textColor;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(formatTick(maxY), padding.left - 3, padding.top);
+        ctx.fillText(formatTick(minY), padding.left - 3, padding.top + plotHeight);
+        if (minY < 0 && maxY > 0) ctx.fillText('0', padding.left - 3, toY(0));
+
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(formatTick(minX), padding.left, padding.top + plotHeight + 3);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${formatTick(maxX)} ${this.xLabel}`, padding.left + plotWidth, padding.top + plotHeight + 3);
+
+        ctx.textAlign = 'left';
+        ctx.fillText(this.yLabel, padding.left + 4, padding.top + 2);
+
+        // Legend, only needed when there is more than one line
+        if (this.series.length > 1) {
+            ctx.textAlign = 'right';
+            this.series.forEach((s, i) => {
+                ctx.fillStyle = s.color;
+                ctx.fillText(s.name, padding.left + plotWidth - 4, padding.top + 2 + i * 11);
+            });
+        }
+
+        this.series.forEach(s => {
+            if (s.points.length < 2) return;
+
+            ctx.strokeStyle = s.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            s.points.forEach(({ x, y }, i) => {
+                if (i === 0) ctx.moveTo(toX(x), toY(y));
+                else ctx.lineTo(toX(x), toY(y));
+            });
+            ctx.stroke();
+        });
+    }
+}
+
+function formatTick(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude >= 100) return value.toFixed(0);
+    if (magnitude >= 10) return value.toFixed(1);
+    return value.toFixed(2);
+}
@@ -0,0 +1,396 @@
+/**
+ * Motion Overlays
+ *
+ * Kinematics drawn on moving bodies:
+ *
+ * - MotionTrail: a line through a body's recent positions, fading with age
+ * - BodyOverlay: velocity, acceleration, net-force and contact-force arrows
+ *   from a body's center of mass, a center-of-mass marker and a trail
+ * - MotionOverlays (default): a BodyOverlay for every Rapier body in a list
+ *   of meshes, measured after each physics step
+ *
+ * MotionTrail and BodyOverlay only draw what they are given, so chapter
+ * visualizations can feed them vectors of their own. Arrow lengths grow with
+ * magnitude and are capped so one violent collision does not fill the view.
+ */
+
+import { VectorArrow } from './vector-kit.js';
+
+export const OVERLAY_COLORS = {
+    trail: 0xf59e0b,
+    velocity: 0x10b981,
+    acceleration: 0x8b5cf6,
+    force: 0x2563eb,
+    contactForce: 0xdc2626,
+    centerOfMass: 0x111827
+};
+
+// Arrow lengths per m/s, per m/s² and per N
+export const OVERLAY_SCALES = {
+    velocity: 0.25,
+    acceleration: 0.1,
+    force: 0.05
+};
+
+export const OVERLAY_LAYERS = ['trail', 'velocity', 'acceleration', 'force', 'contactForce', 'centerOfMass'];
+
+const MAX_ARROW_LENGTH = 4;
+
+// Trails skip movements shorter than this, so resting bodies do not fill them
+const TRAIL_SPACING = 0.02;
+
+/**
+ * Normal contact force on a body over the last step: the solver's contact
+ * impulses along each contact normal, divided by the step. Friction is left
+ * out, because Rapier does not report the directions of its tangent impulses.
+ *
+ * Rapier's reported impulse covers the step plus one more substep (a body at
+ * rest on the floor reports (1 + 1/substeps)·m·g·dt), so that is divided out.
+ *
+ * @param {RAPIER.World} world
+ * @param {RAPIER.RigidBody} body
+ * @param {number} timestep - Length of the last step
+ * @param {THREE.Vector3} target - Receives the force
+ */
+export function contactForce(world, body, timestep, target = new THREE.Vector3()) {
+    target.set(0, 0, 0);
+
+    for (let i = 0; i < body.numColliders(); i++) {
+        const collider = body.collider(i);
+        world.contactPairsWith(collider, other => {
+            world.contactPair(collider, other, (manifold, flipped) => {
+                let impulse = 0;
+                for (let k = 0; k < manifold.numContacts(); k++) {
+                    impulse += manifold.contactImpulse(k);
+                }
+
+                // The normal points from the manifold's first collider to its second,
+                // and pushes the second away from the first
+                const normal = manifold.normal();
+                const sign = flipped ? 1 : -1;
+                target.x += sign * normal.x * impulse;
+                target.y += sign * normal.y * impulse;
+                target.z += sign * normal.z * impulse;
+            });
+        });
+    }
+
+    return target.divideScalar(timestep * (1 + 1 / world.numSolverIterations));
+}
+
+/**
+ * Line through the last positions pushed, opaque at the newest point and
+ * fading out toward the oldest
+ */
+export class MotionTrail extends THREE.Line {
+    /**
+     * @param {object} options
+     * @param {number} options.color - Line color
+     * @param {number} options.points - Positions kept; older ones are dropped
+     * @param {number} options.opacity - Opacity of the newest part
+     */
+    constructor({ color = OVERLAY_COLORS.trail, points = 240, opacity = 0.8 } = {}) {
+        const geometry = new THREE.BufferGeometry();
+        const positions = new THREE.BufferAttribute(new Float32Array(points * 3), 3);
+        const colors = new THREE.BufferAttribute(new Float32Array(points * 4), 4);
+        positions.setUsage(THREE.DynamicDrawUsage);
+        colors.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('position', positions);
+        geometry.setAttribute('color', colors);
+        geometry.setDrawRange(0, 0);
+
+        super(geometry, new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, depthWrite: false }));
+
+        this.capacity = points;
+        this.count = 0;
+        this.color = new THREE.Color(color);
+        this.opacity = opacity;
+        this.frustumCulled = false;
+    }
+
+    get last() {
+        if (this.count === 0) return null;
+        return new THREE.Vector3().fromBufferAttribute(this.geometry.attributes.position, this.count - 1);
+    }
+
+    push(point) {
+        const positions = this.geometry.attributes.position;
+
+        // Drop the oldest point once the buffer is full
+        if (this.count === this.capacity) {
+            positions.array.copyWithin(0, 3);
+            this.count--;
+        }
+        positions.setXYZ(this.count, point.x, point.y, point.z);
+        positions.needsUpdate = true;
+        this.count++;
+
+        // The fade only changes while the trail is still filling up
+        if (this.count < this.capacity || this.fadeCount !== this.count) this.updateFade();
+        this.geometry.setDrawRange(0, this.count);
+        return this;
+    }
+
+    updateFade() {
+        const colors = this.geometry.attributes.color;
+        for (let i = 0; i < this.count; i++) {
+            colors.setXYZW(i, this.color.r, this.color.g, this.color.b, this.opacity * (i + 1) / this.count);
+        }
+        colors.needsUpdate = true;
+        this.fadeCount = this.count;
+    }
+
+    clear() {
+        this.count = 0;
+        this.geometry.setDrawRange(0, 0);
+        return this;
+    }
+
+    setColor(color) {
+        this.color.set(color);
+        this.updateFade();
+    }
+
+    dispose() {
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+/**
+ * The overlays of one body, placed in world coordinates
+ */
+export class BodyOverlay extends THREE.Group {
+    /**
+     * @param {object} options
+     * @param {object} options.scales - Arrow lengths per unit, as in OVERLAY_SCALES
+     * @param {object} options.labels - Label sprites by arrow, e.g. { velocity: sprite }
+     * @param {number} options.trailPoints - Positions kept in the trail
+     */
+    constructor({ scales = OVERLAY_SCALES, labels = {}, trailPoints = 240 } = {}) {
+        super();
+
+        this.scales = { ...OVERLAY_SCALES, ...scales };
+
+        this.trail = new MotionTrail({ points: trailPoints });
+        this.arrows = {};
+        ['velocity', 'acceleration', 'force', 'contactForce'].forEach(name => {
+            this.arrows[name] = new VectorArrow({ color: OVERLAY_COLORS[name], radius: 0.025, label: labels[name] || null });
+        });
+
+        // Drawn through the body, which would otherwise hide it
+        this.centerOfMass = new THREE.Mesh(
+            new THREE.SphereGeometry(0.06, 12, 12),
+            new THREE.MeshBasicMaterial({ color: OVERLAY_COLORS.centerOfMass, depthTest: false })
+        );
+        this.centerOfMass.renderOrder = 1;
+
+        this.add(this.trail, this.centerOfMass, ...Object.values(this.arrows));
+        this.layers = {};
+        this.setLayers({});
+    }
+
+    /**
+     * Show and hide parts; names are those in OVERLAY_LAYERS
+     */
+    setLayers(layers) {
+        OVERLAY_LAYERS.forEach(name => {
+            this.layers[name] = Boolean(layers[name]);
+        });
+        this.trail.visible = this.layers.trail;
+        this.centerOfMass.visible = this.layers.centerOfMass;
+        Object.entries(this.arrows).forEach(([name, arrow]) => {
+            arrow.visible = this.layers[name];
+        });
+    }
+
+    /**
+     * Place the arrows and marker; a vector left out hides its arrow
+     *
+     * @param {object} state
+     * @param {THREE.Vector3} state.centerOfMass - Where the arrows start
+     * @param {THREE.Vector3} state.velocity - m/s
+     * @param {THREE.Vector3} state.acceleration - m/s²
+     * @param {THREE.Vector3} state.force - Net force in N
+     * @param {THREE.Vector3} state.contactForce - N
+     */
+    set(state) {
+        this.centerOfMass.position.copy(state.centerOfMass);
+
+        const scaled = new THREE.Vector3();
+        Object.entries(this.arrows).forEach(([name, arrow]) => {
+            const vector = state[name];
+            arrow.visible = this.layers[name] && Boolean(vector);
+            if (!arrow.visible) return;
+
+            const scale = this.scales[name === 'contactForce' ? 'force' : name];
+            scaled.copy(vector).multiplyScalar(scale);
+            if (scaled.length() > MAX_ARROW_LENGTH) scaled.setLength(MAX_ARROW_LENGTH);
+            arrow.set(state.centerOfMass, scaled);
+        });
+        return this;
+    }
+
+    /**
+     * Extend the trail, unless the point is about where it already ends
+     */
+    addTrailPoint(point) {
+        const last = this.trail.last;
+        if (!last || last.distanceToSquared(point) >= TRAIL_SPACING * TRAIL_SPACING) {
+            this.trail.push(point);
+        }
+    }
+
+    dispose() {
+        this.trail.dispose();
+        this.centerOfMass.geometry.dispose();
+        this.centerOfMass.material.dispose();
+        Object.values(this.arrows).forEach(arrow => {
+            arrow.setLabel(null);
+            arrow.shaft.geometry.dispose();
+            arrow.head.geometry.dispose();
+            arrow.material.dispose();
+        });
+    }
+}
+
+/**
+ * Overlays for meshes that carry a Rapier body as `mesh.body`. Call
+ * measure() after every physics step and update() every frame.
+ */
+export default class MotionOverlays {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.options = options;
+        this.group = new THREE.Group();
+        scene.add(this.group);
+
+        this.layers = {};
+        OVERLAY_LAYERS.forEach(name => {
+            this.layers[name] = false;
+        });
+
+        // Mesh -> { overlay, previousVelocity, velocity, acceleration, force, contactForce }
+        this.states = new Map();
+    }
+
+    get enabled() {
+        return OVERLAY_LAYERS.some(name => this.layers[name]);
+    }
+
+    setLayer(name, visible) {
+        this.layers[name] = visible;
+        this.states.forEach(state => state.overlay.setLayers(this.layers));
+        if (!this.enabled) this.clear();
+    }
+
+    getState(mesh) {
+        let state = this.states.get(mesh);
+        if (!state) {
+            const overlay = new BodyOverlay(this.options);
+            overlay.setLayers(this.layers);
+            this.group.add(overlay);
+            state = {
+                overlay,
+                previousVelocity: null,
+                velocity: new THREE.Vector3(),
+                acceleration: new THREE.Vector3(),
+                force: new THREE.Vector3(),
+                contactForce: new THREE.Vector3()
+            };
+            this.states.set(mesh, state);
+        }
+        return state;
+    }
+
+    /**
+     * Take this step's velocity, acceleration and forces from the bodies
+     *
+     * @param {RAPIER.World} world
+     * @param {THREE.Mesh[]} objects
+     * @param {number} timestep - Length of the step just taken
+     */
+    measure(world, objects, timestep) {
+        if (!this.enabled) return;
+
+        objects.forEach(mesh => {
+            const body = mesh.body;
+            // Sleeping bodies keep their last values; their contacts are not solved
+            if (!body || body.isFixed() || body.isSleeping()) return;
+
+            const state = this.getState(mesh);
+            state.velocity.copy(body.linvel());
+            if (state.previousVelocity) {
+                state.acceleration.subVectors(state.velocity, state.previousVelocity).divideScalar(timestep);
+            } else {
+                state.acceleration.set(0, 0, 0);
+                state.previousVelocity = new THREE.Vector3();
+            }
+            state.previousVelocity.copy(state.velocity);
+
+            state.force.copy(state.acceleration).multiplyScalar(body.mass());
+            contactForce(world, body, timestep, state.contactForce);
+
+            if (this.layers.trail) state.overlay.addTrailPoint(body.worldCom());
+        });
+    }
+
+    /**
+     * Move the overlays onto the meshes as drawn, and drop those of meshes
+     * no longer listed
+     */
+    update(objects) {
+        if (!this.enabled) return;
+
+        this.states.forEach((state, mesh) => {
+            if (!objects.includes(mesh)) this.remove(mesh);
+        });
+
+        objects.forEach(mesh => {
+            const body = mesh.body;
+            if (!body || body.isFixed()) return;
+
+            const state = this.getState(mesh);
+            const centerOfMass = new THREE.Vector3().copy(body.localCom())
+                .applyQuaternion(mesh.quaternion)
+                .add(mesh.position);
+            state.overlay.set({
+                centerOfMass,
+                velocity: state.velocity,
+                acceleration: state.acceleration,
+                force: state.force,
+                contactForce: state.contactForce
+            });
+        });
+    }
+
+    /**
+     * Forget trails and velocities, e.g. after the world was restored
+     */
+    reset() {
+        this.states.forEach(state => {
+            state.overlay.trail.clear();
+            state.previousVelocity = null;
+            state.acceleration.set(0, 0, 0);
+            state.force.set(0, 0, 0);
+        });
+    }
+
+    remove(mesh) {
+        const state = this.states.get(mesh);
+        if (!state) return;
+
+        this.group.remove(state.overlay);
+        state.overlay.dispose();
+        this.states.delete(mesh);
+    }
+
+    clear() {
+        [...this.states.keys()].forEach(mesh => this.remove(mesh));
+    }
+
+    dispose() {
+        this.clear();
+        this.scene.remove(this.group);
+    }
+}
@@ -0,0 +1,392 @@
+/**
+ * Object Dragger
+ *
+ * Pick, drag and throw for Rapier bodies, the interaction model of the
+ * physics sandbox page packaged for any scene whose meshes carry their rigid
+ * body as `mesh.body`.
+ *
+ * - Pressing on an object grabs it: the body turns kinematic and follows the
+ *   pointer on a plane facing the camera, lifted slightly off the ground.
+ *   Fixed bodies stay put.
+ * - Holding X, Y or Z while dragging keeps the object on that axis.
+ * - Releasing turns the body dynamic again with the pointer's recent
+ *   velocity, so a quick flick throws it.
+ * - Hovering reports the object under the pointer for highlighting, and a
+ *   press without moving reports a click, e.g. to select it.
+ *
+ * Pointer events cover mouse, pen and touch. Presses that miss every object
+ * are left to the camera controls.
+ */
+
+import { AXIS_COLORS } from './vector-kit.js';
+
+// Height an object is lifted when grabbed
+const GRAB_LIFT = 0.2;
+
+// Pointer travel in pixels that turns a press into a drag
+const CLICK_DISTANCE = 4;
+
+// Pointer samples older than this do not count toward the throw
+const THROW_WINDOW = 0.1;
+const MAX_THROW_SPEED = 20;
+
+const AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+
+export default class ObjectDragger {
+    /**
+     * @param {object} options
+     * @param {THREE.Camera} options.camera
+     * @param {HTMLElement} options.domElement - Element receiving pointer events; presses on objects do not reach its children
+     * @param {HTMLCanvasElement} options.canvas - Canvas the scene is drawn on, for pointer coordinates
+     * @param {THREE.Scene} options.scene - Scene for the axis guide
+     * @param {object} options.RAPIER - Rapier module, for body types
+     * @param {Function} options.getObjects - Returns the draggable meshes
+     * @param {number} options.halfSize - Half the width of the walled area, or Infinity
+     * @param {Function} options.isPaused - Whether the simulation is paused, so drags move bodies directly
+     * @param {Function} options.onChange - Called whenever a drag moves a body
+     * @param {Function} options.onHover - Called with the hovered mesh, or null
+     * @param {Function} options.onClick - Called with a mesh pressed and released without dragging
+     */
+    constructor({
+        camera, domElement, canvas, scene, RAPIER, getObjects,
+        halfSize = Infinity,
+        isPaused = () => false,
+        onChange = () => {},
+        onHover = () => {},
+        onClick = () => {}
+    }) {
+        this.camera = camera;
+        this.domElement = domElement;
+        this.canvas = canvas;
+        this.scene = scene;
+        this.RAPIER = RAPIER;
+        this.getObjects = getObjects;
+        this.halfSize = halfSize;
+        this.isPaused = isPaused;
+        this.onChange = onChange;
+        this.onHover = onHover;
+        this.onClick = onClick;
+
+        this.enabled = true;
+        this.selected = null;
+        this.hovered = null;
+        this.pointerId = null;
+        this.press = null;
+        this.constrainedAxis = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.dragPlane = new THREE.Plane();
+        this.grabOffset = new THREE.Vector3();
+        this.axisOrigin = new THREE.Vector3();
+        this.target = new THREE.Vector3();
+        this.samples = [];
+
+        this.axisGuide = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+            new THREE.LineBasicMaterial({ depthTest: false })
+        );
+        this.axisGuide.visible = false;
+        this.axisGuide.renderOrder = 1;
+        scene.add(this.axisGuide);
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+
+        // Capture phase, so a grab is seen before the camera controls on the canvas
+        domElement.addEventListener('pointerdown', this.handlePointerDown, { capture: true });
+        domElement.addEventListener('pointermove', this.handlePointerMove);
+        domElement.addEventListener('pointerup', this.handlePointerUp);
+        domElement.addEventListener('pointercancel', this.handlePointerUp);
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+    }
+
+    get isDragging() {
+        return this.selected !== null;
+    }
+
+    /**
+     * The mesh under a pointer event, if it has a body
+     */
+    pick(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const objects = this.getObjects().filter(object => object.body);
+        const hit = this.raycaster.intersectObjects(objects, false)[0];
+        return hit || null;
+    }
+
+    handlePointerDown(event) {
+        // Presses on overlaid panels are not meant for the scene
+        if (!this.enabled || this.pointerId !== null || event.button !== 0 || event.target !== this.canvas) return;
+
+        const hit = this.pick(event);
+        if (!hit) return;
+
+        // Keep the press away from the camera controls
+        event.stopPropagation();
+        event.preventDefault();
+        this.domElement.setPointerCapture(event.pointerId);
+        this.pointerId = event.pointerId;
+
+        // The object is only grabbed once the pointer moves; a press without moving is a click
+        this.press = { mesh: hit.object, point: hit.point, x: event.clientX, y: event.clientY };
+    }
+
+    handlePointerMove(event) {
+        if (!this.enabled) return;
+
+        if (this.press && event.pointerId === this.pointerId) {
+            const distance = Math.hypot(event.clientX - this.press.x, event.clientY - this.press.y);
+            if (distance < CLICK_DISTANCE) return;
+
+            // Fixed bodies, such as a scene's ramp, can be inspected but not moved
+            if (!this.press.mesh.body.isDynamic()) {
+                this.press = null;
+                this.pointerId = null;
+                if (this.domElement.hasPointerCapture(event.pointerId)) {
+                    this.domElement.releasePointerCapture(event.pointerId);
+                }
+                return;
+            }
+
+            this.grab(this.press.mesh, this.press.point);
+            this.press = null;
+        }
+
+        if (!this.isDragging) {
+            // Touch has no hover
+            if (event.pointerType === 'mouse') this.setHovered(this.pick(event)?.object || null);
+            return;
+        }
+        if (event.pointerId !== this.pointerId) return;
+
+        this.pick(event);
+        this.moveTo(this.raycaster.ray);
+    }
+
+    handlePointerUp(event) {
+        if (event.pointerId !== this.pointerId) return;
+
+        if (this.domElement.hasPointerCapture(event.pointerId)) {
+            this.domElement.releasePointerCapture(event.pointerId);
+        }
+
+        if (this.press) {
+            const mesh = this.press.mesh;
+            this.press = null;
+            this.pointerId = null;
+            if (event.type === 'pointerup') this.onClick(mesh);
+            return;
+        }
+
+        this.release({ throwObject: event.type === 'pointerup' });
+    }
+
+    handleKeyDown(event) {
+        const key = event.key.toLowerCase();
+        if (!this.isDragging || !AXES[key] || this.constrainedAxis === key) return;
+
+        this.constrainedAxis = key;
+        this.axisOrigin.copy(this.selected.body.translation());
+        this.showAxisGuide(key);
+    }
+
+    handleKeyUp(event) {
+        if (event.key.toLowerCase() !== this.constrainedAxis) return;
+
+        this.constrainedAxis = null;
+        this.axisGuide.visible = false;
+        if (this.isDragging) {
+            // Carry on freely from where the axis left the object
+            this.dragPlane.setFromNormalAndCoplanarPoint(
+                this.camera.getWorldDirection(new THREE.Vector3()),
+                this.target.clone().add(this.grabOffset)
+            );
+        }
+    }
+
+    grab(mesh, point) {
+        const body = mesh.body;
+        this.selected = mesh;
+        this.setHovered(null);
+
+        // Drag on the plane through the grab point, facing the camera
+        this.dragPlane.setFromNormalAndCoplanarPoint(this.camera.getWorldDirection(new THREE.Vector3()), point);
+
+        const position = new THREE.Vector3().copy(body.translation());
+        this.grabOffset.copy(point).sub(position);
+
+        // Keep the whole object above the floor and inside the walls
+        const bounds = new THREE.Box3().setFromObject(mesh);
+        const center = bounds.getCenter(new THREE.Vector3());
+        this.bottomOffset = center.y - bounds.min.y;
+        this.sideOffset = Math.max(bounds.max.x - center.x, bounds.max.z - center.z);
+
+        body.setBodyType(this.RAPIER.RigidBodyType.KinematicPositionBased, true);
+        this.samples = [];
+        this.canvas.style.cursor = 'grabbing';
+
+        this.target.copy(position);
+        this.target.y += GRAB_LIFT;
+        this.applyTarget();
+    }
+
+    /**
+     * Follow a pointer ray, along the held axis if there is one
+     */
+    moveTo(ray) {
+        const point = new THREE.Vector3();
+
+        if (this.constrainedAxis) {
+            // Closest point on the axis line to the pointer ray
+            const axis = AXES[this.constrainedAxis];
+            const w = this.axisOrigin.clone().sub(ray.origin);
+            const b = axis.dot(ray.direction);
+            const denominator = 1 - b * b;
+            if (denominator < 1e-6) return;
+
+            const s = (b * ray.direction.dot(w) - axis.dot(w)) / denominator;
+            this.target.copy(this.axisOrigin).addScaledVector(axis, s);
+        } else {
+            if (!ray.intersectPlane(this.dragPlane, point)) return;
+            this.target.copy(point).sub(this.grabOffset);
+        }
+
+        this.target.y = Math.max(this.target.y, this.bottomOffset);
+        const limit = this.halfSize - this.sideOffset;
+        this.target.x = THREE.MathUtils.clamp(this.target.x, -limit, limit);
+        this.target.z = THREE.MathUtils.clamp(this.target.z, -limit, limit);
+
+        this.applyTarget();
+    }
+
+    applyTarget() {
+        const body = this.selected.body;
+        const target = { x: this.target.x, y: this.target.y, z: this.target.z };
+
+        // A kinematic target moves the body over the next step and pushes what it meets
+        body.setNextKinematicTranslation(target);
+        if (this.isPaused()) body.setTranslation(target, true);
+
+        const now = performance.now() / 1000;
+        this.samples.push({ time: now, position: this.target.clone() });
+        while (this.samples.length > 2 && now - this.samples[0].time > THROW_WINDOW) {
+            this.samples.shift();
+        }
+
+        this.onChange(this.selected);
+    }
+
+    /**
+     * Pointer velocity over the last few samples, in world units per second
+     */
+    getThrowVelocity() {
+        const velocity = new THREE.Vector3();
+        if (this.samples.length < 2) return velocity;
+
+        const first = this.samples[0];
+        const last = this.samples[this.samples.length - 1];
+        const elapsed = last.time - first.time;
+
+        // A pointer that stopped before release drops the object instead
+        if (elapsed <= 0 || performance.now() / 1000 - last.time > THROW_WINDOW) return velocity;
+
+        velocity.subVectors(last.position, first.position).divideScalar(elapsed);
+        if (velocity.length() > MAX_THROW_SPEED) velocity.setLength(MAX_THROW_SPEED);
+        return velocity;
+    }
+
+    /**
+     * Let go of the object, throwing it unless the drag was cancelled
+     */
+    release({ throwObject = true } = {}) {
+        if (!this.isDragging) return;
+
+        const mesh = this.selected;
+        const velocity = throwObject ? this.getThrowVelocity() : new THREE.Vector3();
+
+        mesh.body.setBodyType(this.RAPIER.RigidBodyType.Dynamic, true);
+        mesh.body.setLinvel({ x: velocity.x, y: velocity.y, z: velocity.z }, true);
+        mesh.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+
+        this.selected = null;
+        this.pointerId = null;
+        this.constrainedAxis = null;
+        this.axisGuide.visible = false;
+        this.canvas.style.cursor = '';
+
+        this.onChange(mesh);
+    }
+
+    /**
+     * Drop a drag without touching the body, e.g. when its world is replaced
+     */
+    cancel() {
+        this.selected = null;
+        this.press = null;
+        this.pointerId = null;
+        this.constrainedAxis = null;
+        this.axisGuide.visible = false;
+        this.canvas.style.cursor = '';
+        this.setHovered(null);
+    }
+
+    showAxisGuide(key) {
+        const axis = AXES[key];
+        const positions = this.axisGuide.geometry.attributes.position;
+        const start = this.axisOrigin.clone().addScaledVector(axis, -50);
+        const end = this.axisOrigin.clone().addScaledVector(axis, 50);
+        positions.setXYZ(0, start.x, start.y, start.z);
+        positions.setXYZ(1, end.x, end.y, end.z);
+        positions.needsUpdate = true;
+        this.axisGuide.geometry.computeBoundingSphere();
+
+        this.axisGuide.material.color.setHex(AXIS_COLORS['xyz'.indexOf(key)]);
+        this.axisGuide.visible = true;
+    }
+
+    setHovered(mesh) {
+        if (mesh === this.hovered) return;
+
+        this.hovered = mesh;
+        this.canvas.style.cursor = mesh ? 'grab' : '';
+        this.onHover(mesh);
+    }
+
+    setEnabled(enabled) {
+        if (!enabled) {
+            this.release({ throwObject: false });
+            this.cancel();
+        }
+        this.enabled = enabled;
+    }
+
+    dispose() {
+        this.release({ throwObject: false });
+
+        this.domElement.removeEventListener('pointerdown', this.handlePointerDown, { capture: true });
+        this.domElement.removeEventListener('pointermove', this.handlePointerMove);
+        this.domElement.removeEventListener('pointerup', this.handlePointerUp);
+        this.domElement.removeEventListener('pointercancel', this.handlePointerUp);
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+
+        this.scene.remove(this.axisGuide);
+        this.axisGuide.geometry.dispose();
+        this.axisGuide.material.dispose();
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * Physics Debug Overlay
+ *
+ * Draws what Rapier simulates rather than what the scene shows: collider
+ * outlines from world.debugRender(), the axis-aligned bounding box of each
+ * object's collider, contact points with their normals, and a tint on each
+ * body's mesh telling awake bodies from sleeping ones.
+ *
+ * The playground makes its colliders a few percent larger than the meshes,
+ * so the outlines sit just outside the objects. The boxes are the tight
+ * bounds of the colliders; Rapier's broad phase pads its own by the contact
+ * prediction distance.
+ */
+
+import { ShapeType } from '@dimforge/rapier3d-compat';
+
+const CONTACT_COLOR = 0xef4444;
+const NORMAL_LENGTH = 0.5;
+const AABB_COLOR = 0xeab308;
+
+// Corner pairs of a box's 12 edges, corners numbered by their x, y, z bits
+const BOX_EDGES = [
+    [0, 1], [2, 3], [4, 5], [6, 7],
+    [0, 2], [1, 3], [4, 6], [5, 7],
+    [0, 4], [1, 5], [2, 6], [3, 7]
+];
+
+// Emissive tints on the body meshes
+const AWAKE_TINT = 0x14532d;
+const SLEEPING_TINT = 0x1e3a8a;
+
+/**
+ * Copy data into a geometry attribute, growing it when it is too small
+ */
+function writeAttribute(geometry, name, data, itemSize) {
+    let attribute = geometry.getAttribute(name);
+    if (!attribute || attribute.array.length < data.length) {
+        // Free the old GPU buffers; the geometry is uploaded again on the next render
+        geometry.dispose();
+        const capacity = Math.max(data.length * 2, itemSize * 64);
+        attribute = new THREE.BufferAttribute(new Float32Array(capacity), itemSize);
+        attribute.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute(name, attribute);
+    }
+
+    attribute.array.set(data);
+    attribute.needsUpdate = true;
+}
+
+/**
+ * Half extents of a collider's world-space AABB, or null for a shape the
+ * playground does not use
+ */
+function aabbHalfExtents(collider, target) {
+    const shape = collider.shape;
+    // Column-major, so row i of the rotation is elements i, i + 4, i + 8
+    const r = new THREE.Matrix4().makeRotationFromQuaternion(new THREE.Quaternion().copy(collider.rotation())).elements;
+
+    switch (shape.type) {
+        case ShapeType.Ball:
+            return target.setScalar(shape.radius);
+        case ShapeType.Cuboid: {
+            const h = shape.halfExtents;
+            return target.set(
+                Math.abs(r[0]) * h.x + Math.abs(r[4]) * h.y + Math.abs(r[8]) * h.z,
+                Math.abs(r[1]) * h.x + Math.abs(r[5]) * h.y + Math.abs(r[9]) * h.z,
+                Math.abs(r[2]) * h.x + Math.abs(r[6]) * h.y + Math.abs(r[10]) * h.z
+            );
+        }
+        case ShapeType.Cylinder: {
+            // The axis reaches halfHeight along each world axis, the end discs radius √(1 − axis²)
+            const axis = [r[4], r[5], r[6]];
+            const [x, y, z] = axis.map(a => Math.abs(a) * shape.halfHeight + shape.radius * Math.sqrt(Math.max(0, 1 - a * a)));
+            return target.set(x, y, z);
+        }
+        default:
+            return null;
+    }
+}
+
+export default class PhysicsDebugRenderer {
+    constructor(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+
+        // Rapier colors each vertex (RGBA), dimming the lines of sleeping bodies
+        this.colliderLines = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ vertexColors: true, transparent: true })
+        );
+
+        // Contacts are drawn through the meshes, which would otherwise hide them
+        this.normalLines = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: CONTACT_COLOR, depthTest: false })
+        );
+        this.contactPoints = new THREE.Points(
+            new THREE.BufferGeometry(),
+            new THREE.PointsMaterial({ color: CONTACT_COLOR, size: 6, sizeAttenuation: false, depthTest: false })
+        );
+        this.normalLines.renderOrder = this.contactPoints.renderOrder = 1;
+
+        this.aabbLines = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: AABB_COLOR, transparent: true, opacity: 0.6 })
+        );
+
+        [this.colliderLines, this.aabbLines, this.normalLines, this.contactPoints].forEach(object => {
+            object.frustumCulled = false;
+            this.group.add(object);
+        });
+        scene.add(this.group);
+
+        this.tinted = [];
+        this.contactCount = 0;
+    }
+
+    /**
+     * Redraw from the current state of the world
+     *
+     * @param {RAPIER.World} world
+     * @param {THREE.Mesh[]} objects - Meshes carrying their rigid body as `body`
+     */
+    update(world, objects) {
+        const { vertices, colors } = world.debugRender();
+        writeAttribute(this.colliderLines.geometry, 'position', vertices, 3);
+        writeAttribute(this.colliderLines.geometry, 'color', colors, 4);
+        this.colliderLines.geometry.setDrawRange(0, vertices.length / 3);
+
+        this.updateBoundingBoxes(objects);
+        this.updateContacts(world, objects);
+        this.updateTints(objects);
+    }
+
+    updateBoundingBoxes(objects) {
+        const vertices = [];
+        const halfExtents = new THREE.Vector3();
+
+        objects.forEach(object => {
+            if (!object.body) return;
+
+            for (let i = 0; i < object.body.numColliders(); i++) {
+                const collider = object.body.collider(i);
+                if (!aabbHalfExtents(collider, halfExtents)) continue;
+
+                const center = collider.translation();
+                const corners = [];
+                for (let corner = 0; corner < 8; corner++) {
+                    corners.push([
+                        center.x + (corner & 1 ? halfExtents.x : -halfExtents.x),
+                        center.y + (corner & 2 ? halfExtents.y : -halfExtents.y),
+                        center.z + (corner & 4 ? halfExtents.z : -halfExtents.z)
+                    ]);
+                }
+                BOX_EDGES.forEach(([a, b]) => vertices.push(...corners[a], ...corners[b]));
+            }
+        });
+
+        writeAttribute(this.aabbLines.geometry, 'position', vertices, 3);
+        this.aabbLines.geometry.setDrawRange(0, vertices.length / 3);
+    }
+
+    updateContacts(world, objects) {
+        const points = [];
+        const normals = [];
+        const visited = new Set();
+
+        objects.forEach(object => {
+            if (!object.body) return;
+
+            for (let i = 0; i < object.body.numColliders(); i++) {
+                const collider = object.body.collider(i);
+
+                world.contactPairsWith(collider, other => {
+                    // Each pair between two objects is reached from both sides
+                    const key = collider.handle < other.handle
+                        ? `${collider.handle}:${other.handle}`
+                        : `${other.handle}:${collider.handle}`;
+                    if (visited.has(key)) return;
+                    visited.add(key);
+
+                    world.contactPair(collider, other, manifold => {
+                        const normal = manifold.normal();
+                        for (let k = 0; k < manifold.numSolverContacts(); k++) {
+                            const point = manifold.solverContactPoint(k);
+                            points.push(point.x, point.y, point.z);
+                            normals.push(
+                                point.x, point.y, point.z,
+                                point.x + normal.x * NORMAL_LENGTH,
+                                point.y + normal.y * NORMAL_LENGTH,
+                                point.z + normal.z * NORMAL_LENGTH
+                            );
+                        }
+                    });
+                });
+            }
+        });
+
+        writeAttribute(this.contactPoints.geometry, 'position', points, 3);
+        this.contactPoints.geometry.setDrawRange(0, points.length / 3);
+        writeAttribute(this.normalLines.geometry, 'position', normals, 3);
+        this.normalLines.geometry.setDrawRange(0, normals.length / 3);
+
+        this.contactCount = points.length / 3;
+    }
+
+    updateTints(objects) {
+        this.clearTints();
+
+        objects.forEach(object => {
+            if (!object.body || !object.material || !object.material.emissive) return;
+            object.material.emissive.setHex(object.body.isSleeping() ? SLEEPING_TINT : AWAKE_TINT);
+            this.tinted.push(object);
+        });
+    }
+
+    clearTints() {
+        this.tinted.forEach(object => object.material.emissive.setHex(0x000000));
+        this.tinted = [];
+    }
+
+    setVisible(visible) {
+        this.group.visible = visible;
+        if (!visible) this.clearTints();
+    }
+
+    dispose() {
+        this.clearTints();
+        this.scene.remove(this.group);
+        [this.colliderLines, this.aabbLines, this.normalLines, this.contactPoints].forEach(object => {
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+    }
+}
@@ -0,0 +1,373 @@
+/**
+ * Physics Environment
+ *
+ * Gravity and the environmental forces the playground applies to every
+ * dynamic body before each step:
+ *
+ * - Quadratic air drag, ½ρ·Cd·A·|v|v, against the body's velocity relative
+ *   to a uniform wind. Wind only acts through drag, so it needs Cd > 0.
+ * - Buoyancy in a water layer covering the floor up to a level: the weight
+ *   of the displaced water, plus water drag and damping so floating bodies
+ *   settle.
+ * - Radial attractors pulling (or, with negative strength, pushing) with an
+ *   acceleration of strength / r².
+ *
+ * A is a body's mean projected area, which for a convex body is a quarter of
+ * its surface area (Cauchy's formula), so drag does not depend on how the
+ * body happens to be turned.
+ *
+ * EnvironmentGlyphs draws the water, the attractors and, optionally, arrows
+ * sampling the field.
+ */
+
+import { DEFAULT_GRAVITY } from './physics-world.js';
+import { VectorArrow } from './vector-kit.js';
+
+// Surface gravity in m/s², pointing down
+export const GRAVITY_PRESETS = {
+    earth: 9.81,
+    moon: 1.62,
+    mars: 3.71,
+    zero: 0
+};
+
+export const DEFAULT_ENVIRONMENT = {
+    gravity: DEFAULT_GRAVITY,
+    wind: { x: 0, y: 0, z: 0 },
+    airDensity: 1.2,
+    dragCoefficient: 0,
+    buoyancy: { enabled: false, level: 2, density: 1000 },
+    attractors: []
+};
+
+// Drag coefficient of bodies moving through the water
+const WATER_DRAG_COEFFICIENT = 1;
+
+// Rate (1/s) at which a fully submerged body loses speed to the waves it
+// makes; quadratic drag alone leaves floating bodies bobbing for a long time
+const WATER_DAMPING = 1;
+
+// Attractors stop strengthening inside this distance, to avoid a singularity
+const ATTRACTOR_SOFTENING = 0.5;
+
+// Field arrows: length per m/s² of acceleration and per m/s of wind
+const FIELD_ARROW_SCALE = 0.2;
+const WIND_ARROW_SCALE = 0.15;
+const MAX_ARROW_LENGTH = 2.5;
+
+function copyEnvironment(state) {
+    return {
+        gravity: { ...state.gravity },
+        wind: { ...state.wind },
+        airDensity: state.airDensity,
+        dragCoefficient: state.dragCoefficient,
+        buoyancy: { ...state.buoyancy },
+        attractors: state.attractors.map(attractor => ({
+            position: { ...attractor.position },
+            strength: attractor.strength
+        }))
+    };
+}
+
+function shapeVolume(shapeType, shape) {
+    switch (shapeType) {
+        case 'box': {
+            const { x, y, z } = shape.halfExtents;
+            return 8 * x * y * z;
+        }
+        case 'sphere':
+            return (4 / 3) * Math.PI * shape.radius ** 3;
+        case 'cylinder':
+            return Math.PI * shape.radius ** 2 * shape.height;
+        default:
+            return 0;
+    }
+}
+
+// Mean projected area: a quarter of the surface area
+function crossSection(shapeType, shape) {
+    switch (shapeType) {
+        case 'box': {
+            const { x, y, z } = shape.halfExtents;
+            return 2 * (x * y + y * z + z * x);
+        }
+        case 'sphere':
+            return Math.PI * shape.radius ** 2;
+        case 'cylinder':
+            return (Math.PI * shape.radius ** 2 + Math.PI * shape.radius * shape.height) / 2;
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Half the vertical extent of a shape at a rotation
+ */
+function halfHeight(shapeType, shape, rotation) {
+    const axis = (x, y, z) => new THREE.Vector3(x, y, z).applyQuaternion(rotation);
+
+    switch (shapeType) {
+        case 'box': {
+            const { x, y, z } = shape.halfExtents;
+            return Math.abs(axis(1, 0, 0).y) * x + Math.abs(axis(0, 1, 0).y) * y + Math.abs(axis(0, 0, 1).y) * z;
+        }
+        case 'sphere':
+            return shape.radius;
+        case 'cylinder': {
+            const up = Math.abs(axis(0, 1, 0).y);
+            return up * shape.height / 2 + Math.sqrt(Math.max(0, 1 - up * up)) * shape.radius;
+        }
+        default:
+            return 0;
+    }
+}
+
+export default class PhysicsEnvironment {
+    constructor(state = DEFAULT_ENVIRONMENT) {
+        this.set(state);
+    }
+
+    /**
+     * Replace every setting; missing ones keep their defaults
+     */
+    set(state) {
+        Object.assign(this, copyEnvironment({ ...DEFAULT_ENVIRONMENT, ...state }));
+    }
+
+    toJSON() {
+        return copyEnvironment(this);
+    }
+
+    /**
+     * Set the gravity vector from a direction and a strength in m/s²
+     */
+    setGravity(direction, strength) {
+        const vector = new THREE.Vector3().copy(direction);
+        if (vector.lengthSq() === 0) vector.set(0, -1, 0);
+        vector.setLength(strength);
+        this.gravity = { x: vector.x, y: vector.y, z: vector.z };
+    }
+
+    /**
+     * Gravity lives in the Rapier world; the other forces are applied per step
+     */
+    applyToWorld(world) {
+        world.gravity = { ...this.gravity };
+        world.forEachRigidBody(body => {
+            if (body.isDynamic()) body.wakeUp();
+        });
+    }
+
+    /**
+     * Gravitational acceleration at a point: gravity plus the attractors
+     */
+    fieldAt(point, target = new THREE.Vector3()) {
+        target.copy(this.gravity);
+        const offset = new THREE.Vector3();
+        this.attractors.forEach(attractor => {
+            offset.copy(attractor.position).sub(point);
+            const distanceSq = Math.max(offset.lengthSq(), ATTRACTOR_SOFTENING * ATTRACTOR_SOFTENING);
+            target.addScaledVector(offset.normalize(), attractor.strength / distanceSq);
+        });
+        return target;
+    }
+
+    /**
+     * Gravitational potential energy per kilogram at a point (J/kg): zero at
+     * the origin for gravity, and zero far away for each attractor
+     */
+    potentialAt(point) {
+        let potential = -(this.gravity.x * point.x + this.gravity.y * point.y + this.gravity.z * point.z);
+        const offset = new THREE.Vector3();
+        this.attractors.forEach(attractor => {
+            const distance = offset.copy(attractor.position).sub(point).length();
+            // Inside the softening distance the pull is constant, so the potential is linear
+            potential -= distance >= ATTRACTOR_SOFTENING
+                ? attractor.strength / distance
+                : attractor.strength * (2 * ATTRACTOR_SOFTENING - distance) / (ATTRACTOR_SOFTENING * ATTRACTOR_SOFTENING);
+        });
+        return potential;
+    }
+
+    /**
+     * Share of an object's volume below the water level
+     */
+    submergedFraction(mesh, position, rotation) {
+        if (!this.buoyancy.enabled) return 0;
+
+        const shape = mesh.physicsShape;
+        if (mesh.shapeType === 'sphere') {
+            // Volume of the spherical cap below the surface
+            const r = shape.radius;
+            const depth = Math.min(Math.max(this.buoyancy.level - (position.y - r), 0), 2 * r);
+            return depth * depth * (3 * r - depth) / (4 * r * r * r);
+        }
+
+        const h = halfHeight(mesh.shapeType, shape, rotation);
+        if (h === 0) return 0;
+        return Math.min(Math.max((this.buoyancy.level - (position.y - h)) / (2 * h), 0), 1);
+    }
+
+    /**
+     * Add the environmental force on every dynamic object for the next step.
+     * Rapier keeps forces until they are reset, so reset them before calling.
+     *
+     * @param {THREE.Mesh[]} objects - Meshes carrying `body`, `shapeType` and `physicsShape`
+     * @param {number} timestep - Length of the step, to keep drag from reversing a body
+     */
+    applyForces(objects, timestep) {
+        const force = new THREE.Vector3();
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        const velocity = new THREE.Vector3();
+        const relative = new THREE.Vector3();
+
+        objects.forEach(mesh => {
+            const body = mesh.body;
+            // Dragged bodies are kinematic and follow the pointer; sleeping ones stay put
+            if (!body || !body.isDynamic() || body.isSleeping()) return;
+
+            const mass = body.mass();
+            position.copy(body.translation());
+            rotation.copy(body.rotation());
+            velocity.copy(body.linvel());
+
+            // Attractors; gravity itself is applied by Rapier
+            force.set(0, 0, 0);
+            if (this.attractors.length > 0) {
+                this.fieldAt(position, force).sub(this.gravity).multiplyScalar(mass);
+            }
+
+            const submerged = this.submergedFraction(mesh, position, rotation);
+            const area = crossSection(mesh.shapeType, mesh.physicsShape);
+
+            if (submerged > 0) {
+                // Archimedes: the weight of the displaced water, against gravity
+                const displaced = this.buoyancy.density * shapeVolume(mesh.shapeType, mesh.physicsShape) * submerged;
+                force.x -= this.gravity.x * displaced;
+                force.y -= this.gravity.y * displaced;
+                force.z -= this.gravity.z * displaced;
+
+                force.add(this.dragForce(velocity, 0.5 * this.buoyancy.density * WATER_DRAG_COEFFICIENT * area * submerged, mass, timestep));
+                force.addScaledVector(velocity, -WATER_DAMPING * mass * submerged);
+            }
+
+            if (this.dragCoefficient > 0 && submerged < 1) {
+                relative.copy(velocity).sub(this.wind);
+                force.add(this.dragForce(relative, 0.5 * this.airDensity * this.dragCoefficient * area * (1 - submerged), mass, timestep));
+            }
+
+            if (force.lengthSq() > 0) body.addForce(force, false);
+        });
+    }
+
+    /**
+     * Quadratic drag -k|v|v, capped so one step cannot do more than stop the body
+     */
+    dragForce(velocity, k, mass, timestep) {
+        const speed = velocity.length();
+        const magnitude = Math.min(k * speed * speed, mass * speed / timestep);
+        return speed > 0 ? velocity.clone().multiplyScalar(-magnitude / speed) : new THREE.Vector3();
+    }
+}
+
+/**
+ * Water layer, attractor markers and optional field arrows
+ */
+export class EnvironmentGlyphs {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {number} halfSize - Half the width of the walled area
+     */
+    constructor(scene, halfSize) {
+        this.scene = scene;
+        this.halfSize = halfSize;
+        this.group = new THREE.Group();
+        scene.add(this.group);
+
+        this.water = new THREE.Mesh(
+            new THREE.BoxGeometry(halfSize * 2, 1, halfSize * 2).translate(0, 0.5, 0),
+            new THREE.MeshStandardMaterial({ color: 0x38bdf8, transparent: true, opacity: 0.25, depthWrite: false })
+        );
+        this.water.visible = false;
+        this.group.add(this.water);
+
+        this.attractorMarkers = [];
+        this.markerGeometry = new THREE.SphereGeometry(0.25, 16, 16);
+        this.attractMaterial = new THREE.MeshStandardMaterial({ color: 0x7c3aed, emissive: 0x4c1d95 });
+        this.repelMaterial = new THREE.MeshStandardMaterial({ color: 0xf97316, emissive: 0x9a3412 });
+
+        // Sample points for the arrows: a grid over the floor at two heights
+        this.samplePoints = [];
+        [-0.6, -0.3, 0, 0.3, 0.6].forEach(x => {
+            [-0.6, -0.3, 0, 0.3, 0.6].forEach(z => {
+                [1.5, 5].forEach(y => this.samplePoints.push(new THREE.Vector3(x * halfSize, y, z * halfSize)));
+            });
+        });
+        this.fieldArrows = this.samplePoints.map(() => this.createArrow(0x7c3aed));
+        this.windArrows = this.samplePoints.filter(point => point.y > 2).map(() => this.createArrow(0x0891b2));
+        this.showField = false;
+    }
+
+    createArrow(color) {
+        const arrow = new VectorArrow({ color, radius: 0.03, headLength: 0.2, headRadius: 0.08 });
+        arrow.visible = false;
+        this.group.add(arrow);
+        return arrow;
+    }
+
+    setFieldVisible(visible) {
+        this.showField = visible;
+    }
+
+    /**
+     * Redraw after the environment changes
+     */
+    update(environment) {
+        const { buoyancy, attractors } = environment;
+        this.water.visible = buoyancy.enabled && buoyancy.level > 0;
+        this.water.scale.y = Math.max(buoyancy.level, 0.001);
+
+        while (this.attractorMarkers.length > attractors.length) {
+            this.group.remove(this.attractorMarkers.pop());
+        }
+        attractors.forEach((attractor, i) => {
+            if (!this.attractorMarkers[i]) {
+                this.attractorMarkers[i] = new THREE.Mesh(this.markerGeometry, this.attractMaterial);
+                this.group.add(this.attractorMarkers[i]);
+            }
+            this.attractorMarkers[i].position.copy(attractor.position);
+            this.attractorMarkers[i].material = attractor.strength >= 0 ? this.attractMaterial : this.repelMaterial;
+        });
+
+        const field = new THREE.Vector3();
+        this.samplePoints.forEach((point, i) => {
+            environment.fieldAt(point, field).multiplyScalar(FIELD_ARROW_SCALE);
+            if (field.length() > MAX_ARROW_LENGTH) field.setLength(MAX_ARROW_LENGTH);
+            this.fieldArrows[i].set(point, field);
+            this.fieldArrows[i].visible = this.showField && field.lengthSq() > 0;
+        });
+
+        const wind = new THREE.Vector3().copy(environment.wind).multiplyScalar(WIND_ARROW_SCALE);
+        if (wind.length() > MAX_ARROW_LENGTH) wind.setLength(MAX_ARROW_LENGTH);
+        const windPoints = this.samplePoints.filter(point => point.y > 2);
+        this.windArrows.forEach((arrow, i) => {
+            arrow.set(windPoints[i].clone().add(new THREE.Vector3(0, 0.5, 0)), wind);
+            arrow.visible = this.showField && wind.lengthSq() > 0;
+        });
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.water.geometry.dispose();
+        this.water.material.dispose();
+        this.markerGeometry.dispose();
+        this.attractMaterial.dispose();
+        this.repelMaterial.dispose();
+        [...this.fieldArrows, ...this.windArrows].forEach(arrow => {
+            arrow.shaft.geometry.dispose();
+            arrow.head.geometry.dispose();
+            arrow.material.dispose();
+        });
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * Physics History
+ *
+ * Rewind and replay support for the physics playground, built on Rapier
+ * world snapshots.
+ *
+ * Frames: a ring buffer of recent snapshots, taken a few times per simulated
+ * second, that the scrubber seeks through. The oldest frame is dropped once
+ * the buffer is full.
+ *
+ * Keyframes: a snapshot whenever the user changes the world (adding or
+ * clearing objects). Between keyframes the world only steps, and Rapier steps
+ * deterministically, so the keyframes are all a replay file needs to
+ * reproduce a session exactly.
+ *
+ * Frames and keyframes list each object as its mesh and rigid-body handle.
+ * Handles survive a snapshot round trip; the RigidBody wrappers do not.
+ * They also carry the environment's forces and the joint records, since
+ * neither the environment nor the springs are part of a Rapier snapshot.
+ * In a replay file, joints name their bodies by handle.
+ */
+
+export const REPLAY_FORMAT = 'vistakine-physics-replay';
+export const REPLAY_VERSION = 1;
+
+// A joint record as JSON, with its meshes replaced by their handles in the frame
+function describeJoint(joint, objects) {
+    const { bodies, ...rest } = joint;
+    return {
+        ...rest,
+        bodies: bodies.map(mesh => mesh ? objects.find(object => object.mesh === mesh).handle : null)
+    };
+}
+
+function encodeBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+function decodeBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+export default class PhysicsHistory {
+    /**
+     * @param {object} options
+     * @param {number} options.capacity - Frames kept for the scrubber
+     * @param {number} options.interval - Simulated seconds between frames
+     */
+    constructor({ capacity = 150, interval = 0.1 } = {}) {
+        this.capacity = capacity;
+        this.interval = interval;
+
+        this.frames = new Array(capacity);
+        this.start = 0;
+        this.count = 0;
+
+        this.keyframes = [];
+    }
+
+    get length() {
+        return this.count;
+    }
+
+    /**
+     * Frame by age, 0 being the oldest kept
+     */
+    get(index) {
+        if (index < 0 || index >= this.count) return null;
+        return this.frames[(this.start + index) % this.capacity];
+    }
+
+    latest() {
+        return this.get(this.count - 1);
+    }
+
+    /**
+     * Whether enough simulated time has passed for another frame
+     */
+    isDue(time) {
+        const latest = this.latest();
+        return !latest || time - latest.time >= this.interval - 1e-9;
+    }
+
+    record(frame) {
+        if (this.count === this.capacity) {
+            this.start = (this.start + 1) % this.capacity;
+            this.count--;
+        }
+        this.frames[(this.start + this.count) % this.capacity] = frame;
+        this.count++;
+    }
+
+    addKeyframe(frame) {
+        // A second change within the same step replaces the first
+        const last = this.keyframes[this.keyframes.length - 1];
+        if (last && last.step === frame.step) {
+            this.keyframes[this.keyframes.length - 1] = frame;
+        } else {
+            this.keyframes.push(frame);
+        }
+    }
+
+    /**
+     * Forget everything after a frame, so a new run can branch from it
+     */
+    truncateAfter(index) {
+        const frame = this.get(index);
+        if (!frame) return;
+
+        for (let i = index + 1; i < this.count; i++) {
+            this.frames[(this.start + i) % this.capacity] = undefined;
+        }
+        this.count = index + 1;
+        this.keyframes = this.keyframes.filter(keyframe => keyframe.step <= frame.step);
+    }
+
+    clear() {
+        this.frames = new Array(this.capacity);
+        this.start = 0;
+        this.count = 0;
+        this.keyframes = [];
+    }
+
+    /**
+     * Serialize the session's keyframes as a replay file
+     *
+     * @param {Function} describe - Maps an object's mesh to a JSON description of it
+     * @param {object} end - { step, time } where the replay stops
+     * @returns {object} JSON-ready replay
+     */
+    toReplay(describe, end) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            endStep: end.step,
+            endTime: end.time,
+            keyframes: this.keyframes.map(keyframe => ({
+                step: keyframe.step,
+                time: keyframe.time,
+                snapshot: encodeBase64(keyframe.snapshot),
+                environment: keyframe.environment,
+                objects: keyframe.objects.map(({ mesh, handle }) => ({ handle, ...describe(mesh) })),
+                joints: keyframe.joints.map(joint => describeJoint(joint, keyframe.objects))
+            }))
+        };
+    }
+
+    /**
+     * Read a replay file back into keyframes with decoded snapshots
+     *
+     * @param {object} data - Parsed replay JSON
+     * @returns {{endStep: number, endTime: number, keyframes: object[]}}
+     */
+    static parseReplay(data) {
+        if (!data || data.format !== REPLAY_FORMAT) {
+            throw new Error('Not a VistaKine physics replay file');
+        }
+        if (data.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${data.version}`);
+        }
+        if (!Array.isArray(data.keyframes) || data.keyframes.length === 0) {
+            throw new Error('The replay file has no keyframes');
+        }
+
+        return {
+            endStep: data.endStep,
+            endTime: data.endTime,
+            keyframes: data.keyframes.map(keyframe => ({
+                step: keyframe.step,
+                time: keyframe.time,
+                snapshot: decodeBase64(keyframe.snapshot),
+                environment: keyframe.environment,
+                objects: keyframe.objects,
+                joints: keyframe.joints || []
+            }))
+        };
+    }
+}
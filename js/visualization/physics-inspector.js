@@ -0,0 +1,257 @@
+/**
+ * Physics Inspector
+ *
+ * Panel for one playground object: edits its physical properties on the
+ * Rapier body and collider in place, and shows live position, velocity,
+ * kinetic energy and momentum while the simulation runs.
+ *
+ * The object is a mesh carrying its rigid body as `mesh.body`; the inspector
+ * reads `mesh.body` every time, so it keeps working when the playground
+ * swaps in a restored world.
+ */
+
+import { formatNumber } from './base-visualization.js';
+import { formatVector } from './vector-kit.js';
+import { kineticEnergy } from './physics-world.js';
+
+/**
+ * Editable properties. read() and write() take the body and its collider;
+ * mass and density replace any extra mass the body was created with, so the
+ * collider alone decides the total.
+ */
+const FIELDS = [
+    {
+        key: 'mass', label: 'Mass (kg)', min: 0.01, step: 0.1,
+        read: body => body.mass(),
+        write: (body, collider, value) => {
+            body.setAdditionalMass(0, true);
+            collider.setMass(value);
+        }
+    },
+    {
+        key: 'density', label: 'Density (kg/m³)', min: 0.01, step: 0.1,
+        read: (body, collider) => body.mass() / collider.volume(),
+        write: (body, collider, value) => {
+            body.setAdditionalMass(0, true);
+            collider.setDensity(value);
+        }
+    },
+    {
+        key: 'friction', label: 'Friction', min: 0, max: 2, step: 0.05,
+        read: (body, collider) => collider.friction(),
+        write: (body, collider, value) => collider.setFriction(value)
+    },
+    {
+        key: 'restitution', label: 'Restitution', min: 0, max: 1, step: 0.05,
+        read: (body, collider) => collider.restitution(),
+        write: (body, collider, value) => collider.setRestitution(value)
+    },
+    {
+        key: 'linearDamping', label: 'Linear damping', min: 0, step: 0.05,
+        read: body => body.linearDamping(),
+        write: (body, collider, value) => body.setLinearDamping(value)
+    },
+    {
+        key: 'angularDamping', label: 'Angular damping', min: 0, step: 0.05,
+        read: body => body.angularDamping(),
+        write: (body, collider, value) => body.setAngularDamping(value)
+    }
+];
+
+export default class PhysicsInspector {
+    /**
+     * @param {object} options
+     * @param {HTMLElement} options.container - Element the panel is placed in
+     * @param {Function} options.createButton - (parent, text, onClick) => button, for matching buttons
+     * @param {Function} options.onChange - Called with the mesh after an edit
+     * @param {Function} options.onClose - Called when the panel closes
+     */
+    constructor({ container, createButton, onChange = () => {}, onClose = () => {} }) {
+        this.container = container;
+        this.createButton = createButton;
+        this.onChange = onChange;
+        this.onClose = onClose;
+
+        this.mesh = null;
+        this.inputs = {};
+        this.createPanel();
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'physics-inspector';
+        panel.style.position = 'absolute';
+        panel.style.top = '10px';
+        panel.style.right = '10px';
+        panel.style.width = '240px';
+        panel.style.padding = '10px';
+        panel.style.borderRadius = '5px';
+        panel.style.fontFamily = 'var(--body-font, sans-serif)';
+        panel.style.fontSize = '13px';
+        panel.style.backgroundColor = 'var(--bg-color, #ffffff)';
+        panel.style.color = 'var(--text-color, #333333)';
+        panel.style.boxShadow = 'var(--shadow-md)';
+        panel.style.zIndex = '100';
+        panel.style.display = 'none';
+
+        const header = document.createElement('div');
+        header.style.display = 'flex';
+        header.style.justifyContent = 'space-between';
+        header.style.alignItems = 'center';
+        this.title = document.createElement('h3');
+        this.title.style.margin = '0';
+        this.title.style.fontSize = '15px';
+        header.appendChild(this.title);
+        this.createButton(header, '×', () => this.close());
+        panel.appendChild(header);
+
+        FIELDS.forEach(field => {
+            const input = this.createField(panel, field.label, 'number');
+            input.min = field.min;
+            if (field.max !== undefined) input.max = field.max;
+            input.step = field.step;
+            input.addEventListener('change', () => this.applyField(field, parseFloat(input.value)));
+            this.inputs[field.key] = input;
+        });
+
+        this.colorInput = this.createField(panel, 'Color', 'color');
+        this.colorInput.addEventListener('input', () => {
+            if (this.mesh) this.mesh.material.color.set(this.colorInput.value);
+        });
+
+        // Velocity is set once on demand, the way a launch would
+        const velocityRow = document.createElement('div');
+        velocityRow.style.display = 'flex';
+        velocityRow.style.alignItems = 'center';
+        velocityRow.style.gap = '4px';
+        velocityRow.style.marginTop = '6px';
+        this.velocityInputs = ['x', 'y', 'z'].map(axis => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 0.5;
+            input.value = 0;
+            input.title = `v${axis} (m/s)`;
+            input.style.width = '48px';
+            velocityRow.appendChild(input);
+            return input;
+        });
+        panel.appendChild(velocityRow);
+        this.createButton(velocityRow, 'Set v', () => this.applyVelocity());
+
+        this.readout = document.createElement('div');
+        this.readout.style.marginTop = '8px';
+        this.readout.style.fontSize = '12px';
+        this.readout.style.lineHeight = '1.5';
+        panel.appendChild(this.readout);
+
+        this.container.appendChild(panel);
+        this.panel = panel;
+    }
+
+    createField(parent, labelText, type) {
+        const label = document.createElement('label');
+        label.style.display = 'flex';
+        label.style.justifyContent = 'space-between';
+        label.style.alignItems = 'center';
+        label.style.marginTop = '6px';
+        label.textContent = labelText;
+
+        const input = document.createElement('input');
+        input.type = type;
+        if (type === 'number') input.style.width = '80px';
+        label.appendChild(input);
+        parent.appendChild(label);
+        return input;
+    }
+
+    get isOpen() {
+        return this.mesh !== null;
+    }
+
+    open(mesh) {
+        this.mesh = mesh;
+        this.title.textContent = `${mesh.shapeType.charAt(0).toUpperCase()}${mesh.shapeType.slice(1)}`;
+        this.panel.style.display = 'block';
+        this.refresh();
+        this.update();
+    }
+
+    close() {
+        if (!this.mesh) return;
+
+        this.mesh = null;
+        this.panel.style.display = 'none';
+        this.onClose();
+    }
+
+    /**
+     * Fill the inputs from the body, e.g. after the world was restored
+     */
+    refresh() {
+        if (!this.mesh) return;
+
+        const body = this.mesh.body;
+        const collider = body.collider(0);
+        FIELDS.forEach(field => {
+            this.inputs[field.key].value = formatNumber(field.read(body, collider), 3);
+        });
+        this.colorInput.value = `#${this.mesh.material.color.getHexString()}`;
+
+        const velocity = body.linvel();
+        this.velocityInputs.forEach((input, i) => {
+            input.value = formatNumber([velocity.x, velocity.y, velocity.z][i], 2);
+        });
+    }
+
+    applyField(field, value) {
+        if (!this.mesh || !Number.isFinite(value)) {
+            this.refresh();
+            return;
+        }
+
+        const clamped = Math.min(Math.max(value, field.min), field.max !== undefined ? field.max : Infinity);
+        const body = this.mesh.body;
+        field.write(body, body.collider(0), clamped);
+
+        // Mass properties otherwise update on the next step
+        body.recomputeMassPropertiesFromColliders();
+        body.wakeUp();
+
+        this.refresh();
+        this.onChange(this.mesh);
+    }
+
+    applyVelocity() {
+        if (!this.mesh) return;
+
+        const [x, y, z] = this.velocityInputs.map(input => parseFloat(input.value) || 0);
+        this.mesh.body.setLinvel({ x, y, z }, true);
+        this.onChange(this.mesh);
+    }
+
+    /**
+     * Refresh the live values; call once per frame
+     */
+    update() {
+        if (!this.mesh) return;
+
+        const body = this.mesh.body;
+        const mass = body.mass();
+        const velocity = new THREE.Vector3().copy(body.linvel());
+        const momentum = velocity.clone().multiplyScalar(mass);
+
+        const lines = [
+            `Position: ${formatVector(body.translation())} m`,
+            `Velocity: ${formatVector(velocity)} m/s, |v| = ${formatNumber(velocity.length())} m/s`,
+            `Momentum: ${formatVector(momentum)} kg·m/s`,
+            `Kinetic energy: ${formatNumber(kineticEnergy(body))} J`,
+            body.isSleeping() ? 'Sleeping' : 'Awake'
+        ];
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+
+    dispose() {
+        this.mesh = null;
+        if (this.panel.parentNode) this.panel.parentNode.removeChild(this.panel);
+    }
+}
@@ -9,7 +9,66 @@
 
 // Import dependencies - these will be handled by the visualization engine
 // which already provides THREE globally
-import RAPIER from '@dimforge/rapier3d-compat';
+import { createPhysicsWorld } from './physics-world.js';
+import rendererService from './renderer-service.js';
+import physicsService from './physics-service.js';
+import PhysicsDebugRenderer from './physics-debug.js';
+import PhysicsHistory from './physics-history.js';
+import ObjectDragger from './object-dragger.js';
+import JointVisuals from './joint-visuals.js';
+import PhysicsEnvironment, { EnvironmentGlyphs } from './physics-environment.js';
+import EnvironmentPanel from './environment-panel.js';
+import PhysicsInspector from './physics-inspector.js';
+import PhysicsTelemetry from './physics-telemetry.js';
+import TelemetryPanel from './telemetry-panel.js';
+import MotionOverlays, { OVERLAY_COLORS } from './motion-overlays.js';
+import CollisionMonitor, { CollisionFlashes } from './collision-events.js';
+import CollisionLogPanel from './collision-log-panel.js';
+import {
+    serializeScene, parseScene, listSavedScenes, saveSceneToStorage, loadSceneFromStorage, deleteSavedScene
+} from './physics-scene.js';
+
+// Upper bound on catch-up steps after a slow frame
+const MAX_STEPS_PER_FRAME = 8;
+
+// Slow-motion range for the speed slider
+const MIN_TIME_SCALE = 0.1;
+const MAX_TIME_SCALE = 2;
+
+const IDENTITY_ROTATION = { x: 0, y: 0, z: 0, w: 1 };
+
+// Joints to the world hang objects from this far above them
+const PENDULUM_LENGTH = 2;
+
+// Mass of the body a hinge or slider between two objects holds on to, as a
+// share of the heavier object's
+const FRAME_BODY_MASS_RATIO = 0.1;
+
+const DEFAULT_SPRING_STIFFNESS = 50;
+const DEFAULT_SPRING_DAMPING = 0.5;
+
+// Overlay toggles, in the order shown
+const OVERLAY_LABELS = {
+    trail: 'Trail',
+    velocity: 'v',
+    acceleration: 'a',
+    force: 'ΣF',
+    contactForce: 'Contact',
+    centerOfMass: 'COM'
+};
+
+// Joint choices for the UI, by scene joint type
+const JOINT_LABELS = {
+    revolute: 'Hinge',
+    spherical: 'Ball',
+    prismatic: 'Slider',
+    fixed: 'Weld',
+    rope: 'Rope',
+    spring: 'Spring'
+};
+
+// Gives each playground's list of saved scenes its own element id
+let sceneListCount = 0;
 
 // Create the VistaKine namespace if it doesn't exist
 if (!window.VistaKine) {
@@ -26,7 +85,13 @@ VistaKine.PhysicsPlayground = class {
         // Set defaults
         this.initialized = false;
         this.objects = [];
+        // Joint records: the scene description with meshes for bodies, plus
+        // the Rapier joint handle and the handle of any world anchor body
+        this.joints = [];
+        // Joint being connected from the UI: { type, first }
+        this.jointTool = null;
         this.animating = false;
+        this.animationFrameId = null;
         this.lastTime = 0;
 
         // Performance monitoring properties
@@ -49,6 +114,30 @@ VistaKine.PhysicsPlayground = class {
 
         // Physics is always enabled
         this.physicsEnabled = true;
+        // Collider overlay, switched from the development settings
+        this.physicsDebugEnabled = false;
+
+        // Gravity, wind, drag, buoyancy and attractors
+        this.environment = new PhysicsEnvironment();
+
+        // Energy, momentum and the selected body's motion over simulated time
+        this.telemetry = new PhysicsTelemetry();
+
+        // Fixed-step clock: real time scaled by timeScale fills the accumulator,
+        // which is drained in steps of world.timestep
+        this.simulationPaused = false;
+        this.timeScale = 1;
+        this.accumulator = 0;
+        this.simulationTime = 0;
+        this.stepCount = 0;
+
+        // Rewind and replay. historyIndex is the frame shown while scrubbing
+        // (null when live); keyframePending marks a user change to snapshot
+        // before the next step; replay holds a loaded replay being played back
+        this.history = new PhysicsHistory();
+        this.historyIndex = null;
+        this.keyframePending = true;
+        this.replay = null;
 
         // Initialize memory estimation
         this.initMemoryEstimation();
@@ -68,6 +157,11 @@ VistaKine.PhysicsPlayground = class {
             // Create UI
             this.createUI();
 
+            // Start from the scene a section ships with, if it names one
+            if (this.container.dataset.scene) {
+                await this.loadSceneFromUrl(this.container.dataset.scene);
+            }
+
             // Add event listeners
             this.setupEventListeners();
 
@@ -75,7 +169,14 @@ VistaKine.PhysicsPlayground = class {
             this.animate();
 
             // Add theme change listener
-            document.addEventListener('vistakine:settingsUpdated', this.handleSettingsUpdate.bind(this));
+            this.handleSettingsUpdate = this.handleSettingsUpdate.bind(this);
+            document.addEventListener('vistakine:settingsUpdated', this.handleSettingsUpdate);
+
+            // Show the debug overlay if it was switched on before this playground loaded
+            const developmentSettings = VistaKine.settings && VistaKine.settings.current && VistaKine.settings.current.development;
+            if (developmentSettings && developmentSettings.physicsDebug) {
+                this.togglePhysicsDebug(true);
+            }
 
             console.log('Physics Playground initialized successfully');
             return true;
@@ -138,11 +239,9 @@ VistaKine.PhysicsPlayground = class {
         );
         this.camera.position.set(0, 10, 20);
 
-        // Create renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.shadowMap.enabled = true;
+        // Create renderer; shadow map size and pixel ratio follow the quality settings
+        this.renderer = rendererService.createRenderer({ shadows: true });
+        rendererService.setSize(this.renderer, this.container.clientWidth, this.container.clientHeight);
 
         // Add renderer to container
         this.container.appendChild(this.renderer.domElement);
@@ -166,8 +265,6 @@ VistaKine.PhysicsPlayground = class {
         const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
         directionalLight.position.set(10, 20, 10);
         directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
         directionalLight.shadow.camera.near = 0.5;
         directionalLight.shadow.camera.far = 50;
         directionalLight.shadow.camera.left = -20;
@@ -208,6 +305,15 @@ VistaKine.PhysicsPlayground = class {
         this.grid = new THREE.GridHelper(40, 40, new THREE.Color(blueColor), new THREE.Color(blueColor).multiplyScalar(0.5));
         this.grid.position.y = 0.01; // Slightly above ground to avoid z-fighting
         this.scene.add(this.grid);
+
+        // Springs, ropes and rods for the joints between objects
+        this.jointVisuals = new JointVisuals(this.scene);
+
+        // Trails, velocity, acceleration and force arrows on the objects
+        this.motionOverlays = new MotionOverlays(this.scene);
+
+        // Markers where objects hit each other
+        this.collisionFlashes = new CollisionFlashes(this.scene);
     }
 
     // Create UI for the playground
@@ -261,6 +367,15 @@ VistaKine.PhysicsPlayground = class {
 
         // Add stress test button
         this.createButton(buttonGroup, 'Run Stress Test', () => this.runStressTest());
+        this.createButton(buttonGroup, 'Environment', () => this.environmentPanel.toggle());
+        this.createButton(buttonGroup, 'Telemetry', () => this.telemetryPanel.toggle());
+        this.createButton(buttonGroup, 'Collisions', () => this.collisionLogPanel.toggle());
+
+        this.createTimeControls(uiContainer);
+        this.createJointControls(uiContainer);
+        this.createOverlayControls(uiContainer);
+        this.createHistoryControls(uiContainer);
+        this.createSceneControls(uiContainer);
 
         // Stats container
         const statsContainer = document.createElement('div');
@@ -268,9 +383,284 @@ VistaKine.PhysicsPlayground = class {
         statsContainer.style.fontSize = '12px';
         statsContainer.innerHTML = `
             <div>Objects: <span id="physics-object-count">0</span></div>
+            <div>Contacts: <span id="physics-contact-count">0</span></div>
             <div>FPS: <span id="physics-fps">60</span></div>
         `;
         uiContainer.appendChild(statsContainer);
+        this.updateObjectCount();
+
+        this.timeReadout = document.createElement('div');
+        statsContainer.appendChild(this.timeReadout);
+        this.updateTimeReadout();
+
+        const hint = document.createElement('div');
+        hint.style.marginTop = '5px';
+        hint.style.opacity = '0.7';
+        hint.textContent = 'Drag to throw (hold X/Y/Z for an axis), click to inspect and chart';
+        statsContainer.appendChild(hint);
+
+        // Click an object to edit its physical properties
+        this.inspector = new PhysicsInspector({
+            container,
+            createButton: (parent, text, onClick) => this.createButton(parent, text, onClick),
+            onChange: () => this.markWorldChanged(),
+            onClose: () => this.updateOutline()
+        });
+
+        this.environmentPanel = new EnvironmentPanel({
+            container,
+            environment: this.environment,
+            createButton: (parent, text, onClick) => this.createButton(parent, text, onClick),
+            onChange: () => this.applyEnvironment(),
+            onFieldToggle: visible => {
+                this.environmentGlyphs.setFieldVisible(visible);
+                this.environmentGlyphs.update(this.environment);
+            }
+        });
+
+        this.telemetryPanel = new TelemetryPanel({
+            container,
+            telemetry: this.telemetry,
+            createButton: (parent, text, onClick) => this.createButton(parent, text, onClick),
+            onExport: (filename, text, type) => this.downloadFile(filename, text, type)
+        });
+
+        this.collisionLogPanel = new CollisionLogPanel({
+            container,
+            monitor: this.collisionMonitor,
+            createButton: (parent, text, onClick) => this.createButton(parent, text, onClick),
+            onExport: (filename, text, type) => this.downloadFile(filename, text, type)
+        });
+    }
+
+    // One checkbox per motion overlay, colored like what it draws
+    createOverlayControls(parent) {
+        const overlayGroup = document.createElement('div');
+        overlayGroup.style.display = 'flex';
+        overlayGroup.style.flexWrap = 'wrap';
+        overlayGroup.style.alignItems = 'center';
+        overlayGroup.style.gap = '8px';
+        overlayGroup.style.marginTop = '5px';
+        overlayGroup.title = 'Arrows: velocity, acceleration, net force and normal contact force';
+        parent.appendChild(overlayGroup);
+
+        const title = document.createElement('span');
+        title.style.margin = '0 5px';
+        title.textContent = 'Show';
+        overlayGroup.appendChild(title);
+
+        Object.entries(OVERLAY_LABELS).forEach(([layer, text]) => {
+            const label = document.createElement('label');
+            label.style.display = 'flex';
+            label.style.alignItems = 'center';
+            label.style.gap = '3px';
+            if (layer !== 'centerOfMass') {
+                label.style.color = `#${new THREE.Color(OVERLAY_COLORS[layer]).getHexString()}`;
+            }
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.addEventListener('change', () => {
+                this.motionOverlays.setLayer(layer, checkbox.checked);
+                this.motionOverlays.update(this.objects);
+            });
+            label.append(checkbox, text);
+            overlayGroup.appendChild(label);
+        });
+    }
+
+    // Pick a joint type and connect objects by clicking them
+    createJointControls(parent) {
+        const jointGroup = document.createElement('div');
+        jointGroup.style.display = 'flex';
+        jointGroup.style.flexWrap = 'wrap';
+        jointGroup.style.alignItems = 'center';
+        jointGroup.style.gap = '5px';
+        jointGroup.style.marginTop = '5px';
+        parent.appendChild(jointGroup);
+
+        const typeLabel = document.createElement('label');
+        typeLabel.style.display = 'flex';
+        typeLabel.style.alignItems = 'center';
+        typeLabel.style.gap = '5px';
+        typeLabel.style.margin = '0 5px';
+        typeLabel.textContent = 'Joint';
+
+        this.jointTypeSelect = document.createElement('select');
+        Object.entries(JOINT_LABELS).forEach(([type, label]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = label;
+            this.jointTypeSelect.appendChild(option);
+        });
+        typeLabel.appendChild(this.jointTypeSelect);
+        jointGroup.appendChild(typeLabel);
+
+        // Stiffness and damping only apply to springs
+        this.springInputs = document.createElement('span');
+        this.springInputs.style.display = 'none';
+        this.springInputs.style.alignItems = 'center';
+        this.springInputs.style.gap = '5px';
+        const createSpringInput = (text, value, title) => {
+            const label = document.createElement('label');
+            label.textContent = text;
+            label.title = title;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = 0;
+            input.step = 'any';
+            input.value = value;
+            input.style.width = '4em';
+            input.style.marginLeft = '3px';
+            label.appendChild(input);
+            this.springInputs.appendChild(label);
+            return input;
+        };
+        this.springStiffnessInput = createSpringInput('k', DEFAULT_SPRING_STIFFNESS, 'Stiffness (N/m)');
+        this.springDampingInput = createSpringInput('c', DEFAULT_SPRING_DAMPING, 'Damping (N·s/m)');
+        jointGroup.appendChild(this.springInputs);
+
+        this.jointTypeSelect.addEventListener('change', () => {
+            this.springInputs.style.display = this.jointTypeSelect.value === 'spring' ? 'inline-flex' : 'none';
+            if (this.jointTool) this.jointTool.type = this.jointTypeSelect.value;
+        });
+
+        this.connectButton = this.createButton(jointGroup, 'Connect', () => {
+            if (this.jointTool) {
+                this.cancelJointTool();
+            } else {
+                this.startJointTool();
+            }
+        });
+        this.worldAnchorButton = this.createButton(jointGroup, 'Attach to World', () => this.attachJointToWorld());
+        this.worldAnchorButton.disabled = true;
+        this.createButton(jointGroup, 'Clear Joints', () => this.clearJoints());
+    }
+
+    startJointTool() {
+        this.jointTool = { type: this.jointTypeSelect.value, first: null };
+        this.connectButton.textContent = 'Cancel';
+        this.showStatusMessage(`${JOINT_LABELS[this.jointTool.type]}: click the first object`, 3000);
+    }
+
+    cancelJointTool() {
+        this.jointTool = null;
+        if (this.connectButton) {
+            this.connectButton.textContent = 'Connect';
+            this.worldAnchorButton.disabled = true;
+        }
+        this.updateOutline();
+    }
+
+    pickJointEnd(object) {
+        const tool = this.jointTool;
+        if (!tool.first) {
+            tool.first = object;
+            this.worldAnchorButton.disabled = false;
+            this.updateOutline();
+            this.showStatusMessage('Click a second object, or Attach to World', 3000);
+            return;
+        }
+        if (object === tool.first) return;
+
+        this.connectObjects(tool.type, tool.first, object, this.getSpringOptions());
+        this.showStatusMessage(`${JOINT_LABELS[tool.type]} added`);
+        this.cancelJointTool();
+    }
+
+    attachJointToWorld() {
+        const tool = this.jointTool;
+        if (!tool || !tool.first) return;
+
+        this.connectObjects(tool.type, tool.first, null, this.getSpringOptions());
+        this.showStatusMessage(`${JOINT_LABELS[tool.type]} to the world added`);
+        this.cancelJointTool();
+    }
+
+    getSpringOptions() {
+        const stiffness = parseFloat(this.springStiffnessInput.value);
+        const damping = parseFloat(this.springDampingInput.value);
+        return {
+            stiffness: stiffness >= 0 ? stiffness : DEFAULT_SPRING_STIFFNESS,
+            damping: damping >= 0 ? damping : DEFAULT_SPRING_DAMPING
+        };
+    }
+
+    // Pause, single-step and slow-motion controls
+    createTimeControls(parent) {
+        const timeGroup = document.createElement('div');
+        timeGroup.style.display = 'flex';
+        timeGroup.style.flexWrap = 'wrap';
+        timeGroup.style.alignItems = 'center';
+        timeGroup.style.gap = '5px';
+        parent.appendChild(timeGroup);
+
+        this.pauseButton = this.createButton(timeGroup, 'Pause', () => this.setSimulationPaused(!this.simulationPaused));
+        this.stepButton = this.createButton(timeGroup, 'Step', () => this.stepSimulation());
+        this.stepButton.disabled = true;
+
+        const speedLabel = document.createElement('label');
+        speedLabel.style.display = 'flex';
+        speedLabel.style.alignItems = 'center';
+        speedLabel.style.gap = '5px';
+        speedLabel.style.marginLeft = '5px';
+        speedLabel.textContent = 'Speed';
+
+        this.speedSlider = document.createElement('input');
+        this.speedSlider.type = 'range';
+        this.speedSlider.min = MIN_TIME_SCALE;
+        this.speedSlider.max = MAX_TIME_SCALE;
+        this.speedSlider.step = 0.1;
+        this.speedSlider.value = this.timeScale;
+        this.speedSlider.addEventListener('input', () => this.setTimeScale(parseFloat(this.speedSlider.value)));
+
+        this.speedValue = document.createElement('span');
+        this.speedValue.style.minWidth = '3em';
+
+        speedLabel.append(this.speedSlider, this.speedValue);
+        timeGroup.appendChild(speedLabel);
+        this.setTimeScale(this.timeScale);
+    }
+
+    // Freeze the simulation; the camera and the debug overlay stay live
+    setSimulationPaused(paused) {
+        // Playing from a rewound frame starts a new run from it
+        if (!paused && this.historyIndex !== null) {
+            this.branchFromHistory();
+            return;
+        }
+
+        this.simulationPaused = paused;
+        this.accumulator = 0;
+
+        if (this.pauseButton) this.pauseButton.textContent = paused ? 'Play' : 'Pause';
+        if (this.stepButton) this.stepButton.disabled = !paused;
+    }
+
+    // Advance a paused simulation by one fixed step
+    stepSimulation() {
+        if (!this.simulationPaused || !this.world) return;
+
+        // Stepping from a rewound frame starts a new run from it
+        if (this.historyIndex !== null) {
+            this.branchFromHistory({ resume: false });
+        }
+
+        this.advanceSimulation();
+        this.updateTimeReadout();
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.min(Math.max(scale, MIN_TIME_SCALE), MAX_TIME_SCALE);
+        if (this.speedValue) this.speedValue.textContent = `${this.timeScale.toFixed(1)}×`;
+    }
+
+    updateTimeReadout() {
+        if (!this.timeReadout) return;
+
+        const timestep = this.world ? this.world.timestep : 0;
+        this.timeReadout.textContent =
+            `Time: ${this.simulationTime.toFixed(3)} s (step ${this.stepCount}, Δt = ${(timestep * 1000).toFixed(2)} ms)`;
     }
 
     // Helper function to convert hex to RGB
@@ -322,83 +712,35 @@ VistaKine.PhysicsPlayground = class {
 
     // Initialize Rapier physics
     async initPhysics() {
-        // Initialize Rapier physics
-        await RAPIER.init();
-        this.RAPIER = RAPIER;
-
-        // Create physics world with gravity
-        const gravity = { x: 0.0, y: -9.81, z: 0.0 };
-        this.world = new RAPIER.World(gravity);
-
-        // Ground dimensions (matching the visual ground)
+        // Ground and wall dimensions (matching the visual boundaries)
         const groundSize = 40;
-        const halfGroundSize = groundSize / 2;
-        const groundThickness = 1;
-
-        // Create ground collider with material properties
-        const groundColliderDesc = this.RAPIER.ColliderDesc.cuboid(halfGroundSize, groundThickness/2, halfGroundSize);
-
-        // Set floor physics properties
-        groundColliderDesc.setFriction(0.8);
-        groundColliderDesc.setRestitution(0.2);
-
-        // Create the ground collider
-        this.groundCollider = this.world.createCollider(groundColliderDesc);
-
-        // Position the ground collider at the same place as the visual ground
-        this.groundCollider.setTranslation({
-            x: 0.0,
-            y: -0.5,
-            z: 0.0
-        });
-
-        // Add boundary walls to keep objects from falling off the edge
+        this.groundSize = groundSize;
         const wallHeight = 2.0;
         const wallThickness = 0.3;
 
-        // Create walls - one for each side of the square ground
-        const walls = [
-            // North wall (+Z)
-            {
-                desc: this.RAPIER.ColliderDesc.cuboid(halfGroundSize, wallHeight/2, wallThickness/2),
-                position: { x: 0, y: wallHeight/2, z: halfGroundSize + wallThickness/4 }
-            },
-            // South wall (-Z)
-            {
-                desc: this.RAPIER.ColliderDesc.cuboid(halfGroundSize, wallHeight/2, wallThickness/2),
-                position: { x: 0, y: wallHeight/2, z: -halfGroundSize - wallThickness/4 }
-            },
-            // East wall (+X)
-            {
-                desc: this.RAPIER.ColliderDesc.cuboid(wallThickness/2, wallHeight/2, halfGroundSize),
-                position: { x: halfGroundSize + wallThickness/4, y: wallHeight/2, z: 0 }
-            },
-            // West wall (-X)
-            {
-                desc: this.RAPIER.ColliderDesc.cuboid(wallThickness/2, wallHeight/2, halfGroundSize),
-                position: { x: -halfGroundSize - wallThickness/4, y: wallHeight/2, z: 0 }
-            }
-        ];
-
-        // Create the wall colliders
-        this.wallColliders = [];
-        walls.forEach(wall => {
-            // Apply physics properties to walls
-            wall.desc.setFriction(0.3);
-            wall.desc.setRestitution(0.4);
-
-            // Create collider
-            const collider = this.world.createCollider(wall.desc);
+        // Create physics world with gravity, ground and boundary walls
+        const { RAPIER, world, groundCollider, wallColliders } = await createPhysicsWorld({
+            groundSize,
+            wallHeight,
+            wallThickness
+        });
+        this.RAPIER = RAPIER;
+        this.world = world;
+        this.groundCollider = groundCollider;
+        this.wallColliders = wallColliders;
 
-            // Set position
-            collider.setTranslation(wall.position);
+        // Contact starts and stops, measured for the collision log
+        this.collisionMonitor = new CollisionMonitor(RAPIER);
 
-            // Store reference
-            this.wallColliders.push(collider);
-        });
+        // Follow the physics quality and object limit settings
+        physicsService.register(this);
 
         // Create visual boundaries (semi-transparent)
         this.createVisualBoundaries(groundSize, wallHeight, wallThickness);
+
+        this.environment.applyToWorld(world);
+        this.environmentGlyphs = new EnvironmentGlyphs(this.scene, groundSize / 2);
+        this.environmentGlyphs.update(this.environment);
     }
 
     // Create visual boundaries to represent the physics walls
@@ -462,20 +804,91 @@ VistaKine.PhysicsPlayground = class {
     // Set up event listeners
     setupEvents() {
         // Set up resize handling
-        window.addEventListener('resize', this.handleResize.bind(this));
+        this.handleResize = this.handleResize.bind(this);
+        window.addEventListener('resize', this.handleResize);
 
         // Set up orbit controls events
         this.controls.addEventListener('change', () => {
             // Handle camera movement
         });
 
-        // Setup mouse events
-        this.mouse = new THREE.Vector2();
-        this.raycaster = new THREE.Raycaster();
+        // Pick, drag and throw objects; presses that miss them orbit the camera
+        this.dragger = new ObjectDragger({
+            camera: this.camera,
+            domElement: this.container,
+            canvas: this.renderer.domElement,
+            scene: this.scene,
+            RAPIER: this.RAPIER,
+            getObjects: () => this.objects,
+            halfSize: this.groundSize / 2,
+            isPaused: () => this.simulationPaused,
+            onChange: () => this.markWorldChanged(),
+            onHover: () => this.updateOutline(),
+            onClick: object => this.handleObjectClick(object)
+        });
+    }
+
+    // A click picks an end for the joint being connected, otherwise opens the inspector
+    handleObjectClick(object) {
+        if (this.jointTool) {
+            this.pickJointEnd(object);
+        } else {
+            this.inspectObject(object);
+        }
+    }
+
+    inspectObject(object) {
+        this.inspector.open(object);
+        this.telemetry.setTarget(object);
+        this.updateOutline();
+    }
+
+    // Close the inspector if its object is gone, otherwise refresh its live values
+    updateInspector() {
+        if (!this.inspector || !this.inspector.isOpen) return;
+
+        if (this.objects.includes(this.inspector.mesh)) {
+            this.inspector.update();
+        } else {
+            this.inspector.close();
+        }
+    }
+
+    // Stop following a body that is gone, and draw the samples taken this frame
+    updateTelemetry() {
+        if (this.telemetry.target && !this.objects.includes(this.telemetry.target)) {
+            this.telemetry.setTarget(null);
+        }
+        if (this.telemetryPanel) this.telemetryPanel.update();
+    }
 
-        this.container.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        this.container.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        this.container.addEventListener('mouseup', this.handleMouseUp.bind(this));
+    // Contact count beside the other stats, and the log if it is open
+    updateCollisionLog() {
+        const contactCountElement = document.getElementById('physics-contact-count');
+        if (contactCountElement) contactCountElement.textContent = this.perfStats.collisions;
+        if (this.collisionLogPanel) this.collisionLogPanel.update();
+    }
+
+    // Label for a collider in the collision log: the object's shape and number, or the boundary it belongs to
+    describeCollider(collider) {
+        if (collider.handle === this.groundCollider.handle) return 'Ground';
+        if (this.wallColliders.some(wall => wall.handle === collider.handle)) return 'Wall';
+
+        const body = collider.parent();
+        const index = body ? this.objects.findIndex(mesh => mesh.body && mesh.body.handle === body.handle) : -1;
+        if (index === -1) return 'Object';
+        const shapeType = this.objects[index].shapeType;
+        return `${shapeType.charAt(0).toUpperCase()}${shapeType.slice(1)} ${index + 1}`;
+    }
+
+    // Outline the inspected object and the one under the pointer
+    updateOutline() {
+        const outlined = [
+            this.inspector && this.inspector.mesh,
+            this.dragger && this.dragger.hovered,
+            this.jointTool && this.jointTool.first
+        ];
+        rendererService.setOutlined(this.renderer, [...new Set(outlined.filter(Boolean))]);
     }
 
     // Handle window resize
@@ -485,251 +898,481 @@ VistaKine.PhysicsPlayground = class {
         this.camera.updateProjectionMatrix();
 
         // Update renderer size
-        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-    }
-
-    // Handle mouse move
-    handleMouseMove(event) {
-        // Calculate mouse position relative to container
-        const rect = this.container.getBoundingClientRect();
-        this.mouse.x = ((event.clientX - rect.left) / this.container.clientWidth) * 2 - 1;
-        this.mouse.y = -((event.clientY - rect.top) / this.container.clientHeight) * 2 + 1;
+        rendererService.setSize(this.renderer, this.container.clientWidth, this.container.clientHeight);
     }
 
-    // Handle mouse down
-    handleMouseDown(event) {
-        // Implement mouse down handling
-    }
-
-    // Handle mouse up
-    handleMouseUp(event) {
-        // Implement mouse up handling
-    }
+    // Build the visible mesh for a playground object; the collider is sized separately
+    createObjectMesh(shapeType, physicsShape, color) {
+        let geometry;
+        switch (shapeType) {
+            case 'box': {
+                const { x, y, z } = physicsShape.halfExtents;
+                geometry = new THREE.BoxGeometry(x * 2, y * 2, z * 2);
+                break;
+            }
+            case 'sphere':
+                geometry = new THREE.SphereGeometry(physicsShape.radius, 32, 32);
+                break;
+            case 'cylinder':
+                geometry = new THREE.CylinderGeometry(physicsShape.radius, physicsShape.radius, physicsShape.height, 32);
+                break;
+            default:
+                throw new Error(`Unknown object shape '${shapeType}'`);
+        }
 
-    // Add a box to the scene
-    addBox() {
-        const size = 1 + Math.random() * 0.5;
-        const geometry = new THREE.BoxGeometry(size, size, size);
         const material = new THREE.MeshStandardMaterial({
-            color: Math.random() * 0xffffff,
+            color: color,
             roughness: 0.7,
             metalness: 0.2
         });
 
-        // Make sure starting position is above the ground
-        const y = 10 + Math.random() * 5;
-
-        const cube = new THREE.Mesh(geometry, material);
-        cube.position.set(
-            (Math.random() - 0.5) * 10,
-            y,
-            (Math.random() - 0.5) * 10
-        );
-        cube.castShadow = true;
-        cube.receiveShadow = true;
-        this.scene.add(cube);
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.shapeType = shapeType;
+        mesh.physicsShape = physicsShape;
+        return mesh;
+    }
 
-        // Create physics body with appropriate mass
-        const density = 1.0;
-        const volume = size * size * size;
-        const mass = density * volume;
+    // Collider for an object's shape, a few percent larger than its mesh
+    createColliderDesc(shapeType, physicsShape) {
+        switch (shapeType) {
+            case 'box': {
+                const { x, y, z } = physicsShape.halfExtents;
+                return this.RAPIER.ColliderDesc.cuboid(x * 1.02, y * 1.02, z * 1.02); // 2% margin
+            }
+            case 'sphere':
+                return this.RAPIER.ColliderDesc.ball(physicsShape.radius * 1.05); // 5% margin
+            case 'cylinder':
+                // 2% margin on the height, 5% on the radius
+                return this.RAPIER.ColliderDesc.cylinder(physicsShape.height * 1.02 / 2, physicsShape.radius * 1.05);
+            default:
+                throw new Error(`Unknown object shape '${shapeType}'`);
+        }
+    }
 
-        // Add a slight rotation to prevent perfectly flat surfaces
-        cube.rotation.x = Math.random() * 0.1;
-        cube.rotation.z = Math.random() * 0.1;
-
-        const bodyDesc = this.RAPIER.RigidBodyDesc.dynamic()
-            .setTranslation(cube.position.x, cube.position.y, cube.position.z)
-            .setRotation({
-                x: cube.quaternion.x,
-                y: cube.quaternion.y,
-                z: cube.quaternion.z,
-                w: cube.quaternion.w
-            })
-            .setAdditionalMass(mass);
+    /**
+     * Add an object from a scene body description (see physics-scene.js)
+     * without checking the object limit; returns its mesh
+     */
+    createObject({ shapeType, physicsShape, fixed, position, rotation, linearVelocity, angularVelocity, material }) {
+        const mesh = this.createObjectMesh(shapeType, physicsShape, material.color);
+        mesh.position.set(position.x, position.y, position.z);
+        mesh.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+
+        const bodyDesc = (fixed ? this.RAPIER.RigidBodyDesc.fixed() : this.RAPIER.RigidBodyDesc.dynamic())
+            .setTranslation(position.x, position.y, position.z)
+            .setRotation(rotation)
+            .setLinvel(linearVelocity.x, linearVelocity.y, linearVelocity.z)
+            .setAngvel(angularVelocity)
+            .setLinearDamping(material.linearDamping)
+            .setAngularDamping(material.angularDamping);
+        if (!fixed) physicsService.configureBody(bodyDesc);
 
         const body = this.world.createRigidBody(bodyDesc);
 
-        // Create collider with margin to prevent falling through surfaces
-        const colliderSize = size * 1.02; // 2% margin
-        const colliderDesc = this.RAPIER.ColliderDesc.cuboid(
-            colliderSize/2, colliderSize/2, colliderSize/2
-        )
-            .setFriction(0.7)
-            .setRestitution(0.3);
+        const colliderDesc = this.createColliderDesc(shapeType, physicsShape)
+            .setFriction(material.friction)
+            .setRestitution(material.restitution)
+            .setActiveEvents(this.collisionMonitor.activeEvents)
+            .setContactForceEventThreshold(0);
+
+        // The collider's volume at density 1 decides the mass unless one is given
+        if (material.mass !== null) colliderDesc.setMass(material.mass);
 
         this.world.createCollider(colliderDesc, body);
 
-        // Store reference to the body and shape type
-        cube.body = body;
-        cube.shapeType = 'box';
-        cube.physicsShape = { halfExtents: { x: size/2, y: size/2, z: size/2 } };
+        // Store reference to the body
+        mesh.body = body;
+
+        this.scene.add(mesh);
+        this.objects.push(mesh);
+        return mesh;
+    }
+
+    // Drop a new object of random size at a random spot above the ground
+    addRandomObject(shapeType, physicsShape, material, tilt) {
+        if (!this.canAddObject()) return null;
+
+        // Add a slight rotation to prevent perfectly flat surfaces
+        const rotation = new THREE.Quaternion().setFromEuler(
+            new THREE.Euler(tilt ? Math.random() * 0.1 : 0, 0, tilt ? Math.random() * 0.1 : 0)
+        );
+
+        const object = this.createObject({
+            shapeType,
+            physicsShape,
+            fixed: false,
+            // Make sure starting position is above the ground
+            position: { x: (Math.random() - 0.5) * 10, y: 10 + Math.random() * 5, z: (Math.random() - 0.5) * 10 },
+            rotation,
+            linearVelocity: { x: 0, y: 0, z: 0 },
+            angularVelocity: { x: 0, y: 0, z: 0 },
+            material: {
+                linearDamping: 0,
+                angularDamping: 0,
+                color: Math.random() * 0xffffff,
+                ...material
+            }
+        });
 
         // Apply a small initial impulse for better physics behavior
-        const impulse = 0.1;
-        body.applyImpulse(
+        const impulse = shapeType === 'box' ? 0.1 : 0.05;
+        object.body.applyImpulse(
             { x: (Math.random() - 0.5) * impulse, y: 0, z: (Math.random() - 0.5) * impulse },
             true
         );
 
-        // Add to objects array
-        this.objects.push(cube);
-
         // Update UI
         this.updateObjectCount();
+        this.markWorldChanged();
 
-        return cube;
+        return object;
+    }
+
+    // Add a box to the scene
+    addBox() {
+        const size = 1 + Math.random() * 0.5;
+        const density = 1.0;
+
+        return this.addRandomObject('box', { halfExtents: { x: size/2, y: size/2, z: size/2 } }, {
+            mass: density * size * size * size,
+            friction: 0.7,
+            restitution: 0.3
+        }, true);
     }
 
     // Add a sphere to the scene
     addSphere() {
         const radius = 0.5 + Math.random() * 0.5;
-        const geometry = new THREE.SphereGeometry(radius, 32, 32);
-        const material = new THREE.MeshStandardMaterial({
-            color: Math.random() * 0xffffff,
-            roughness: 0.7,
-            metalness: 0.2
-        });
-
-        // Make sure starting position is above the ground
-        const y = 10 + Math.random() * 5;
-
-        const sphere = new THREE.Mesh(geometry, material);
-        sphere.position.set(
-            (Math.random() - 0.5) * 10,
-            y,
-            (Math.random() - 0.5) * 10
-        );
-        sphere.castShadow = true;
-        sphere.receiveShadow = true;
-        this.scene.add(sphere);
-
-        // Create physics body with appropriate mass
         const density = 1.0;
-        const volume = (4/3) * Math.PI * radius * radius * radius;
-        const mass = density * volume;
-
-        const bodyDesc = this.RAPIER.RigidBodyDesc.dynamic()
-            .setTranslation(sphere.position.x, sphere.position.y, sphere.position.z)
-            .setAdditionalMass(mass);
-
-        const body = this.world.createRigidBody(bodyDesc);
-
-        // Create collider with slightly larger radius
-        const colliderRadius = radius * 1.05; // 5% margin
-        const colliderDesc = this.RAPIER.ColliderDesc.ball(colliderRadius)
-            .setFriction(0.5)
-            .setRestitution(0.6);
-
-        this.world.createCollider(colliderDesc, body);
-
-        // Store reference to the body and shape type
-        sphere.body = body;
-        sphere.shapeType = 'sphere';
-        sphere.physicsShape = { radius: radius };
 
-        // Apply a small initial impulse for better physics behavior
-        const impulse = 0.05;
-        body.applyImpulse(
-            { x: (Math.random() - 0.5) * impulse, y: 0, z: (Math.random() - 0.5) * impulse },
-            true
-        );
-
-        // Add to objects array
-        this.objects.push(sphere);
-
-        // Update UI
-        this.updateObjectCount();
-
-        return sphere;
+        return this.addRandomObject('sphere', { radius: radius }, {
+            mass: density * (4/3) * Math.PI * radius * radius * radius,
+            friction: 0.5,
+            restitution: 0.6
+        }, false);
     }
 
     // Add a cylinder to the scene
     addCylinder() {
         const radius = 0.5 + Math.random() * 0.3;
         const height = 1 + Math.random() * 0.5;
-        const geometry = new THREE.CylinderGeometry(radius, radius, height, 32);
-        const material = new THREE.MeshStandardMaterial({
-            color: Math.random() * 0xffffff,
-            roughness: 0.7,
-            metalness: 0.2
-        });
+        const density = 0.8;
 
-        // Make sure starting position is above the ground
-        const y = 10 + Math.random() * 5;
+        return this.addRandomObject('cylinder', { radius: radius, height: height }, {
+            mass: density * Math.PI * radius * radius * height,
+            friction: 0.6,
+            restitution: 0.4
+        }, true);
+    }
 
-        const cylinder = new THREE.Mesh(geometry, material);
-        cylinder.position.set(
-            (Math.random() - 0.5) * 10,
-            y,
-            (Math.random() - 0.5) * 10
-        );
+    /**
+     * Add a joint from a scene joint description (see physics-scene.js), with
+     * meshes in place of body indices; returns its record in this.joints
+     */
+    createJoint(description) {
+        const { type, bodies, anchors, axis } = description;
+        const [first, second] = bodies;
+
+        // Rapier's spring joint pulls toward zero length whatever its rest
+        // length, so springs are forces applied before each step instead
+        if (type === 'spring') {
+            const record = { ...description, handle: null, anchorHandle: null };
+            bodies.forEach(mesh => {
+                if (mesh) mesh.body.wakeUp();
+            });
+            this.joints.push(record);
+            return record;
+        }
 
-        // Add a slight rotation to prevent perfect vertical alignment
-        cylinder.rotation.x = Math.random() * 0.1;
-        cylinder.rotation.z = Math.random() * 0.1;
+        // A joint to the world holds on to a fixed body of its own at the
+        // world anchor, and a hinge or slider between objects with a rotation
+        // to a frame body at the second object's anchor
+        let anchorBody = null;
+        if (!second) {
+            const worldAnchor = anchors[1];
+            anchorBody = this.world.createRigidBody(this.RAPIER.RigidBodyDesc.fixed()
+                .setTranslation(worldAnchor.x, worldAnchor.y, worldAnchor.z)
+                .setRotation(description.worldRotation || IDENTITY_ROTATION));
+        } else if (axis && description.rotation) {
+            anchorBody = this.createFrameBody(first, second, anchors[1], description.rotation);
+        }
 
-        cylinder.castShadow = true;
-        cylinder.receiveShadow = true;
-        this.scene.add(cylinder);
+        const anchor1 = anchors[0];
+        const anchor2 = anchorBody ? { x: 0, y: 0, z: 0 } : anchors[1];
+
+        let data;
+        switch (type) {
+            case 'fixed':
+                data = this.RAPIER.JointData.fixed(anchor1, IDENTITY_ROTATION, anchor2, description.rotation || IDENTITY_ROTATION);
+                break;
+            case 'spherical':
+                data = this.RAPIER.JointData.spherical(anchor1, anchor2);
+                break;
+            case 'revolute':
+                data = this.RAPIER.JointData.revolute(anchor1, anchor2, axis);
+                break;
+            case 'prismatic':
+                data = this.RAPIER.JointData.prismatic(anchor1, anchor2, axis);
+                break;
+            case 'rope':
+                data = this.RAPIER.JointData.rope(description.length, anchor1, anchor2);
+                break;
+            default:
+                throw new Error(`Unknown joint type '${type}'`);
+        }
 
-        // Create physics body with appropriate mass
-        const density = 0.8;
-        const volume = Math.PI * radius * radius * height;
-        const mass = density * volume;
-
-        const bodyDesc = this.RAPIER.RigidBodyDesc.dynamic()
-            .setTranslation(cylinder.position.x, cylinder.position.y, cylinder.position.z)
-            .setRotation({
-                x: cylinder.quaternion.x,
-                y: cylinder.quaternion.y,
-                z: cylinder.quaternion.z,
-                w: cylinder.quaternion.w
-            })
-            .setAdditionalMass(mass);
+        const joint = this.world.createImpulseJoint(data, first.body, anchorBody || second.body, true);
+        const record = {
+            ...description,
+            handle: joint.handle,
+            anchorHandle: anchorBody ? anchorBody.handle : null
+        };
+        this.joints.push(record);
+        return record;
+    }
 
-        const body = this.world.createRigidBody(bodyDesc);
+    /**
+     * Rapier measures a hinge or slider's axis in the same local frame on
+     * both bodies, so bodies turned differently would snap into line. The
+     * joint holds on instead to a frame body welded to the second object at
+     * its anchor, turned by `rotation` so it starts out aligned with the first.
+     * A fixed object's frame body is fixed too and needs no weld.
+     */
+    createFrameBody(first, second, anchor, rotation) {
+        const position = new THREE.Vector3().copy(anchor)
+            .applyQuaternion(second.body.rotation())
+            .add(second.body.translation());
+        const orientation = new THREE.Quaternion().copy(second.body.rotation())
+            .multiply(new THREE.Quaternion().copy(rotation));
+
+        if (second.body.isFixed()) {
+            return this.world.createRigidBody(this.RAPIER.RigidBodyDesc.fixed()
+                .setTranslation(position.x, position.y, position.z)
+                .setRotation(orientation));
+        }
 
-        // Create collider with slight adjustments
-        const colliderRadius = radius * 1.05; // 5% margin
-        const colliderHeight = height * 1.02; // 2% margin
-        const colliderDesc = this.RAPIER.ColliderDesc.cylinder(colliderHeight/2, colliderRadius)
-            .setFriction(0.6)
-            .setRestitution(0.4);
+        // A lighter frame body would let the joint stretch
+        const heavier = first.body.mass() > second.body.mass() ? first.body : second.body;
+        const inertia = heavier.principalInertia();
+        const frameBody = this.world.createRigidBody(this.RAPIER.RigidBodyDesc.dynamic()
+            .setTranslation(position.x, position.y, position.z)
+            .setRotation(orientation)
+            .setAdditionalMassProperties(FRAME_BODY_MASS_RATIO * heavier.mass(), { x: 0, y: 0, z: 0 }, {
+                x: FRAME_BODY_MASS_RATIO * inertia.x,
+                y: FRAME_BODY_MASS_RATIO * inertia.y,
+                z: FRAME_BODY_MASS_RATIO * inertia.z
+            }, IDENTITY_ROTATION));
+        this.world.createImpulseJoint(
+            this.RAPIER.JointData.fixed(anchor, rotation, { x: 0, y: 0, z: 0 }, IDENTITY_ROTATION),
+            second.body, frameBody, true);
+        return frameBody;
+    }
 
-        this.world.createCollider(colliderDesc, body);
+    /**
+     * Join an object to another, or to the world when `other` is null,
+     * placing the anchors from where the objects are now:
+     *
+     * - Ropes and springs run between the body centers, their length the
+     *   current distance; to the world they hang from a point above the object.
+     * - Hinges and ball joints pivot halfway between two objects, or above a
+     *   single object as a pendulum. Hinges turn about the world z axis.
+     * - Welds keep the objects' relative pose; sliders move along the line
+     *   between the objects, or vertically for a single object.
+     *
+     * @param {string} type - One of JOINT_TYPES in physics-scene.js
+     * @param {THREE.Mesh} object
+     * @param {THREE.Mesh|null} other
+     * @param {object} spring - { stiffness, damping } for springs
+     * @returns {object} The joint's record in this.joints
+     */
+    connectObjects(type, object, other = null, spring = {}) {
+        const position1 = new THREE.Vector3().copy(object.body.translation());
+        const rotation1 = new THREE.Quaternion().copy(object.body.rotation());
+        const position2 = other ? new THREE.Vector3().copy(other.body.translation()) : null;
+        const rotation2 = other ? new THREE.Quaternion().copy(other.body.rotation()) : null;
+
+        const hangs = ['rope', 'spring', 'revolute', 'spherical'].includes(type);
+        const ends = type === 'rope' || type === 'spring';
+
+        // Where the joint meets the world, or the point both bodies pivot about
+        let pivot;
+        if (other) {
+            pivot = position1.clone().lerp(position2, 0.5);
+        } else {
+            pivot = position1.clone();
+            if (hangs) pivot.y += PENDULUM_LENGTH;
+        }
 
-        // Store reference to the body and shape type
-        cylinder.body = body;
-        cylinder.shapeType = 'cylinder';
-        cylinder.physicsShape = { radius: radius, height: height };
+        // World point to a body's local frame
+        const toLocal = (point, position, rotation) =>
+            point.clone().sub(position).applyQuaternion(rotation.clone().invert());
+        const toLocalDirection = direction => direction.clone().applyQuaternion(rotation1.clone().invert());
+
+        const description = {
+            type,
+            bodies: [object, other],
+            anchors: [
+                ends ? new THREE.Vector3() : toLocal(pivot, position1, rotation1),
+                other ? (ends ? new THREE.Vector3() : toLocal(pivot, position2, rotation2)) : pivot
+            ]
+        };
 
-        // Apply a small initial impulse for better physics behavior
-        const impulse = 0.05;
-        body.applyImpulse(
-            { x: (Math.random() - 0.5) * impulse, y: 0, z: (Math.random() - 0.5) * impulse },
-            true
-        );
+        const span = other ? position1.distanceTo(position2) : pivot.distanceTo(position1);
+        switch (type) {
+            case 'revolute':
+                description.axis = toLocalDirection(new THREE.Vector3(0, 0, 1));
+                break;
+            case 'prismatic': {
+                const direction = other && span > 0
+                    ? new THREE.Vector3().subVectors(position2, position1).normalize()
+                    : new THREE.Vector3(0, 1, 0);
+                description.axis = toLocalDirection(direction);
+                break;
+            }
+            case 'fixed':
+                description.rotation = other ? rotation2.clone().invert().multiply(rotation1) : IDENTITY_ROTATION;
+                break;
+            case 'rope':
+                description.length = span;
+                break;
+            case 'spring':
+                description.restLength = span;
+                description.stiffness = spring.stiffness !== undefined ? spring.stiffness : DEFAULT_SPRING_STIFFNESS;
+                description.damping = spring.damping !== undefined ? spring.damping : DEFAULT_SPRING_DAMPING;
+                break;
+        }
 
-        // Add to objects array
-        this.objects.push(cylinder);
+        // The world anchor turns with the object, so the axis and frames agree
+        // on both sides; between two objects the first one's rotation in the
+        // second's frame carries the axis over, as it keeps a weld's pose
+        if (!other) {
+            description.worldRotation = rotation1;
+        } else if (description.axis) {
+            description.rotation = rotation2.clone().invert().multiply(rotation1);
+        }
 
-        // Update UI
-        this.updateObjectCount();
+        const record = this.createJoint(description);
+        this.markWorldChanged();
+        return record;
+    }
 
-        return cylinder;
+    // Remove a joint, and the world anchor or frame body it holds on to
+    removeJoint(record) {
+        if (record.handle !== null) {
+            const joint = this.world.getImpulseJoint(record.handle);
+            if (joint) this.world.removeImpulseJoint(joint, true);
+        } else {
+            // A spring may have been holding a sleeping body up
+            record.bodies.forEach(mesh => {
+                if (mesh && mesh.body) mesh.body.wakeUp();
+            });
+        }
+
+        if (record.anchorHandle !== null) {
+            const anchorBody = this.world.getRigidBody(record.anchorHandle);
+            if (anchorBody) this.world.removeRigidBody(anchorBody);
+        }
+
+        this.joints = this.joints.filter(other => other !== record);
+    }
+
+    /**
+     * Add each spring's force, k·(length − rest length) along the spring plus
+     * damping c times the rate it stretches at, to the bodies at its ends.
+     * Runs after the forces of the last step have been reset.
+     */
+    applySpringForces() {
+        // Rapier spreads a step's force over its substeps, which feeds energy
+        // into a spring measured where the step starts; measuring it this far
+        // into the step, (1 − 1/substeps) / 2 of it, keeps the energy constant
+        const lookahead = (1 - 1 / this.world.numSolverIterations) / 2 * this.world.timestep;
+
+        const ends = [new THREE.Vector3(), new THREE.Vector3()];
+        const velocities = [new THREE.Vector3(), new THREE.Vector3()];
+        const offset = new THREE.Vector3();
+        const direction = new THREE.Vector3();
+        const force = new THREE.Vector3();
+
+        this.joints.forEach(joint => {
+            if (joint.type !== 'spring') return;
+
+            const bodies = joint.bodies.map(mesh => mesh && mesh.body);
+            // Springs between sleeping bodies are at rest; a moving end wakes the other
+            if (!bodies.some(body => body && !body.isFixed() && !body.isSleeping())) return;
+
+            bodies.forEach((body, i) => {
+                ends[i].copy(joint.anchors[i]);
+                velocities[i].set(0, 0, 0);
+                if (!body) return;
+
+                // Anchor in world space, and its velocity v + ω × r
+                ends[i].applyQuaternion(body.rotation());
+                offset.copy(ends[i]);
+                ends[i].add(body.translation());
+                velocities[i].copy(body.angvel()).cross(offset).add(body.linvel());
+                ends[i].addScaledVector(velocities[i], lookahead);
+            });
+
+            direction.subVectors(ends[1], ends[0]);
+            const length = direction.length();
+            if (length < 1e-6) return;
+            direction.divideScalar(length);
+
+            const stretchRate = offset.subVectors(velocities[1], velocities[0]).dot(direction);
+            const tension = joint.stiffness * (length - joint.restLength) + joint.damping * stretchRate;
+            force.copy(direction).multiplyScalar(tension);
+
+            // Tension pulls the first end toward the second and the second back
+            bodies.forEach((body, i) => {
+                if (!body || !body.isDynamic()) return;
+                body.addForceAtPoint(i === 0 ? force : force.clone().negate(), ends[i], true);
+            });
+        });
+    }
+
+    clearJoints() {
+        this.joints.slice().forEach(joint => this.removeJoint(joint));
+        this.markWorldChanged();
     }
 
     // Update object count in UI
     updateObjectCount() {
         const objectCountElement = document.getElementById('physics-object-count');
         if (objectCountElement) {
-            objectCountElement.textContent = this.objects.length;
+            objectCountElement.textContent = `${this.objects.length} / ${physicsService.maxObjects}`;
         }
     }
 
+    // Check the Maximum Physics Objects setting before adding an object
+    canAddObject() {
+        if (physicsService.getRemainingCapacity(this.objects.length) > 0) {
+            return true;
+        }
+
+        this.showStatusMessage(physicsService.getLimitMessage(), 3000);
+        return false;
+    }
+
+    // Called by the physics service when the quality or object limit changes
+    applyPhysicsSettings() {
+        physicsService.applyToWorld(this.world);
+        this.updateObjectCount();
+
+        // Solver settings are part of the recorded run; a rewound frame records them when branching
+        if (this.historyIndex === null) this.markWorldChanged();
+    }
+
     // Clear all objects
     clearAllObjects() {
+        // Let go of an object before its body is removed
+        if (this.dragger) this.dragger.cancel();
+
+        // Joints go with their bodies; world anchors and frame bodies need removing too
+        this.joints.slice().forEach(joint => this.removeJoint(joint));
+        this.cancelJointTool();
+
         // Remove all objects except ground and boundaries
         while (this.objects.length > 0) {
             const object = this.objects.pop();
@@ -745,6 +1388,7 @@ VistaKine.PhysicsPlayground = class {
 
         // Update object count
         this.updateObjectCount();
+        this.markWorldChanged();
     }
 
     // Stress test
@@ -756,7 +1400,14 @@ VistaKine.PhysicsPlayground = class {
             }
         }
 
-        const testSize = 30; // Number of objects to create
+        // Stay under the Maximum Physics Objects setting
+        const remaining = physicsService.getRemainingCapacity(this.objects.length);
+        if (remaining === 0) {
+            this.showStatusMessage(physicsService.getLimitMessage(), 3000);
+            return;
+        }
+
+        const testSize = Math.min(30, remaining); // Number of objects to create
         const objectTypes = ['box', 'sphere', 'cylinder'];
         const startTime = performance.now();
 
@@ -776,6 +1427,7 @@ VistaKine.PhysicsPlayground = class {
 
         // Create objects with a slight delay to avoid freezing the UI
         let count = 0;
+        let stopped = false;
         const createBatch = () => {
             for (let i = 0; i < 5 && count < testSize; i++, count++) {
                 // Choose a random object type
@@ -783,10 +1435,17 @@ VistaKine.PhysicsPlayground = class {
                 const type = objectTypes[typeIndex];
 
                 // Create object based on type
+                let object = null;
                 switch (type) {
-                    case 'box': this.addBox(); break;
-                    case 'sphere': this.addSphere(); break;
-                    case 'cylinder': this.addCylinder(); break;
+                    case 'box': object = this.addBox(); break;
+                    case 'sphere': object = this.addSphere(); break;
+                    case 'cylinder': object = this.addCylinder(); break;
+                }
+
+                // The limit can be lowered while the test runs
+                if (!object) {
+                    stopped = true;
+                    break;
                 }
             }
 
@@ -794,7 +1453,7 @@ VistaKine.PhysicsPlayground = class {
             statusMsg.textContent = `Creating objects: ${count}/${testSize}`;
 
             // Continue if not done
-            if (count < testSize) {
+            if (count < testSize && !stopped) {
                 setTimeout(createBatch, 10);
             } else {
                 // Finished - remove status and show results
@@ -812,7 +1471,7 @@ VistaKine.PhysicsPlayground = class {
                 resultMsg.style.padding = '15px';
                 resultMsg.style.borderRadius = '5px';
                 resultMsg.style.zIndex = '2000';
-                resultMsg.textContent = `Stress test completed!\nCreated ${testSize} objects in ${duration} seconds.\nTotal objects: ${this.objects.length}`;
+                resultMsg.textContent = `Stress test completed!\nCreated ${count} objects in ${duration} seconds.\nTotal objects: ${this.objects.length}`;
                 this.container.appendChild(resultMsg);
 
                 // Remove result message after 5 seconds
@@ -839,7 +1498,7 @@ VistaKine.PhysicsPlayground = class {
 
         // Start animation loop - call the animateFrame method directly
         // instead of going through the animate() alias which creates recursion
-        requestAnimationFrame(this.animateFrame.bind(this));
+        this.animationFrameId = requestAnimationFrame(this.animateFrame.bind(this));
     }
 
     // Animation loop - renamed from animate to animateFrame to avoid confusion
@@ -847,7 +1506,7 @@ VistaKine.PhysicsPlayground = class {
         if (!this.animating) return;
 
         // Request next frame
-        requestAnimationFrame(this.animateFrame.bind(this));
+        this.animationFrameId = requestAnimationFrame(this.animateFrame.bind(this));
 
         // Calculate delta time
         const dt = Math.min((time - this.lastTime) / 1000, 0.1); // Max 0.1s (10 fps)
@@ -874,8 +1533,21 @@ VistaKine.PhysicsPlayground = class {
         // Synchronize visual meshes with physics bodies
         this.synchronizeVisuals();
 
+        if (this.jointVisuals) this.jointVisuals.update(this.joints);
+        if (this.motionOverlays) this.motionOverlays.update(this.objects);
+        if (this.collisionFlashes) this.collisionFlashes.update(dt);
+
+        // Redraw the collider outlines and contacts
+        if (this.physicsDebugEnabled && this.physicsDebug) {
+            this.physicsDebug.update(this.world, this.objects);
+        }
+
+        this.updateInspector();
+        this.updateTelemetry();
+        this.updateCollisionLog();
+
         // Render scene
-        this.renderer.render(this.scene, this.camera);
+        rendererService.render(this.renderer, this.scene, this.camera);
     }
 
     // Update physics simulation
@@ -885,18 +1557,552 @@ VistaKine.PhysicsPlayground = class {
         // Start timing physics update
         const physicsStartTime = performance.now();
 
-        // Step the physics world
-        const subSteps = 3; // Use 3 substeps for better accuracy
-        for (let i = 0; i < subSteps; i++) {
-            this.world.step();
+        if (!this.simulationPaused) {
+            this.accumulator += dt * this.timeScale;
+
+            // The step length comes from the physics quality preset
+            const timestep = this.world.timestep;
+            let steps = 0;
+            while (this.accumulator >= timestep && !this.simulationPaused && steps < MAX_STEPS_PER_FRAME) {
+                this.advanceSimulation();
+                this.accumulator -= timestep;
+                steps++;
+            }
+
+            // Drop time we could not catch up on instead of spiralling
+            if (steps === MAX_STEPS_PER_FRAME) this.accumulator = 0;
         }
 
+        this.updateTimeReadout();
+
         // Calculate physics update time
         this.perfStats.physicsTime = performance.now() - physicsStartTime;
     }
 
+    // One fixed step, keeping the previous pose of every body for interpolation
+    advanceSimulation() {
+        if (this.keyframePending) {
+            this.history.addKeyframe(this.captureFrame());
+            this.keyframePending = false;
+        }
+
+        this.objects.forEach(object => {
+            if (!object.body) return;
+
+            if (!object.previousPosition) {
+                object.previousPosition = new THREE.Vector3();
+                object.previousQuaternion = new THREE.Quaternion();
+            }
+            object.previousPosition.copy(object.body.translation());
+            object.previousQuaternion.copy(object.body.rotation());
+
+            // Forces persist in Rapier until reset; each step adds its own
+            object.body.resetForces(false);
+        });
+
+        this.environment.applyForces(this.objects, this.world.timestep);
+        this.applySpringForces();
+        this.collisionMonitor.beforeStep(this.objects);
+        this.world.step(this.collisionMonitor.eventQueue);
+        this.simulationTime += this.world.timestep;
+        this.stepCount++;
+
+        this.motionOverlays.measure(this.world, this.objects, this.world.timestep);
+        this.collisionMonitor
+            .afterStep(this.world, this.environment, this.simulationTime, collider => this.describeCollider(collider))
+            .forEach(event => this.collisionFlashes.add(event));
+        this.perfStats.collisions = this.collisionMonitor.activeCount;
+
+        if (this.replay) this.advanceReplay();
+
+        if (this.telemetry.isDue(this.simulationTime)) {
+            this.telemetry.record(this.simulationTime, this.objects, this.joints, this.environment);
+        }
+
+        if (this.history.isDue(this.simulationTime)) {
+            this.history.record(this.captureFrame());
+            this.updateHistoryControls();
+        }
+    }
+
+    // Scrubber timeline and replay files
+    createHistoryControls(parent) {
+        const historyGroup = document.createElement('div');
+        historyGroup.style.display = 'flex';
+        historyGroup.style.flexWrap = 'wrap';
+        historyGroup.style.alignItems = 'center';
+        historyGroup.style.gap = '5px';
+        historyGroup.style.marginTop = '5px';
+        parent.appendChild(historyGroup);
+
+        const rewindLabel = document.createElement('label');
+        rewindLabel.style.display = 'flex';
+        rewindLabel.style.alignItems = 'center';
+        rewindLabel.style.gap = '5px';
+        rewindLabel.style.margin = '0 5px';
+        rewindLabel.textContent = 'Rewind';
+
+        this.historySlider = document.createElement('input');
+        this.historySlider.type = 'range';
+        this.historySlider.min = 0;
+        this.historySlider.step = 1;
+        this.historySlider.addEventListener('input', () => this.seekHistory(parseInt(this.historySlider.value, 10)));
+
+        this.historyValue = document.createElement('span');
+        this.historyValue.style.minWidth = '4em';
+
+        rewindLabel.append(this.historySlider, this.historyValue);
+        historyGroup.appendChild(rewindLabel);
+
+        this.branchButton = this.createButton(historyGroup, 'Branch Here', () => this.branchFromHistory());
+        this.createButton(historyGroup, 'Export Replay', () => this.exportReplay());
+        this.createButton(historyGroup, 'Load Replay', () => this.loadReplay());
+
+        this.updateHistoryControls();
+    }
+
+    updateHistoryControls() {
+        if (!this.historySlider) return;
+
+        const last = Math.max(this.history.length - 1, 0);
+        this.historySlider.max = last;
+        this.historySlider.disabled = this.history.length < 2;
+        this.branchButton.disabled = this.historyIndex === null;
+
+        if (this.historyIndex === null) {
+            this.historySlider.value = last;
+            this.historyValue.textContent = this.replay ? 'Replay' : 'Live';
+        } else {
+            const frame = this.history.get(this.historyIndex);
+            const behind = this.liveEnd.time - frame.time;
+            this.historyValue.textContent = `−${behind.toFixed(1)} s`;
+        }
+    }
+
+    // Everything needed to put the world back as it is now
+    captureFrame() {
+        return {
+            step: this.stepCount,
+            time: this.simulationTime,
+            snapshot: this.world.takeSnapshot(),
+            objects: this.objects.map(mesh => ({ mesh, handle: mesh.body.handle })),
+            joints: this.joints.slice(),
+            environment: this.environment.toJSON()
+        };
+    }
+
+    // Swap in the world stored in a frame and show its objects
+    restoreFrame(frame) {
+        // Bodies are about to be replaced, so a drag in progress cannot continue
+        if (this.dragger) this.dragger.cancel();
+        if (this.jointTool) this.cancelJointTool();
+
+        const world = this.RAPIER.World.restoreSnapshot(frame.snapshot);
+        this.world.free();
+        this.world = world;
+
+        // Handles carry over to the restored world; the old wrappers do not
+        this.groundCollider = world.getCollider(this.groundCollider.handle);
+        this.wallColliders = this.wallColliders.map(collider => world.getCollider(collider.handle));
+
+        this.objects.forEach(mesh => this.scene.remove(mesh));
+        this.objects = frame.objects.map(({ mesh, handle }) => {
+            mesh.body = world.getRigidBody(handle);
+            mesh.previousPosition = null;
+            this.scene.add(mesh);
+            return mesh;
+        });
+        // Joints are kept by handle; springs are only in the records
+        this.joints = frame.joints ? frame.joints.slice() : [];
+
+        // Trails and measured accelerations belong to the run that was left
+        this.motionOverlays.reset();
+        this.collisionMonitor.restore(world, this.objects, frame.time);
+        this.collisionFlashes.clear();
+
+        // Gravity is part of the snapshot; the other forces are kept beside it
+        this.environment.set(frame.environment || { gravity: world.gravity });
+        this.updateEnvironmentViews();
+
+        this.simulationTime = frame.time;
+        this.stepCount = frame.step;
+
+        this.updateObjectCount();
+        this.synchronizeVisuals();
+        this.updateTimeReadout();
+
+        if (this.inspector) {
+            this.updateInspector();
+            this.inspector.refresh();
+        }
+    }
+
+    // Pause and show an earlier frame from the scrubber
+    seekHistory(index) {
+        const frame = this.history.get(index);
+        if (!frame) return;
+
+        if (this.historyIndex === null) {
+            // Remember where the live run was, for export and the scrubber label
+            this.liveEnd = { step: this.stepCount, time: this.simulationTime };
+        }
+
+        this.setSimulationPaused(true);
+        this.historyIndex = index;
+        this.replay = null;
+        this.restoreFrame(frame);
+        this.updateHistoryControls();
+    }
+
+    // Drop the frames after the one being shown and continue from it
+    branchFromHistory({ resume = true } = {}) {
+        if (this.historyIndex === null) return;
+
+        this.history.truncateAfter(this.historyIndex);
+        this.historyIndex = null;
+
+        // A frame recorded mid-drag holds a kinematic body nobody is dragging any more
+        this.objects.forEach(object => {
+            if (object.body.isKinematic() && (!this.dragger || object !== this.dragger.selected)) {
+                object.body.setBodyType(this.RAPIER.RigidBodyType.Dynamic, true);
+            }
+        });
+
+        // The new run follows the current quality settings
+        physicsService.applyToWorld(this.world);
+        this.markWorldChanged();
+
+        if (resume) this.setSimulationPaused(false);
+        this.updateHistoryControls();
+    }
+
+    // Called by the environment panel after every edit
+    applyEnvironment() {
+        this.environment.applyToWorld(this.world);
+        this.updateEnvironmentViews();
+        this.markWorldChanged();
+    }
+
+    updateEnvironmentViews() {
+        if (this.environmentGlyphs) this.environmentGlyphs.update(this.environment);
+        if (this.environmentPanel && this.environmentPanel.isOpen) this.environmentPanel.refresh();
+    }
+
+    // Called after every user change to the world
+    markWorldChanged() {
+        // Editing a rewound frame starts a new run from it
+        if (this.historyIndex !== null) {
+            this.branchFromHistory({ resume: false });
+        }
+
+        // The run no longer follows the loaded replay
+        if (this.replay) {
+            this.replay = null;
+            this.updateHistoryControls();
+        }
+
+        this.keyframePending = true;
+    }
+
+    // JSON description of an object's mesh, enough to rebuild it with createObjectMesh()
+    describeObject(mesh) {
+        return {
+            shapeType: mesh.shapeType,
+            physicsShape: mesh.physicsShape,
+            color: mesh.material.color.getHex()
+        };
+    }
+
+    // Save the session as keyframes that reload to the same trajectory
+    exportReplay() {
+        if (this.keyframePending && this.historyIndex === null) {
+            this.history.addKeyframe(this.captureFrame());
+            this.keyframePending = false;
+        }
+
+        const end = this.historyIndex === null
+            ? { step: this.stepCount, time: this.simulationTime }
+            : this.liveEnd;
+        const replay = this.history.toReplay(mesh => this.describeObject(mesh), end);
+
+        this.downloadFile('physics-replay.json', JSON.stringify(replay), 'application/json');
+        this.showStatusMessage(`Exported ${end.time.toFixed(2)} s of simulation`);
+    }
+
+    async loadReplay() {
+        try {
+            const text = await this.openFile('.json,application/json');
+            if (text === null) return;
+
+            const { endStep, keyframes } = PhysicsHistory.parseReplay(JSON.parse(text));
+
+            // One mesh per object, shared by every keyframe it appears in
+            const meshes = new Map();
+            keyframes.forEach(keyframe => {
+                keyframe.objects = keyframe.objects.map(description => {
+                    if (!meshes.has(description.handle)) {
+                        meshes.set(description.handle, this.createObjectMesh(
+                            description.shapeType, description.physicsShape, description.color
+                        ));
+                    }
+                    return { mesh: meshes.get(description.handle), handle: description.handle };
+                });
+                keyframe.joints = keyframe.joints.map(joint => ({
+                    ...joint,
+                    bodies: joint.bodies.map(handle => handle === null ? null : meshes.get(handle))
+                }));
+            });
+
+            this.setSimulationPaused(true);
+            this.historyIndex = null;
+            this.history.clear();
+            this.history.keyframes = keyframes;
+            this.keyframePending = false;
+
+            this.restoreFrame(keyframes[0]);
+            this.history.record(this.captureFrame());
+
+            this.replay = { keyframes, endStep, next: 1 };
+            this.setSimulationPaused(false);
+            this.updateHistoryControls();
+            this.showStatusMessage('Replay loaded');
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            this.showStatusMessage(`Could not load replay: ${error.message}`, 4000);
+        }
+    }
+
+    // Apply the next keyframe once the replay reaches its step
+    advanceReplay() {
+        const keyframe = this.replay.keyframes[this.replay.next];
+        if (keyframe && keyframe.step === this.stepCount) {
+            this.restoreFrame(keyframe);
+            this.replay.next++;
+        }
+
+        if (this.stepCount >= this.replay.endStep) {
+            this.replay = null;
+            this.setSimulationPaused(true);
+            this.updateHistoryControls();
+            this.showStatusMessage('Replay finished');
+        }
+    }
+
+    // Offer text to the user as a file download
+    downloadFile(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Let the user pick a file and read it as text; resolves to null if nothing is chosen
+    openFile(accept) {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+                file.text().then(resolve, reject);
+            });
+            input.click();
+        });
+    }
+
+    // Save, load, export and import whole playground setups
+    createSceneControls(parent) {
+        const sceneGroup = document.createElement('div');
+        sceneGroup.style.display = 'flex';
+        sceneGroup.style.flexWrap = 'wrap';
+        sceneGroup.style.alignItems = 'center';
+        sceneGroup.style.gap = '5px';
+        sceneGroup.style.marginTop = '5px';
+        parent.appendChild(sceneGroup);
+
+        const slotLabel = document.createElement('label');
+        slotLabel.style.display = 'flex';
+        slotLabel.style.alignItems = 'center';
+        slotLabel.style.gap = '5px';
+        slotLabel.style.margin = '0 5px';
+        slotLabel.textContent = 'Scene';
+
+        // Type a new name to save, or pick a saved one to load
+        this.sceneSlotList = document.createElement('datalist');
+        this.sceneSlotList.id = `physics-scene-slots-${++sceneListCount}`;
+
+        this.sceneSlotInput = document.createElement('input');
+        this.sceneSlotInput.type = 'text';
+        this.sceneSlotInput.placeholder = 'Name';
+        this.sceneSlotInput.style.width = '8em';
+        this.sceneSlotInput.setAttribute('list', this.sceneSlotList.id);
+
+        slotLabel.append(this.sceneSlotInput, this.sceneSlotList);
+        sceneGroup.appendChild(slotLabel);
+
+        this.createButton(sceneGroup, 'Save', () => this.saveSceneSlot());
+        this.createButton(sceneGroup, 'Load', () => this.loadSceneSlot());
+        this.createButton(sceneGroup, 'Delete', () => this.deleteSceneSlot());
+        this.createButton(sceneGroup, 'Export Scene', () => this.exportScene());
+        this.createButton(sceneGroup, 'Import Scene', () => this.importScene());
+
+        this.updateSceneSlots();
+    }
+
+    updateSceneSlots() {
+        if (!this.sceneSlotList) return;
+
+        this.sceneSlotList.replaceChildren(...listSavedScenes().map(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            return option;
+        }));
+    }
+
+    // The setup as it is now, in the scene format
+    getSceneDescription() {
+        return serializeScene({
+            gravity: this.world.gravity,
+            environment: this.environment.toJSON(),
+            camera: this.camera,
+            target: this.controls.target,
+            objects: this.objects,
+            joints: this.joints
+        });
+    }
+
+    /**
+     * Replace the playground's contents with a scene; throws, leaving the
+     * playground as it was, if the scene is invalid or too large
+     *
+     * @param {object} data - Parsed scene JSON
+     */
+    loadScene(data) {
+        const scene = parseScene(data);
+        if (scene.bodies.length > physicsService.maxObjects) {
+            throw new Error(`The scene has ${scene.bodies.length} bodies, more than the limit of ${physicsService.maxObjects}`);
+        }
+
+        // A new scene starts a new run with no history to rewind into
+        this.historyIndex = null;
+        this.replay = null;
+        this.clearAllObjects();
+        this.history.clear();
+        this.simulationTime = 0;
+        this.stepCount = 0;
+        this.accumulator = 0;
+
+        this.environment.set({ ...scene.environment, gravity: scene.gravity });
+        this.environment.applyToWorld(this.world);
+        this.updateEnvironmentViews();
+        this.camera.position.copy(scene.camera.position);
+        this.controls.target.copy(scene.camera.target);
+        this.controls.update();
+
+        const meshes = scene.bodies.map(body => this.createObject(body));
+        scene.joints.forEach(joint => this.createJoint({
+            ...joint,
+            bodies: joint.bodies.map(index => index === null ? null : meshes[index])
+        }));
+        this.collisionMonitor.restore(this.world, this.objects, 0);
+
+        this.updateObjectCount();
+        this.markWorldChanged();
+        this.synchronizeVisuals();
+        this.updateHistoryControls();
+        this.updateTimeReadout();
+    }
+
+    // Load the scene a section names in data-scene, relative to the page
+    async loadSceneFromUrl(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            this.loadScene(await response.json());
+        } catch (error) {
+            console.error(`Failed to load scene ${url}:`, error);
+            this.showStatusMessage(`Could not load scene ${url}: ${error.message}`, 4000);
+        }
+    }
+
+    saveSceneSlot() {
+        const name = this.sceneSlotInput.value.trim();
+        if (!name) {
+            this.showStatusMessage('Enter a name for the scene first');
+            return;
+        }
+
+        try {
+            saveSceneToStorage(name, this.getSceneDescription());
+            this.updateSceneSlots();
+            this.showStatusMessage(`Saved scene '${name}'`);
+        } catch (error) {
+            console.error('Failed to save scene:', error);
+            this.showStatusMessage(`Could not save scene: ${error.message}`, 4000);
+        }
+    }
+
+    loadSceneSlot() {
+        const name = this.sceneSlotInput.value.trim();
+        const scene = loadSceneFromStorage(name);
+        if (!scene) {
+            this.showStatusMessage(name ? `No saved scene named '${name}'` : 'Pick a saved scene to load');
+            return;
+        }
+
+        try {
+            this.loadScene(scene);
+            this.showStatusMessage(`Loaded scene '${name}'`);
+        } catch (error) {
+            console.error('Failed to load scene:', error);
+            this.showStatusMessage(`Could not load scene: ${error.message}`, 4000);
+        }
+    }
+
+    deleteSceneSlot() {
+        const name = this.sceneSlotInput.value.trim();
+        if (!loadSceneFromStorage(name)) {
+            this.showStatusMessage(name ? `No saved scene named '${name}'` : 'Pick a saved scene to delete');
+            return;
+        }
+
+        deleteSavedScene(name);
+        this.sceneSlotInput.value = '';
+        this.updateSceneSlots();
+        this.showStatusMessage(`Deleted scene '${name}'`);
+    }
+
+    exportScene() {
+        this.downloadFile('physics-scene.json', JSON.stringify(this.getSceneDescription(), null, 2), 'application/json');
+        this.showStatusMessage(`Exported ${this.objects.length} objects`);
+    }
+
+    async importScene() {
+        try {
+            const text = await this.openFile('.json,application/json');
+            if (text === null) return;
+
+            this.loadScene(JSON.parse(text));
+            this.showStatusMessage('Scene imported');
+        } catch (error) {
+            console.error('Failed to import scene:', error);
+            this.showStatusMessage(`Could not import scene: ${error.message}`, 4000);
+        }
+    }
+
     // Synchronize visual meshes with physics bodies
     synchronizeVisuals() {
+        // How far the clock has moved into the next step; a paused world shows its latest state
+        const alpha = this.simulationPaused || !this.world ? 1 : this.accumulator / this.world.timestep;
+
         this.objects.forEach(object => {
             if (object.body) {
                 // Get physics body position and rotation
@@ -906,6 +2112,12 @@ VistaKine.PhysicsPlayground = class {
                 // Update visual mesh position and rotation
                 object.position.set(translation.x, translation.y, translation.z);
                 object.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+
+                // Blend from the pose before the last step to hide the step rate
+                if (object.previousPosition && alpha < 1) {
+                    object.position.lerp(object.previousPosition, 1 - alpha);
+                    object.quaternion.slerp(object.previousQuaternion, 1 - alpha);
+                }
             }
         });
     }
@@ -942,29 +2154,90 @@ VistaKine.PhysicsPlayground = class {
         console.log('Disposing Physics Playground');
 
         // Stop animation loop
-        this.animating = false;
+        this.pause();
 
         // Remove event listeners
         window.removeEventListener('resize', this.handleResize);
+        document.removeEventListener('vistakine:settingsUpdated', this.handleSettingsUpdate);
+        physicsService.unregister(this);
+
+        if (this.dragger) {
+            this.dragger.dispose();
+            this.dragger = null;
+        }
+        if (this.inspector) {
+            this.inspector.dispose();
+            this.inspector = null;
+        }
 
         // Remove all objects
         this.clearAllObjects();
 
+        if (this.physicsDebug) {
+            this.physicsDebug.dispose();
+            this.physicsDebug = null;
+        }
+        if (this.jointVisuals) {
+            this.jointVisuals.dispose();
+            this.jointVisuals = null;
+        }
+        if (this.motionOverlays) {
+            this.motionOverlays.dispose();
+            this.motionOverlays = null;
+        }
+        if (this.environmentGlyphs) {
+            this.environmentGlyphs.dispose();
+            this.environmentGlyphs = null;
+        }
+        if (this.environmentPanel) {
+            this.environmentPanel.dispose();
+            this.environmentPanel = null;
+        }
+        if (this.telemetryPanel) {
+            this.telemetryPanel.dispose();
+            this.telemetryPanel = null;
+        }
+        if (this.collisionLogPanel) {
+            this.collisionLogPanel.dispose();
+            this.collisionLogPanel = null;
+        }
+        if (this.collisionFlashes) {
+            this.collisionFlashes.dispose();
+            this.collisionFlashes = null;
+        }
+        if (this.collisionMonitor) {
+            this.collisionMonitor.dispose();
+            this.collisionMonitor = null;
+        }
+
         // Remove UI elements
-        const uiContainer = document.getElementById('physics-ui-container');
-        if (uiContainer && uiContainer.parentNode) {
-            uiContainer.parentNode.removeChild(uiContainer);
+        if (this.uiContainer && this.uiContainer.parentNode) {
+            this.uiContainer.parentNode.removeChild(this.uiContainer);
         }
 
         // Clean up THREE.js resources
+        if (this.controls) {
+            this.controls.dispose();
+        }
         if (this.renderer) {
+            rendererService.release(this.renderer);
             this.renderer.dispose();
+            this.renderer.domElement.remove();
+        }
+
+        // Release the Rapier world's WASM memory
+        if (this.world) {
+            this.world.free();
+            this.world = null;
         }
     }
 
     // Toggle physics debug visualization
     togglePhysicsDebug(enabled) {
-        this.physicsDebugEnabled = enabled === undefined ? !this.physicsDebugEnabled : enabled;
+        const next = enabled === undefined ? !this.physicsDebugEnabled : enabled;
+        // Development settings are applied again on every change to any of them
+        if (next === this.physicsDebugEnabled) return next;
+        this.physicsDebugEnabled = next;
 
         if (this.physicsDebugEnabled) {
             this.showPhysicsDebug();
@@ -975,6 +2248,23 @@ VistaKine.PhysicsPlayground = class {
         return this.physicsDebugEnabled;
     }
 
+    // Overlay Rapier's view of the world: collider outlines, contacts and sleep state
+    showPhysicsDebug() {
+        if (!this.physicsDebug) {
+            this.physicsDebug = new PhysicsDebugRenderer(this.scene);
+        }
+        this.physicsDebug.setVisible(true);
+        this.physicsDebug.update(this.world, this.objects);
+
+        this.showStatusMessage('Physics debug: collider outlines, bounding boxes in yellow, contacts in red, awake bodies green, sleeping blue', 3000);
+    }
+
+    hidePhysicsDebug() {
+        if (this.physicsDebug) {
+            this.physicsDebug.setVisible(false);
+        }
+    }
+
     // Update status message styling method
     showStatusMessage(message, duration = 2000) {
         const statusMsg = document.createElement('div');
@@ -1104,6 +2394,29 @@ VistaKine.PhysicsPlayground = class {
         }
     }
 
+    // Visualization engine lifecycle - see VistaKine.visualization.register()
+    create() {
+        return this.init();
+    }
+
+    resize() {
+        this.handleResize();
+    }
+
+    pause() {
+        this.animating = false;
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    resume() {
+        if (!this.animating) {
+            this.startAnimation();
+        }
+    }
+
     // Alias methods for compatibility with both name sets
     setupEventListeners() {
         this.setupEvents();
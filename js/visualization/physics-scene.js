@@ -0,0 +1,376 @@
+/**
+ * Physics Scenes
+ *
+ * A versioned JSON format for physics playground setups, so a prepared
+ * experiment can be exported, imported, kept in a browser slot or shipped
+ * with a section through `data-scene`.
+ *
+ * A scene lists gravity and the other environmental forces, the camera, every body with its shape, pose,
+ * velocity and material, and the joints between bodies. Joints name their
+ * bodies by index in `bodies` and give each anchor in its body's local frame.
+ * A joint whose second body is null holds its first body to the world, and
+ * its second anchor is a point in world space.
+ *
+ * Unlike a replay, a scene holds no Rapier snapshot: it is plain data an
+ * author can write by hand, and loading it builds the world from scratch.
+ */
+
+import { DEFAULT_GRAVITY } from './physics-world.js';
+import { DEFAULT_ENVIRONMENT } from './physics-environment.js';
+
+export const SCENE_FORMAT = 'vistakine-physics-scene';
+export const SCENE_VERSION = 1;
+
+export const SHAPE_TYPES = ['box', 'sphere', 'cylinder'];
+export const JOINT_TYPES = ['fixed', 'spherical', 'revolute', 'prismatic', 'rope', 'spring'];
+
+// Joints that turn or slide about an axis
+const AXIS_JOINTS = ['revolute', 'prismatic'];
+
+// localStorage key holding every saved slot, next to 'vistaKineSettings'
+const STORAGE_KEY = 'vistaKineScenes';
+
+const DEFAULT_CAMERA = {
+    position: { x: 0, y: 10, z: 20 },
+    target: { x: 0, y: 0, z: 0 }
+};
+
+const DEFAULT_MATERIAL = {
+    friction: 0.5,
+    restitution: 0.3,
+    linearDamping: 0,
+    angularDamping: 0
+};
+
+const DEFAULT_SPRING = {
+    stiffness: 50,
+    damping: 0.5
+};
+
+const ZERO = { x: 0, y: 0, z: 0 };
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function writeVector(v) {
+    return { x: round(v.x), y: round(v.y), z: round(v.z) };
+}
+
+function writeRotation(q) {
+    return { x: round(q.x), y: round(q.y), z: round(q.z), w: round(q.w) };
+}
+
+function readNumber(value, name, fallback, min = -Infinity) {
+    if (value === undefined) {
+        if (fallback === undefined) throw new Error(`${name} is missing`);
+        return fallback;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+        throw new Error(`${name} must be a number${min > -Infinity ? ` of at least ${min}` : ''}`);
+    }
+    return value;
+}
+
+function readVector(value, name, fallback) {
+    if (value === undefined && fallback !== undefined) return { ...fallback };
+    if (!value || typeof value !== 'object') throw new Error(`${name} must be an {x, y, z} object`);
+    return {
+        x: readNumber(value.x, `${name}.x`, 0),
+        y: readNumber(value.y, `${name}.y`, 0),
+        z: readNumber(value.z, `${name}.z`, 0)
+    };
+}
+
+function readRotation(value, name) {
+    if (value === undefined) return { x: 0, y: 0, z: 0, w: 1 };
+    const q = {
+        ...readVector(value, name),
+        w: readNumber(value.w, `${name}.w`, 1)
+    };
+    const length = Math.hypot(q.x, q.y, q.z, q.w);
+    if (length === 0) throw new Error(`${name} is not a rotation`);
+    return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+}
+
+function readShape(shapeType, shape, name) {
+    if (!shape || typeof shape !== 'object') throw new Error(`${name} is missing`);
+
+    switch (shapeType) {
+        case 'box':
+            return {
+                halfExtents: {
+                    x: readNumber(shape.halfExtents && shape.halfExtents.x, `${name}.halfExtents.x`, undefined, 0.01),
+                    y: readNumber(shape.halfExtents && shape.halfExtents.y, `${name}.halfExtents.y`, undefined, 0.01),
+                    z: readNumber(shape.halfExtents && shape.halfExtents.z, `${name}.halfExtents.z`, undefined, 0.01)
+                }
+            };
+        case 'sphere':
+            return { radius: readNumber(shape.radius, `${name}.radius`, undefined, 0.01) };
+        case 'cylinder':
+            return {
+                radius: readNumber(shape.radius, `${name}.radius`, undefined, 0.01),
+                height: readNumber(shape.height, `${name}.height`, undefined, 0.01)
+            };
+        default:
+            throw new Error(`${name.replace(/\.physicsShape$/, '')}.shapeType must be one of ${SHAPE_TYPES.join(', ')}`);
+    }
+}
+
+function readBody(body, index) {
+    const name = `bodies[${index}]`;
+    if (!body || typeof body !== 'object') throw new Error(`${name} must be an object`);
+
+    const fixed = body.fixed === true;
+    const material = body.material || {};
+
+    return {
+        shapeType: body.shapeType,
+        physicsShape: readShape(body.shapeType, body.physicsShape, `${name}.physicsShape`),
+        fixed,
+        position: readVector(body.position, `${name}.position`),
+        rotation: readRotation(body.rotation, `${name}.rotation`),
+        linearVelocity: readVector(body.linearVelocity, `${name}.linearVelocity`, ZERO),
+        angularVelocity: readVector(body.angularVelocity, `${name}.angularVelocity`, ZERO),
+        material: {
+            // Without a mass the collider's volume at density 1 decides it
+            mass: material.mass === undefined ? null : readNumber(material.mass, `${name}.material.mass`, undefined, 0.01),
+            friction: readNumber(material.friction, `${name}.material.friction`, DEFAULT_MATERIAL.friction, 0),
+            restitution: readNumber(material.restitution, `${name}.material.restitution`, DEFAULT_MATERIAL.restitution, 0),
+            linearDamping: readNumber(material.linearDamping, `${name}.material.linearDamping`, DEFAULT_MATERIAL.linearDamping, 0),
+            angularDamping: readNumber(material.angularDamping, `${name}.material.angularDamping`, DEFAULT_MATERIAL.angularDamping, 0),
+            color: material.color === undefined ? '#888888' : material.color
+        }
+    };
+}
+
+function readJoint(joint, index, bodyCount) {
+    const name = `joints[${index}]`;
+    if (!joint || typeof joint !== 'object') throw new Error(`${name} must be an object`);
+    if (!JOINT_TYPES.includes(joint.type)) {
+        throw new Error(`${name}.type must be one of ${JOINT_TYPES.join(', ')}`);
+    }
+
+    const bodies = joint.bodies;
+    const isBody = i => Number.isInteger(i) && i >= 0 && i < bodyCount;
+    if (!Array.isArray(bodies) || bodies.length !== 2 ||
+        !isBody(bodies[0]) || !(isBody(bodies[1]) || bodies[1] === null) || bodies[0] === bodies[1]) {
+        throw new Error(`${name}.bodies must name two different bodies by index, or a body and null for the world`);
+    }
+
+    const anchors = joint.anchors || [ZERO, ZERO];
+    if (!Array.isArray(anchors) || anchors.length !== 2) {
+        throw new Error(`${name}.anchors must hold one anchor per body`);
+    }
+
+    const description = {
+        type: joint.type,
+        bodies: [...bodies],
+        anchors: anchors.map((anchor, i) => readVector(anchor, `${name}.anchors[${i}]`))
+    };
+
+    if (AXIS_JOINTS.includes(joint.type)) {
+        const axis = readVector(joint.axis, `${name}.axis`);
+        const length = Math.hypot(axis.x, axis.y, axis.z);
+        if (length === 0) throw new Error(`${name}.axis must not be zero`);
+        description.axis = { x: axis.x / length, y: axis.y / length, z: axis.z / length };
+    }
+
+    // Body 1's rotation in body 2's frame, which a weld keeps; a hinge or
+    // slider between two bodies measures its axis in both frames without it
+    const turnedAxis = AXIS_JOINTS.includes(joint.type) && bodies[1] !== null && joint.rotation !== undefined;
+    if (joint.type === 'fixed' || turnedAxis) {
+        description.rotation = readRotation(joint.rotation, `${name}.rotation`);
+    }
+    if (joint.type === 'rope') {
+        description.length = readNumber(joint.length, `${name}.length`, undefined, 0.01);
+    }
+    if (joint.type === 'spring') {
+        description.restLength = readNumber(joint.restLength, `${name}.restLength`, undefined, 0);
+        description.stiffness = readNumber(joint.stiffness, `${name}.stiffness`, DEFAULT_SPRING.stiffness, 0);
+        description.damping = readNumber(joint.damping, `${name}.damping`, DEFAULT_SPRING.damping, 0);
+    }
+
+    // Orientation of the world anchor, which the joint's axis and frames are measured in
+    if (bodies[1] === null) {
+        description.worldRotation = readRotation(joint.worldRotation, `${name}.worldRotation`);
+    }
+
+    return description;
+}
+
+function readEnvironment(environment = {}) {
+    if (typeof environment !== 'object' || environment === null) {
+        throw new Error('environment must be an object');
+    }
+
+    const defaults = DEFAULT_ENVIRONMENT;
+    const buoyancy = environment.buoyancy || {};
+    const attractors = environment.attractors || [];
+    if (!Array.isArray(attractors)) throw new Error('environment.attractors must be a list');
+
+    return {
+        wind: readVector(environment.wind, 'environment.wind', defaults.wind),
+        airDensity: readNumber(environment.airDensity, 'environment.airDensity', defaults.airDensity, 0),
+        dragCoefficient: readNumber(environment.dragCoefficient, 'environment.dragCoefficient', defaults.dragCoefficient, 0),
+        buoyancy: {
+            enabled: buoyancy.enabled === true,
+            level: readNumber(buoyancy.level, 'environment.buoyancy.level', defaults.buoyancy.level, 0),
+            density: readNumber(buoyancy.density, 'environment.buoyancy.density', defaults.buoyancy.density, 0)
+        },
+        attractors: attractors.map((attractor, i) => ({
+            position: readVector(attractor && attractor.position, `environment.attractors[${i}].position`),
+            strength: readNumber(attractor && attractor.strength, `environment.attractors[${i}].strength`)
+        }))
+    };
+}
+
+/**
+ * Describe the playground as a scene
+ *
+ * @param {object} state
+ * @param {object} state.gravity - World gravity
+ * @param {object} state.environment - PhysicsEnvironment.toJSON(); its gravity is ignored
+ * @param {THREE.Camera} state.camera
+ * @param {THREE.Vector3} state.target - Point the camera orbits
+ * @param {THREE.Mesh[]} state.objects - Meshes carrying `body`, `shapeType` and `physicsShape`
+ * @param {object[]} state.joints - Joint records, { type, bodies: [mesh, mesh or null], anchors, ... }
+ * @returns {object} JSON-ready scene
+ */
+export function serializeScene({ gravity, environment = DEFAULT_ENVIRONMENT, camera, target, objects, joints = [] }) {
+    return {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        gravity: writeVector(gravity),
+        environment: {
+            wind: writeVector(environment.wind),
+            airDensity: environment.airDensity,
+            dragCoefficient: environment.dragCoefficient,
+            buoyancy: { ...environment.buoyancy },
+            attractors: environment.attractors.map(attractor => ({
+                position: writeVector(attractor.position),
+                strength: attractor.strength
+            }))
+        },
+        camera: {
+            position: writeVector(camera.position),
+            target: writeVector(target)
+        },
+        bodies: objects.map(mesh => {
+            const body = mesh.body;
+            const collider = body.collider(0);
+            const rotation = body.rotation();
+            const fixed = body.isFixed();
+
+            return {
+                shapeType: mesh.shapeType,
+                physicsShape: mesh.physicsShape,
+                fixed,
+                position: writeVector(body.translation()),
+                rotation: writeRotation(rotation),
+                linearVelocity: writeVector(body.linvel()),
+                angularVelocity: writeVector(body.angvel()),
+                material: {
+                    ...(fixed ? {} : { mass: round(body.mass()) }),
+                    friction: round(collider.friction()),
+                    restitution: round(collider.restitution()),
+                    linearDamping: round(body.linearDamping()),
+                    angularDamping: round(body.angularDamping()),
+                    color: `#${mesh.material.color.getHexString()}`
+                }
+            };
+        }),
+        joints: joints
+            .filter(joint => joint.bodies.every(mesh => mesh === null || objects.includes(mesh)))
+            .map(joint => {
+                const description = {
+                    type: joint.type,
+                    bodies: joint.bodies.map(mesh => mesh === null ? null : objects.indexOf(mesh)),
+                    anchors: joint.anchors.map(writeVector)
+                };
+                if (joint.axis) description.axis = writeVector(joint.axis);
+                if (joint.rotation) description.rotation = writeRotation(joint.rotation);
+                if (joint.worldRotation) description.worldRotation = writeRotation(joint.worldRotation);
+                ['length', 'restLength', 'stiffness', 'damping'].forEach(key => {
+                    if (joint[key] !== undefined) description[key] = round(joint[key]);
+                });
+                return description;
+            })
+    };
+}
+
+/**
+ * Check a scene and fill in every optional field
+ *
+ * @param {object} data - Parsed scene JSON
+ * @returns {object} The scene with defaults applied
+ */
+export function parseScene(data) {
+    if (!data || data.format !== SCENE_FORMAT) {
+        throw new Error('Not a VistaKine physics scene file');
+    }
+    if (data.version !== SCENE_VERSION) {
+        throw new Error(`Unsupported scene version ${data.version}`);
+    }
+    if (!Array.isArray(data.bodies)) {
+        throw new Error('The scene has no bodies list');
+    }
+
+    const camera = data.camera || {};
+    const bodies = data.bodies.map(readBody);
+    const joints = (data.joints || []).map((joint, i) => readJoint(joint, i, bodies.length));
+
+    return {
+        gravity: readVector(data.gravity, 'gravity', DEFAULT_GRAVITY),
+        environment: readEnvironment(data.environment),
+        camera: {
+            position: readVector(camera.position, 'camera.position', DEFAULT_CAMERA.position),
+            target: readVector(camera.target, 'camera.target', DEFAULT_CAMERA.target)
+        },
+        bodies,
+        joints
+    };
+}
+
+function readSlots() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable saved physics scenes:', error);
+        return {};
+    }
+}
+
+/**
+ * Names of the scenes saved in this browser
+ */
+export function listSavedScenes() {
+    return Object.keys(readSlots()).sort();
+}
+
+/**
+ * Save a scene under a name, replacing any scene with that name
+ */
+export function saveSceneToStorage(name, scene) {
+    const slots = readSlots();
+    slots[name] = scene;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(slots));
+    } catch (error) {
+        throw new Error('The browser refused to store the scene; free some space by deleting saved scenes');
+    }
+}
+
+/**
+ * The scene saved under a name, or null
+ */
+export function loadSceneFromStorage(name) {
+    const slots = readSlots();
+    return Object.prototype.hasOwnProperty.call(slots, name) ? slots[name] : null;
+}
+
+export function deleteSavedScene(name) {
+    const slots = readSlots();
+    delete slots[name];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(slots));
+}
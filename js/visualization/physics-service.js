@@ -0,0 +1,149 @@
+/**
+ * VistaKine Physics Service
+ *
+ * Keeps running physics playgrounds in step with the Physics Quality and
+ * Maximum Physics Objects settings. The settings module calls setQuality()
+ * and setMaxObjects(); each registered playground picks the change up
+ * straight away.
+ *
+ * A quality preset sets the Rapier solver iterations, how many fixed steps
+ * the playground takes per 1/60 s of simulated time, and whether dynamic
+ * bodies use continuous collision detection (CCD) so fast objects cannot
+ * tunnel through walls.
+ *
+ * The chapter demos built on PhysicsVisualization tune their own worlds for
+ * the effect they show and are left alone.
+ */
+
+if (!window.VistaKine) {
+    window.VistaKine = {};
+}
+
+// Simulated time split evenly across a preset's substeps
+export const FRAME_TIMESTEP = 1 / 60;
+
+export const PHYSICS_PRESETS = {
+    low: {
+        solverIterations: 2,
+        substeps: 1,
+        ccd: false
+    },
+    medium: {
+        solverIterations: 4,
+        substeps: 2,
+        ccd: false
+    },
+    high: {
+        solverIterations: 8,
+        substeps: 3,
+        ccd: true
+    }
+};
+
+VistaKine.physics = {
+    // Requested level: 'auto', 'low', 'medium' or 'high'
+    quality: 'auto',
+    maxObjects: 100,
+
+    // Playgrounds notified when a setting changes
+    playgrounds: new Set(),
+
+    /**
+     * Pick a preset for 'auto' from the device, as the settings panel describes it
+     */
+    detectQuality: function() {
+        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        if (isMobile && window.screen.width < 768) return 'low';
+        if (!isMobile && window.devicePixelRatio > 1) return 'high';
+        return 'medium';
+    },
+
+    /**
+     * The preset in effect, with 'auto' resolved
+     */
+    getPreset: function() {
+        const level = this.quality === 'auto' ? this.detectQuality() : this.quality;
+        return PHYSICS_PRESETS[level];
+    },
+
+    /**
+     * Start sending setting changes to a playground; call once its world exists
+     */
+    register: function(playground) {
+        this.playgrounds.add(playground);
+        this.applyToWorld(playground.world);
+    },
+
+    unregister: function(playground) {
+        this.playgrounds.delete(playground);
+    },
+
+    /**
+     * Solver iterations, substep length and CCD on every dynamic body
+     */
+    applyToWorld: function(world) {
+        if (!world) return;
+
+        const preset = this.getPreset();
+        world.numSolverIterations = preset.solverIterations;
+        world.timestep = FRAME_TIMESTEP / preset.substeps;
+
+        world.forEachRigidBody(body => {
+            if (body.isDynamic()) body.enableCcd(preset.ccd);
+        });
+    },
+
+    /**
+     * Apply the current CCD choice to a body that is about to be created
+     *
+     * @param {RAPIER.RigidBodyDesc} bodyDesc
+     * @returns {RAPIER.RigidBodyDesc} The same description, for chaining
+     */
+    configureBody: function(bodyDesc) {
+        return bodyDesc.setCcdEnabled(this.getPreset().ccd);
+    },
+
+    /**
+     * How many more objects fit under the limit
+     */
+    getRemainingCapacity: function(objectCount) {
+        return Math.max(0, this.maxObjects - objectCount);
+    },
+
+    getLimitMessage: function() {
+        return `Object limit of ${this.maxObjects} reached. Clear some objects or raise Maximum Physics Objects in Settings.`;
+    },
+
+    setQuality: function(quality) {
+        if (quality !== 'auto' && !PHYSICS_PRESETS[quality]) {
+            console.warn(`Unknown physics quality '${quality}', keeping '${this.quality}'`);
+            return;
+        }
+
+        this.quality = quality;
+        this.playgrounds.forEach(playground => playground.applyPhysicsSettings());
+    },
+
+    /**
+     * Objects already in a playground stay; the limit only stops new ones
+     */
+    setMaxObjects: function(maxObjects) {
+        const value = parseInt(maxObjects, 10);
+        if (!(value > 0)) {
+            console.warn(`Invalid maximum object count '${maxObjects}', keeping ${this.maxObjects}`);
+            return;
+        }
+
+        this.maxObjects = value;
+        this.playgrounds.forEach(playground => playground.applyPhysicsSettings());
+    }
+};
+
+// Pick up settings that were applied before this module loaded
+const developmentSettings = VistaKine.settings && VistaKine.settings.current && VistaKine.settings.current.development;
+if (developmentSettings) {
+    VistaKine.physics.setQuality(developmentSettings.physicsQuality);
+    VistaKine.physics.setMaxObjects(developmentSettings.maxObjects);
+}
+
+export default VistaKine.physics;
@@ -0,0 +1,237 @@
+/**
+ * Physics Telemetry
+ *
+ * Time series recorded from the playground while it runs: total kinetic and
+ * potential energy, total linear and angular momentum, and the position,
+ * velocity and acceleration of one selected body.
+ *
+ * Potential energy counts gravity, the attractors and stretched springs.
+ * Drag, buoyancy, friction and inelastic collisions do work that is not
+ * stored anywhere, so the total only stays flat while none of them act.
+ * Angular momentum is taken about the origin. Acceleration is the change in
+ * velocity between samples.
+ *
+ * Samples are plain objects keyed by channel, with `time` in simulated
+ * seconds. Recording after a rewind or a scene load, when time has gone
+ * back, drops the samples from the abandoned run.
+ */
+
+import { kineticEnergy } from './physics-world.js';
+
+export const TELEMETRY_FORMAT = 'vistakine-physics-telemetry';
+export const TELEMETRY_VERSION = 1;
+
+// Channels in column order; `group` is the quantity they are plotted with
+export const CHANNELS = [
+    { key: 'kinetic', label: 'Kinetic energy', unit: 'J', group: 'energy' },
+    { key: 'potential', label: 'Potential energy', unit: 'J', group: 'energy' },
+    { key: 'total', label: 'Total energy', unit: 'J', group: 'energy' },
+    { key: 'px', label: 'Momentum x', unit: 'kg·m/s', group: 'momentum' },
+    { key: 'py', label: 'Momentum y', unit: 'kg·m/s', group: 'momentum' },
+    { key: 'pz', label: 'Momentum z', unit: 'kg·m/s', group: 'momentum' },
+    { key: 'Lx', label: 'Angular momentum x', unit: 'kg·m²/s', group: 'angularMomentum' },
+    { key: 'Ly', label: 'Angular momentum y', unit: 'kg·m²/s', group: 'angularMomentum' },
+    { key: 'Lz', label: 'Angular momentum z', unit: 'kg·m²/s', group: 'angularMomentum' },
+    { key: 'x', label: 'Position x', unit: 'm', group: 'position', body: true },
+    { key: 'y', label: 'Position y', unit: 'm', group: 'position', body: true },
+    { key: 'z', label: 'Position z', unit: 'm', group: 'position', body: true },
+    { key: 'vx', label: 'Velocity x', unit: 'm/s', group: 'velocity', body: true },
+    { key: 'vy', label: 'Velocity y', unit: 'm/s', group: 'velocity', body: true },
+    { key: 'vz', label: 'Velocity z', unit: 'm/s', group: 'velocity', body: true },
+    { key: 'ax', label: 'Acceleration x', unit: 'm/s²', group: 'acceleration', body: true },
+    { key: 'ay', label: 'Acceleration y', unit: 'm/s²', group: 'acceleration', body: true },
+    { key: 'az', label: 'Acceleration z', unit: 'm/s²', group: 'acceleration', body: true }
+];
+
+export const CHANNEL_GROUPS = {
+    energy: { label: 'Energy', unit: 'J' },
+    momentum: { label: 'Momentum', unit: 'kg·m/s' },
+    angularMomentum: { label: 'Angular momentum', unit: 'kg·m²/s' },
+    position: { label: 'Position (selected)', unit: 'm' },
+    velocity: { label: 'Velocity (selected)', unit: 'm/s' },
+    acceleration: { label: 'Acceleration (selected)', unit: 'm/s²' }
+};
+
+const BODY_KEYS = CHANNELS.filter(channel => channel.body).map(channel => channel.key);
+
+/**
+ * World position of a joint anchor on a body, or the anchor itself for the world
+ */
+function anchorPosition(body, anchor) {
+    const point = new THREE.Vector3().copy(anchor);
+    if (!body) return point;
+    return point.applyQuaternion(body.rotation()).add(body.translation());
+}
+
+/**
+ * Spin angular momentum Iω in world axes
+ */
+function spinMomentum(body) {
+    const principalFrame = new THREE.Quaternion().copy(body.rotation())
+        .multiply(new THREE.Quaternion().copy(body.principalInertiaLocalFrame()));
+    const omega = new THREE.Vector3().copy(body.angvel()).applyQuaternion(principalFrame.clone().invert());
+    const inertia = body.principalInertia();
+    omega.set(inertia.x * omega.x, inertia.y * omega.y, inertia.z * omega.z);
+    return omega.applyQuaternion(principalFrame);
+}
+
+export default class PhysicsTelemetry {
+    /**
+     * @param {object} options
+     * @param {number} options.interval - Simulated seconds between samples
+     * @param {number} options.capacity - Oldest samples are dropped beyond this
+     */
+    constructor({ interval = 1 / 30, capacity = 6000 } = {}) {
+        this.interval = interval;
+        this.capacity = capacity;
+
+        this.samples = [];
+        // Mesh whose kinematics are recorded
+        this.target = null;
+        this.previousVelocity = null;
+    }
+
+    latest() {
+        return this.samples[this.samples.length - 1] || null;
+    }
+
+    /**
+     * Whether enough simulated time has passed for another sample
+     */
+    isDue(time) {
+        const latest = this.latest();
+        return !latest || time < latest.time || time - latest.time >= this.interval - 1e-9;
+    }
+
+    /**
+     * Follow another body; its columns in the samples so far are cleared, so
+     * a column never mixes two bodies
+     */
+    setTarget(mesh) {
+        if (mesh === this.target) return;
+
+        this.target = mesh;
+        this.previousVelocity = null;
+        this.samples.forEach(sample => BODY_KEYS.forEach(key => {
+            sample[key] = null;
+        }));
+    }
+
+    clear() {
+        this.samples = [];
+        this.previousVelocity = null;
+    }
+
+    /**
+     * Take a sample of the world as it is now
+     *
+     * @param {number} time - Simulated time
+     * @param {THREE.Mesh[]} objects - Meshes carrying `body`
+     * @param {object[]} joints - Joint records; springs store energy
+     * @param {PhysicsEnvironment} environment - For the potential energy
+     * @returns {object} The sample
+     */
+    record(time, objects, joints, environment) {
+        // Time went back: the samples after it belong to a run that no longer exists
+        const latest = this.latest();
+        if (latest && time < latest.time) {
+            this.samples = this.samples.filter(sample => sample.time < time);
+            this.previousVelocity = null;
+        }
+
+        const sample = { time, kinetic: 0, potential: 0 };
+        const momentum = new THREE.Vector3();
+        const angularMomentum = new THREE.Vector3();
+        const position = new THREE.Vector3();
+        const linear = new THREE.Vector3();
+
+        objects.forEach(mesh => {
+            const body = mesh.body;
+            if (!body || !body.isDynamic()) return;
+
+            const mass = body.mass();
+            position.copy(body.translation());
+            linear.copy(body.linvel()).multiplyScalar(mass);
+
+            sample.kinetic += kineticEnergy(body);
+            sample.potential += mass * environment.potentialAt(position);
+            momentum.add(linear);
+            angularMomentum.add(position.cross(linear)).add(spinMomentum(body));
+        });
+
+        joints.forEach(joint => {
+            if (joint.type !== 'spring') return;
+            const [first, second] = joint.bodies;
+            const length = anchorPosition(first.body, joint.anchors[0])
+                .distanceTo(anchorPosition(second && second.body, joint.anchors[1]));
+            sample.potential += 0.5 * joint.stiffness * (length - joint.restLength) ** 2;
+        });
+
+        sample.total = sample.kinetic + sample.potential;
+        sample.px = momentum.x;
+        sample.py = momentum.y;
+        sample.pz = momentum.z;
+        sample.Lx = angularMomentum.x;
+        sample.Ly = angularMomentum.y;
+        sample.Lz = angularMomentum.z;
+
+        BODY_KEYS.forEach(key => {
+            sample[key] = null;
+        });
+        if (this.target && this.target.body && objects.includes(this.target)) {
+            const body = this.target.body;
+            const translation = body.translation();
+            const velocity = body.linvel();
+            sample.x = translation.x;
+            sample.y = translation.y;
+            sample.z = translation.z;
+            sample.vx = velocity.x;
+            sample.vy = velocity.y;
+            sample.vz = velocity.z;
+
+            const previous = this.previousVelocity;
+            const latestSample = this.latest();
+            if (previous && latestSample && time > latestSample.time) {
+                const dt = time - latestSample.time;
+                sample.ax = (velocity.x - previous.x) / dt;
+                sample.ay = (velocity.y - previous.y) / dt;
+                sample.az = (velocity.z - previous.z) / dt;
+            }
+            this.previousVelocity = { x: velocity.x, y: velocity.y, z: velocity.z };
+        } else {
+            this.previousVelocity = null;
+        }
+
+        this.samples.push(sample);
+        if (this.samples.length > this.capacity) this.samples.shift();
+        return sample;
+    }
+
+    /**
+     * Spreadsheet-ready CSV, one row per sample; empty cells where the
+     * selected body was not recorded
+     */
+    toCSV() {
+        const header = ['Time (s)', ...CHANNELS.map(channel => `${channel.label} (${channel.unit})`)];
+        const rows = this.samples.map(sample => [
+            sample.time,
+            ...CHANNELS.map(channel => sample[channel.key])
+        ].map(value => value === null || value === undefined ? '' : String(value)).join(','));
+        return [header.join(','), ...rows].join('\n');
+    }
+
+    toJSON() {
+        return {
+            format: TELEMETRY_FORMAT,
+            version: TELEMETRY_VERSION,
+            channels: [
+                { key: 'time', label: 'Time', unit: 's' },
+                ...CHANNELS.map(({ key, label, unit }) => ({ key, label, unit }))
+            ],
+            samples: this.samples.map(sample => [
+                sample.time,
+                ...CHANNELS.map(channel => sample[channel.key] === undefined ? null : sample[channel.key])
+            ])
+        };
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * VistaKine Physics Visualization
+ *
+ * BaseVisualization with a Rapier world stepped at a fixed rate. Subclasses
+ * create bodies in buildPhysics(), act on them in beforeStep(), read results
+ * in afterStep(), and move meshes in updateVisuals(), which runs once per
+ * rendered frame whether or not the simulation is running.
+ */
+
+import BaseVisualization from './base-visualization.js';
+import { createPhysicsWorld } from './physics-world.js';
+
+// Upper bound on catch-up steps after a slow frame
+const MAX_STEPS_PER_FRAME = 8;
+
+export default class PhysicsVisualization extends BaseVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        // Passed to createPhysicsWorld(); demos rarely need the playground walls
+        this.worldOptions = { walls: false };
+
+        this.running = true;
+        this.accumulator = 0;
+        this.simulationTime = 0;
+    }
+
+    async build() {
+        const { RAPIER, world } = await createPhysicsWorld(this.worldOptions);
+        this.RAPIER = RAPIER;
+        this.world = world;
+
+        await this.buildPhysics();
+    }
+
+    /**
+     * Override to create bodies, meshes and controls
+     */
+    buildPhysics() {}
+
+    /**
+     * Override to apply forces before each physics step
+     */
+    beforeStep(timestep) {}
+
+    /**
+     * Override to read body state after each physics step
+     */
+    afterStep(timestep) {}
+
+    /**
+     * Override to move meshes and refresh readouts once per frame
+     */
+    updateVisuals(dt, elapsed) {}
+
+    update(dt, elapsed) {
+        if (this.running && this.world) {
+            this.accumulator += dt;
+
+            const timestep = this.world.timestep;
+            let steps = 0;
+            while (this.accumulator >= timestep && this.running && steps < MAX_STEPS_PER_FRAME) {
+                this.beforeStep(timestep);
+                this.world.step();
+                this.simulationTime += timestep;
+                this.afterStep(timestep);
+
+                this.accumulator -= timestep;
+                steps++;
+            }
+
+            // Drop time we could not catch up on instead of spiralling
+            if (steps === MAX_STEPS_PER_FRAME) this.accumulator = 0;
+        }
+
+        this.updateVisuals(dt, elapsed);
+    }
+
+    dispose() {
+        super.dispose();
+
+        if (this.world) {
+            this.world.free();
+            this.world = null;
+        }
+    }
+}
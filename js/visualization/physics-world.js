@@ -0,0 +1,120 @@
+/**
+ * VistaKine Physics World
+ *
+ * Shared Rapier setup for physics visualizations: initializes the WASM
+ * module once and builds a world with the playground's ground slab and,
+ * optionally, its boundary walls. Visual meshes are left to the caller.
+ * Also holds measurements of Rapier bodies shared by the playground panels.
+ */
+
+import RAPIER from '@dimforge/rapier3d-compat';
+
+export const DEFAULT_GRAVITY = { x: 0.0, y: -9.81, z: 0.0 };
+
+let rapierReady = null;
+
+/**
+ * Initialize Rapier, sharing one init between every visualization on the page
+ */
+export function initRapier() {
+    if (!rapierReady) {
+        rapierReady = RAPIER.init().then(() => RAPIER, error => {
+            // Let a later visualization retry
+            rapierReady = null;
+            throw error;
+        });
+    }
+    return rapierReady;
+}
+
+/**
+ * Create a world with a ground slab whose top face sits at y = 0
+ *
+ * @param {object} options
+ * @param {object} options.gravity - Gravity vector
+ * @param {number} options.groundSize - Width and depth of the ground
+ * @param {number} options.groundFriction - Ground friction coefficient
+ * @param {number} options.groundRestitution - Ground restitution
+ * @param {boolean} options.walls - Add walls around the edge of the ground
+ * @param {number} options.wallHeight - Height of the walls
+ * @param {number} options.wallThickness - Thickness of the walls
+ * @returns {Promise<{RAPIER, world, groundCollider, wallColliders}>}
+ */
+export async function createPhysicsWorld({
+    gravity = DEFAULT_GRAVITY,
+    groundSize = 40,
+    groundFriction = 0.8,
+    groundRestitution = 0.2,
+    walls = true,
+    wallHeight = 2.0,
+    wallThickness = 0.3
+} = {}) {
+    await initRapier();
+
+    const world = new RAPIER.World(gravity);
+    const halfGroundSize = groundSize / 2;
+    const groundThickness = 1;
+
+    const groundColliderDesc = RAPIER.ColliderDesc.cuboid(halfGroundSize, groundThickness / 2, halfGroundSize)
+        .setFriction(groundFriction)
+        .setRestitution(groundRestitution)
+        .setTranslation(0.0, -groundThickness / 2, 0.0);
+    const groundCollider = world.createCollider(groundColliderDesc);
+
+    const wallColliders = [];
+    if (walls) {
+        // North, south, east and west walls around the square ground
+        const wallDescs = [
+            {
+                desc: RAPIER.ColliderDesc.cuboid(halfGroundSize, wallHeight / 2, wallThickness / 2),
+                position: { x: 0, y: wallHeight / 2, z: halfGroundSize + wallThickness / 4 }
+            },
+            {
+                desc: RAPIER.ColliderDesc.cuboid(halfGroundSize, wallHeight / 2, wallThickness / 2),
+                position: { x: 0, y: wallHeight / 2, z: -halfGroundSize - wallThickness / 4 }
+            },
+            {
+                desc: RAPIER.ColliderDesc.cuboid(wallThickness / 2, wallHeight / 2, halfGroundSize),
+                position: { x: halfGroundSize + wallThickness / 4, y: wallHeight / 2, z: 0 }
+            },
+            {
+                desc: RAPIER.ColliderDesc.cuboid(wallThickness / 2, wallHeight / 2, halfGroundSize),
+                position: { x: -halfGroundSize - wallThickness / 4, y: wallHeight / 2, z: 0 }
+            }
+        ];
+
+        wallDescs.forEach(({ desc, position }) => {
+            desc.setFriction(0.3);
+            desc.setRestitution(0.4);
+            desc.setTranslation(position.x, position.y, position.z);
+            wallColliders.push(world.createCollider(desc));
+        });
+    }
+
+    return { RAPIER, world, groundCollider, wallColliders };
+}
+
+/**
+ * Translational plus rotational kinetic energy, ½mv² + ½ωᵀIω
+ *
+ * @param {RAPIER.RigidBody} body
+ * @param {object} linvel - Velocity to use instead of the body's current one
+ * @param {object} angvel - Angular velocity to use instead of the body's current one
+ */
+export function kineticEnergy(body, linvel = body.linvel(), angvel = body.angvel()) {
+    const v = new THREE.Vector3().copy(linvel);
+    const translational = 0.5 * body.mass() * v.lengthSq();
+
+    // Angular velocity in the body's principal axes, where the inertia tensor is diagonal
+    const principalFrame = new THREE.Quaternion().copy(body.rotation())
+        .multiply(new THREE.Quaternion().copy(body.principalInertiaLocalFrame()));
+    const omega = new THREE.Vector3().copy(angvel).applyQuaternion(principalFrame.invert());
+    const inertia = body.principalInertia();
+    const rotational = 0.5 * (
+        inertia.x * omega.x * omega.x +
+        inertia.y * omega.y * omega.y +
+        inertia.z * omega.z * omega.z
+    );
+
+    return translational + rotational;
+}
@@ -0,0 +1,308 @@
+/**
+ * VistaKine Renderer Service
+ *
+ * Creates the WebGL renderer for every visualization and keeps all of them in
+ * step with the Render Quality and Visual Effects settings. The settings
+ * module calls setQuality() and setPostProcessing(); the change is applied to
+ * each open renderer straight away.
+ *
+ * Visualizations keep using their THREE.WebGLRenderer directly, but draw and
+ * resize through render() and setSize() here so the post-processing chain
+ * (outline, tone mapping, FXAA) can sit between the scene and the canvas.
+ *
+ * The canvas antialias flag can only be chosen when a WebGL context is
+ * created, so it follows the preset active at that time. With post-processing
+ * on, antialiasing is done by the chain instead (multisampled targets or
+ * FXAA) and changes live like everything else.
+ */
+
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { OutlinePass } from 'three/examples/jsm/postprocessing/OutlinePass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { FXAAShader } from 'three/examples/jsm/shaders/FXAAShader.js';
+
+if (!window.VistaKine) {
+    window.VistaKine = {};
+}
+
+/**
+ * Quality presets. pixelRatio is an upper bound on window.devicePixelRatio;
+ * samples is the MSAA sample count of the post-processing targets.
+ */
+export const QUALITY_PRESETS = {
+    low: {
+        pixelRatio: 1,
+        antialias: false,
+        shadowMapSize: 512,
+        samples: 0,
+        fxaa: true,
+        outline: false,
+        toneMapping: THREE.NoToneMapping
+    },
+    medium: {
+        pixelRatio: 1.5,
+        antialias: true,
+        shadowMapSize: 1024,
+        samples: 4,
+        fxaa: false,
+        outline: true,
+        toneMapping: THREE.NeutralToneMapping
+    },
+    high: {
+        pixelRatio: 2,
+        antialias: true,
+        shadowMapSize: 2048,
+        samples: 4,
+        fxaa: true,
+        outline: true,
+        toneMapping: THREE.NeutralToneMapping
+    }
+};
+
+VistaKine.renderer = {
+    // Requested level: 'auto', 'low', 'medium' or 'high'
+    quality: 'auto',
+    postProcessing: true,
+
+    // Per-renderer state keyed by THREE.WebGLRenderer
+    entries: new Map(),
+
+    /**
+     * Pick a preset for 'auto' from the device, as the settings panel describes it
+     */
+    detectQuality: function() {
+        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        if (isMobile && window.screen.width < 768) return 'low';
+        if (!isMobile && window.devicePixelRatio > 1) return 'high';
+        return 'medium';
+    },
+
+    /**
+     * The preset in effect, with 'auto' resolved
+     */
+    getPreset: function() {
+        const level = this.quality === 'auto' ? this.detectQuality() : this.quality;
+        return QUALITY_PRESETS[level];
+    },
+
+    getPixelRatio: function() {
+        return Math.min(window.devicePixelRatio || 1, this.getPreset().pixelRatio);
+    },
+
+    /**
+     * Create a renderer configured for the current preset
+     *
+     * @param {object} options
+     * @param {boolean} options.shadows - Whether this visualization uses shadow maps
+     * @returns {THREE.WebGLRenderer}
+     */
+    createRenderer: function({ shadows = false } = {}) {
+        const preset = this.getPreset();
+        const renderer = new THREE.WebGLRenderer({ antialias: preset.antialias });
+
+        const entry = {
+            renderer,
+            shadows,
+            scene: null,
+            camera: null,
+            composer: null,
+            passes: null,
+            outlined: [],
+            sceneNeedsUpdate: true
+        };
+        this.entries.set(renderer, entry);
+
+        this.applyPreset(entry);
+        return renderer;
+    },
+
+    /**
+     * Draw a frame, through the post-processing chain when it is enabled
+     */
+    render: function(renderer, scene, camera) {
+        const entry = this.entries.get(renderer);
+        if (!entry) {
+            renderer.render(scene, camera);
+            return;
+        }
+
+        if (entry.scene !== scene || entry.camera !== camera) {
+            entry.scene = scene;
+            entry.camera = camera;
+            entry.sceneNeedsUpdate = true;
+            if (entry.passes) {
+                entry.passes.render.scene = entry.passes.outline.renderScene = scene;
+                entry.passes.render.camera = entry.passes.outline.renderCamera = camera;
+            }
+        }
+        if (entry.sceneNeedsUpdate) this.applyToScene(entry);
+
+        if (!this.postProcessing) {
+            renderer.render(scene, camera);
+            return;
+        }
+
+        if (!entry.composer) this.createComposer(entry);
+        entry.composer.render();
+    },
+
+    /**
+     * Resize the canvas and the post-processing targets together
+     */
+    setSize: function(renderer, width, height) {
+        renderer.setSize(width, height);
+
+        const entry = this.entries.get(renderer);
+        if (entry && entry.composer) {
+            entry.composer.setSize(width, height);
+            this.updateFxaaResolution(entry);
+        }
+    },
+
+    /**
+     * Objects to outline in the high presets, e.g. the current selection
+     */
+    setOutlined: function(renderer, objects) {
+        const entry = this.entries.get(renderer);
+        if (!entry) return;
+
+        entry.outlined = objects;
+        if (entry.passes) entry.passes.outline.selectedObjects = objects;
+    },
+
+    /**
+     * Forget a renderer and free its post-processing targets; call before renderer.dispose()
+     */
+    release: function(renderer) {
+        const entry = this.entries.get(renderer);
+        if (!entry) return;
+
+        this.disposeComposer(entry);
+        this.entries.delete(renderer);
+    },
+
+    setQuality: function(quality) {
+        if (quality !== 'auto' && !QUALITY_PRESETS[quality]) {
+            console.warn(`Unknown render quality '${quality}', keeping '${this.quality}'`);
+            return;
+        }
+
+        this.quality = quality;
+        this.entries.forEach(entry => {
+            // Sample counts and passes depend on the preset, so rebuild the chain
+            this.disposeComposer(entry);
+            this.applyPreset(entry);
+        });
+    },
+
+    setPostProcessing: function(enabled) {
+        this.postProcessing = Boolean(enabled);
+        this.entries.forEach(entry => {
+            this.disposeComposer(entry);
+            this.applyPreset(entry);
+        });
+    },
+
+    applyPreset: function(entry) {
+        const preset = this.getPreset();
+        const { renderer } = entry;
+
+        renderer.setPixelRatio(this.getPixelRatio());
+
+        // Tone mapping is part of the post-processing chain; without it keep the plain look
+        renderer.toneMapping = this.postProcessing ? preset.toneMapping : THREE.NoToneMapping;
+
+        if (entry.shadows) {
+            renderer.shadowMap.enabled = true;
+            renderer.shadowMap.type = preset.shadowMapSize > 512 ? THREE.PCFSoftShadowMap : THREE.BasicShadowMap;
+        }
+
+        entry.sceneNeedsUpdate = true;
+    },
+
+    /**
+     * Scene-side parts of a preset: shadow map resolution and shader recompiles
+     */
+    applyToScene: function(entry) {
+        entry.sceneNeedsUpdate = false;
+        if (!entry.scene || !entry.shadows) return;
+
+        const size = this.getPreset().shadowMapSize;
+        entry.scene.traverse(object => {
+            if (object.isLight && object.castShadow && object.shadow.mapSize.x !== size) {
+                object.shadow.mapSize.set(size, size);
+                if (object.shadow.map) {
+                    object.shadow.map.dispose();
+                    object.shadow.map = null;
+                }
+            }
+
+            // The shadow map type is compiled into the shaders
+            if (object.material) {
+                const materials = Array.isArray(object.material) ? object.material : [object.material];
+                materials.forEach(material => {
+                    material.needsUpdate = true;
+                });
+            }
+        });
+    },
+
+    createComposer: function(entry) {
+        const preset = this.getPreset();
+        const { renderer, scene, camera } = entry;
+        const size = renderer.getSize(new THREE.Vector2());
+
+        const target = new THREE.WebGLRenderTarget(size.x, size.y, {
+            type: THREE.HalfFloatType,
+            samples: preset.samples
+        });
+        const composer = new EffectComposer(renderer, target);
+        composer.setPixelRatio(renderer.getPixelRatio());
+        composer.setSize(size.x, size.y);
+
+        const passes = {
+            render: new RenderPass(scene, camera),
+            outline: new OutlinePass(size.clone(), scene, camera, entry.outlined),
+            output: new OutputPass(),
+            fxaa: new ShaderPass(FXAAShader)
+        };
+        passes.outline.enabled = preset.outline;
+        passes.outline.visibleEdgeColor.set(0xf59e0b);
+        passes.outline.hiddenEdgeColor.set(0x7c4a03);
+        passes.fxaa.enabled = preset.fxaa;
+
+        // FXAA works on display colors, so it runs after tone mapping and sRGB output
+        [passes.render, passes.outline, passes.output, passes.fxaa].forEach(pass => composer.addPass(pass));
+
+        entry.composer = composer;
+        entry.passes = passes;
+        this.updateFxaaResolution(entry);
+    },
+
+    updateFxaaResolution: function(entry) {
+        if (!entry.passes) return;
+
+        const size = entry.renderer.getDrawingBufferSize(new THREE.Vector2());
+        entry.passes.fxaa.material.uniforms.resolution.value.set(1 / size.x, 1 / size.y);
+    },
+
+    disposeComposer: function(entry) {
+        if (!entry.composer) return;
+
+        Object.values(entry.passes).forEach(pass => pass.dispose());
+        entry.composer.dispose();
+        entry.composer = null;
+        entry.passes = null;
+    }
+};
+
+// Pick up settings that were applied before this module loaded
+const performanceSettings = VistaKine.settings && VistaKine.settings.current && VistaKine.settings.current.performance;
+if (performanceSettings) {
+    VistaKine.renderer.setQuality(performanceSettings.renderQuality);
+    VistaKine.renderer.setPostProcessing(performanceSettings.enablePostProcessing);
+}
+
+export default VistaKine.renderer;
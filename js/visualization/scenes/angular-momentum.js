@@ -0,0 +1,250 @@
+/**
+ * Angular Momentum Visualization
+ *
+ * A puck circles a post on a frictionless table, held by a string. The puck
+ * is a Rapier body and the string is a stiff spring that can only pull, so
+ * its force always points at the post. With F parallel to r the torque
+ * r × F is zero and L = r × p stays fixed: shortening the string makes the
+ * puck spin faster. A sideways kick is the one action that changes L.
+ */
+
+import { formatNumber } from '../base-visualization.js';
+import PhysicsVisualization from '../physics-visualization.js';
+import { VectorArrow, CurlArrow, formatVector } from '../vector-kit.js';
+import { MotionTrail } from '../motion-overlays.js';
+
+const PUCK_RADIUS = 0.25;
+const PUCK_HEIGHT = 0.3;
+const PUCK_MASS = 1;
+
+// Spring constant and damping of the string, stiff enough to stay near its length
+const STRING_STIFFNESS = 400;
+const STRING_DAMPING = 4;
+
+const INITIAL_RADIUS = 3;
+const INITIAL_SPEED = 2;
+const KICK_IMPULSE = 0.5;
+
+const TRAIL_POINTS = 240;
+
+// Arrow lengths per kg·m/s and per kg·m²/s
+const MOMENTUM_SCALE = 0.5;
+const ANGULAR_MOMENTUM_SCALE = 0.3;
+
+const COLORS = {
+    puck: 0xf59e0b,
+    post: 0x4b5563,
+    string: 0x374151,
+    r: 0xef4444,
+    p: 0x2563eb,
+    L: 0x8b5cf6,
+    trail: 0xf59e0b
+};
+
+export default class AngularMomentum extends PhysicsVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [0, 7, 7];
+        this.cameraTarget = [0, 0.5, 0];
+
+        // The puck slides on a table, so gravity is balanced and left out
+        this.worldOptions = { gravity: { x: 0, y: 0, z: 0 }, walls: false };
+
+        this.stringLength = INITIAL_RADIUS;
+    }
+
+    buildPhysics() {
+        this.addGrid();
+
+        // Rapier splits each step into substeps but the string force is set once
+        // per step, which leaks a small torque; one substep keeps it purely radial
+        this.world.numSolverIterations = 1;
+
+        // Only horizontal motion; the puck does not need to roll
+        this.body = this.world.createRigidBody(
+            this.RAPIER.RigidBodyDesc.dynamic()
+                .setTranslation(INITIAL_RADIUS, PUCK_HEIGHT, 0)
+                .enabledTranslations(true, false, true)
+                .lockRotations()
+        );
+        this.world.createCollider(
+            this.RAPIER.ColliderDesc.ball(PUCK_RADIUS).setMass(PUCK_MASS),
+            this.body
+        );
+
+        this.createMeshes();
+        this.createControls();
+        this.reset();
+    }
+
+    createMeshes() {
+        const post = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.08, 0.08, PUCK_HEIGHT * 2, 12),
+            new THREE.MeshStandardMaterial({ color: COLORS.post })
+        );
+        post.position.y = PUCK_HEIGHT;
+        this.scene.add(post);
+
+        this.puck = new THREE.Mesh(
+            new THREE.CylinderGeometry(PUCK_RADIUS, PUCK_RADIUS, 0.15, 24),
+            new THREE.MeshStandardMaterial({ color: COLORS.puck, roughness: 0.5 })
+        );
+        this.scene.add(this.puck);
+
+        this.string = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+            new THREE.LineBasicMaterial({ color: COLORS.string })
+        );
+        this.scene.add(this.string);
+
+        this.trail = new MotionTrail({ color: COLORS.trail, points: TRAIL_POINTS, opacity: 0.5 });
+        this.scene.add(this.trail);
+
+        const label = (text, color) => this.createLabel(text, color, { fontSize: 40, height: 0.35 });
+        this.rArrow = new VectorArrow({ color: COLORS.r, radius: 0.025, label: label('r', COLORS.r) });
+        this.pArrow = new VectorArrow({ color: COLORS.p, radius: 0.04, label: label('p', COLORS.p) });
+        this.lArrow = new VectorArrow({ color: COLORS.L, radius: 0.06, label: label('L = r × p', COLORS.L) });
+        this.curl = new CurlArrow({ color: COLORS.L, radius: 0.4 });
+        this.scene.add(this.rArrow, this.pArrow, this.lArrow, this.curl);
+    }
+
+    createControls() {
+        const panel = this.createPanel('Puck on a String');
+
+        this.lengthSlider = this.addSlider(panel, {
+            label: 'String length (m)', min: 0.8, max: 4, step: 0.1, value: this.stringLength,
+            onInput: value => { this.stringLength = value; }
+        });
+
+        const row = this.createRow(panel);
+        this.addButton(row, 'Kick', () => this.kick());
+        this.runButton = this.addButton(row, 'Pause', () => this.setRunning(!this.running));
+        this.addButton(row, 'Reset', () => this.reset());
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        panel.appendChild(this.readout);
+    }
+
+    setRunning(running) {
+        this.running = running;
+        this.runButton.textContent = running ? 'Pause' : 'Play';
+    }
+
+    reset() {
+        this.stringLength = INITIAL_RADIUS;
+        this.lengthSlider.setValue(INITIAL_RADIUS);
+
+        // Start on the circle, moving counter-clockwise seen from above
+        this.body.setTranslation({ x: INITIAL_RADIUS, y: PUCK_HEIGHT, z: 0 }, true);
+        this.body.setLinvel({ x: 0, y: 0, z: -INITIAL_SPEED }, true);
+        this.body.resetForces(true);
+
+        this.accumulator = 0;
+        this.trail.clear();
+        this.initialL = this.getAngularMomentum().y;
+        this.setRunning(true);
+        this.syncVisuals();
+    }
+
+    /**
+     * An impulse along the direction of motion: the only way to change L here
+     */
+    kick() {
+        const velocity = this.body.linvel();
+        const direction = new THREE.Vector3(velocity.x, 0, velocity.z);
+        if (direction.lengthSq() < 1e-9) direction.set(0, 0, -1);
+        direction.normalize().multiplyScalar(KICK_IMPULSE);
+
+        this.body.applyImpulse({ x: direction.x, y: 0, z: direction.z }, true);
+        this.initialL = this.getAngularMomentum().y;
+    }
+
+    getRadius() {
+        const p = this.body.translation();
+        return new THREE.Vector3(p.x, 0, p.z);
+    }
+
+    getMomentum() {
+        const v = this.body.linvel();
+        return new THREE.Vector3(v.x, 0, v.z).multiplyScalar(this.body.mass());
+    }
+
+    getAngularMomentum() {
+        return new THREE.Vector3().crossVectors(this.getRadius(), this.getMomentum());
+    }
+
+    /**
+     * String tension pulling toward the post; zero while the string is slack
+     */
+    getStringForce() {
+        const r = this.getRadius();
+        const distance = r.length();
+        if (distance < 1e-6) return new THREE.Vector3();
+
+        const direction = r.clone().divideScalar(distance);
+        const v = this.body.linvel();
+        const radialSpeed = v.x * direction.x + v.z * direction.z;
+
+        const tension = STRING_STIFFNESS * (distance - this.stringLength) + STRING_DAMPING * radialSpeed;
+        return direction.multiplyScalar(-Math.max(tension, 0));
+    }
+
+    beforeStep() {
+        const force = this.getStringForce();
+        this.body.resetForces(true);
+        this.body.addForce({ x: force.x, y: 0, z: force.z }, true);
+    }
+
+    afterStep() {
+        const p = this.body.translation();
+        this.trail.push(new THREE.Vector3(p.x, 0.02, p.z));
+    }
+
+    updateVisuals() {
+        this.syncVisuals();
+    }
+
+    syncVisuals() {
+        const r = this.getRadius();
+        const momentum = this.getMomentum();
+        const L = this.getAngularMomentum();
+        const lift = new THREE.Vector3(0, PUCK_HEIGHT, 0);
+        const puckPosition = r.clone().add(lift);
+
+        this.puck.position.copy(puckPosition);
+
+        const stringPositions = this.string.geometry.attributes.position;
+        stringPositions.setXYZ(0, 0, PUCK_HEIGHT, 0);
+        stringPositions.setXYZ(1, puckPosition.x, puckPosition.y, puckPosition.z);
+        stringPositions.needsUpdate = true;
+
+        this.rArrow.set(lift.clone().add(new THREE.Vector3(0, 0.1, 0)), r);
+        this.pArrow.set(puckPosition, momentum.clone().multiplyScalar(MOMENTUM_SCALE));
+        this.lArrow.set(lift.clone().multiplyScalar(2), L.clone().multiplyScalar(ANGULAR_MOMENTUM_SCALE));
+
+        this.curl.visible = L.lengthSq() > 1e-6;
+        if (this.curl.visible) this.curl.set(new THREE.Vector3(0, PUCK_HEIGHT * 2 + 0.2, 0), L);
+
+        this.updateReadout(r, momentum, L);
+    }
+
+    updateReadout(r, momentum, L) {
+        const distance = r.length();
+        const speed = momentum.length() / this.body.mass();
+        const omega = distance > 1e-6 ? L.y / (this.body.mass() * distance * distance) : 0;
+        const torque = new THREE.Vector3().crossVectors(r, this.getStringForce());
+
+        const lines = [
+            `|r| = ${formatNumber(distance)} m, |v| = ${formatNumber(speed)} m/s, ω = ${formatNumber(omega)} rad/s`,
+            `p = m v = ${formatVector(momentum)} kg·m/s`,
+            `L = r × p = ${formatVector(L)} kg·m²/s`,
+            `|L| = <strong>${formatNumber(L.length(), 3)}</strong> (at the last kick or reset: ${formatNumber(Math.abs(this.initialL), 3)})`,
+            `τ = r × F<sub>string</sub> = ${formatNumber(torque.y, 3)} N·m`,
+            'The string pulls along r, so τ = 0 and L is conserved: a shorter string means a faster spin.'
+        ];
+
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+}
@@ -0,0 +1,399 @@
+/**
+ * Coordinate Explorer Visualization
+ *
+ * Chapter 1.2: one draggable point described three ways at once, as
+ * Cartesian (x, y, z), cylindrical (r, θ, z) and spherical (ρ, θ, φ)
+ * coordinates. The selected system draws the coordinate surfaces that meet
+ * at the point and the local unit vectors there.
+ *
+ * Everything coordinate-related lives in a frame group whose matrix maps the
+ * math axes onto the screen, so switching between Y-up, Z-up and left-handed
+ * conventions only swaps that matrix; the point keeps its coordinates.
+ */
+
+import BaseVisualization, { formatNumber } from '../base-visualization.js';
+import {
+    VectorArrow,
+    ComponentGuide,
+    DashedSegment,
+    AngleArc,
+    VectorHandles,
+    AXIS_COLORS
+} from '../vector-kit.js';
+
+const AXIS_LENGTH = 4;
+const SURFACE_EXTENT = 3;
+
+const COLORS = {
+    point: 0xff9900,
+    surfaces: [0xef4444, 0x10b981, 0x3b82f6],
+    guide: 0x6b7280
+};
+
+/**
+ * Math axes in world space (three.js is Y-up). Each column is where x, y, z go.
+ */
+const CONVENTIONS = {
+    'y-up': {
+        label: 'Y-up',
+        description: 'Y-up, right-handed (three.js, OpenGL): z points toward you.',
+        matrix: new THREE.Matrix4().set(
+            1, 0, 0, 0,
+            0, 1, 0, 0,
+            0, 0, 1, 0,
+            0, 0, 0, 1
+        )
+    },
+    'z-up': {
+        label: 'Z-up',
+        description: 'Z-up, right-handed (mathematics, physics, CAD): x points toward you.',
+        matrix: new THREE.Matrix4().set(
+            0, 1, 0, 0,
+            0, 0, 1, 0,
+            1, 0, 0, 0,
+            0, 0, 0, 1
+        )
+    },
+    'left': {
+        label: 'Left-handed',
+        description: 'Y-up, left-handed (Direct3D, Unity): z points away from you, so x, y, z follow the left hand.',
+        matrix: new THREE.Matrix4().set(
+            1, 0, 0, 0,
+            0, 1, 0, 0,
+            0, 0, -1, 0,
+            0, 0, 0, 1
+        )
+    }
+};
+
+const MODES = {
+    cartesian: 'Cartesian',
+    cylindrical: 'Cylindrical',
+    spherical: 'Spherical'
+};
+
+const surfaceMaterial = color => new THREE.MeshBasicMaterial({
+    color,
+    transparent: true,
+    opacity: 0.18,
+    side: THREE.DoubleSide,
+    depthWrite: false
+});
+
+/**
+ * Flat quad through four corners, in order around the edge
+ */
+function quadGeometry(a, b, c, d) {
+    const geometry = new THREE.BufferGeometry().setFromPoints([a, b, c, a, c, d]);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+export default class CoordinateExplorer extends BaseVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [6, 5, 7];
+        this.cameraTarget = [0, 1, 0];
+
+        this.point = new THREE.Vector3(2, 1.5, 2);
+        this.mode = 'cartesian';
+        this.convention = 'z-up';
+    }
+
+    build() {
+        this.addGrid(2 * AXIS_LENGTH, 2 * AXIS_LENGTH);
+
+        this.frame = new THREE.Group();
+        this.frame.matrixAutoUpdate = false;
+        this.scene.add(this.frame);
+
+        this.createAxes();
+        this.createSurfaces();
+        this.createBasisVectors();
+        this.createGuides();
+
+        // The point is dragged in world space and mapped back into the frame
+        this.pointArrow = new VectorArrow({
+            color: COLORS.point,
+            radius: 0.02,
+            opacity: 0.7,
+            label: this.createLabel('P', COLORS.point, { fontSize: 40, height: 0.35 })
+        });
+        this.scene.add(this.pointArrow);
+
+        this.handles = new VectorHandles(this, { limit: AXIS_LENGTH });
+        this.handle = this.handles.add(this.pointArrow, value => {
+            this.point.copy(value.applyMatrix4(this.inverseMatrix));
+            this.refresh();
+        });
+
+        this.createControls();
+        this.setConvention(this.convention);
+    }
+
+    createAxes() {
+        ['x', 'y', 'z'].forEach((name, index) => {
+            const direction = new THREE.Vector3().setComponent(index, 1);
+            const color = AXIS_COLORS[index];
+
+            const positive = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), direction.clone().multiplyScalar(AXIS_LENGTH)]),
+                new THREE.LineBasicMaterial({ color })
+            );
+            const negative = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), direction.clone().multiplyScalar(-AXIS_LENGTH)]),
+                new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.25 })
+            );
+            const label = this.createLabel(name, color, {
+                fontSize: 40,
+                height: 0.4,
+                position: direction.clone().multiplyScalar(AXIS_LENGTH + 0.3)
+            });
+            this.frame.add(positive, negative, label);
+        });
+    }
+
+    createSurfaces() {
+        // Three surfaces per system, one for each coordinate held fixed
+        this.surfaces = COLORS.surfaces.map(color => {
+            const mesh = new THREE.Mesh(new THREE.BufferGeometry(), surfaceMaterial(color));
+            mesh.renderOrder = 1;
+            this.frame.add(mesh);
+            return mesh;
+        });
+    }
+
+    createBasisVectors() {
+        const names = {
+            cartesian: ['x̂', 'ŷ', 'ẑ'],
+            cylindrical: ['r̂', 'θ̂', 'ẑ'],
+            spherical: ['ρ̂', 'θ̂', 'φ̂']
+        };
+
+        this.basis = {};
+        Object.entries(names).forEach(([mode, labels]) => {
+            this.basis[mode] = labels.map((text, index) => {
+                const arrow = new VectorArrow({
+                    color: COLORS.surfaces[index],
+                    radius: 0.03,
+                    headLength: 0.2,
+                    headRadius: 0.07,
+                    label: this.createLabel(text, COLORS.surfaces[index], { fontSize: 40, height: 0.3 })
+                });
+                this.frame.add(arrow);
+                return arrow;
+            });
+        });
+    }
+
+    createGuides() {
+        this.componentGuide = new ComponentGuide();
+        this.radialLine = new DashedSegment({ color: COLORS.guide });
+        this.heightLine = new DashedSegment({ color: COLORS.guide });
+        this.thetaArc = new AngleArc({ color: COLORS.surfaces[1], radius: 0.8 });
+        this.phiArc = new AngleArc({ color: COLORS.surfaces[2], radius: 1.1 });
+        this.frame.add(this.componentGuide, this.radialLine, this.heightLine, this.thetaArc, this.phiArc);
+    }
+
+    createControls() {
+        const panel = this.createPanel('Coordinates');
+
+        const modeRow = this.createRow(panel);
+        this.modeButtons = {};
+        Object.entries(MODES).forEach(([mode, text]) => {
+            this.modeButtons[mode] = this.addButton(modeRow, text, () => this.setMode(mode));
+        });
+
+        const conventionRow = this.createRow(panel);
+        this.conventionButtons = {};
+        Object.entries(CONVENTIONS).forEach(([convention, { label }]) => {
+            this.conventionButtons[convention] = this.addButton(conventionRow, label, () => this.setConvention(convention));
+        });
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        panel.appendChild(this.readout);
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        Object.entries(this.modeButtons).forEach(([name, button]) => button.classList.toggle('is-active', name === mode));
+        this.refresh();
+    }
+
+    setConvention(convention) {
+        this.convention = convention;
+        Object.entries(this.conventionButtons).forEach(([name, button]) => button.classList.toggle('is-active', name === convention));
+
+        const { matrix } = CONVENTIONS[convention];
+        this.frame.matrix.copy(matrix);
+        this.inverseMatrix = matrix.clone().invert();
+
+        this.setMode(this.mode);
+    }
+
+    /**
+     * θ is the azimuth from +x in the xy-plane, φ the polar angle from +z
+     */
+    getCoordinates() {
+        const { x, y, z } = this.point;
+        const r = Math.hypot(x, y);
+        const rho = this.point.length();
+        return {
+            x, y, z, r, rho,
+            theta: Math.atan2(y, x),
+            phi: rho > 1e-9 ? Math.acos(THREE.MathUtils.clamp(z / rho, -1, 1)) : 0
+        };
+    }
+
+    getBasisVectors(coordinates) {
+        const { theta, phi } = coordinates;
+        const radial = new THREE.Vector3(Math.cos(theta), Math.sin(theta), 0);
+        const azimuthal = new THREE.Vector3(-Math.sin(theta), Math.cos(theta), 0);
+
+        switch (this.mode) {
+            case 'cylindrical':
+                return [radial, azimuthal, new THREE.Vector3(0, 0, 1)];
+            case 'spherical':
+                return [
+                    new THREE.Vector3(Math.sin(phi) * Math.cos(theta), Math.sin(phi) * Math.sin(theta), Math.cos(phi)),
+                    azimuthal,
+                    new THREE.Vector3(Math.cos(phi) * Math.cos(theta), Math.cos(phi) * Math.sin(theta), -Math.sin(phi))
+                ];
+            default:
+                return [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+        }
+    }
+
+    /**
+     * Geometry of the three surfaces through the point for the current mode
+     */
+    getSurfaceGeometries(coordinates) {
+        const { x, y, z, r, rho, theta, phi } = coordinates;
+        const e = SURFACE_EXTENT;
+        const v = (a, b, c) => new THREE.Vector3(a, b, c);
+
+        // Half-plane θ = const, bounded by the z axis
+        const halfPlane = () => {
+            const out = v(Math.cos(theta), Math.sin(theta), 0).multiplyScalar(e);
+            return quadGeometry(v(0, 0, -e), out.clone().setZ(-e), out.clone().setZ(e), v(0, 0, e));
+        };
+
+        // Lathe and cylinder geometries turn about y; rotate them to turn about z
+        const aboutZ = geometry => geometry.rotateX(Math.PI / 2);
+
+        switch (this.mode) {
+            case 'cylindrical':
+                return [
+                    aboutZ(new THREE.CylinderGeometry(r, r, 2 * e, 48, 1, true)),
+                    halfPlane(),
+                    new THREE.CircleGeometry(e, 48).translate(0, 0, z)
+                ];
+            case 'spherical':
+                return [
+                    new THREE.SphereGeometry(rho, 48, 24),
+                    halfPlane(),
+                    aboutZ(new THREE.LatheGeometry([
+                        new THREE.Vector2(0, 0),
+                        new THREE.Vector2(e * Math.sin(phi), e * Math.cos(phi))
+                    ], 48))
+                ];
+            default:
+                return [
+                    quadGeometry(v(x, -e, -e), v(x, e, -e), v(x, e, e), v(x, -e, e)),
+                    quadGeometry(v(-e, y, -e), v(e, y, -e), v(e, y, e), v(-e, y, e)),
+                    quadGeometry(v(-e, -e, z), v(e, -e, z), v(e, e, z), v(-e, e, z))
+                ];
+        }
+    }
+
+    refresh() {
+        const coordinates = this.getCoordinates();
+        const origin = new THREE.Vector3();
+        const point = this.point;
+
+        this.pointArrow.set(origin, point.clone().applyMatrix4(this.frame.matrix));
+        this.handles.sync(this.handle);
+
+        this.getSurfaceGeometries(coordinates).forEach((geometry, index) => {
+            this.surfaces[index].geometry.dispose();
+            this.surfaces[index].geometry = geometry;
+        });
+
+        const basis = this.getBasisVectors(coordinates);
+        Object.entries(this.basis).forEach(([mode, arrows]) => {
+            arrows.forEach((arrow, index) => {
+                arrow.visible = mode === this.mode;
+                if (arrow.visible) arrow.set(point, basis[index]);
+            });
+        });
+
+        this.updateGuides(coordinates);
+        this.updateReadout(coordinates);
+    }
+
+    updateGuides({ z }) {
+        const origin = new THREE.Vector3();
+        const point = this.point;
+        const foot = new THREE.Vector3(point.x, point.y, 0);
+
+        this.componentGuide.visible = this.mode === 'cartesian';
+        if (this.componentGuide.visible) this.componentGuide.set(origin, point);
+
+        // Cylindrical: out along r in the xy-plane, then up by z
+        // Spherical: straight out along ρ
+        const polar = this.mode !== 'cartesian';
+        this.radialLine.visible = this.heightLine.visible = this.thetaArc.visible = polar;
+        this.phiArc.visible = this.mode === 'spherical';
+        if (!polar) return;
+
+        if (this.mode === 'cylindrical') {
+            this.radialLine.set(origin, foot);
+            this.heightLine.set(foot, point);
+        } else {
+            this.radialLine.set(origin, point);
+            this.heightLine.set(foot, point);
+            this.phiArc.set(origin, new THREE.Vector3(0, 0, 1), point);
+        }
+
+        this.thetaArc.set(origin, new THREE.Vector3(1, 0, 0), foot);
+        this.heightLine.visible = Math.abs(z) > 1e-6;
+    }
+
+    updateReadout({ x, y, z, r, rho, theta, phi }) {
+        const deg = angle => `${formatNumber(THREE.MathUtils.radToDeg(angle), 1)}°`;
+        const row = (mode, text) => (mode === this.mode ? `<strong>${text}</strong>` : text);
+
+        const formulas = {
+            cartesian: 'Surfaces x, y, z = const are three perpendicular planes.',
+            cylindrical: 'x = r cos θ, y = r sin θ, z = z. Surfaces: cylinder r, half-plane θ, plane z.',
+            spherical: 'x = ρ sin φ cos θ, y = ρ sin φ sin θ, z = ρ cos φ. Surfaces: sphere ρ, half-plane θ, cone φ.'
+        };
+        const handedness = {
+            cartesian: 'x̂ × ŷ = ẑ',
+            cylindrical: 'r̂ × θ̂ = ẑ',
+            spherical: 'ρ̂ × φ̂ = θ̂'
+        };
+
+        const lines = [
+            row('cartesian', `(x, y, z) = (${formatNumber(x)}, ${formatNumber(y)}, ${formatNumber(z)})`),
+            row('cylindrical', `(r, θ, z) = (${formatNumber(r)}, ${deg(theta)}, ${formatNumber(z)})`),
+            row('spherical', `(ρ, θ, φ) = (${formatNumber(rho)}, ${deg(theta)}, ${deg(phi)})`),
+            formulas[this.mode],
+            this.mode === 'cartesian'
+                ? `Unit vectors: ${handedness.cartesian}, the same at every point.`
+                : `Unit vectors: ${handedness[this.mode]}; they turn as the point moves.`,
+            CONVENTIONS[this.convention].description
+        ];
+
+        if (this.mode !== 'cartesian' && r < 1e-6) lines.push('On the z axis θ is undefined; 0° is shown.');
+
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+
+    dispose() {
+        if (this.handles) this.handles.dispose();
+        super.dispose();
+    }
+}
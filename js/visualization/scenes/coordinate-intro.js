@@ -0,0 +1,78 @@
+/**
+ * Coordinate Intro Visualization
+ *
+ * The introductory 3D Cartesian frame for chapter 1.1: colored axes, a grid,
+ * and a sample point at (2,3,1) with dashed lines tracing its coordinates.
+ */
+
+import BaseVisualization from '../base-visualization.js';
+
+const AXIS_COLORS = {
+    x: 0xff0000,
+    y: 0x00ff00,
+    z: 0x0000ff
+};
+
+export default class CoordinateIntro extends BaseVisualization {
+    build() {
+        const axisLength = 5;
+
+        this.addAxis(new THREE.Vector3(axisLength, 0, 0), AXIS_COLORS.x, 'X');
+        this.addAxis(new THREE.Vector3(0, axisLength, 0), AXIS_COLORS.y, 'Y');
+        this.addAxis(new THREE.Vector3(0, 0, axisLength), AXIS_COLORS.z, 'Z');
+
+        this.addGrid();
+
+        // Origin marker
+        const origin = new THREE.Mesh(
+            new THREE.SphereGeometry(0.1, 16, 16),
+            new THREE.MeshBasicMaterial({ color: 0xffffff })
+        );
+        this.scene.add(origin);
+
+        // Demo point and the path that locates it
+        const point = new THREE.Vector3(2, 3, 1);
+        const demoPoint = new THREE.Mesh(
+            new THREE.SphereGeometry(0.1, 16, 16),
+            new THREE.MeshBasicMaterial({ color: 0xff9900 })
+        );
+        demoPoint.position.copy(point);
+        this.scene.add(demoPoint);
+
+        this.addCoordinateLines(point);
+
+        const label = this.createLabel('(2,3,1)', 0xff9900, {
+            fontSize: 24,
+            height: 0.4,
+            background: '#ffffff',
+            position: point.clone().add(new THREE.Vector3(0, 0.4, 0))
+        });
+        this.scene.add(label);
+    }
+
+    addAxis(end, color, name) {
+        const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), end]);
+        this.scene.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color })));
+
+        const labelPosition = end.clone().add(end.clone().normalize().multiplyScalar(0.3));
+        this.scene.add(this.createLabel(name, color, { height: 0.5, position: labelPosition }));
+    }
+
+    addDashedLine(from, to, color) {
+        const geometry = new THREE.BufferGeometry().setFromPoints([from, to]);
+        const material = new THREE.LineDashedMaterial({ color, dashSize: 0.2, gapSize: 0.1 });
+        const line = new THREE.Line(geometry, material);
+        line.computeLineDistances(); // Required for dashed lines
+        this.scene.add(line);
+    }
+
+    // Walk from the origin along x, then y, then z to reach the point
+    addCoordinateLines(position) {
+        const alongX = new THREE.Vector3(position.x, 0, 0);
+        const alongY = new THREE.Vector3(position.x, position.y, 0);
+
+        this.addDashedLine(new THREE.Vector3(0, 0, 0), alongX, AXIS_COLORS.x);
+        this.addDashedLine(alongX, alongY, AXIS_COLORS.y);
+        this.addDashedLine(alongY, position.clone(), AXIS_COLORS.z);
+    }
+}
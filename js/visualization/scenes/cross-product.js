@@ -0,0 +1,447 @@
+/**
+ * Cross Product Visualizations
+ *
+ * One family of scenes for chapter 3 and the cross products page, all built
+ * on CrossProductScene: two draggable vectors a and b, their cross product
+ * updated live, and the parallelogram they span, whose area is |a × b|.
+ *
+ * - CrossProductBasic (default, `cross-product-basic`): the definition and its components
+ * - CrossProductProperties (`cross-product-properties`): anti-commutativity, scaling, perpendicularity
+ * - CrossProductArea (`cross-product-area`): base × height of the parallelogram
+ * - RightHandRule (`right-hand-rule`): animated curl from a to b around a × b
+ */
+
+import BaseVisualization, { formatNumber } from '../base-visualization.js';
+import {
+    VectorArrow,
+    ParallelogramFace,
+    DashedSegment,
+    AngleArc,
+    CurlArrow,
+    VectorHandles,
+    formatVector
+} from '../vector-kit.js';
+
+export const CROSS_COLORS = {
+    a: 0xef4444,
+    b: 0x2563eb,
+    result: 0x8b5cf6,
+    curl: 0xf59e0b
+};
+
+const SWAP_DURATION = 0.8;
+const EPSILON = 1e-6;
+
+function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+/**
+ * Shared scene: a, b, a × b and the spanned parallelogram
+ *
+ * Subclasses add their own objects in buildExtras(), panel contents in
+ * createControls() and per-change updates in refreshExtras().
+ */
+export class CrossProductScene extends BaseVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [4.5, 5, 6];
+        this.cameraTarget = [0.5, 1, 0];
+
+        // Both vectors in the ground plane so a × b starts out pointing straight up
+        this.a = new THREE.Vector3(2, 0, 0.3);
+        this.b = new THREE.Vector3(0.5, 0, -1.8);
+
+        // When swapped the scene shows b × a instead
+        this.swapped = false;
+        this.swapAnimation = null;
+        this.displayedResult = new THREE.Vector3();
+
+        this.parallelogramOpacity = 0.2;
+        this.title = 'Cross Product';
+    }
+
+    build() {
+        this.addGrid();
+        this.scene.add(new THREE.AxesHelper(1));
+
+        const origin = new THREE.Vector3();
+        const label = (text, color) => this.createLabel(text, color, { fontSize: 40, height: 0.35 });
+
+        this.arrowA = new VectorArrow({ color: CROSS_COLORS.a, label: label('a', CROSS_COLORS.a) });
+        this.arrowB = new VectorArrow({ color: CROSS_COLORS.b, label: label('b', CROSS_COLORS.b) });
+        this.arrowResult = new VectorArrow({ color: CROSS_COLORS.result, radius: 0.045, label: label('a × b', CROSS_COLORS.result) });
+        this.parallelogram = new ParallelogramFace({ color: CROSS_COLORS.result, opacity: this.parallelogramOpacity });
+        this.arc = new AngleArc({ color: 0x333333, radius: 0.6 });
+
+        [this.arrowA, this.arrowB, this.arrowResult, this.parallelogram, this.arc]
+            .forEach(object => this.scene.add(object));
+
+        this.arrowA.set(origin, this.a);
+        this.arrowB.set(origin, this.b);
+
+        this.handles = new VectorHandles(this);
+        this.handleA = this.handles.add(this.arrowA, vector => {
+            this.a.copy(vector);
+            this.refresh();
+        });
+        this.handleB = this.handles.add(this.arrowB, vector => {
+            this.b.copy(vector);
+            this.refresh();
+        });
+
+        this.buildExtras();
+
+        this.panel = this.createPanel(this.title);
+        this.createControls(this.panel);
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        this.panel.appendChild(this.readout);
+
+        this.displayedResult.copy(this.getResult());
+        this.refresh();
+    }
+
+    buildExtras() {}
+
+    createControls(panel) {}
+
+    refreshExtras() {}
+
+    /**
+     * The product currently shown: a × b, or b × a after a swap
+     */
+    getResult() {
+        return this.swapped
+            ? new THREE.Vector3().crossVectors(this.b, this.a)
+            : new THREE.Vector3().crossVectors(this.a, this.b);
+    }
+
+    getProductName() {
+        return this.swapped ? 'b × a' : 'a × b';
+    }
+
+    setVectors(a, b) {
+        const origin = new THREE.Vector3();
+        this.a.set(...a);
+        this.b.set(...b);
+        this.arrowA.set(origin, this.a);
+        this.arrowB.set(origin, this.b);
+        this.handles.sync(this.handleA);
+        this.handles.sync(this.handleB);
+        this.refresh();
+    }
+
+    /**
+     * Switch between a × b and b × a, animating the result through zero
+     */
+    swap() {
+        this.swapped = !this.swapped;
+        this.swapAnimation = { from: this.displayedResult.clone(), t: 0 };
+        this.updateResultLabel();
+        this.refresh();
+    }
+
+    /**
+     * Relabel the result arrow with the product now shown
+     */
+    updateResultLabel() {
+        this.arrowResult.setLabel(this.createLabel(this.getProductName(), CROSS_COLORS.result, { fontSize: 40, height: 0.35 }));
+    }
+
+    update(dt, elapsed) {
+        if (this.swapAnimation) {
+            const anim = this.swapAnimation;
+            anim.t = Math.min(anim.t + dt / SWAP_DURATION, 1);
+            this.displayedResult.lerpVectors(anim.from, this.getResult(), easeInOut(anim.t));
+            this.arrowResult.set(new THREE.Vector3(), this.displayedResult);
+
+            if (anim.t >= 1) this.swapAnimation = null;
+        }
+    }
+
+    refresh() {
+        const origin = new THREE.Vector3();
+        const result = this.getResult();
+
+        if (!this.swapAnimation) {
+            this.displayedResult.copy(result);
+            this.arrowResult.set(origin, result);
+        }
+
+        this.parallelogram.set(origin, this.a, this.b);
+        this.arc.set(origin, this.a, this.b);
+
+        this.refreshExtras(result);
+        this.updateReadout(result);
+    }
+
+    /**
+     * Lines shown under the panel controls; subclasses append their own
+     */
+    getReadoutLines(result) {
+        const a = this.a, b = this.b;
+        const name = this.getProductName();
+        const angle = a.lengthSq() > EPSILON && b.lengthSq() > EPSILON ? a.angleTo(b) : 0;
+
+        return [
+            `a = ${formatVector(a)}, b = ${formatVector(b)}`,
+            `${name} = ${formatVector(result)}`,
+            `|${name}| = ${formatNumber(result.length())}, |a||b|sinθ = ${formatNumber(a.length())} × ${formatNumber(b.length())} × ${formatNumber(Math.sin(angle), 3)} = ${formatNumber(a.length() * b.length() * Math.sin(angle))}`
+        ];
+    }
+
+    updateReadout(result) {
+        this.readout.innerHTML = this.getReadoutLines(result).map(line => `<div>${line}</div>`).join('');
+    }
+
+    dispose() {
+        if (this.handles) this.handles.dispose();
+        super.dispose();
+    }
+}
+
+/**
+ * The definition: components of a × b computed term by term
+ */
+export default class CrossProductBasic extends CrossProductScene {
+    createControls(panel) {
+        const row = this.createRow(panel);
+        this.addButton(row, 'Perpendicular', () => this.setVectors([2, 0, 0], [0, 0, -2]));
+        this.addButton(row, 'Acute', () => this.setVectors([2, 0, 0.3], [0.5, 0, -1.8]));
+        this.addButton(row, 'Tilted', () => this.setVectors([2, 0.5, 0], [0, 1.5, -1.5]));
+    }
+
+    getReadoutLines(result) {
+        const a = this.a, b = this.b;
+        const f = value => formatNumber(value);
+        const lines = super.getReadoutLines(result);
+
+        lines.splice(1, 0,
+            `x: a<sub>y</sub>b<sub>z</sub> − a<sub>z</sub>b<sub>y</sub> = (${f(a.y)})(${f(b.z)}) − (${f(a.z)})(${f(b.y)}) = ${f(result.x)}`,
+            `y: a<sub>z</sub>b<sub>x</sub> − a<sub>x</sub>b<sub>z</sub> = (${f(a.z)})(${f(b.x)}) − (${f(a.x)})(${f(b.z)}) = ${f(result.y)}`,
+            `z: a<sub>x</sub>b<sub>y</sub> − a<sub>y</sub>b<sub>x</sub> = (${f(a.x)})(${f(b.y)}) − (${f(a.y)})(${f(b.x)}) = ${f(result.z)}`
+        );
+        lines.push('Drag the tips of a and b; a × b stays perpendicular to both.');
+        return lines;
+    }
+}
+
+/**
+ * The algebraic properties: swapping the factors flips the product (b × a =
+ * −(a × b)), scaling a by k scales it ((ka) × b = k(a × b)), a vector crossed
+ * with itself is zero, and the product is perpendicular to both a and b
+ */
+export class CrossProductProperties extends CrossProductScene {
+    constructor(container, engine) {
+        super(container, engine);
+        this.title = 'Cross Product Properties';
+        this.k = 1;
+    }
+
+    buildExtras() {
+        // k·a drawn over a when k ≠ 1
+        this.arrowScaled = new VectorArrow({ color: CROSS_COLORS.a, opacity: 0.4, radius: 0.06 });
+        this.scene.add(this.arrowScaled);
+    }
+
+    createControls(panel) {
+        const row = this.createRow(panel);
+        this.swapButton = this.addButton(row, 'Swap a and b', () => {
+            this.swap();
+            this.swapButton.classList.toggle('is-active', this.swapped);
+        });
+        this.addButton(row, 'a × a', () => this.setVectors([this.a.x, this.a.y, this.a.z], [this.a.x, this.a.y, this.a.z]));
+
+        this.addSlider(panel, {
+            label: 'Scale a by k',
+            min: -2,
+            max: 2,
+            step: 0.1,
+            value: this.k,
+            onInput: value => {
+                const name = this.getProductName();
+                this.k = value;
+                if (this.getProductName() !== name) this.updateResultLabel();
+                this.refresh();
+            }
+        });
+    }
+
+    getScaledA() {
+        return this.a.clone().multiplyScalar(this.k);
+    }
+
+    getResult() {
+        const a = this.getScaledA();
+        return this.swapped
+            ? new THREE.Vector3().crossVectors(this.b, a)
+            : new THREE.Vector3().crossVectors(a, this.b);
+    }
+
+    getProductName() {
+        const a = this.k === 1 ? 'a' : '(ka)';
+        return this.swapped ? `b × ${a}` : `${a} × b`;
+    }
+
+    refreshExtras() {
+        const scaled = this.getScaledA();
+        this.arrowScaled.visible = this.k !== 1;
+        this.arrowScaled.set(new THREE.Vector3(), scaled);
+        this.parallelogram.set(new THREE.Vector3(), scaled, this.b);
+    }
+
+    getReadoutLines(result) {
+        const name = this.getProductName();
+        const plain = new THREE.Vector3().crossVectors(this.a, this.b);
+        const lines = [
+            `a = ${formatVector(this.a)}, b = ${formatVector(this.b)}`,
+            `${name} = ${formatVector(result)}`
+        ];
+
+        if (this.swapped) {
+            const swappedBack = this.k === 1 ? 'a × b' : '(ka) × b';
+            lines.push(`−(${swappedBack}) = ${formatVector(plain.clone().multiplyScalar(-this.k))}: swapping the order flips the direction.`);
+        } else {
+            lines.push(`a × b = ${formatVector(plain)}`);
+        }
+
+        if (this.k !== 1) {
+            lines.push(`k(a × b) = ${formatVector(plain.clone().multiplyScalar(this.k))} with k = ${formatNumber(this.k, 1)}`);
+        }
+
+        lines.push(`a · (${name}) = ${formatNumber(this.a.dot(result), 3)}, b · (${name}) = ${formatNumber(this.b.dot(result), 3)}`);
+
+        if (result.lengthSq() < EPSILON) {
+            lines.push('Parallel vectors span no area, so the cross product is the zero vector.');
+        }
+        return lines;
+    }
+}
+
+/**
+ * The parallelogram area as base × height
+ */
+export class CrossProductArea extends CrossProductScene {
+    constructor(container, engine) {
+        super(container, engine);
+        this.title = 'Parallelogram Area';
+        this.parallelogramOpacity = 0.35;
+    }
+
+    buildExtras() {
+        this.heightLine = new DashedSegment({ color: CROSS_COLORS.b });
+        this.scene.add(this.heightLine);
+
+        // Outline of the far sides so the full parallelogram reads clearly
+        this.farSideA = new DashedSegment({ color: CROSS_COLORS.a });
+        this.farSideB = new DashedSegment({ color: CROSS_COLORS.b });
+        this.scene.add(this.farSideA, this.farSideB);
+    }
+
+    createControls(panel) {
+        const row = this.createRow(panel);
+        this.addButton(row, 'Perpendicular', () => this.setVectors([2, 0, 0], [0, 0, -2]));
+        this.addButton(row, '30°', () => this.setVectors([2, 0, 0], [Math.sqrt(3), 0, -1]));
+        this.addButton(row, 'Parallel', () => this.setVectors([2, 0, 0], [1, 0, 0]));
+    }
+
+    refreshExtras() {
+        const sum = this.a.clone().add(this.b);
+        this.farSideA.set(this.b, sum);
+        this.farSideB.set(this.a, sum);
+
+        // Drop from the tip of b to the line through a
+        const lengthA = this.a.length();
+        this.heightLine.visible = lengthA > EPSILON;
+        if (this.heightLine.visible) {
+            const foot = this.a.clone().multiplyScalar(this.a.dot(this.b) / (lengthA * lengthA));
+            this.heightLine.set(this.b, foot);
+        }
+    }
+
+    getReadoutLines(result) {
+        const lengthA = this.a.length();
+        const height = lengthA > EPSILON ? result.length() / lengthA : 0;
+
+        return [
+            `a = ${formatVector(this.a)}, b = ${formatVector(this.b)}`,
+            `base |a| = ${formatNumber(lengthA)}, height |b|sinθ = ${formatNumber(height)}`,
+            `Area = base × height = ${formatNumber(lengthA * height)}`,
+            `|a × b| = ${formatNumber(result.length())}`,
+            result.lengthSq() < EPSILON ? 'The vectors are parallel: the parallelogram is flat and its area is 0.' : ''
+        ].filter(Boolean);
+    }
+}
+
+/**
+ * Right-hand rule: fingers curl from a to b, the thumb points along a × b
+ */
+export class RightHandRule extends CrossProductScene {
+    constructor(container, engine) {
+        super(container, engine);
+        this.title = 'Right-Hand Rule';
+    }
+
+    buildExtras() {
+        this.curl = new CurlArrow({ color: CROSS_COLORS.curl, radius: 0.45 });
+        this.scene.add(this.curl);
+
+        // Marker sweeping along the angle arc from the first vector to the second
+        this.sweep = new THREE.Mesh(
+            new THREE.ConeGeometry(0.07, 0.2, 16),
+            new THREE.MeshStandardMaterial({ color: CROSS_COLORS.curl })
+        );
+        this.scene.add(this.sweep);
+    }
+
+    createControls(panel) {
+        const row = this.createRow(panel);
+        this.swapButton = this.addButton(row, 'Swap order', () => {
+            this.swap();
+            this.swapButton.classList.toggle('is-active', this.swapped);
+        });
+    }
+
+    refreshExtras(result) {
+        const first = this.swapped ? this.b : this.a;
+        const second = this.swapped ? this.a : this.b;
+        this.arc.set(new THREE.Vector3(), first, second);
+
+        // Ring sits a little way up the thumb
+        const length = result.length();
+        const base = length > EPSILON ? result.clone().multiplyScalar(Math.min(0.5, 0.3 * length) / length) : new THREE.Vector3();
+        this.curl.set(base, result);
+    }
+
+    update(dt, elapsed) {
+        super.update(dt, elapsed);
+
+        const first = this.swapped ? this.b : this.a;
+        const second = this.swapped ? this.a : this.b;
+
+        this.curl.setPhase(elapsed * 1.5);
+        this.curl.visible = !this.swapAnimation && this.getResult().lengthSq() > EPSILON;
+
+        // Move the marker from the first vector towards the second, then start over
+        // Parallel and antiparallel vectors have no unique plane to sweep in
+        this.sweep.visible = this.arc.visible && this.arc.angle > 0.05 && this.arc.angle < Math.PI - 0.05;
+        if (!this.sweep.visible) return;
+
+        const t = (elapsed * 0.6) % 1;
+        const axis = new THREE.Vector3().crossVectors(first, second).normalize();
+        const direction = first.clone().normalize().applyAxisAngle(axis, this.arc.angle * t);
+        const tangent = new THREE.Vector3().crossVectors(axis, direction);
+
+        this.sweep.position.copy(direction).multiplyScalar(this.arc.radius);
+        this.sweep.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), tangent.normalize());
+    }
+
+    getReadoutLines(result) {
+        const [first, second] = this.swapped ? ['b', 'a'] : ['a', 'b'];
+        const lines = super.getReadoutLines(result);
+        lines.push(`Curl the fingers of your right hand from ${first} to ${second}; your thumb points along ${first} × ${second}.`);
+        return lines;
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * Dot Product Visualization
+ *
+ * Chapter 2.3: drag a and b and compare the two ways of computing a·b. The
+ * shadow of b on the line through a is the projection, the arc marks θ, and
+ * the readout evaluates both the component sum and |a||b|cosθ. The projection
+ * and the result take the sign's color: green when b leans along a, red when
+ * it leans away, grey when the vectors are perpendicular.
+ */
+
+import BaseVisualization, { formatNumber } from '../base-visualization.js';
+import { VectorArrow, DashedSegment, AngleArc, VectorHandles, formatVector } from '../vector-kit.js';
+
+const COLORS = {
+    a: 0xef4444,
+    b: 0x2563eb,
+    arc: 0x333333
+};
+
+const SIGN_COLORS = {
+    positive: 0x10b981,
+    zero: 0x6b7280,
+    negative: 0xdc2626
+};
+
+// Dot products this close to zero count as perpendicular
+const ZERO_TOLERANCE = 0.05;
+
+const PRESETS = {
+    acute: { label: 'Acute', a: [3, 0, 0], b: [1.5, 2, 0.5] },
+    perpendicular: { label: 'Perpendicular', a: [3, 0, 0], b: [0, 2, 1] },
+    obtuse: { label: 'Obtuse', a: [3, 0, 0], b: [-1.5, 2, 0.5] },
+    parallel: { label: 'Parallel', a: [2, 1, 0], b: [3, 1.5, 0] }
+};
+
+function toHex(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+}
+
+export default class DotProduct extends BaseVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [3, 5, 7];
+        this.cameraTarget = [0.5, 0.5, 0];
+
+        this.a = new THREE.Vector3(...PRESETS.acute.a);
+        this.b = new THREE.Vector3(...PRESETS.acute.b);
+    }
+
+    build() {
+        this.addGrid();
+        this.scene.add(new THREE.AxesHelper(1));
+
+        this.arrowA = new VectorArrow({
+            color: COLORS.a,
+            label: this.createLabel('a', COLORS.a, { fontSize: 40, height: 0.35 })
+        });
+        this.arrowB = new VectorArrow({
+            color: COLORS.b,
+            label: this.createLabel('b', COLORS.b, { fontSize: 40, height: 0.35 })
+        });
+        this.projection = new VectorArrow({ color: SIGN_COLORS.positive, radius: 0.06, opacity: 0.8 });
+
+        // Line through a, so projections that land behind the origin stay readable
+        this.axisLine = new DashedSegment({ color: COLORS.a, dashSize: 0.15, gapSize: 0.1 });
+        this.drop = new DashedSegment({ color: COLORS.b });
+        this.arc = new AngleArc({ color: COLORS.arc, radius: 0.7 });
+        this.angleLabel = this.createLabel('θ', COLORS.arc, { fontSize: 40, height: 0.3 });
+
+        [this.arrowA, this.arrowB, this.projection, this.axisLine, this.drop, this.arc, this.angleLabel]
+            .forEach(object => this.scene.add(object));
+
+        const origin = new THREE.Vector3();
+        this.arrowA.set(origin, this.a);
+        this.arrowB.set(origin, this.b);
+
+        this.handles = new VectorHandles(this);
+        this.handleA = this.handles.add(this.arrowA, vector => {
+            this.a.copy(vector);
+            this.refresh();
+        });
+        this.handleB = this.handles.add(this.arrowB, vector => {
+            this.b.copy(vector);
+            this.refresh();
+        });
+
+        this.createControls();
+        this.refresh();
+    }
+
+    createControls() {
+        const panel = this.createPanel('Dot Product');
+
+        const presetRow = this.createRow(panel);
+        Object.values(PRESETS).forEach(preset => {
+            this.addButton(presetRow, preset.label, () => this.loadPreset(preset));
+        });
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        panel.appendChild(this.readout);
+    }
+
+    loadPreset(preset) {
+        const origin = new THREE.Vector3();
+        this.a.set(...preset.a);
+        this.b.set(...preset.b);
+        this.arrowA.set(origin, this.a);
+        this.arrowB.set(origin, this.b);
+        this.handles.sync(this.handleA);
+        this.handles.sync(this.handleB);
+        this.refresh();
+    }
+
+    getSign(dot) {
+        const scale = Math.max(this.a.length() * this.b.length(), 1);
+        if (Math.abs(dot) < ZERO_TOLERANCE * scale) return 'zero';
+        return dot > 0 ? 'positive' : 'negative';
+    }
+
+    refresh() {
+        const origin = new THREE.Vector3();
+        const lengthA = this.a.length();
+        const dot = this.a.dot(this.b);
+        const sign = this.getSign(dot);
+
+        const hasA = lengthA > 0;
+        this.projection.visible = this.drop.visible = this.axisLine.visible = hasA;
+
+        if (hasA) {
+            // proj_a b = (a·b / |a|²) a
+            const projected = this.a.clone().multiplyScalar(dot / (lengthA * lengthA));
+            this.projection.set(origin, projected);
+            this.projection.setColor(SIGN_COLORS[sign]);
+            this.drop.set(this.b, projected);
+
+            const reach = Math.max(lengthA, Math.abs(projected.dot(this.a)) / lengthA) + 0.5;
+            const direction = this.a.clone().divideScalar(lengthA);
+            this.axisLine.set(direction.clone().multiplyScalar(-reach), direction.multiplyScalar(reach));
+        }
+
+        const angle = this.arc.set(origin, this.a, this.b);
+        this.angleLabel.visible = this.arc.visible;
+        this.angleLabel.position.copy(this.arc.midpoint).multiplyScalar(1.35);
+
+        this.updateReadout(dot, angle, sign);
+    }
+
+    updateReadout(dot, angle, sign) {
+        const a = this.a, b = this.b;
+        const lengthA = a.length();
+        const lengthB = b.length();
+        const color = toHex(SIGN_COLORS[sign]);
+
+        const lines = [
+            `a = ${formatVector(a)}, |a| = ${formatNumber(lengthA)}`,
+            `b = ${formatVector(b)}, |b| = ${formatNumber(lengthB)}`
+        ];
+
+        const terms = ['x', 'y', 'z'].map(axis => `(${formatNumber(a[axis])})(${formatNumber(b[axis])})`).join(' + ');
+        lines.push(`a·b = ${terms} = <strong style="color: ${color}">${formatNumber(dot)}</strong>`);
+
+        if (lengthA > 0 && lengthB > 0) {
+            const degrees = THREE.MathUtils.radToDeg(angle);
+            lines.push(`θ = ${formatNumber(degrees, 1)}°`);
+            lines.push(`|a||b|cosθ = ${formatNumber(lengthA)} × ${formatNumber(lengthB)} × ${formatNumber(Math.cos(angle), 3)} = <strong style="color: ${color}">${formatNumber(lengthA * lengthB * Math.cos(angle))}</strong>`);
+            lines.push(`Scalar projection of b on a: a·b / |a| = ${formatNumber(dot / lengthA)}`);
+
+            const meaning = {
+                positive: 'θ < 90°: b points partly along a, so a·b > 0.',
+                zero: 'θ ≈ 90°: b has next to no component along a, so a·b ≈ 0.',
+                negative: 'θ > 90°: b points partly against a, so a·b < 0.'
+            };
+            lines.push(`<span style="color: ${color}">${meaning[sign]}</span>`);
+        } else {
+            lines.push('With a zero vector the angle is undefined and a·b = 0.');
+        }
+
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+
+    dispose() {
+        if (this.handles) this.handles.dispose();
+        super.dispose();
+    }
+}
@@ -0,0 +1,369 @@
+/**
+ * Magnetic Force Visualization
+ *
+ * A charged particle in a uniform magnetic field. The force F = q v × B is
+ * always perpendicular to v, so it bends the path without changing the speed:
+ * the velocity component across B circles at the gyroradius r = m v⊥ / (|q| B)
+ * while the component along B carries the circle forward into a helix.
+ *
+ * The motion is integrated with the Boris scheme at a fixed timestep. Boris
+ * rotates v exactly rather than adding F dt to it, so |v| (and the kinetic
+ * energy) stays constant and the measured radius can be compared with the
+ * formula however long the particle runs.
+ */
+
+import BaseVisualization, { formatNumber } from '../base-visualization.js';
+import { VectorArrow, DashedSegment, formatVector } from '../vector-kit.js';
+
+const TIMESTEP = 1 / 240;
+const MAX_STEPS_PER_FRAME = 16;
+
+// The particle restarts once it has drifted this far along B
+const TRACK_HALF_LENGTH = 4;
+
+const TRAIL_POINTS = 1200;
+
+// Arrow lengths per unit of velocity and force
+const VELOCITY_SCALE = 0.5;
+const FORCE_SCALE = 0.3;
+
+const COLORS = {
+    positive: 0xdc2626,
+    negative: 0x2563eb,
+    neutral: 0x6b7280,
+    velocity: 0x10b981,
+    force: 0xf59e0b,
+    field: 0x8b5cf6,
+    orbit: 0x8b5cf6
+};
+
+export default class MagneticForce extends BaseVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [7, 5, 8];
+        this.cameraTarget = [0, 0, 0];
+
+        this.params = {
+            charge: 1,
+            mass: 1,
+            speed: 2,
+            pitch: 70,
+            field: 1,
+            fieldTilt: 0,
+            fieldAzimuth: 0
+        };
+
+        this.running = true;
+        this.accumulator = 0;
+        this.trailCount = 0;
+
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+    }
+
+    build() {
+        this.addGrid();
+
+        this.createFieldArrows();
+        this.createParticle();
+        this.createControls();
+
+        this.restart();
+    }
+
+    createFieldArrows() {
+        // A sparse lattice of faint arrows shows the direction of the uniform field
+        this.fieldArrows = [];
+        for (const x of [-4, 0, 4]) {
+            for (const z of [-4, 0, 4]) {
+                const label = x === 4 && z === 4
+                    ? this.createLabel('B', COLORS.field, { fontSize: 40, height: 0.35 })
+                    : null;
+                const arrow = new VectorArrow({ color: COLORS.field, radius: 0.02, opacity: 0.3, label });
+                arrow.userData.anchor = new THREE.Vector3(x, 1.5, z);
+                this.fieldArrows.push(arrow);
+                this.scene.add(arrow);
+            }
+        }
+    }
+
+    createParticle() {
+        this.particle = new THREE.Mesh(
+            new THREE.SphereGeometry(0.12, 20, 20),
+            new THREE.MeshStandardMaterial({ color: COLORS.positive, roughness: 0.4 })
+        );
+        this.scene.add(this.particle);
+
+        const trailGeometry = new THREE.BufferGeometry();
+        trailGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(TRAIL_POINTS * 3), 3));
+        this.trail = new THREE.Line(
+            trailGeometry,
+            new THREE.LineBasicMaterial({ color: COLORS.positive, transparent: true, opacity: 0.6 })
+        );
+        this.trail.frustumCulled = false;
+        this.scene.add(this.trail);
+
+        // Circle of the predicted gyroradius around the guiding axis, following the particle along B
+        const circlePoints = [];
+        for (let i = 0; i <= 64; i++) {
+            const angle = i / 64 * Math.PI * 2;
+            circlePoints.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+        }
+        this.orbit = new THREE.LineLoop(
+            new THREE.BufferGeometry().setFromPoints(circlePoints),
+            new THREE.LineDashedMaterial({ color: COLORS.orbit, dashSize: 0.1, gapSize: 0.08 })
+        );
+        this.orbit.computeLineDistances();
+        this.scene.add(this.orbit);
+
+        this.axisLine = new DashedSegment({ color: COLORS.orbit });
+        this.radiusLine = new DashedSegment({ color: COLORS.neutral });
+        this.scene.add(this.axisLine, this.radiusLine);
+
+        const label = (text, color) => this.createLabel(text, color, { fontSize: 40, height: 0.35 });
+        this.velocityArrow = new VectorArrow({ color: COLORS.velocity, radius: 0.03, label: label('v', COLORS.velocity) });
+        this.forceArrow = new VectorArrow({ color: COLORS.force, radius: 0.04, label: label('F = q v × B', COLORS.force) });
+        this.scene.add(this.velocityArrow, this.forceArrow);
+    }
+
+    createControls() {
+        const panel = this.createPanel('Charged Particle');
+
+        const sliders = [
+            { name: 'charge', label: 'Charge q', min: -2, max: 2, step: 0.1 },
+            { name: 'mass', label: 'Mass m', min: 0.2, max: 3, step: 0.1 },
+            { name: 'speed', label: 'Speed |v|', min: 0.5, max: 4, step: 0.1 },
+            { name: 'pitch', label: 'Angle v to B', min: 0, max: 90, step: 1, format: v => `${v.toFixed(0)}°` },
+            { name: 'field', label: '|B|', min: 0.2, max: 3, step: 0.1 },
+            { name: 'fieldTilt', label: 'B tilt from y', min: 0, max: 180, step: 1, format: v => `${v.toFixed(0)}°` },
+            { name: 'fieldAzimuth', label: 'B turn about y', min: 0, max: 360, step: 1, format: v => `${v.toFixed(0)}°` }
+        ];
+        sliders.forEach(({ name, ...options }) => {
+            this.addSlider(panel, {
+                ...options,
+                value: this.params[name],
+                onInput: value => {
+                    this.params[name] = value;
+                    this.restart();
+                }
+            });
+        });
+
+        const row = this.createRow(panel);
+        this.runButton = this.addButton(row, 'Pause', () => this.setRunning(!this.running));
+        this.addButton(row, 'Restart', () => this.restart());
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        panel.appendChild(this.readout);
+    }
+
+    setRunning(running) {
+        this.running = running;
+        this.runButton.textContent = running ? 'Pause' : 'Play';
+        this.runButton.classList.toggle('is-active', !running);
+    }
+
+    // B tilted from y toward x, then turned about y, so it can point any way
+    getField() {
+        const tilt = THREE.MathUtils.degToRad(this.params.fieldTilt);
+        const azimuth = THREE.MathUtils.degToRad(this.params.fieldAzimuth);
+        return new THREE.Vector3(Math.sin(tilt), Math.cos(tilt), 0)
+            .applyAxisAngle(new THREE.Vector3(0, 1, 0), azimuth)
+            .multiplyScalar(this.params.field);
+    }
+
+    /**
+     * Initial state: v at the chosen angle to B, placed so the guiding axis
+     * runs through the origin and the particle starts at one end of the track
+     */
+    restart() {
+        const B = this.getField();
+        const direction = B.clone().normalize();
+
+        // Any fixed direction across B will do for the start of the circle;
+        // z is only unusable when B lies along it
+        const reference = Math.abs(direction.z) > 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 0, 1);
+        const across = new THREE.Vector3().crossVectors(direction, reference).normalize();
+
+        const pitch = THREE.MathUtils.degToRad(this.params.pitch);
+        this.velocity.copy(direction).multiplyScalar(Math.cos(pitch))
+            .addScaledVector(across, Math.sin(pitch))
+            .multiplyScalar(this.params.speed);
+
+        this.axisOrigin = direction.clone().multiplyScalar(-TRACK_HALF_LENGTH);
+        this.position.copy(this.axisOrigin).sub(this.getGuidingOffset());
+
+        // Boris keeps v half a step behind x; without this the circle starts off-centre
+        this.rotateVelocity(-TIMESTEP / 2);
+
+        this.fieldDirection = direction;
+        this.initialEnergy = this.getKineticEnergy();
+        this.time = 0;
+        this.turnAngle = 0;
+        this.accumulator = 0;
+        this.trailCount = 0;
+
+        const color = this.params.charge > 0 ? COLORS.positive : (this.params.charge < 0 ? COLORS.negative : COLORS.neutral);
+        this.particle.material.color.setHex(color);
+        this.trail.material.color.setHex(color);
+
+        this.fieldArrows.forEach(arrow => {
+            const vector = direction.clone().multiplyScalar(1.5);
+            arrow.set(arrow.userData.anchor.clone().addScaledVector(vector, -0.5), vector);
+        });
+        this.axisLine.set(this.axisOrigin, direction.clone().multiplyScalar(TRACK_HALF_LENGTH));
+
+        this.addTrailPoint();
+        this.syncVisuals();
+    }
+
+    /**
+     * Vector from the particle to its guiding axis, m (v × B) / (q B²)
+     */
+    getGuidingOffset() {
+        if (Math.abs(this.params.charge) < 1e-9) return new THREE.Vector3();
+
+        const B = this.getField();
+        return new THREE.Vector3().crossVectors(this.velocity, B)
+            .multiplyScalar(this.params.mass / (this.params.charge * B.lengthSq()));
+    }
+
+    getKineticEnergy() {
+        return 0.5 * this.params.mass * this.velocity.lengthSq();
+    }
+
+    /**
+     * Boris rotation of v about B over dt; the half-angle form keeps |v| exact
+     */
+    rotateVelocity(dt) {
+        const { charge, mass } = this.params;
+        const t = this.getField().multiplyScalar(charge * dt / (2 * mass));
+        const s = t.clone().multiplyScalar(2 / (1 + t.lengthSq()));
+
+        const vPrime = this.velocity.clone().add(new THREE.Vector3().crossVectors(this.velocity, t));
+        this.velocity.add(new THREE.Vector3().crossVectors(vPrime, s));
+    }
+
+    /**
+     * One Boris step: turn v, then move with the new velocity
+     */
+    step(dt) {
+        const before = this.velocity.clone();
+        this.rotateVelocity(dt);
+        this.position.addScaledVector(this.velocity, dt);
+
+        // Accumulate how far v⊥ has turned, to measure the period
+        const acrossBefore = before.projectOnPlane(this.fieldDirection);
+        const acrossAfter = this.velocity.clone().projectOnPlane(this.fieldDirection);
+        if (acrossBefore.lengthSq() > 1e-12 && acrossAfter.lengthSq() > 1e-12) {
+            this.turnAngle += acrossBefore.angleTo(acrossAfter);
+        }
+
+        this.time += dt;
+    }
+
+    update(dt) {
+        if (!this.running) return;
+
+        this.accumulator += dt;
+        let steps = 0;
+        while (this.accumulator >= TIMESTEP && steps < MAX_STEPS_PER_FRAME) {
+            this.step(TIMESTEP);
+            this.accumulator -= TIMESTEP;
+            steps++;
+        }
+        if (steps === MAX_STEPS_PER_FRAME) this.accumulator = 0;
+
+        this.addTrailPoint();
+
+        // Start over once the helix has crossed the scene
+        if (this.position.clone().sub(this.axisOrigin).dot(this.fieldDirection) > 2 * TRACK_HALF_LENGTH
+            || this.position.length() > 3 * TRACK_HALF_LENGTH) {
+            this.restart();
+            return;
+        }
+
+        this.syncVisuals();
+    }
+
+    addTrailPoint() {
+        const positions = this.trail.geometry.attributes.position;
+
+        // Drop the oldest point once the buffer is full
+        if (this.trailCount === TRAIL_POINTS) {
+            positions.array.copyWithin(0, 3);
+            this.trailCount--;
+        }
+        positions.setXYZ(this.trailCount, this.position.x, this.position.y, this.position.z);
+        this.trailCount++;
+
+        positions.needsUpdate = true;
+        this.trail.geometry.setDrawRange(0, this.trailCount);
+    }
+
+    syncVisuals() {
+        const B = this.getField();
+        const force = new THREE.Vector3().crossVectors(this.velocity, B).multiplyScalar(this.params.charge);
+
+        this.particle.position.copy(this.position);
+        this.velocityArrow.set(this.position, this.velocity.clone().multiplyScalar(VELOCITY_SCALE));
+        this.forceArrow.set(this.position, force.clone().multiplyScalar(FORCE_SCALE));
+
+        // Predicted circle, centred on the guiding axis level with the particle
+        const center = this.position.clone().add(this.getGuidingOffset());
+        const predicted = this.getPredictedRadius();
+        this.orbit.visible = predicted > 1e-3;
+        if (this.orbit.visible) {
+            this.orbit.position.copy(center);
+            this.orbit.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), this.fieldDirection);
+            this.orbit.scale.setScalar(predicted);
+        }
+        this.radiusLine.visible = this.orbit.visible;
+        if (this.radiusLine.visible) this.radiusLine.set(center, this.position);
+
+        this.updateReadout(force, predicted);
+    }
+
+    getPredictedRadius() {
+        const { charge, mass } = this.params;
+        if (Math.abs(charge) < 1e-9) return 0;
+
+        const across = this.velocity.clone().projectOnPlane(this.fieldDirection).length();
+        return mass * across / (Math.abs(charge) * this.params.field);
+    }
+
+    /**
+     * Distance from the particle to the fixed guiding axis, measured from the simulated path
+     */
+    getMeasuredRadius() {
+        return this.position.clone().sub(this.axisOrigin).projectOnPlane(this.fieldDirection).length();
+    }
+
+    updateReadout(force, predicted) {
+        const { charge, mass, field } = this.params;
+        const energy = this.getKineticEnergy();
+        const drift = this.initialEnergy > 0 ? (energy - this.initialEnergy) / this.initialEnergy : 0;
+
+        const lines = [
+            `v = ${formatVector(this.velocity)}, |v| = ${formatNumber(this.velocity.length(), 3)}`,
+            `F = q v × B = ${formatVector(force)}, F·v = ${formatNumber(force.dot(this.velocity), 3)}`
+        ];
+
+        if (Math.abs(charge) < 1e-9) {
+            lines.push('q = 0: no magnetic force, the particle moves in a straight line.');
+        } else {
+            const period = 2 * Math.PI * mass / (Math.abs(charge) * field);
+            const turns = this.turnAngle / (2 * Math.PI);
+
+            lines.push(`r = m v⊥ / (|q| B) = <strong>${formatNumber(predicted, 3)}</strong>, measured ${formatNumber(this.getMeasuredRadius(), 3)}`);
+            lines.push(`T = 2π m / (|q| B) = ${formatNumber(period, 3)}, measured ${turns >= 1 ? formatNumber(this.time / turns, 3) : '…'}`);
+            lines.push(charge > 0 ? 'q > 0 turns clockwise looking along B.' : 'q < 0 turns counter-clockwise looking along B.');
+        }
+
+        lines.push(`KE = ${formatNumber(energy, 3)} (drift ${formatNumber(drift * 100, 4)}%): B does no work.`);
+
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+}
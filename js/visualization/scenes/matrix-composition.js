@@ -0,0 +1,415 @@
+/**
+ * Matrix Composition Visualization
+ *
+ * Readers stack transforms in an ordered list and compare the product taken
+ * in list order (left viewport) with the product taken in reverse (right
+ * viewport). Both viewports share one camera and animate the factors one at
+ * a time, right to left, so it is visible where the two orders diverge.
+ *
+ * The scene is drawn twice per frame into the two halves of the canvas with
+ * scissor tests; each pass only shows the cube belonging to that viewport.
+ */
+
+import BaseVisualization, { formatNumber } from '../base-visualization.js';
+import { matrixFromRows } from './matrix-lab.js';
+
+const STEP_DURATION = 0.9;
+const MAX_TRANSFORMS = 6;
+const LETTERS = 'ABCDEF';
+const EPSILON = 1e-6;
+
+// Row-major 3x3 matrices offered in the palette
+const TRANSFORMS = {
+    rotateX: { label: 'Rotate X 90°', rows: [[1, 0, 0], [0, 0, -1], [0, 1, 0]] },
+    rotateY: { label: 'Rotate Y 90°', rows: [[0, 0, 1], [0, 1, 0], [-1, 0, 0]] },
+    rotateZ: { label: 'Rotate Z 90°', rows: [[0, -1, 0], [1, 0, 0], [0, 0, 1]] },
+    stretchX: { label: 'Stretch X ×2', rows: [[2, 0, 0], [0, 1, 0], [0, 0, 1]] },
+    shearX: { label: 'Shear X by Y', rows: [[1, 1, 0], [0, 1, 0], [0, 0, 1]] },
+    reflectX: { label: 'Reflect X', rows: [[-1, 0, 0], [0, 1, 0], [0, 0, 1]] }
+};
+
+// A rotation and a non-uniform stretch are the classic non-commuting pair
+const DEFAULT_SEQUENCE = ['rotateZ', 'stretchX'];
+
+const FACE_COLORS = [0xef4444, 0xfca5a5, 0x10b981, 0x6ee7b7, 0x3b82f6, 0x93c5fd];
+
+function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+function matricesEqual(a, b) {
+    return a.elements.every((value, i) => Math.abs(value - b.elements[i]) < EPSILON);
+}
+
+export default class MatrixComposition extends BaseVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [4.5, 4, 6];
+        this.cameraTarget = [0, 0.5, 0];
+
+        this.sequence = [];
+        this.nextId = 0;
+        this.dragging = null;
+        this.playback = null;
+        this.viewportSize = new THREE.Vector2();
+    }
+
+    initCamera() {
+        super.initCamera();
+
+        // Each viewport gets half of the canvas width
+        this.camera.aspect /= 2;
+        this.camera.updateProjectionMatrix();
+    }
+
+    build() {
+        this.addGrid(8, 8);
+        this.scene.add(new THREE.AxesHelper(2.5));
+
+        const cubeGeometry = new THREE.BoxGeometry(1, 1, 1).translate(0.5, 0.5, 0.5);
+        const edgesGeometry = new THREE.EdgesGeometry(cubeGeometry);
+
+        // Untransformed reference, visible in both viewports
+        const ghost = new THREE.LineSegments(
+            edgesGeometry.clone(),
+            new THREE.LineDashedMaterial({ color: 0x888888, dashSize: 0.08, gapSize: 0.05, transparent: true, opacity: 0.7 })
+        );
+        ghost.computeLineDistances();
+        this.scene.add(ghost);
+
+        this.views = [0, 1].map(() => {
+            const group = new THREE.Group();
+            // The model matrix is written directly from the interpolated product
+            group.matrixAutoUpdate = false;
+
+            const faceMaterials = FACE_COLORS.map(color => new THREE.MeshStandardMaterial({
+                color,
+                roughness: 0.6,
+                side: THREE.DoubleSide
+            }));
+            group.add(new THREE.Mesh(cubeGeometry.clone(), faceMaterials));
+            group.add(new THREE.LineSegments(edgesGeometry.clone(), new THREE.LineBasicMaterial({ color: 0x222222 })));
+            this.scene.add(group);
+
+            return { group, factors: [], partials: [], product: new THREE.Matrix4() };
+        });
+
+        cubeGeometry.dispose();
+        edgesGeometry.dispose();
+
+        this.createViewportLabels();
+        this.createControls();
+
+        DEFAULT_SEQUENCE.forEach(key => this.addTransform(key, false));
+        this.refresh();
+    }
+
+    createViewportLabels() {
+        const divider = document.createElement('div');
+        divider.className = 'viz-split__divider';
+        this.addUI(divider);
+
+        this.views.forEach((view, index) => {
+            const label = document.createElement('div');
+            label.className = `viz-split__label viz-split__label--${index === 0 ? 'left' : 'right'}`;
+
+            view.titleElement = document.createElement('strong');
+            view.captionElement = document.createElement('span');
+            label.append(view.titleElement, view.captionElement);
+
+            this.addUI(label);
+        });
+    }
+
+    createControls() {
+        const panel = this.createPanel('Transform Sequence');
+
+        this.list = document.createElement('ol');
+        this.list.className = 'viz-sequence';
+        this.list.setAttribute('aria-label', 'Transforms, drag or use arrow keys to reorder');
+        panel.appendChild(this.list);
+
+        const paletteRow = this.createRow(panel);
+        this.paletteButtons = Object.entries(TRANSFORMS).map(([key, transform]) =>
+            this.addButton(paletteRow, `+ ${transform.label}`, () => this.addTransform(key))
+        );
+
+        const actionRow = this.createRow(panel);
+        this.addButton(actionRow, 'Play', () => this.play());
+        this.addButton(actionRow, 'Clear', () => {
+            this.sequence = [];
+            this.refresh();
+        });
+
+        const results = this.createPanel('Combined Matrix', ['right']);
+        this.results = this.views.map(() => {
+            const row = this.createRow(results);
+            const name = document.createElement('span');
+            const grid = document.createElement('div');
+            grid.className = 'viz-matrix viz-matrix--readonly';
+            grid.style.gridTemplateColumns = 'repeat(3, auto)';
+
+            const inputs = [];
+            for (let i = 0; i < 9; i++) {
+                const input = document.createElement('input');
+                input.readOnly = true;
+                input.tabIndex = -1;
+                grid.appendChild(input);
+                inputs.push(input);
+            }
+
+            row.append(name, grid);
+            return { name, inputs };
+        });
+
+        this.verdict = document.createElement('div');
+        this.verdict.className = 'viz-panel__readout';
+        results.appendChild(this.verdict);
+    }
+
+    addTransform(key, refresh = true) {
+        if (this.sequence.length >= MAX_TRANSFORMS) return;
+
+        const used = new Set(this.sequence.map(item => item.letter));
+        const letter = [...LETTERS].find(l => !used.has(l));
+
+        this.sequence.push({ id: this.nextId++, key, letter });
+        if (refresh) this.refresh();
+    }
+
+    removeTransform(id) {
+        this.sequence = this.sequence.filter(item => item.id !== id);
+        this.refresh();
+    }
+
+    moveTransform(from, to) {
+        if (to < 0 || to >= this.sequence.length) return;
+
+        const [item] = this.sequence.splice(from, 1);
+        this.sequence.splice(to, 0, item);
+        this.refresh();
+        this.list.children[to]?.focus();
+    }
+
+    /**
+     * Rebuild the list, recompute both products and replay the animation
+     */
+    refresh() {
+        this.renderList();
+
+        const full = this.sequence;
+        const reversed = [...full].reverse();
+        [full, reversed].forEach((order, index) => this.prepareView(this.views[index], order));
+
+        this.paletteButtons.forEach(button => {
+            button.disabled = this.sequence.length >= MAX_TRANSFORMS;
+        });
+
+        this.updateResults();
+        this.play();
+    }
+
+    renderList() {
+        this.list.innerHTML = '';
+
+        this.sequence.forEach((item, index) => {
+            const li = document.createElement('li');
+            li.className = 'viz-sequence__item';
+            li.tabIndex = 0;
+            li.dataset.id = item.id;
+
+            const letter = document.createElement('span');
+            letter.className = 'viz-sequence__letter';
+            letter.textContent = item.letter;
+
+            const label = document.createElement('span');
+            label.className = 'viz-sequence__label';
+            label.textContent = TRANSFORMS[item.key].label;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'viz-sequence__remove';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', `Remove ${item.letter}`);
+            remove.addEventListener('click', () => this.removeTransform(item.id));
+
+            li.append(letter, label, remove);
+
+            li.addEventListener('keydown', e => {
+                if (e.key === 'ArrowUp') this.moveTransform(index, index - 1);
+                else if (e.key === 'ArrowDown') this.moveTransform(index, index + 1);
+                else return;
+                e.preventDefault();
+            });
+
+            // Pointer events rather than HTML drag and drop so touch works too
+            li.addEventListener('pointerdown', e => this.startDrag(e, li));
+            li.addEventListener('pointermove', e => this.handleDrag(e));
+            li.addEventListener('pointerup', () => this.endDrag());
+            li.addEventListener('pointercancel', () => this.endDrag());
+
+            this.list.appendChild(li);
+        });
+    }
+
+    startDrag(event, li) {
+        if (event.target.closest('button')) return;
+
+        event.preventDefault();
+        li.setPointerCapture(event.pointerId);
+        li.classList.add('is-dragging');
+        this.dragging = li;
+    }
+
+    handleDrag(event) {
+        if (!this.dragging) return;
+
+        // Move the dragged node live; the sequence is reordered on release
+        const over = [...this.list.children].find(child => {
+            if (child === this.dragging) return false;
+            const rect = child.getBoundingClientRect();
+            return event.clientY >= rect.top && event.clientY <= rect.bottom;
+        });
+        if (!over) return;
+
+        const rect = over.getBoundingClientRect();
+        const after = event.clientY > rect.top + rect.height / 2;
+        this.list.insertBefore(this.dragging, after ? over.nextSibling : over);
+    }
+
+    endDrag() {
+        if (!this.dragging) return;
+
+        this.dragging.classList.remove('is-dragging');
+        this.dragging = null;
+
+        const order = [...this.list.children].map(child => Number(child.dataset.id));
+        const changed = order.some((id, index) => id !== this.sequence[index].id);
+        if (!changed) return;
+
+        this.sequence = order.map(id => this.sequence.find(item => item.id === id));
+        this.refresh();
+    }
+
+    /**
+     * Precompute the partial products for one viewport
+     *
+     * The product of [T1, T2, ... Tn] acts right to left, so the animation
+     * applies Tn first and premultiplies each following factor.
+     */
+    prepareView(view, order) {
+        view.order = order;
+        view.factors = [...order].reverse();
+        view.partials = [new THREE.Matrix4()];
+
+        view.factors.forEach(item => {
+            const last = view.partials[view.partials.length - 1];
+            view.partials.push(last.clone().premultiply(matrixFromRows(TRANSFORMS[item.key].rows)));
+        });
+
+        view.product.copy(view.partials[view.partials.length - 1]);
+        view.titleElement.textContent = order.map(item => item.letter).join('·') || 'I';
+    }
+
+    play() {
+        this.playback = { t: 0 };
+        this.views.forEach(view => this.setViewMatrix(view, view.partials[0]));
+        this.updatePlayback();
+    }
+
+    update(dt) {
+        if (!this.playback) return;
+
+        this.playback.t += dt;
+        this.updatePlayback();
+    }
+
+    updatePlayback() {
+        const steps = this.sequence.length;
+        const position = Math.min(this.playback.t / STEP_DURATION, steps);
+        const step = Math.min(Math.floor(position), steps - 1);
+        const finished = position >= steps;
+
+        this.views.forEach(view => {
+            if (finished) {
+                this.setViewMatrix(view, view.product);
+                view.captionElement.textContent = '';
+                return;
+            }
+
+            const from = view.partials[step].elements;
+            const to = view.partials[step + 1].elements;
+            const eased = easeInOut(position - step);
+            const matrix = view.group.matrix;
+            for (let i = 0; i < 16; i++) {
+                matrix.elements[i] = from[i] + (to[i] - from[i]) * eased;
+            }
+            view.group.matrixWorldNeedsUpdate = true;
+            view.captionElement.textContent = `applying ${view.factors[step].letter}`;
+        });
+
+        if (finished) this.playback = null;
+    }
+
+    setViewMatrix(view, matrix) {
+        view.group.matrix.copy(matrix);
+        view.group.matrixWorldNeedsUpdate = true;
+    }
+
+    updateResults() {
+        this.views.forEach((view, index) => {
+            const result = this.results[index];
+            const e = view.product.elements;
+
+            result.name.textContent = `${view.titleElement.textContent} =`;
+            result.inputs.forEach((input, i) => {
+                const r = Math.floor(i / 3), c = i % 3;
+                input.value = formatNumber(e[c * 4 + r]);
+            });
+        });
+
+        const [forward, reverse] = this.views;
+        const lines = ['Products act right to left: the rightmost factor is applied first.'];
+
+        if (this.sequence.length < 2) {
+            lines.push('Add at least two transforms to compare the orders.');
+        } else if (matricesEqual(forward.product, reverse.product)) {
+            lines.push(`${forward.titleElement.textContent} = ${reverse.titleElement.textContent}: these transforms commute.`);
+        } else {
+            lines.push(`${forward.titleElement.textContent} ≠ ${reverse.titleElement.textContent}: the order changes the result.`);
+        }
+
+        this.verdict.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+
+    // The split view draws straight to the canvas; post-processing works on whole frames
+    render() {
+        const size = this.renderer.getSize(this.viewportSize);
+        const half = Math.floor(size.x / 2);
+
+        this.renderer.setScissorTest(true);
+        this.views.forEach((view, index) => {
+            const x = index * half;
+            const width = index === 0 ? half : size.x - half;
+
+            this.views.forEach(other => {
+                other.group.visible = other === view;
+            });
+            this.renderer.setViewport(x, 0, width, size.y);
+            this.renderer.setScissor(x, 0, width, size.y);
+            this.renderer.render(this.scene, this.camera);
+        });
+        this.renderer.setScissorTest(false);
+    }
+
+    resize(width, height) {
+        if (!this.renderer || width === 0 || height === 0) return;
+
+        this.renderer.setSize(width, height);
+        this.camera.aspect = width / 2 / height;
+        this.camera.updateProjectionMatrix();
+
+        if (this.paused) this.render();
+    }
+}
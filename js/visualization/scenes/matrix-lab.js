@@ -0,0 +1,331 @@
+/**
+ * Matrix Lab Visualization
+ *
+ * Chapter 1.4 playground: readers edit a 3x3 or 4x4 matrix and watch it act on
+ * a unit cube. The faded ghost keeps the untransformed cube in view, the arrows
+ * show where the basis vectors land (the matrix columns), and the readout ties
+ * the determinant to the cube's new volume and orientation.
+ *
+ * Vertices are transformed on the CPU with a homogeneous divide so that 4x4
+ * matrices with a projective bottom row are drawn correctly, which a mesh's
+ * model matrix cannot do.
+ */
+
+import BaseVisualization, { formatNumber } from '../base-visualization.js';
+
+const ANIMATION_DURATION = 1.2;
+const EPSILON = 1e-6;
+
+const COS_45 = Math.SQRT1_2;
+
+// Row-major presets; 3x3 entries are embedded in the upper left of a 4x4
+const PRESETS = {
+    identity: { label: 'Identity', rows: [[1, 0, 0], [0, 1, 0], [0, 0, 1]] },
+    rotation: { label: 'Rotation', rows: [[COS_45, 0, COS_45], [0, 1, 0], [-COS_45, 0, COS_45]] },
+    scale: { label: 'Scale', rows: [[1.5, 0, 0], [0, 0.75, 0], [0, 0, 1.25]] },
+    shear: { label: 'Shear', rows: [[1, 0.75, 0], [0, 1, 0], [0, 0, 1]] },
+    reflection: { label: 'Reflection', rows: [[-1, 0, 0], [0, 1, 0], [0, 0, 1]] },
+    projection: { label: 'Projection', rows: [[1, 0, 0], [0, 0, 0], [0, 0, 1]] },
+    translation: {
+        label: 'Translation',
+        size: 4,
+        rows: [[1, 0, 0, 1.5], [0, 1, 0, 0.5], [0, 0, 1, 0], [0, 0, 0, 1]]
+    },
+    perspective: {
+        label: 'Perspective',
+        size: 4,
+        rows: [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0.6, 1]]
+    }
+};
+
+const FACE_COLORS = [0xef4444, 0xfca5a5, 0x10b981, 0x6ee7b7, 0x3b82f6, 0x93c5fd];
+const BASIS_COLORS = [0xff0000, 0x00aa00, 0x0000ff];
+
+/**
+ * Build a THREE.Matrix4 from row-major rows of a 3x3 or 4x4 matrix
+ */
+export function matrixFromRows(rows) {
+    const m = new THREE.Matrix4();
+    const e = m.elements;
+
+    rows.forEach((row, r) => {
+        row.forEach((value, c) => {
+            e[c * 4 + r] = value; // Matrix4 stores column-major
+        });
+    });
+
+    return m;
+}
+
+/**
+ * Determinant of the linear (upper-left 3x3) part of a Matrix4
+ */
+export function linearDeterminant(matrix) {
+    return new THREE.Matrix3().setFromMatrix4(matrix).determinant();
+}
+
+/**
+ * Whether the bottom row is (0, 0, 0, 1), i.e. the matrix is affine
+ */
+export function isAffine(matrix) {
+    const e = matrix.elements;
+    return Math.abs(e[3]) < EPSILON && Math.abs(e[7]) < EPSILON &&
+        Math.abs(e[11]) < EPSILON && Math.abs(e[15] - 1) < EPSILON;
+}
+
+export default class MatrixLab extends BaseVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [3.5, 3, 4.5];
+        this.cameraTarget = [0.5, 0.5, 0.5];
+
+        this.size = 3;
+        this.target = new THREE.Matrix4();
+        this.current = new THREE.Matrix4();
+        this.animation = null;
+    }
+
+    build() {
+        this.addGrid();
+        this.scene.add(new THREE.AxesHelper(2.5));
+
+        // Unit cube with its corner at the origin so the fixed point is easy to see
+        const cubeGeometry = new THREE.BoxGeometry(1, 1, 1).translate(0.5, 0.5, 0.5);
+        this.basePositions = cubeGeometry.attributes.position.array.slice();
+
+        const faceMaterials = FACE_COLORS.map(color => new THREE.MeshStandardMaterial({
+            color,
+            roughness: 0.6,
+            side: THREE.DoubleSide // Reflections reverse the winding order
+        }));
+        this.cube = new THREE.Mesh(cubeGeometry, faceMaterials);
+        this.scene.add(this.cube);
+
+        const edgesGeometry = new THREE.EdgesGeometry(cubeGeometry);
+        this.baseEdgePositions = edgesGeometry.attributes.position.array.slice();
+        this.edges = new THREE.LineSegments(edgesGeometry, new THREE.LineBasicMaterial({ color: 0x222222 }));
+        this.scene.add(this.edges);
+
+        // Ghost of the untransformed cube
+        this.ghost = new THREE.LineSegments(
+            edgesGeometry.clone(),
+            new THREE.LineDashedMaterial({ color: 0x888888, dashSize: 0.08, gapSize: 0.05, transparent: true, opacity: 0.7 })
+        );
+        this.ghost.computeLineDistances();
+        this.scene.add(this.ghost);
+
+        // Images of the basis vectors i, j, k
+        this.basisArrows = BASIS_COLORS.map(color => {
+            const arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, color, 0.15, 0.08);
+            this.scene.add(arrow);
+            return arrow;
+        });
+
+        this.createControls();
+        this.applyMatrix(this.current);
+    }
+
+    createControls() {
+        const panel = this.createPanel('Transformation Matrix');
+
+        this.matrixGrid = document.createElement('div');
+        this.matrixGrid.className = 'viz-matrix';
+        panel.appendChild(this.matrixGrid);
+
+        const presetRow = this.createRow(panel);
+        this.presetButtons = {};
+        Object.entries(PRESETS).forEach(([key, preset]) => {
+            this.presetButtons[key] = this.addButton(presetRow, preset.label, () => this.loadPreset(key));
+        });
+
+        const actionRow = this.createRow(panel);
+        this.sizeButton = this.addButton(actionRow, '4×4', () => this.setSize(this.size === 3 ? 4 : 3));
+        this.addButton(actionRow, 'Animate', () => this.animateTo(this.target));
+        this.ghostButton = this.addButton(actionRow, 'Ghost', () => {
+            this.ghost.visible = !this.ghost.visible;
+            this.ghostButton.classList.toggle('is-active', this.ghost.visible);
+        });
+        this.ghostButton.classList.add('is-active');
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        panel.appendChild(this.readout);
+
+        this.buildMatrixInputs();
+    }
+
+    buildMatrixInputs() {
+        this.matrixGrid.innerHTML = '';
+        this.matrixGrid.style.gridTemplateColumns = `repeat(${this.size}, auto)`;
+        this.inputs = [];
+
+        for (let r = 0; r < this.size; r++) {
+            for (let c = 0; c < this.size; c++) {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = '0.1';
+                input.setAttribute('aria-label', `Row ${r + 1}, column ${c + 1}`);
+                input.addEventListener('input', () => this.handleEntryInput(r, c, input.value));
+                this.matrixGrid.appendChild(input);
+                this.inputs.push({ input, r, c });
+            }
+        }
+
+        // Only 4x4 presets need the homogeneous row and column
+        Object.entries(PRESETS).forEach(([key, preset]) => {
+            this.presetButtons[key].style.display = (preset.size || 3) <= this.size ? '' : 'none';
+        });
+
+        this.sizeButton.textContent = this.size === 3 ? '4×4' : '3×3';
+        this.syncInputs();
+    }
+
+    syncInputs() {
+        const e = this.target.elements;
+        this.inputs.forEach(({ input, r, c }) => {
+            // Don't fight the reader while they are typing
+            if (document.activeElement !== input) {
+                input.value = formatNumber(e[c * 4 + r]);
+            }
+        });
+    }
+
+    handleEntryInput(r, c, rawValue) {
+        const value = parseFloat(rawValue);
+        if (Number.isNaN(value)) return;
+
+        this.target.elements[c * 4 + r] = value;
+        this.animation = null;
+        this.current.copy(this.target);
+        this.applyMatrix(this.current);
+    }
+
+    setSize(size) {
+        this.size = size;
+
+        // Dropping back to 3x3 discards translation and projective entries
+        if (size === 3) {
+            const e = this.target.elements;
+            e[3] = e[7] = e[11] = 0;
+            e[12] = e[13] = e[14] = 0;
+            e[15] = 1;
+            this.current.copy(this.target);
+            this.animation = null;
+            this.applyMatrix(this.current);
+        }
+
+        this.buildMatrixInputs();
+    }
+
+    loadPreset(key) {
+        const preset = PRESETS[key];
+        if ((preset.size || 3) > this.size) {
+            this.setSize(preset.size);
+        }
+
+        this.target = matrixFromRows(preset.rows);
+        this.syncInputs();
+        this.animateTo(this.target);
+    }
+
+    /**
+     * Interpolate entry by entry from the identity to the target matrix
+     */
+    animateTo(target) {
+        this.animation = {
+            from: new THREE.Matrix4(),
+            to: target.clone(),
+            t: 0
+        };
+        this.current.identity();
+        this.applyMatrix(this.current);
+    }
+
+    update(dt) {
+        if (!this.animation) return;
+
+        const anim = this.animation;
+        anim.t = Math.min(anim.t + dt / ANIMATION_DURATION, 1);
+        const eased = anim.t < 0.5 ? 2 * anim.t * anim.t : 1 - Math.pow(-2 * anim.t + 2, 2) / 2;
+
+        const from = anim.from.elements;
+        const to = anim.to.elements;
+        const out = this.current.elements;
+        for (let i = 0; i < 16; i++) {
+            out[i] = from[i] + (to[i] - from[i]) * eased;
+        }
+
+        this.applyMatrix(this.current);
+
+        if (anim.t >= 1) {
+            this.animation = null;
+        }
+    }
+
+    /**
+     * Transform the cube, its edges and the basis arrows by a matrix
+     */
+    applyMatrix(matrix) {
+        this.transformPositions(this.basePositions, this.cube.geometry, matrix);
+        this.cube.geometry.computeVertexNormals();
+        this.transformPositions(this.baseEdgePositions, this.edges.geometry, matrix);
+
+        const e = matrix.elements;
+        this.basisArrows.forEach((arrow, column) => {
+            const image = new THREE.Vector3(e[column * 4], e[column * 4 + 1], e[column * 4 + 2]);
+            const length = image.length();
+            arrow.visible = length > EPSILON;
+            if (arrow.visible) {
+                arrow.setDirection(image.divideScalar(length));
+                arrow.setLength(length, Math.min(0.15, length * 0.3), Math.min(0.08, length * 0.15));
+            }
+        });
+
+        this.updateReadout(matrix);
+    }
+
+    transformPositions(source, geometry, matrix) {
+        const attribute = geometry.attributes.position;
+        const target = attribute.array;
+        const e = matrix.elements;
+
+        for (let i = 0; i < source.length; i += 3) {
+            const x = source[i], y = source[i + 1], z = source[i + 2];
+            let w = e[3] * x + e[7] * y + e[11] * z + e[15];
+
+            // Keep points that approach the plane at infinity finite
+            if (Math.abs(w) < 1e-3) w = w < 0 ? -1e-3 : 1e-3;
+
+            target[i] = (e[0] * x + e[4] * y + e[8] * z + e[12]) / w;
+            target[i + 1] = (e[1] * x + e[5] * y + e[9] * z + e[13]) / w;
+            target[i + 2] = (e[2] * x + e[6] * y + e[10] * z + e[14]) / w;
+        }
+
+        attribute.needsUpdate = true;
+        geometry.computeBoundingSphere();
+    }
+
+    updateReadout(matrix) {
+        const det = linearDeterminant(matrix);
+        const lines = [];
+
+        if (this.size === 4) {
+            lines.push(`det(M) = ${formatNumber(matrix.determinant(), 3)}`);
+            lines.push(`det(linear 3×3 part) = ${formatNumber(det, 3)}`);
+        } else {
+            lines.push(`det = ${formatNumber(det, 3)}`);
+        }
+
+        if (!isAffine(matrix)) {
+            lines.push('Projective: the cube is tapered, so volume scaling depends on position.');
+        } else if (Math.abs(det) < 1e-3) {
+            lines.push('Volume: 1 → 0. The cube collapses, so the matrix has no inverse.');
+        } else {
+            lines.push(`Volume: 1 → ${formatNumber(Math.abs(det), 3)}`);
+            lines.push(det > 0 ? 'Orientation preserved' : 'Orientation flipped (mirror image)');
+        }
+
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+}
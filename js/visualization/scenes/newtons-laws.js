@@ -0,0 +1,711 @@
+/**
+ * Newton's Laws Visualizations
+ *
+ * Three small Rapier experiments for the introduction to forces, built on
+ * NewtonScene: bodies sliding on a frictionless track, force arrows drawn from
+ * the forces applied each physics step, and a chart of the measured motion.
+ *
+ * - InertiaDemo (default, `inertia-demo`): a puck keeps its velocity until a force acts
+ * - ForceMassAccel (`force-mass-accel`): a pushed cart, measured a against F / m
+ * - ActionReaction (`action-reaction`): two carts pushed apart by one spring
+ */
+
+import { formatNumber } from '../base-visualization.js';
+import PhysicsVisualization from '../physics-visualization.js';
+import { VectorArrow } from '../vector-kit.js';
+import LineChart from '../line-chart.js';
+
+const TRACK_LENGTH = 20;
+const TRACK_LIMIT = TRACK_LENGTH / 2 - 0.6;
+const GRAVITY = 9.81;
+
+export const NEWTON_COLORS = {
+    force: 0x2563eb,
+    velocity: 0x10b981,
+    acceleration: 0x8b5cf6,
+    friction: 0xdc2626,
+    bodyA: 0xf59e0b,
+    bodyB: 0x0ea5e9,
+    spring: 0x374151
+};
+
+const label = (visualization, text, color) => visualization.createLabel(text, color, { fontSize: 40, height: 0.35 });
+
+export class NewtonScene extends PhysicsVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [0, 6, 11];
+        this.cameraTarget = [0, 0.5, 0];
+        this.worldOptions = { groundSize: TRACK_LENGTH + 10, walls: false };
+        this.running = false;
+
+        // Set by subclasses
+        this.title = '';
+        this.chartOptions = {};
+        this.chartInterval = 3;
+        this.startLabel = 'Start';
+    }
+
+    buildPhysics() {
+        this.addGrid(TRACK_LENGTH + 4, TRACK_LENGTH + 4);
+        this.buildExperiment();
+
+        const panel = this.createPanel(this.title);
+        this.createSliders(panel);
+
+        const row = this.createRow(panel);
+        this.runButton = this.addButton(row, this.startLabel, () => this.setRunning(!this.running));
+        this.createButtons(row);
+        this.addButton(row, 'Reset', () => this.reset());
+
+        const results = this.createPanel('Measurements', ['right']);
+        this.chart = new LineChart({ width: 220, height: 110, ...this.chartOptions });
+        results.appendChild(this.chart.canvas);
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        results.appendChild(this.readout);
+
+        this.reset();
+    }
+
+    /**
+     * Override to create the bodies and guides
+     */
+    buildExperiment() {}
+
+    /**
+     * Override to add parameter sliders to the control panel
+     */
+    createSliders(panel) {}
+
+    /**
+     * Override to add buttons between Start and Reset
+     */
+    createButtons(row) {}
+
+    /**
+     * Override to put the bodies back at their starting state
+     */
+    resetExperiment() {}
+
+    /**
+     * Override to apply this experiment's forces; called before every step
+     */
+    applyForces(timestep) {}
+
+    /**
+     * Override to take measurements after every step
+     */
+    measure(timestep) {}
+
+    /**
+     * Override to add the current values to the chart
+     */
+    recordChart() {}
+
+    /**
+     * Override to report when the run is over, usually at the end of the track
+     */
+    isFinished() {
+        return false;
+    }
+
+    /**
+     * Override to move meshes, arrows and readout to the current state
+     */
+    syncScene() {}
+
+    /**
+     * A dynamic body that slides without friction and cannot tip
+     *
+     * @param {object} options
+     * @param {object} options.colliderDesc - Rapier collider description
+     * @param {THREE.BufferGeometry} options.geometry - Mesh geometry matching the collider
+     * @param {number} options.color - Mesh color
+     * @param {boolean} options.lockZ - Keep the body on the track line
+     */
+    createBody({ colliderDesc, geometry, color, lockZ = true }) {
+        const bodyDesc = this.RAPIER.RigidBodyDesc.dynamic()
+            .lockRotations()
+            .enabledTranslations(true, true, !lockZ);
+        const body = this.world.createRigidBody(bodyDesc);
+
+        // Min combine rule so the body's own coefficient wins over the ground's
+        const collider = this.world.createCollider(
+            colliderDesc
+                .setFriction(0)
+                .setFrictionCombineRule(this.RAPIER.CoefficientCombineRule.Min)
+                .setRestitution(0),
+            body
+        );
+
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color, roughness: 0.6 }));
+        this.scene.add(mesh);
+
+        return { body, collider, mesh };
+    }
+
+    /**
+     * Place a body at rest, or moving with the given velocity
+     */
+    placeBody(item, position, velocity = { x: 0, y: 0, z: 0 }) {
+        item.body.setTranslation(position, true);
+        item.body.setLinvel(velocity, true);
+        item.body.resetForces(true);
+        this.syncMesh(item);
+    }
+
+    syncMesh(item) {
+        const position = item.body.translation();
+        item.mesh.position.set(position.x, position.y, position.z);
+    }
+
+    isOffTrack(item) {
+        const position = item.body.translation();
+        return Math.abs(position.x) > TRACK_LIMIT || Math.abs(position.z) > TRACK_LIMIT;
+    }
+
+    createTrack(width, color = 0x9ca3af) {
+        const track = new THREE.Mesh(
+            new THREE.BoxGeometry(TRACK_LENGTH, 0.02, width),
+            new THREE.MeshStandardMaterial({ color, roughness: 0.9 })
+        );
+        track.position.y = 0.01;
+        this.scene.add(track);
+        return track;
+    }
+
+    reset() {
+        this.setRunning(false);
+
+        this.accumulator = 0;
+        this.time = 0;
+        this.stepCount = 0;
+        this.finished = false;
+
+        this.resetExperiment();
+
+        this.chart.clear();
+        this.recordChart();
+        this.syncScene();
+    }
+
+    setRunning(running) {
+        if (running && this.finished) this.reset();
+
+        this.running = running;
+        this.runButton.textContent = running ? 'Pause' : this.startLabel;
+        this.runButton.classList.toggle('is-active', running);
+    }
+
+    beforeStep(timestep) {
+        this.applyForces(timestep);
+    }
+
+    afterStep(timestep) {
+        this.time += timestep;
+        this.stepCount++;
+        this.measure(timestep);
+
+        if (this.stepCount % this.chartInterval === 0) this.recordChart();
+
+        if (this.isFinished()) {
+            this.finished = true;
+            this.recordChart();
+            this.setRunning(false);
+            this.runButton.textContent = 'Restart';
+
+            // updateVisuals() skips stopped runs, so draw the final state here
+            this.syncScene();
+        }
+    }
+
+    updateVisuals() {
+        if (this.running) this.syncScene();
+        this.chart.draw();
+    }
+
+    writeReadout(lines) {
+        if (this.finished) lines.push('End of the track. Reset to run again.');
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+}
+
+/**
+ * First law: a puck on ice glides in a straight line at constant speed.
+ * Friction and a sideways nudge are the only forces, and the velocity
+ * changes only while one of them acts.
+ */
+const PUCK_RADIUS = 0.45;
+const PUCK_HEIGHT = 0.3;
+const PUCK_MASS = 1;
+const NUDGE_IMPULSE = 1.5;
+const NUDGE_DISPLAY_TIME = 0.4;
+
+export default class InertiaDemo extends NewtonScene {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [0, 10, 10];
+        this.title = 'Puck on Ice';
+        this.chartOptions = {
+            xLabel: 't (s)',
+            yLabel: 'm/s',
+            series: [
+                { name: 'vx', color: '#10b981' },
+                { name: 'vz', color: '#8b5cf6' }
+            ]
+        };
+
+        this.params = {
+            speed: 2,
+            direction: 10,
+            friction: 0
+        };
+        this.nudgeTime = 0;
+    }
+
+    buildExperiment() {
+        this.createTrack(TRACK_LENGTH, 0xe0f2fe);
+
+        this.puck = this.createBody({
+            colliderDesc: this.RAPIER.ColliderDesc.cylinder(PUCK_HEIGHT / 2, PUCK_RADIUS).setMass(PUCK_MASS),
+            geometry: new THREE.CylinderGeometry(PUCK_RADIUS, PUCK_RADIUS, PUCK_HEIGHT, 32),
+            color: 0x1f2937,
+            lockZ: false
+        });
+
+        this.velocityArrow = new VectorArrow({ color: NEWTON_COLORS.velocity, label: label(this, 'v', NEWTON_COLORS.velocity) });
+        this.frictionArrow = new VectorArrow({ color: NEWTON_COLORS.friction, radius: 0.04, label: label(this, 'f', NEWTON_COLORS.friction) });
+        this.nudgeArrow = new VectorArrow({ color: NEWTON_COLORS.force, radius: 0.05, label: label(this, 'push', NEWTON_COLORS.force) });
+        this.scene.add(this.velocityArrow, this.frictionArrow, this.nudgeArrow);
+    }
+
+    createSliders(panel) {
+        this.addSlider(panel, {
+            label: 'v₀ (m/s)', min: 0, max: 4, step: 0.1, value: this.params.speed,
+            format: v => v.toFixed(1),
+            onInput: value => this.setParam('speed', value, true)
+        });
+        this.addSlider(panel, {
+            label: 'Direction', min: -45, max: 45, step: 1, value: this.params.direction,
+            format: v => `${v.toFixed(0)}°`,
+            onInput: value => this.setParam('direction', value, true)
+        });
+        this.addSlider(panel, {
+            label: 'Friction μ', min: 0, max: 0.3, step: 0.01, value: this.params.friction,
+            onInput: value => this.setParam('friction', value)
+        });
+    }
+
+    createButtons(row) {
+        this.addButton(row, 'Nudge', () => this.nudge());
+    }
+
+    /**
+     * @param {boolean} needsReset - Parameters that define the starting state restart the run
+     */
+    setParam(name, value, needsReset = false) {
+        this.params[name] = value;
+
+        if (needsReset) {
+            this.reset();
+        } else {
+            this.puck.collider.setFriction(value);
+            this.syncScene();
+        }
+    }
+
+    resetExperiment() {
+        const angle = THREE.MathUtils.degToRad(this.params.direction);
+        const { speed } = this.params;
+
+        this.puck.collider.setFriction(this.params.friction);
+        this.placeBody(
+            this.puck,
+            { x: -TRACK_LENGTH / 2 + 1.5, y: PUCK_HEIGHT / 2, z: 0 },
+            { x: speed * Math.cos(angle), y: 0, z: -speed * Math.sin(angle) }
+        );
+        this.nudgeTime = 0;
+    }
+
+    /**
+     * A short sideways impulse, at right angles to the current motion
+     */
+    nudge() {
+        if (!this.running) this.setRunning(true);
+
+        const v = this.puck.body.linvel();
+        const direction = new THREE.Vector3(-v.z, 0, v.x);
+        if (direction.lengthSq() < 1e-6) direction.set(1, 0, 0);
+        direction.normalize().multiplyScalar(NUDGE_IMPULSE);
+
+        this.puck.body.applyImpulse({ x: direction.x, y: 0, z: direction.z }, true);
+        this.nudgeDirection = direction;
+        this.nudgeTime = NUDGE_DISPLAY_TIME;
+    }
+
+    measure(timestep) {
+        this.nudgeTime = Math.max(this.nudgeTime - timestep, 0);
+    }
+
+    recordChart() {
+        const v = this.puck.body.linvel();
+        this.chart.addPoint(0, this.time, v.x);
+        this.chart.addPoint(1, this.time, v.z);
+    }
+
+    isFinished() {
+        return this.isOffTrack(this.puck);
+    }
+
+    /**
+     * Kinetic friction opposes the motion with magnitude μ m g
+     */
+    getFriction() {
+        const v = this.puck.body.linvel();
+        const velocity = new THREE.Vector3(v.x, 0, v.z);
+        if (this.params.friction === 0 || velocity.length() < 1e-3) return new THREE.Vector3();
+
+        return velocity.normalize().multiplyScalar(-this.params.friction * PUCK_MASS * GRAVITY);
+    }
+
+    syncScene() {
+        this.syncMesh(this.puck);
+
+        const v = this.puck.body.linvel();
+        const velocity = new THREE.Vector3(v.x, 0, v.z);
+        const friction = this.getFriction();
+        const top = this.puck.mesh.position.clone().setY(PUCK_HEIGHT + 0.05);
+
+        this.velocityArrow.set(top, velocity.clone().multiplyScalar(0.6));
+        this.frictionArrow.set(top, friction.clone().multiplyScalar(0.5));
+        this.frictionArrow.visible = friction.lengthSq() > 0;
+
+        this.nudgeArrow.visible = this.nudgeTime > 0;
+        if (this.nudgeArrow.visible) {
+            const push = this.nudgeDirection.clone().multiplyScalar(0.6);
+            this.nudgeArrow.set(top.clone().sub(push), push);
+        }
+
+        const lines = [
+            `t = ${formatNumber(this.time)} s`,
+            `v = (${formatNumber(v.x)}, ${formatNumber(v.z)}) m/s, |v| = <strong>${formatNumber(velocity.length())} m/s</strong>`,
+            `ΣF = ${formatNumber(friction.length())} N${this.nudgeTime > 0 ? ' + push' : ''}`
+        ];
+
+        if (friction.lengthSq() > 0) {
+            lines.push(`Friction is the net force: the puck slows at μg = ${formatNumber(this.params.friction * GRAVITY)} m/s².`);
+        } else if (velocity.lengthSq() > 1e-6) {
+            lines.push('No net force: speed and direction stay the same.');
+        } else {
+            lines.push('No net force: the puck stays at rest.');
+        }
+
+        this.writeReadout(lines);
+    }
+}
+
+/**
+ * Second law: a constant force on a cart of adjustable mass. The measured
+ * acceleration Δv/Δt of every step is compared with F / m.
+ */
+const CART_SIZE = [1.2, 0.6, 0.8];
+
+export class ForceMassAccel extends NewtonScene {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.title = 'Push a Cart';
+        this.chartOptions = {
+            xLabel: 't (s)',
+            yLabel: 'm/s',
+            series: [
+                { name: 'v measured', color: '#10b981' },
+                { name: '∫F/m dt', color: '#9ca3af' }
+            ]
+        };
+
+        this.params = {
+            force: 6,
+            mass: 2
+        };
+    }
+
+    buildExperiment() {
+        this.createTrack(CART_SIZE[2] * 1.3);
+
+        const [w, h, d] = CART_SIZE;
+        this.cart = this.createBody({
+            colliderDesc: this.RAPIER.ColliderDesc.cuboid(w / 2, h / 2, d / 2),
+            geometry: new THREE.BoxGeometry(w, h, d),
+            color: NEWTON_COLORS.bodyA
+        });
+
+        this.forceArrow = new VectorArrow({ color: NEWTON_COLORS.force, radius: 0.05, label: label(this, 'F', NEWTON_COLORS.force) });
+        this.accelerationArrow = new VectorArrow({ color: NEWTON_COLORS.acceleration, radius: 0.04, label: label(this, 'a', NEWTON_COLORS.acceleration) });
+        this.velocityArrow = new VectorArrow({ color: NEWTON_COLORS.velocity, label: label(this, 'v', NEWTON_COLORS.velocity) });
+        this.scene.add(this.forceArrow, this.accelerationArrow, this.velocityArrow);
+    }
+
+    createSliders(panel) {
+        this.addSlider(panel, {
+            label: 'Force F (N)', min: -10, max: 20, step: 0.5, value: this.params.force,
+            format: v => v.toFixed(1),
+            onInput: value => this.setParam('force', value)
+        });
+        this.addSlider(panel, {
+            label: 'Mass m (kg)', min: 0.5, max: 10, step: 0.5, value: this.params.mass,
+            format: v => v.toFixed(1),
+            onInput: value => this.setParam('mass', value)
+        });
+    }
+
+    setParam(name, value) {
+        this.params[name] = value;
+        if (name === 'mass') this.cart.collider.setMass(value);
+        this.syncScene();
+    }
+
+    resetExperiment() {
+        this.cart.collider.setMass(this.params.mass);
+        this.placeBody(this.cart, { x: -TRACK_LENGTH / 2 + 2, y: CART_SIZE[1] / 2, z: 0 });
+
+        this.measuredAcceleration = 0;
+        this.predictedSpeed = 0;
+    }
+
+    applyForces() {
+        this.velocityBeforeStep = this.cart.body.linvel().x;
+        this.cart.body.resetForces(true);
+        this.cart.body.addForce({ x: this.params.force, y: 0, z: 0 }, true);
+    }
+
+    measure(timestep) {
+        this.measuredAcceleration = (this.cart.body.linvel().x - this.velocityBeforeStep) / timestep;
+        this.predictedSpeed += this.params.force / this.params.mass * timestep;
+    }
+
+    recordChart() {
+        this.chart.addPoint(0, this.time, this.cart.body.linvel().x);
+        this.chart.addPoint(1, this.time, this.predictedSpeed);
+    }
+
+    isFinished() {
+        return this.isOffTrack(this.cart);
+    }
+
+    syncScene() {
+        this.syncMesh(this.cart);
+
+        const { force, mass } = this.params;
+        const center = this.cart.mesh.position;
+        const top = center.clone().setY(CART_SIZE[1] + 0.2);
+        const back = center.clone().setX(center.x - Math.sign(force) * CART_SIZE[0] / 2);
+        const velocity = this.cart.body.linvel().x;
+
+        // The force arrow pushes on the trailing face
+        this.forceArrow.set(back.clone().setX(back.x - force * 0.12), new THREE.Vector3(force * 0.12, 0, 0));
+        this.forceArrow.visible = force !== 0;
+        this.accelerationArrow.set(top, new THREE.Vector3(force / mass * 0.3, 0, 0));
+        this.velocityArrow.set(top.clone().setY(top.y + 0.4), new THREE.Vector3(velocity * 0.3, 0, 0));
+
+        const lines = [
+            `t = ${formatNumber(this.time)} s, v = ${formatNumber(velocity)} m/s`,
+            `F / m = ${formatNumber(force, 1)} / ${formatNumber(mass, 1)} = <strong>${formatNumber(force / mass, 3)} m/s²</strong>`,
+            `Measured a = Δv/Δt = ${this.stepCount > 0 ? formatNumber(this.measuredAcceleration, 3) : '…'} m/s²`,
+            'Double the force and a doubles; double the mass and a halves.'
+        ];
+        this.writeReadout(lines);
+    }
+}
+
+/**
+ * Third law: a compressed spring between two carts. The spring pushes on
+ * both with the same force in opposite directions, so the lighter cart
+ * speeds up more but the momenta stay equal and opposite.
+ */
+const SPRING_LENGTH = 1.6;
+const SPRING_COILS = 10;
+
+export class ActionReaction extends NewtonScene {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.title = 'Spring Push-off';
+        this.chartOptions = {
+            xLabel: 't (s)',
+            yLabel: 'kg·m/s',
+            series: [
+                { name: 'p A', color: '#f59e0b' },
+                { name: 'p B', color: '#0ea5e9' },
+                { name: 'p A + p B', color: '#6b7280' }
+            ]
+        };
+
+        // The push-off is over in a fraction of a second, so chart every step
+        this.chartInterval = 1;
+        this.startLabel = 'Release';
+
+        this.params = {
+            massA: 1,
+            massB: 2,
+            stiffness: 80,
+            compression: 0.8
+        };
+        this.springForce = 0;
+    }
+
+    buildExperiment() {
+        this.createTrack(CART_SIZE[2] * 1.3);
+
+        const [w, h, d] = CART_SIZE;
+        const cart = color => this.createBody({
+            colliderDesc: this.RAPIER.ColliderDesc.cuboid(w / 2, h / 2, d / 2),
+            geometry: new THREE.BoxGeometry(w, h, d),
+            color
+        });
+        this.cartA = cart(NEWTON_COLORS.bodyA);
+        this.cartB = cart(NEWTON_COLORS.bodyB);
+
+        this.spring = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(new Array(SPRING_COILS * 2 + 2).fill(null).map(() => new THREE.Vector3())),
+            new THREE.LineBasicMaterial({ color: NEWTON_COLORS.spring })
+        );
+        this.scene.add(this.spring);
+
+        this.forceOnA = new VectorArrow({ color: NEWTON_COLORS.bodyA, radius: 0.05, label: label(this, 'F on A', NEWTON_COLORS.bodyA) });
+        this.forceOnB = new VectorArrow({ color: NEWTON_COLORS.bodyB, radius: 0.05, label: label(this, 'F on B', NEWTON_COLORS.bodyB) });
+        this.scene.add(this.forceOnA, this.forceOnB);
+    }
+
+    createSliders(panel) {
+        this.addSlider(panel, {
+            label: 'Mass A (kg)', min: 0.5, max: 5, step: 0.5, value: this.params.massA,
+            format: v => v.toFixed(1),
+            onInput: value => this.setParam('massA', value)
+        });
+        this.addSlider(panel, {
+            label: 'Mass B (kg)', min: 0.5, max: 5, step: 0.5, value: this.params.massB,
+            format: v => v.toFixed(1),
+            onInput: value => this.setParam('massB', value)
+        });
+        this.addSlider(panel, {
+            label: 'Spring k (N/m)', min: 20, max: 200, step: 5, value: this.params.stiffness,
+            format: v => v.toFixed(0),
+            onInput: value => this.setParam('stiffness', value)
+        });
+        this.addSlider(panel, {
+            label: 'Compression (m)', min: 0.2, max: 1.2, step: 0.05, value: this.params.compression,
+            onInput: value => this.setParam('compression', value)
+        });
+    }
+
+    /**
+     * Every parameter changes the starting state, so each one restarts the run
+     */
+    setParam(name, value) {
+        this.params[name] = value;
+        this.reset();
+    }
+
+    resetExperiment() {
+        const halfWidth = CART_SIZE[0] / 2;
+        const gap = SPRING_LENGTH - this.params.compression;
+        const y = CART_SIZE[1] / 2;
+
+        this.cartA.collider.setMass(this.params.massA);
+        this.cartB.collider.setMass(this.params.massB);
+        this.placeBody(this.cartA, { x: -gap / 2 - halfWidth, y, z: 0 });
+        this.placeBody(this.cartB, { x: gap / 2 + halfWidth, y, z: 0 });
+
+        this.springForce = this.getSpringForce();
+    }
+
+    /**
+     * The gap between the carts' facing sides
+     */
+    getGap() {
+        return this.cartB.body.translation().x - this.cartA.body.translation().x - CART_SIZE[0];
+    }
+
+    /**
+     * Spring push, k × compression; the spring is not attached, so it never pulls
+     */
+    getSpringForce() {
+        return this.params.stiffness * Math.max(SPRING_LENGTH - this.getGap(), 0);
+    }
+
+    applyForces() {
+        this.springForce = this.getSpringForce();
+
+        // One spring, one force magnitude, two opposite directions
+        this.cartA.body.resetForces(true);
+        this.cartB.body.resetForces(true);
+        this.cartA.body.addForce({ x: -this.springForce, y: 0, z: 0 }, true);
+        this.cartB.body.addForce({ x: this.springForce, y: 0, z: 0 }, true);
+    }
+
+    getMomenta() {
+        const pA = this.cartA.body.mass() * this.cartA.body.linvel().x;
+        const pB = this.cartB.body.mass() * this.cartB.body.linvel().x;
+        return { pA, pB };
+    }
+
+    recordChart() {
+        const { pA, pB } = this.getMomenta();
+        this.chart.addPoint(0, this.time, pA);
+        this.chart.addPoint(1, this.time, pB);
+        this.chart.addPoint(2, this.time, pA + pB);
+    }
+
+    isFinished() {
+        return this.isOffTrack(this.cartA) || this.isOffTrack(this.cartB);
+    }
+
+    syncScene() {
+        this.syncMesh(this.cartA);
+        this.syncMesh(this.cartB);
+        this.updateSpring();
+
+        const force = this.springForce;
+        const y = CART_SIZE[1] + 0.2;
+        const a = this.cartA.mesh.position;
+        const b = this.cartB.mesh.position;
+
+        this.forceOnA.set(new THREE.Vector3(a.x, y, 0), new THREE.Vector3(-force * 0.03, 0, 0));
+        this.forceOnB.set(new THREE.Vector3(b.x, y, 0), new THREE.Vector3(force * 0.03, 0, 0));
+        this.forceOnA.visible = this.forceOnB.visible = force > 0;
+
+        const { pA, pB } = this.getMomenta();
+        const { massA, massB } = this.params;
+        const lines = [
+            `Spring force: F on A = ${formatNumber(-force)} N, F on B = ${formatNumber(force)} N`,
+            `a A = ${formatNumber(-force / massA)} m/s², a B = ${formatNumber(force / massB)} m/s²`,
+            `p A = ${formatNumber(pA, 3)}, p B = ${formatNumber(pB, 3)} kg·m/s`,
+            `p A + p B = <strong>${formatNumber(pA + pB, 3)} kg·m/s</strong>`,
+            'Equal and opposite forces: the lighter cart gets the larger speed.'
+        ];
+        this.writeReadout(lines);
+    }
+
+    /**
+     * Zigzag from cart A's front face, squeezed to fit the gap while compressed
+     */
+    updateSpring() {
+        const start = this.cartA.mesh.position.x + CART_SIZE[0] / 2;
+        const length = Math.min(this.getGap(), SPRING_LENGTH);
+        const y = CART_SIZE[1] / 2;
+        const positions = this.spring.geometry.attributes.position;
+        const count = positions.count;
+
+        for (let i = 0; i < count; i++) {
+            const x = start + length * Math.min(Math.max((i - 0.5) / (count - 2), 0), 1);
+            const offset = i === 0 || i === count - 1 ? 0 : (i % 2 === 0 ? 0.2 : -0.2);
+            positions.setXYZ(i, x, y + offset, 0);
+        }
+        positions.needsUpdate = true;
+    }
+}
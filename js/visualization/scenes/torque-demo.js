@@ -0,0 +1,259 @@
+/**
+ * Torque Visualization
+ *
+ * A wrench on a bolt: the bar is a Rapier body on a revolute joint about the
+ * vertical axis, and the reader pushes on it at an adjustable lever arm. The
+ * force is applied at that point every physics step, and r, F and τ = r × F
+ * are drawn from the bar's current pose, so the arrows turn with the wrench.
+ *
+ * Tilting the force out of the horizontal plane tips τ away from the bolt's
+ * axis; only the component of τ along the axis turns the wrench, the rest is
+ * taken up by the joint.
+ */
+
+import { formatNumber } from '../base-visualization.js';
+import PhysicsVisualization from '../physics-visualization.js';
+import { VectorArrow, CurlArrow, formatVector } from '../vector-kit.js';
+
+const BAR_LENGTH = 3;
+const PIVOT_HEIGHT = 0.6;
+
+// Arrow lengths per newton and per newton-metre
+const FORCE_SCALE = 0.1;
+const TORQUE_SCALE = 0.08;
+
+const COLORS = {
+    bar: 0x9ca3af,
+    lever: 0xef4444,
+    force: 0x2563eb,
+    torque: 0x8b5cf6,
+    curl: 0xf59e0b
+};
+
+export default class TorqueDemo extends PhysicsVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [3.5, 5, 6];
+        this.cameraTarget = [0.8, PIVOT_HEIGHT, 0];
+
+        // The bar turns in a horizontal plane, so gravity would only load the joint
+        this.worldOptions = { gravity: { x: 0, y: 0, z: 0 }, walls: false };
+
+        this.params = {
+            lever: 2.5,
+            force: 10,
+            angle: 90,
+            tilt: 0,
+            damping: 1
+        };
+        this.pushing = false;
+    }
+
+    buildPhysics() {
+        this.addGrid();
+
+        const pivot = { x: 0, y: PIVOT_HEIGHT, z: 0 };
+
+        const anchor = this.world.createRigidBody(this.RAPIER.RigidBodyDesc.fixed().setTranslation(pivot.x, pivot.y, pivot.z));
+
+        // Body origin at the bolt so body rotation is the wrench angle
+        this.body = this.world.createRigidBody(
+            this.RAPIER.RigidBodyDesc.dynamic()
+                .setTranslation(pivot.x, pivot.y, pivot.z)
+                .setAngularDamping(this.params.damping)
+        );
+        this.world.createCollider(
+            this.RAPIER.ColliderDesc.cuboid(BAR_LENGTH / 2, 0.05, 0.08)
+                .setTranslation(BAR_LENGTH / 2, 0, 0)
+                .setDensity(100),
+            this.body
+        );
+
+        const joint = this.RAPIER.JointData.revolute({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }, { x: 0, y: 1, z: 0 });
+        this.world.createImpulseJoint(joint, anchor, this.body, true);
+
+        this.createMeshes();
+        this.createControls();
+        this.syncVisuals();
+    }
+
+    createMeshes() {
+        // Bolt
+        const bolt = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.18, 0.18, PIVOT_HEIGHT + 0.2, 6),
+            new THREE.MeshStandardMaterial({ color: 0x4b5563, metalness: 0.4, roughness: 0.5 })
+        );
+        bolt.position.y = (PIVOT_HEIGHT + 0.2) / 2;
+        this.scene.add(bolt);
+
+        // Wrench: the bar plus a ring around the bolt, grouped so it follows the body
+        this.wrench = new THREE.Group();
+        const material = new THREE.MeshStandardMaterial({ color: COLORS.bar, metalness: 0.5, roughness: 0.4 });
+        const bar = new THREE.Mesh(new THREE.BoxGeometry(BAR_LENGTH, 0.1, 0.16), material);
+        bar.position.x = BAR_LENGTH / 2;
+        const ring = new THREE.Mesh(new THREE.TorusGeometry(0.26, 0.07, 8, 24), material);
+        ring.rotation.x = Math.PI / 2;
+        this.wrench.add(bar, ring);
+        this.scene.add(this.wrench);
+
+        this.contact = new THREE.Mesh(
+            new THREE.SphereGeometry(0.08, 16, 16),
+            new THREE.MeshStandardMaterial({ color: COLORS.lever })
+        );
+        this.scene.add(this.contact);
+
+        const label = (text, color) => this.createLabel(text, color, { fontSize: 40, height: 0.35 });
+        this.leverArrow = new VectorArrow({ color: COLORS.lever, radius: 0.025, label: label('r', COLORS.lever) });
+        this.forceArrow = new VectorArrow({ color: COLORS.force, radius: 0.04, label: label('F', COLORS.force) });
+        this.torqueArrow = new VectorArrow({ color: COLORS.torque, radius: 0.05, label: label('τ = r × F', COLORS.torque) });
+        this.curl = new CurlArrow({ color: COLORS.curl, radius: 0.45 });
+        this.scene.add(this.leverArrow, this.forceArrow, this.torqueArrow, this.curl);
+    }
+
+    createControls() {
+        const panel = this.createPanel('Torque on a Wrench');
+
+        this.addSlider(panel, {
+            label: 'Lever arm (m)', min: 0.3, max: BAR_LENGTH, step: 0.1, value: this.params.lever,
+            onInput: value => this.setParam('lever', value)
+        });
+        this.addSlider(panel, {
+            label: '|F| (N)', min: 0, max: 20, step: 0.5, value: this.params.force,
+            format: v => v.toFixed(1),
+            onInput: value => this.setParam('force', value)
+        });
+        this.addSlider(panel, {
+            label: 'Angle to bar', min: 0, max: 180, step: 1, value: this.params.angle,
+            format: v => `${v.toFixed(0)}°`,
+            onInput: value => this.setParam('angle', value)
+        });
+        this.addSlider(panel, {
+            label: 'Tilt', min: -60, max: 60, step: 1, value: this.params.tilt,
+            format: v => `${v.toFixed(0)}°`,
+            onInput: value => this.setParam('tilt', value)
+        });
+        this.addSlider(panel, {
+            label: 'Bolt friction', min: 0, max: 5, step: 0.1, value: this.params.damping,
+            onInput: value => {
+                this.params.damping = value;
+                this.body.setAngularDamping(value);
+            }
+        });
+
+        const row = this.createRow(panel);
+        this.pushButton = this.addButton(row, 'Push', () => this.setPushing(!this.pushing));
+        this.addButton(row, 'Reset', () => this.reset());
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        panel.appendChild(this.readout);
+    }
+
+    setParam(name, value) {
+        this.params[name] = value;
+        this.syncVisuals();
+    }
+
+    setPushing(pushing) {
+        this.pushing = pushing;
+        this.pushButton.textContent = pushing ? 'Release' : 'Push';
+        this.pushButton.classList.toggle('is-active', pushing);
+        if (!pushing) {
+            this.body.resetForces(true);
+            this.body.resetTorques(true);
+        }
+    }
+
+    reset() {
+        this.setPushing(false);
+        this.body.setRotation({ x: 0, y: 0, z: 0, w: 1 }, true);
+        this.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+        this.syncVisuals();
+    }
+
+    /**
+     * Lever arm r and force F in world space for the bar's current pose
+     */
+    getLeverAndForce() {
+        const rotation = this.body.rotation();
+        const quaternion = new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w);
+
+        const angle = THREE.MathUtils.degToRad(this.params.angle);
+        const tilt = THREE.MathUtils.degToRad(this.params.tilt);
+
+        // In the bar's frame: along the bar is +x, the bolt axis is +y
+        const r = new THREE.Vector3(this.params.lever, 0, 0).applyQuaternion(quaternion);
+        const F = new THREE.Vector3(
+            Math.cos(tilt) * Math.cos(angle),
+            Math.sin(tilt),
+            -Math.cos(tilt) * Math.sin(angle)
+        ).multiplyScalar(this.params.force).applyQuaternion(quaternion);
+
+        return { r, F };
+    }
+
+    beforeStep() {
+        if (!this.pushing) return;
+
+        const { r, F } = this.getLeverAndForce();
+        const pivot = this.body.translation();
+
+        // addForceAtPoint accumulates into both the force and the torque
+        this.body.resetForces(true);
+        this.body.resetTorques(true);
+        this.body.addForceAtPoint(
+            { x: F.x, y: F.y, z: F.z },
+            { x: pivot.x + r.x, y: pivot.y + r.y, z: pivot.z + r.z },
+            true
+        );
+    }
+
+    updateVisuals() {
+        this.syncVisuals();
+    }
+
+    syncVisuals() {
+        const rotation = this.body.rotation();
+        const pivot = this.body.translation();
+        const pivotVector = new THREE.Vector3(pivot.x, pivot.y, pivot.z);
+
+        this.wrench.position.copy(pivotVector);
+        this.wrench.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+
+        const { r, F } = this.getLeverAndForce();
+        const torque = new THREE.Vector3().crossVectors(r, F);
+        const point = pivotVector.clone().add(r);
+
+        // Arrows sit just above the bar so they are not hidden inside it
+        const lift = new THREE.Vector3(0, 0.1, 0);
+        this.contact.position.copy(point);
+        this.leverArrow.set(pivotVector.clone().add(lift), r);
+        this.forceArrow.set(point, F.clone().multiplyScalar(FORCE_SCALE));
+        this.torqueArrow.set(pivotVector.clone().add(lift), torque.clone().multiplyScalar(TORQUE_SCALE));
+
+        this.curl.set(pivotVector.clone().add(new THREE.Vector3(0, 0.35, 0)), torque);
+        this.curl.visible = this.curl.visible && this.pushing;
+
+        this.updateReadout(r, F, torque);
+    }
+
+    updateReadout(r, F, torque) {
+        const omega = this.body.angvel().y;
+        const angle = THREE.MathUtils.radToDeg(Math.atan2(-r.z, r.x));
+        const sinAngle = Math.sin(THREE.MathUtils.degToRad(this.params.angle));
+
+        const lines = [
+            `r = ${formatVector(r)} m, F = ${formatVector(F)} N`,
+            `τ = r × F = ${formatVector(torque)} N·m`,
+            `|τ| = ${formatNumber(torque.length())} N·m`,
+            `In plane: |r||F|sinφ = ${formatNumber(this.params.lever)} × ${formatNumber(this.params.force * Math.cos(THREE.MathUtils.degToRad(this.params.tilt)))} × ${formatNumber(sinAngle, 3)} = ${formatNumber(torque.y)} N·m about the bolt`,
+            `ω = ${formatNumber(omega)} rad/s, wrench at ${formatNumber(angle, 0)}°`
+        ];
+
+        if (!this.pushing) lines.push('Press Push to apply the force.');
+        else if (Math.abs(torque.y) < 1e-3) lines.push('No torque about the bolt: F points along the bar.');
+
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+}
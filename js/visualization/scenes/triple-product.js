@@ -0,0 +1,206 @@
+/**
+ * Triple Product Visualization
+ *
+ * Chapter 3.4: three draggable vectors span a parallelepiped whose signed
+ * volume is a·(b × c). The solid is blue while a, b, c form a right-handed
+ * set, turns translucent red when the orientation is left-handed, and greys
+ * out as it flattens when the three vectors become coplanar.
+ */
+
+import BaseVisualization, { formatNumber } from '../base-visualization.js';
+import { VectorArrow, Parallelepiped, DashedSegment, VectorHandles, formatVector } from '../vector-kit.js';
+
+const COLORS = {
+    a: 0xef4444,
+    b: 0x2563eb,
+    c: 0x10b981,
+    normal: 0x8b5cf6
+};
+
+const ORIENTATION_STYLES = {
+    right: { color: 0x3b82f6, opacity: 0.35 },
+    left: { color: 0xdc2626, opacity: 0.3 },
+    coplanar: { color: 0x6b7280, opacity: 0.6 }
+};
+
+// Volumes below this fraction of |a||b||c| count as coplanar
+const COPLANAR_TOLERANCE = 0.02;
+
+const ANIMATION_DURATION = 1;
+
+const DEFAULTS = {
+    a: [2, 0, 0],
+    b: [0, 0, -2],
+    c: [0.3, 1.5, 0.2]
+};
+
+export default class TripleProduct extends BaseVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [4.5, 4, 5.5];
+        this.cameraTarget = [1, 0.7, -1];
+
+        this.vectors = {
+            a: new THREE.Vector3(...DEFAULTS.a),
+            b: new THREE.Vector3(...DEFAULTS.b),
+            c: new THREE.Vector3(...DEFAULTS.c)
+        };
+        this.animation = null;
+    }
+
+    build() {
+        this.addGrid();
+        this.scene.add(new THREE.AxesHelper(1));
+
+        this.solid = new Parallelepiped();
+        this.scene.add(this.solid);
+
+        // b × c is the normal of the base; a's component along it is the height
+        this.normalArrow = new VectorArrow({
+            color: COLORS.normal,
+            opacity: 0.5,
+            label: this.createLabel('b × c', COLORS.normal, { fontSize: 36, height: 0.3 })
+        });
+        this.heightLine = new DashedSegment({ color: COLORS.a });
+        this.scene.add(this.normalArrow, this.heightLine);
+
+        this.handles = new VectorHandles(this);
+        this.arrows = {};
+        this.handleMeshes = {};
+        Object.entries(this.vectors).forEach(([name, vector]) => {
+            const arrow = new VectorArrow({
+                color: COLORS[name],
+                label: this.createLabel(name, COLORS[name], { fontSize: 40, height: 0.35 })
+            });
+            arrow.set(new THREE.Vector3(), vector);
+            this.scene.add(arrow);
+            this.arrows[name] = arrow;
+
+            this.handleMeshes[name] = this.handles.add(arrow, value => {
+                this.animation = null;
+                vector.copy(value);
+                this.refresh();
+            });
+        });
+
+        this.createControls();
+        this.refresh();
+    }
+
+    createControls() {
+        const panel = this.createPanel('Scalar Triple Product');
+
+        const row = this.createRow(panel);
+        this.addButton(row, 'Flip c', () => this.animateC(this.vectors.c.clone().negate()));
+        this.addButton(row, 'Flatten c', () => this.animateC(this.getFlattenedC()));
+        this.addButton(row, 'Reset', () => {
+            this.animation = null;
+            Object.entries(DEFAULTS).forEach(([name, values]) => this.vectors[name].set(...values));
+            this.syncArrows();
+            this.refresh();
+        });
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        panel.appendChild(this.readout);
+    }
+
+    /**
+     * c with its component along a × b removed, so it lies in the plane of a and b
+     */
+    getFlattenedC() {
+        const { a, b, c } = this.vectors;
+        const normal = new THREE.Vector3().crossVectors(a, b);
+        if (normal.lengthSq() < 1e-9) return c.clone();
+
+        normal.normalize();
+        return c.clone().sub(normal.multiplyScalar(c.dot(normal)));
+    }
+
+    animateC(target) {
+        this.animation = { from: this.vectors.c.clone(), to: target, t: 0 };
+    }
+
+    update(dt) {
+        if (!this.animation) return;
+
+        const anim = this.animation;
+        anim.t = Math.min(anim.t + dt / ANIMATION_DURATION, 1);
+        const eased = anim.t < 0.5 ? 2 * anim.t * anim.t : 1 - Math.pow(-2 * anim.t + 2, 2) / 2;
+        this.vectors.c.lerpVectors(anim.from, anim.to, eased);
+
+        this.syncArrows();
+        this.refresh();
+
+        if (anim.t >= 1) this.animation = null;
+    }
+
+    syncArrows() {
+        const origin = new THREE.Vector3();
+        Object.entries(this.vectors).forEach(([name, vector]) => {
+            this.arrows[name].set(origin, vector);
+            this.handles.sync(this.handleMeshes[name]);
+        });
+    }
+
+    getOrientation(volume) {
+        const { a, b, c } = this.vectors;
+        const scale = a.length() * b.length() * c.length();
+        if (Math.abs(volume) <= COPLANAR_TOLERANCE * scale) return 'coplanar';
+        return volume > 0 ? 'right' : 'left';
+    }
+
+    refresh() {
+        const origin = new THREE.Vector3();
+        const { a, b, c } = this.vectors;
+
+        const normal = new THREE.Vector3().crossVectors(b, c);
+        const volume = a.dot(normal);
+        const orientation = this.getOrientation(volume);
+
+        this.solid.set(origin, a, b, c);
+        const style = ORIENTATION_STYLES[orientation];
+        this.solid.setColor(style.color, style.opacity);
+
+        this.normalArrow.set(origin, normal);
+
+        // Drop from the tip of a onto the base spanned by b and c
+        const normalLengthSq = normal.lengthSq();
+        this.heightLine.visible = normalLengthSq > 1e-9;
+        if (this.heightLine.visible) {
+            const foot = a.clone().sub(normal.clone().multiplyScalar(volume / normalLengthSq));
+            this.heightLine.set(a, foot);
+        }
+
+        this.updateReadout(volume, normal, orientation);
+    }
+
+    updateReadout(volume, normal, orientation) {
+        const { a, b, c } = this.vectors;
+        const baseArea = normal.length();
+
+        const lines = [
+            `a = ${formatVector(a)}`,
+            `b = ${formatVector(b)}, c = ${formatVector(c)}`,
+            `b × c = ${formatVector(normal)}, base area |b × c| = ${formatNumber(baseArea)}`,
+            `a·(b × c) = <strong>${formatNumber(volume, 3)}</strong> = det[a; b; c]`,
+            `Volume |a·(b × c)| = ${formatNumber(Math.abs(volume), 3)}`,
+            `Cyclic: b·(c × a) = ${formatNumber(b.dot(new THREE.Vector3().crossVectors(c, a)), 3)}, c·(a × b) = ${formatNumber(c.dot(new THREE.Vector3().crossVectors(a, b)), 3)}`
+        ];
+
+        const meaning = {
+            right: 'Positive: a, b, c form a right-handed set.',
+            left: '<span style="color: #dc2626">Negative: a, b, c form a left-handed set (mirror orientation).</span>',
+            coplanar: 'The vectors are (nearly) coplanar: the solid collapses flat and the volume is 0.'
+        };
+        lines.push(meaning[orientation]);
+
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+
+    dispose() {
+        if (this.handles) this.handles.dispose();
+        super.dispose();
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Vector Intro Visualization
+ *
+ * Chapter 2.1: a single draggable vector with its components, magnitude and
+ * unit direction. Translated copies make the point that a vector is defined
+ * by length and direction alone, not by where it is drawn.
+ */
+
+import BaseVisualization, { formatNumber } from '../base-visualization.js';
+import { VectorArrow, ComponentGuide, VectorHandles, formatVector } from '../vector-kit.js';
+
+const VECTOR_COLOR = 0x2563eb;
+const UNIT_COLOR = 0xf59e0b;
+
+const COPY_ORIGINS = [
+    new THREE.Vector3(-3, 0, 1),
+    new THREE.Vector3(1, 0, -3)
+];
+
+export default class VectorIntro extends BaseVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [5, 4.5, 6.5];
+        this.cameraTarget = [0.5, 1, 0.5];
+
+        this.vector = new THREE.Vector3(2, 1.5, 1);
+        this.show = { components: true, unit: false, copies: false };
+    }
+
+    build() {
+        this.addGrid();
+        this.scene.add(new THREE.AxesHelper(1));
+
+        const origin = new THREE.Vector3();
+
+        this.arrow = new VectorArrow({
+            color: VECTOR_COLOR,
+            label: this.createLabel('v', VECTOR_COLOR, { fontSize: 40, height: 0.35 })
+        });
+        this.arrow.set(origin, this.vector);
+        this.scene.add(this.arrow);
+
+        this.unitArrow = new VectorArrow({
+            color: UNIT_COLOR,
+            radius: 0.045,
+            label: this.createLabel('v̂', UNIT_COLOR, { fontSize: 40, height: 0.35 })
+        });
+        this.scene.add(this.unitArrow);
+
+        this.components = new ComponentGuide();
+        this.scene.add(this.components);
+
+        this.copies = COPY_ORIGINS.map(copyOrigin => {
+            const copy = new VectorArrow({ color: VECTOR_COLOR, opacity: 0.4 });
+            copy.userData.origin = copyOrigin;
+            this.scene.add(copy);
+            return copy;
+        });
+
+        this.handles = new VectorHandles(this);
+        this.handles.add(this.arrow, vector => {
+            this.vector.copy(vector);
+            this.refresh();
+        });
+
+        this.createControls();
+        this.refresh();
+    }
+
+    createControls() {
+        const panel = this.createPanel('Vector v');
+
+        const toggleRow = this.createRow(panel);
+        this.toggleButtons = {
+            components: this.addButton(toggleRow, 'Components', () => this.toggle('components')),
+            unit: this.addButton(toggleRow, 'Unit vector', () => this.toggle('unit')),
+            copies: this.addButton(toggleRow, 'Translated copies', () => this.toggle('copies'))
+        };
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        panel.appendChild(this.readout);
+
+        const hint = document.createElement('div');
+        hint.className = 'viz-panel__readout';
+        hint.textContent = 'Drag the gizmo at the tip to change v.';
+        panel.appendChild(hint);
+    }
+
+    toggle(name) {
+        this.show[name] = !this.show[name];
+        this.refresh();
+    }
+
+    refresh() {
+        const origin = new THREE.Vector3();
+        const length = this.vector.length();
+
+        this.components.visible = this.show.components;
+        this.components.set(origin, this.vector);
+
+        this.unitArrow.visible = this.show.unit && length > 0;
+        if (length > 0) {
+            this.unitArrow.set(origin, this.vector.clone().divideScalar(length));
+        }
+
+        this.copies.forEach(copy => {
+            copy.visible = this.show.copies;
+            copy.set(copy.userData.origin, this.vector);
+        });
+
+        Object.entries(this.toggleButtons).forEach(([key, button]) => {
+            button.classList.toggle('is-active', this.show[key]);
+        });
+
+        const lines = [
+            `v = ${formatVector(this.vector)}`,
+            `|v| = √(vx² + vy² + vz²) = ${formatNumber(length)}`
+        ];
+        if (length > 0) {
+            lines.push(`v̂ = v / |v| = ${formatVector(this.vector.clone().divideScalar(length))}`);
+        } else {
+            lines.push('The zero vector has no direction.');
+        }
+
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+
+    dispose() {
+        if (this.handles) this.handles.dispose();
+        super.dispose();
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * Vector Operations Visualization
+ *
+ * Chapter 2.2: drag the tips of a and b to see a + b, a − b and k·a built up
+ * geometrically. The head-to-tail construction draws the second vector from
+ * the tip of the first, the parallelogram shows both orders of addition at
+ * once, and the component guide breaks the result into x, y and z legs.
+ */
+
+import BaseVisualization, { formatNumber } from '../base-visualization.js';
+import { VectorArrow, ComponentGuide, ParallelogramFace, VectorHandles, formatVector } from '../vector-kit.js';
+
+const COLORS = {
+    a: 0xef4444,
+    b: 0x2563eb,
+    result: 0x8b5cf6
+};
+
+const MODES = {
+    add: { label: 'a + b' },
+    subtract: { label: 'a − b' },
+    scale: { label: 'k·a' }
+};
+
+export default class VectorOperations extends BaseVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [5, 4.5, 6.5];
+        this.cameraTarget = [1, 1, 1];
+
+        this.a = new THREE.Vector3(2, 0.5, 1);
+        this.b = new THREE.Vector3(0.5, 1.5, 2);
+        this.k = 1.5;
+
+        this.mode = 'add';
+        this.show = { headToTail: true, parallelogram: false, components: false };
+    }
+
+    build() {
+        this.addGrid();
+        this.scene.add(new THREE.AxesHelper(1));
+
+        const origin = new THREE.Vector3();
+
+        this.arrowA = new VectorArrow({ color: COLORS.a, label: this.vectorLabel('a', COLORS.a) });
+        this.arrowB = new VectorArrow({ color: COLORS.b, label: this.vectorLabel('b', COLORS.b) });
+        this.arrowResult = new VectorArrow({ color: COLORS.result, radius: 0.04 });
+
+        // Translated copies used by the constructions
+        this.arrowSecond = new VectorArrow({ color: COLORS.b, opacity: 0.45 });
+        this.arrowFirst = new VectorArrow({ color: COLORS.a, opacity: 0.45 });
+        this.arrowNegB = new VectorArrow({ color: COLORS.b, opacity: 0.45, label: this.vectorLabel('−b', COLORS.b) });
+        this.arrowDifference = new VectorArrow({ color: COLORS.result, opacity: 0.45 });
+        this.arrowScaleGhost = new VectorArrow({ color: COLORS.a, opacity: 0.35, radius: 0.06 });
+
+        this.parallelogram = new ParallelogramFace({ color: COLORS.result });
+        this.components = new ComponentGuide();
+
+        [
+            this.arrowA, this.arrowB, this.arrowResult, this.arrowSecond, this.arrowFirst,
+            this.arrowNegB, this.arrowDifference, this.arrowScaleGhost, this.parallelogram, this.components
+        ].forEach(object => this.scene.add(object));
+
+        this.arrowA.set(origin, this.a);
+        this.arrowB.set(origin, this.b);
+
+        this.handles = new VectorHandles(this);
+        this.handleA = this.handles.add(this.arrowA, vector => {
+            this.a.copy(vector);
+            this.refresh();
+        });
+        this.handleB = this.handles.add(this.arrowB, vector => {
+            this.b.copy(vector);
+            this.refresh();
+        });
+
+        this.createControls();
+        this.setMode('add');
+    }
+
+    vectorLabel(text, color) {
+        return this.createLabel(text, color, { fontSize: 40, height: 0.35 });
+    }
+
+    createControls() {
+        const panel = this.createPanel('Vector Operations');
+
+        const modeRow = this.createRow(panel);
+        this.modeButtons = {};
+        Object.entries(MODES).forEach(([key, mode]) => {
+            this.modeButtons[key] = this.addButton(modeRow, mode.label, () => this.setMode(key));
+        });
+
+        const toggleRow = this.createRow(panel);
+        this.toggleButtons = {
+            headToTail: this.addButton(toggleRow, 'Head-to-tail', () => this.toggle('headToTail')),
+            parallelogram: this.addButton(toggleRow, 'Parallelogram', () => this.toggle('parallelogram')),
+            components: this.addButton(toggleRow, 'Components', () => this.toggle('components'))
+        };
+
+        this.scaleSlider = this.addSlider(panel, {
+            label: 'k',
+            min: -2,
+            max: 3,
+            step: 0.1,
+            value: this.k,
+            onInput: value => {
+                this.k = value;
+                this.refresh();
+            }
+        });
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        panel.appendChild(this.readout);
+
+        const hint = document.createElement('div');
+        hint.className = 'viz-panel__readout';
+        hint.textContent = 'Click a vector tip, then drag the gizmo to move it.';
+        panel.appendChild(hint);
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+
+        Object.entries(this.modeButtons).forEach(([key, button]) => {
+            button.classList.toggle('is-active', key === mode);
+        });
+
+        // Scaling only involves a, so b and the two-vector constructions step aside
+        const scaling = mode === 'scale';
+        this.arrowB.visible = !scaling;
+        this.handles.setVisible(this.handleB, !scaling);
+        this.toggleButtons.headToTail.disabled = scaling;
+        this.toggleButtons.parallelogram.disabled = scaling;
+        this.scaleSlider.parentElement.style.display = scaling ? '' : 'none';
+
+        this.arrowResult.setLabel(this.vectorLabel(MODES[mode].label, COLORS.result));
+        this.refresh();
+    }
+
+    toggle(name) {
+        this.show[name] = !this.show[name];
+        this.refresh();
+    }
+
+    getResult() {
+        if (this.mode === 'add') return this.a.clone().add(this.b);
+        if (this.mode === 'subtract') return this.a.clone().sub(this.b);
+        return this.a.clone().multiplyScalar(this.k);
+    }
+
+    refresh() {
+        const origin = new THREE.Vector3();
+        const result = this.getResult();
+        const scaling = this.mode === 'scale';
+        const subtracting = this.mode === 'subtract';
+
+        // Subtraction is drawn as adding −b
+        const second = subtracting ? this.b.clone().negate() : this.b.clone();
+
+        this.arrowResult.set(origin, result);
+
+        const headToTail = this.show.headToTail && !scaling;
+        const parallelogram = this.show.parallelogram && !scaling;
+
+        this.arrowSecond.visible = headToTail || parallelogram;
+        this.arrowSecond.set(this.a, second);
+
+        this.arrowFirst.visible = parallelogram;
+        this.arrowFirst.set(second, this.a);
+
+        this.arrowNegB.visible = subtracting && (headToTail || parallelogram);
+        this.arrowNegB.set(origin, second);
+
+        // a − b also runs from the tip of b to the tip of a
+        this.arrowDifference.visible = subtracting;
+        this.arrowDifference.set(this.b, result);
+
+        this.parallelogram.visible = parallelogram;
+        this.parallelogram.set(origin, this.a, second);
+
+        this.arrowScaleGhost.visible = scaling;
+        this.arrowScaleGhost.set(origin, this.a);
+
+        this.components.visible = this.show.components;
+        this.components.set(origin, result);
+
+        Object.entries(this.toggleButtons).forEach(([key, button]) => {
+            button.classList.toggle('is-active', this.show[key]);
+        });
+
+        this.updateReadout(result);
+    }
+
+    updateReadout(result) {
+        const lines = [`a = ${formatVector(this.a)}, |a| = ${formatNumber(this.a.length())}`];
+
+        if (this.mode === 'scale') {
+            lines.push(`k = ${formatNumber(this.k)}`);
+            lines.push(`k·a = ${formatVector(result)}, |k·a| = ${formatNumber(result.length())}`);
+            if (this.k < 0) lines.push('A negative k reverses the direction.');
+        } else {
+            lines.push(`b = ${formatVector(this.b)}, |b| = ${formatNumber(this.b.length())}`);
+            lines.push(`${MODES[this.mode].label} = ${formatVector(result)}, |${MODES[this.mode].label}| = ${formatNumber(result.length())}`);
+        }
+
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+
+    dispose() {
+        if (this.handles) this.handles.dispose();
+        super.dispose();
+    }
+}
@@ -0,0 +1,330 @@
+/**
+ * Work Physics Visualization
+ *
+ * Chapter 2.4: a block on a straight rail is pushed by a constant force whose
+ * direction the reader sets. The block's motion is simulated with Rapier, and
+ * the work W = ∫F·ds is summed from the displacement of every physics step,
+ * then plotted against the displacement next to the change in kinetic energy.
+ *
+ * The rail is a locked z translation, so only the component of F along the
+ * track moves the block; the perpendicular component is balanced by the rail
+ * and does no work.
+ */
+
+import { formatNumber } from '../base-visualization.js';
+import PhysicsVisualization from '../physics-visualization.js';
+import { VectorArrow, DashedSegment, AngleArc } from '../vector-kit.js';
+import LineChart from '../line-chart.js';
+
+const TRACK_LENGTH = 20;
+const START_X = -8;
+const BLOCK_SIZE = 1;
+
+// Arrow length per newton
+const FORCE_SCALE = 0.2;
+
+// Record a chart point every few physics steps
+const CHART_INTERVAL = 3;
+
+const COLORS = {
+    block: 0xf59e0b,
+    force: 0x2563eb,
+    displacement: 0x8b5cf6,
+    positive: 0x10b981,
+    negative: 0xdc2626,
+    zero: 0x6b7280
+};
+
+export default class WorkPhysics extends PhysicsVisualization {
+    constructor(container, engine) {
+        super(container, engine);
+
+        this.cameraPosition = [0, 7, 13];
+        this.cameraTarget = [0, 0, 0];
+
+        this.params = {
+            force: 8,
+            angle: 30,
+            mass: 2,
+            friction: 0,
+            initialSpeed: 0
+        };
+
+        this.worldOptions = { groundSize: TRACK_LENGTH + 10, walls: false };
+        this.running = false;
+    }
+
+    buildPhysics() {
+        this.addGrid(TRACK_LENGTH + 4, TRACK_LENGTH + 4);
+        this.createTrack();
+        this.createBlock();
+        this.createGuides();
+        this.createControls();
+
+        this.reset();
+    }
+
+    createTrack() {
+        const track = new THREE.Mesh(
+            new THREE.BoxGeometry(TRACK_LENGTH, 0.02, BLOCK_SIZE * 1.3),
+            new THREE.MeshStandardMaterial({ color: 0x9ca3af, roughness: 0.9 })
+        );
+        track.position.y = 0.01;
+        this.scene.add(track);
+    }
+
+    createBlock() {
+        const half = BLOCK_SIZE / 2;
+
+        // Slide along x on the ground; z is held by the rail and the block may not tip
+        const bodyDesc = this.RAPIER.RigidBodyDesc.dynamic()
+            .setTranslation(START_X, half, 0)
+            .lockRotations()
+            .enabledTranslations(true, true, false);
+        this.body = this.world.createRigidBody(bodyDesc);
+
+        // Min combine rule so the block's own coefficient is the one in effect
+        const colliderDesc = this.RAPIER.ColliderDesc.cuboid(half, half, half)
+            .setFrictionCombineRule(this.RAPIER.CoefficientCombineRule.Min)
+            .setRestitution(0);
+        this.collider = this.world.createCollider(colliderDesc, this.body);
+
+        this.block = new THREE.Mesh(
+            new THREE.BoxGeometry(BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE),
+            new THREE.MeshStandardMaterial({ color: COLORS.block, roughness: 0.6 })
+        );
+        this.scene.add(this.block);
+    }
+
+    createGuides() {
+        const label = (text, color) => this.createLabel(text, color, { fontSize: 40, height: 0.4 });
+
+        this.forceArrow = new VectorArrow({ color: COLORS.force, radius: 0.05, headLength: 0.35, headRadius: 0.14, label: label('F', COLORS.force) });
+        this.parallelArrow = new VectorArrow({ color: COLORS.positive, radius: 0.07, opacity: 0.7, label: label('F∥', COLORS.positive) });
+        this.displacementArrow = new VectorArrow({ color: COLORS.displacement, label: label('s', COLORS.displacement) });
+        this.arc = new AngleArc({ color: 0x333333, radius: 0.9 });
+        this.startMarker = new DashedSegment({ color: COLORS.displacement });
+
+        [this.forceArrow, this.parallelArrow, this.displacementArrow, this.arc, this.startMarker]
+            .forEach(object => this.scene.add(object));
+
+        this.startMarker.set(new THREE.Vector3(START_X, 0, 0), new THREE.Vector3(START_X, 1.6, 0));
+    }
+
+    createControls() {
+        const panel = this.createPanel('Applied Force');
+
+        this.addSlider(panel, {
+            label: '|F| (N)', min: 0, max: 20, step: 0.5, value: this.params.force,
+            format: v => v.toFixed(1),
+            onInput: value => this.setParam('force', value)
+        });
+        this.addSlider(panel, {
+            label: 'Angle θ', min: 0, max: 180, step: 1, value: this.params.angle,
+            format: v => `${v.toFixed(0)}°`,
+            onInput: value => this.setParam('angle', value)
+        });
+        this.addSlider(panel, {
+            label: 'Mass (kg)', min: 0.5, max: 10, step: 0.5, value: this.params.mass,
+            format: v => v.toFixed(1),
+            onInput: value => this.setParam('mass', value, true)
+        });
+        this.addSlider(panel, {
+            label: 'Friction μ', min: 0, max: 0.5, step: 0.01, value: this.params.friction,
+            onInput: value => this.setParam('friction', value)
+        });
+        this.addSlider(panel, {
+            label: 'v₀ (m/s)', min: -3, max: 3, step: 0.1, value: this.params.initialSpeed,
+            format: v => v.toFixed(1),
+            onInput: value => this.setParam('initialSpeed', value, true)
+        });
+
+        const actionRow = this.createRow(panel);
+        this.runButton = this.addButton(actionRow, 'Start', () => this.setRunning(!this.running));
+        this.addButton(actionRow, 'Reset', () => this.reset());
+
+        const results = this.createPanel('Work', ['right']);
+
+        this.chart = new LineChart({
+            width: 220,
+            height: 110,
+            xLabel: 's (m)',
+            yLabel: 'J',
+            series: [
+                { name: 'W by F', color: '#2563eb' },
+                { name: 'ΔKE', color: '#f59e0b' }
+            ]
+        });
+        results.appendChild(this.chart.canvas);
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'viz-panel__readout';
+        results.appendChild(this.readout);
+    }
+
+    /**
+     * @param {boolean} needsReset - Parameters that define the starting state restart the run
+     */
+    setParam(name, value, needsReset = false) {
+        this.params[name] = value;
+
+        if (needsReset) {
+            this.reset();
+        } else {
+            this.applyForce();
+            this.collider.setFriction(this.params.friction);
+            this.updateGuides();
+        }
+    }
+
+    getForce() {
+        const angle = THREE.MathUtils.degToRad(this.params.angle);
+
+        // θ is measured from the track (+x) towards -z, away from the camera
+        return new THREE.Vector3(Math.cos(angle), 0, -Math.sin(angle)).multiplyScalar(this.params.force);
+    }
+
+    applyForce() {
+        const force = this.getForce();
+        this.body.resetForces(true);
+        this.body.addForce({ x: force.x, y: force.y, z: force.z }, true);
+    }
+
+    reset() {
+        this.setRunning(false);
+
+        this.collider.setMass(this.params.mass);
+        this.collider.setFriction(this.params.friction);
+
+        this.body.setTranslation({ x: START_X, y: BLOCK_SIZE / 2, z: 0 }, true);
+        this.body.setLinvel({ x: this.params.initialSpeed, y: 0, z: 0 }, true);
+        this.applyForce();
+
+        this.accumulator = 0;
+        this.time = 0;
+        this.work = 0;
+        this.stepCount = 0;
+        this.finished = false;
+
+        this.chart.clear();
+        this.recordPoint();
+        this.syncBlock();
+        this.updateGuides();
+        this.updateReadout();
+    }
+
+    setRunning(running) {
+        if (running && this.finished) this.reset();
+
+        this.running = running;
+        this.runButton.textContent = running ? 'Pause' : 'Start';
+        this.runButton.classList.toggle('is-active', running);
+    }
+
+    beforeStep() {
+        this.positionBeforeStep = this.body.translation();
+    }
+
+    afterStep(timestep) {
+        const before = this.positionBeforeStep;
+        const after = this.body.translation();
+
+        // F is constant during a step, so F·Δr is exact for that step
+        const force = this.getForce();
+        this.work += force.x * (after.x - before.x) + force.y * (after.y - before.y) + force.z * (after.z - before.z);
+        this.time += timestep;
+        this.stepCount++;
+
+        if (this.stepCount % CHART_INTERVAL === 0) this.recordPoint();
+
+        const limit = TRACK_LENGTH / 2 - BLOCK_SIZE / 2;
+        if (Math.abs(after.x) >= limit) {
+            this.finished = true;
+            this.recordPoint();
+            this.setRunning(false);
+            this.runButton.textContent = 'Restart';
+
+            // updateVisuals() skips stopped runs, so draw the final state here
+            this.syncBlock();
+            this.updateGuides();
+            this.updateReadout();
+        }
+    }
+
+    updateVisuals() {
+        if (this.running) {
+            this.syncBlock();
+            this.updateGuides();
+            this.updateReadout();
+        }
+
+        this.chart.draw();
+    }
+
+    getKineticEnergyChange() {
+        const v = this.body.linvel();
+        const speedSquared = v.x * v.x + v.y * v.y + v.z * v.z;
+        const initial = this.params.initialSpeed;
+        return 0.5 * this.body.mass() * (speedSquared - initial * initial);
+    }
+
+    getDisplacement() {
+        return this.body.translation().x - START_X;
+    }
+
+    recordPoint() {
+        const s = this.getDisplacement();
+        this.chart.addPoint(0, s, this.work);
+        this.chart.addPoint(1, s, this.getKineticEnergyChange());
+    }
+
+    syncBlock() {
+        const position = this.body.translation();
+        this.block.position.set(position.x, position.y, position.z);
+    }
+
+    updateGuides() {
+        const center = this.block.position.clone();
+        const force = this.getForce();
+        const along = new THREE.Vector3(force.x, 0, 0);
+
+        // Color F∥ by the sign of the power F·v: is F currently adding energy or removing it?
+        const power = force.x * this.body.linvel().x;
+        const color = Math.abs(power) < 1e-3 ? COLORS.zero : (power > 0 ? COLORS.positive : COLORS.negative);
+
+        this.forceArrow.set(center, force.clone().multiplyScalar(FORCE_SCALE));
+        this.parallelArrow.set(center, along.multiplyScalar(FORCE_SCALE));
+        this.parallelArrow.setColor(color);
+        this.parallelArrow.visible = Math.abs(force.x) > 1e-6 && this.params.angle !== 0;
+
+        this.arc.set(center, new THREE.Vector3(1, 0, 0), force);
+        this.arc.visible = this.params.force > 0 && this.params.angle > 0;
+
+        const start = new THREE.Vector3(START_X, 0.05, 0);
+        this.displacementArrow.set(start, new THREE.Vector3(center.x - START_X, 0, 0));
+    }
+
+    updateReadout() {
+        const force = this.getForce();
+        const s = this.getDisplacement();
+        const deltaKE = this.getKineticEnergyChange();
+        const cosTheta = Math.cos(THREE.MathUtils.degToRad(this.params.angle));
+
+        const lines = [
+            `t = ${formatNumber(this.time, 2)} s, s = ${formatNumber(s, 2)} m, v = ${formatNumber(this.body.linvel().x, 2)} m/s`,
+            `|F|cosθ · s = ${formatNumber(this.params.force, 1)} × ${formatNumber(cosTheta, 3)} × ${formatNumber(s, 2)} = ${formatNumber(force.x * s, 2)} J`,
+            `W = ∫F·ds = <strong>${formatNumber(this.work, 2)} J</strong>`,
+            `ΔKE = ${formatNumber(deltaKE, 2)} J`
+        ];
+
+        if (this.params.friction > 0) {
+            lines.push(`Work done by friction: ${formatNumber(deltaKE - this.work, 2)} J`);
+        } else {
+            lines.push('Frictionless: W by F ≈ ΔKE (work–energy theorem).');
+        }
+
+        if (this.finished) lines.push('End of the track. Reset to run again.');
+
+        this.readout.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+}
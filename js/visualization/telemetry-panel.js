@@ -0,0 +1,216 @@
+/**
+ * Telemetry Panel
+ *
+ * Two live charts of the playground's PhysicsTelemetry, each plotting a
+ * quantity the user picks, with CSV and JSON export of every channel.
+ */
+
+import LineChart from './line-chart.js';
+import { CHANNELS, CHANNEL_GROUPS } from './physics-telemetry.js';
+
+const SERIES_COLORS = ['#ef4444', '#22c55e', '#3b82f6'];
+
+// Legend names; the other channels go by their key
+const SERIES_NAMES = {
+    kinetic: 'KE',
+    potential: 'PE',
+    total: 'E'
+};
+
+const DEFAULT_GROUPS = ['energy', 'velocity'];
+
+export default class TelemetryPanel {
+    /**
+     * @param {object} options
+     * @param {HTMLElement} options.container - Element the panel is placed in
+     * @param {PhysicsTelemetry} options.telemetry - Recorder whose samples are shown
+     * @param {Function} options.createButton - (parent, text, onClick) => button, for matching buttons
+     * @param {Function} options.onExport - Called with (filename, text, type) to download a file
+     */
+    constructor({ container, telemetry, createButton, onExport = () => {} }) {
+        this.container = container;
+        this.telemetry = telemetry;
+        this.createButton = createButton;
+        this.onExport = onExport;
+
+        this.charts = [];
+        this.createPanel();
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'physics-telemetry';
+        panel.style.position = 'absolute';
+        panel.style.bottom = '10px';
+        panel.style.right = '10px';
+        panel.style.width = '260px';
+        panel.style.padding = '10px';
+        panel.style.borderRadius = '5px';
+        panel.style.fontFamily = 'var(--body-font, sans-serif)';
+        panel.style.fontSize = '13px';
+        panel.style.backgroundColor = 'var(--bg-color, #ffffff)';
+        panel.style.color = 'var(--text-color, #333333)';
+        panel.style.boxShadow = 'var(--shadow-md)';
+        panel.style.zIndex = '100';
+        panel.style.display = 'none';
+
+        const header = document.createElement('div');
+        header.style.display = 'flex';
+        header.style.justifyContent = 'space-between';
+        header.style.alignItems = 'center';
+        const title = document.createElement('h3');
+        title.style.margin = '0';
+        title.style.fontSize = '15px';
+        title.textContent = 'Telemetry';
+        header.appendChild(title);
+        this.createButton(header, '×', () => this.close());
+        panel.appendChild(header);
+
+        this.targetLabel = document.createElement('div');
+        this.targetLabel.style.fontSize = '12px';
+        this.targetLabel.style.opacity = '0.7';
+        this.targetLabel.style.margin = '4px 0';
+        panel.appendChild(this.targetLabel);
+
+        DEFAULT_GROUPS.forEach(group => this.createChartSlot(panel, group));
+
+        const buttons = document.createElement('div');
+        buttons.style.display = 'flex';
+        buttons.style.flexWrap = 'wrap';
+        buttons.style.gap = '5px';
+        buttons.style.marginTop = '6px';
+        panel.appendChild(buttons);
+        this.createButton(buttons, 'Clear', () => {
+            this.telemetry.clear();
+            this.rebuildCharts();
+        });
+        this.createButton(buttons, 'Export CSV', () => {
+            this.onExport('physics-telemetry.csv', this.telemetry.toCSV(), 'text/csv');
+        });
+        this.createButton(buttons, 'Export JSON', () => {
+            this.onExport('physics-telemetry.json', JSON.stringify(this.telemetry.toJSON()), 'application/json');
+        });
+
+        this.container.appendChild(panel);
+        this.panel = panel;
+    }
+
+    // A quantity picker above a chart
+    createChartSlot(parent, group) {
+        const slot = { group, chart: null, lastSample: null };
+
+        const select = document.createElement('select');
+        select.style.marginTop = '6px';
+        Object.entries(CHANNEL_GROUPS).forEach(([key, { label }]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = group;
+        select.addEventListener('change', () => {
+            slot.group = select.value;
+            this.rebuildChart(slot);
+        });
+        parent.appendChild(select);
+
+        slot.holder = document.createElement('div');
+        parent.appendChild(slot.holder);
+
+        this.charts.push(slot);
+        this.rebuildChart(slot);
+    }
+
+    // A new chart for the slot's quantity, filled with every sample so far
+    rebuildChart(slot) {
+        const channels = CHANNELS.filter(channel => channel.group === slot.group);
+        slot.channels = channels;
+        slot.chart = new LineChart({
+            width: 240,
+            height: 110,
+            xLabel: 't (s)',
+            yLabel: CHANNEL_GROUPS[slot.group].unit,
+            series: channels.map((channel, i) => ({
+                name: SERIES_NAMES[channel.key] || channel.key,
+                color: SERIES_COLORS[i % SERIES_COLORS.length]
+            })),
+            maxPoints: this.telemetry.capacity
+        });
+        slot.holder.replaceChildren(slot.chart.canvas);
+        slot.lastSample = null;
+
+        this.addSamples(slot, this.telemetry.samples);
+        slot.chart.draw();
+    }
+
+    rebuildCharts() {
+        this.charts.forEach(slot => this.rebuildChart(slot));
+    }
+
+    addSamples(slot, samples) {
+        samples.forEach(sample => {
+            slot.channels.forEach((channel, i) => {
+                const value = sample[channel.key];
+                if (value !== null && value !== undefined) slot.chart.addPoint(i, sample.time, value);
+            });
+        });
+        slot.lastSample = samples.length > 0 ? samples[samples.length - 1] : slot.lastSample;
+    }
+
+    get isOpen() {
+        return this.panel.style.display !== 'none';
+    }
+
+    open() {
+        this.panel.style.display = 'block';
+        this.rebuildCharts();
+        this.update();
+    }
+
+    close() {
+        this.panel.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Add the samples recorded since the last call and redraw; call once per
+     * frame. Charts start over when earlier samples were dropped, e.g. after
+     * a rewind or when the selected body changed.
+     */
+    update() {
+        if (!this.isOpen) return;
+
+        const target = this.telemetry.target;
+        this.targetLabel.textContent = target
+            ? `Selected: ${target.shapeType.charAt(0).toUpperCase()}${target.shapeType.slice(1)} (click another object to switch)`
+            : 'Click an object to record its motion';
+        if (target !== this.shownTarget) {
+            this.shownTarget = target;
+            this.rebuildCharts();
+            return;
+        }
+
+        const samples = this.telemetry.samples;
+        this.charts.forEach(slot => {
+            const index = slot.lastSample ? samples.lastIndexOf(slot.lastSample) : -1;
+            if (slot.lastSample && index === -1) {
+                this.rebuildChart(slot);
+                return;
+            }
+            this.addSamples(slot, samples.slice(index + 1));
+            slot.chart.draw();
+        });
+    }
+
+    dispose() {
+        this.charts = [];
+        if (this.panel.parentNode) this.panel.parentNode.removeChild(this.panel);
+    }
+}
@@ -0,0 +1,492 @@
+/**
+ * VistaKine Vector Kit
+ *
+ * Building blocks shared by the vector chapters:
+ *
+ * - VectorArrow: a solid arrow from an origin along a vector, with an optional label
+ * - ComponentGuide: dashed x, y, z legs that walk from an origin to a vector's tip
+ * - ParallelogramFace: translucent face spanned by two vectors
+ * - Parallelepiped: translucent solid spanned by three vectors, with its edges
+ * - DashedSegment: dashed line between two points
+ * - AngleArc: arc marking the angle between two vectors
+ * - CurlArrow: circular arrow showing the right-handed sense of rotation about an axis
+ * - VectorHandles: draggable tips built on TransformControls
+ *
+ * THREE and TransformControls are provided globally by three-setup.js.
+ */
+
+import { formatNumber } from './base-visualization.js';
+
+const EPSILON = 1e-6;
+const UP = new THREE.Vector3(0, 1, 0);
+
+export const AXIS_COLORS = [0xff0000, 0x00aa00, 0x0000ff];
+
+/**
+ * Format a vector as "(x, y, z)"
+ */
+export function formatVector(vector, digits = 2) {
+    return `(${[vector.x, vector.y, vector.z].map(v => formatNumber(v, digits)).join(', ')})`;
+}
+
+/**
+ * Solid arrow that stays proportioned at any length
+ *
+ * Unlike THREE.ArrowHelper the shaft has real thickness, which reads better
+ * with lighting, and the label follows the tip.
+ */
+export class VectorArrow extends THREE.Group {
+    constructor({ color = 0x2563eb, radius = 0.03, headLength = 0.25, headRadius = 0.09, opacity = 1, label = null } = {}) {
+        super();
+
+        this.origin = new THREE.Vector3();
+        this.vector = new THREE.Vector3(0, 1, 0);
+        this.headLength = headLength;
+        this.headRadius = headRadius;
+
+        this.material = new THREE.MeshStandardMaterial({
+            color,
+            roughness: 0.5,
+            transparent: opacity < 1,
+            opacity
+        });
+
+        // Unit-height pieces, scaled to length in set()
+        this.shaft = new THREE.Mesh(
+            new THREE.CylinderGeometry(radius, radius, 1, 12).translate(0, 0.5, 0),
+            this.material
+        );
+        this.head = new THREE.Mesh(
+            new THREE.ConeGeometry(1, 1, 20).translate(0, -0.5, 0),
+            this.material
+        );
+        this.add(this.shaft, this.head);
+
+        this.label = null;
+        if (label) this.setLabel(label);
+    }
+
+    get tip() {
+        return this.origin.clone().add(this.vector);
+    }
+
+    set(origin, vector) {
+        this.origin.copy(origin);
+        this.vector.copy(vector);
+        this.position.copy(origin);
+
+        const length = vector.length();
+        this.shaft.visible = this.head.visible = length > EPSILON;
+        if (length <= EPSILON) {
+            if (this.label) this.label.position.set(0, 0.25, 0);
+            return this;
+        }
+
+        this.quaternion.setFromUnitVectors(UP, vector.clone().divideScalar(length));
+
+        // Short vectors get a proportionally smaller head
+        const headLength = Math.min(this.headLength, length * 0.4);
+        const headRadius = this.headRadius * headLength / this.headLength;
+        this.shaft.scale.y = Math.max(length - headLength, EPSILON);
+        this.head.scale.set(headRadius, headLength, headRadius);
+        this.head.position.y = length;
+
+        if (this.label) this.label.position.set(0, length + 0.25, 0);
+        return this;
+    }
+
+    setColor(color) {
+        this.material.color.set(color);
+    }
+
+    /**
+     * Replace the label sprite, disposing the previous one
+     */
+    setLabel(sprite) {
+        if (this.label) {
+            this.remove(this.label);
+            this.label.material.map.dispose();
+            this.label.material.dispose();
+        }
+
+        this.label = sprite;
+        if (sprite) {
+            this.add(sprite);
+            this.set(this.origin, this.vector);
+        }
+    }
+}
+
+/**
+ * Dashed path from an origin along x, then y, then z to the vector's tip
+ */
+export class ComponentGuide extends THREE.Group {
+    constructor({ colors = AXIS_COLORS, dashSize = 0.12, gapSize = 0.08 } = {}) {
+        super();
+
+        this.legs = colors.map(color => {
+            const leg = new DashedSegment({ color, dashSize, gapSize });
+            this.add(leg);
+            return leg;
+        });
+    }
+
+    set(origin, vector) {
+        const corners = [
+            origin.clone(),
+            origin.clone().add(new THREE.Vector3(vector.x, 0, 0)),
+            origin.clone().add(new THREE.Vector3(vector.x, vector.y, 0)),
+            origin.clone().add(vector)
+        ];
+
+        this.legs.forEach((leg, i) => leg.set(corners[i], corners[i + 1]));
+
+        return this;
+    }
+}
+
+/**
+ * Translucent parallelogram with corners origin, origin + a, origin + a + b, origin + b
+ */
+export class ParallelogramFace extends THREE.Mesh {
+    constructor({ color = 0x8b5cf6, opacity = 0.25 } = {}) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(12), 3));
+        geometry.setIndex([0, 1, 2, 0, 2, 3]);
+
+        super(geometry, new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+    }
+
+    set(origin, a, b) {
+        const attribute = this.geometry.attributes.position;
+        const corners = [origin, origin.clone().add(a), origin.clone().add(a).add(b), origin.clone().add(b)];
+        corners.forEach((corner, i) => attribute.setXYZ(i, corner.x, corner.y, corner.z));
+        attribute.needsUpdate = true;
+        this.geometry.computeBoundingSphere();
+        return this;
+    }
+}
+
+// Corner i of a parallelepiped is origin + the sum of the vectors whose bits are set in i
+const BOX_FACES = [[0, 1, 3, 2], [4, 5, 7, 6], [0, 1, 5, 4], [2, 3, 7, 6], [0, 2, 6, 4], [1, 3, 7, 5]];
+const BOX_EDGES = [[0, 1], [2, 3], [4, 5], [6, 7], [0, 2], [1, 3], [4, 6], [5, 7], [0, 4], [1, 5], [2, 6], [3, 7]];
+
+/**
+ * Solid spanned by three vectors from a common origin
+ */
+export class Parallelepiped extends THREE.Group {
+    constructor({ color = 0x3b82f6, opacity = 0.35, edgeColor = 0x1f2937 } = {}) {
+        super();
+
+        // Separate vertices per face keep the shading flat
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(BOX_FACES.length * 4 * 3), 3));
+        const indices = [];
+        BOX_FACES.forEach((face, f) => {
+            const i = f * 4;
+            indices.push(i, i + 1, i + 2, i, i + 2, i + 3);
+        });
+        geometry.setIndex(indices);
+
+        this.solid = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+            color,
+            transparent: true,
+            opacity,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            roughness: 0.6
+        }));
+
+        const edgeGeometry = new THREE.BufferGeometry();
+        edgeGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(BOX_EDGES.length * 2 * 3), 3));
+        this.edges = new THREE.LineSegments(edgeGeometry, new THREE.LineBasicMaterial({ color: edgeColor }));
+
+        this.add(this.solid, this.edges);
+    }
+
+    set(origin, a, b, c) {
+        const vectors = [a, b, c];
+        const corners = [];
+        for (let i = 0; i < 8; i++) {
+            const corner = origin.clone();
+            vectors.forEach((vector, bit) => {
+                if (i & (1 << bit)) corner.add(vector);
+            });
+            corners.push(corner);
+        }
+
+        const positions = this.solid.geometry.attributes.position;
+        BOX_FACES.forEach((face, f) => {
+            face.forEach((corner, k) => {
+                const p = corners[corner];
+                positions.setXYZ(f * 4 + k, p.x, p.y, p.z);
+            });
+        });
+        positions.needsUpdate = true;
+        this.solid.geometry.computeVertexNormals();
+        this.solid.geometry.computeBoundingSphere();
+
+        const edgePositions = this.edges.geometry.attributes.position;
+        BOX_EDGES.forEach(([from, to], e) => {
+            edgePositions.setXYZ(e * 2, corners[from].x, corners[from].y, corners[from].z);
+            edgePositions.setXYZ(e * 2 + 1, corners[to].x, corners[to].y, corners[to].z);
+        });
+        edgePositions.needsUpdate = true;
+        this.edges.geometry.computeBoundingSphere();
+
+        return this;
+    }
+
+    setColor(color, opacity) {
+        this.solid.material.color.set(color);
+        if (opacity !== undefined) this.solid.material.opacity = opacity;
+    }
+}
+
+/**
+ * Dashed line between two points that can be moved every frame
+ */
+export class DashedSegment extends THREE.Line {
+    constructor({ color = 0x666666, dashSize = 0.1, gapSize = 0.06 } = {}) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+        super(geometry, new THREE.LineDashedMaterial({ color, dashSize, gapSize }));
+    }
+
+    set(from, to) {
+        const attribute = this.geometry.attributes.position;
+        attribute.setXYZ(0, from.x, from.y, from.z);
+        attribute.setXYZ(1, to.x, to.y, to.z);
+        attribute.needsUpdate = true;
+        this.geometry.computeBoundingSphere();
+        this.computeLineDistances();
+        return this;
+    }
+}
+
+/**
+ * Circular arc from the direction of u to the direction of v
+ */
+export class AngleArc extends THREE.Line {
+    constructor({ color = 0x333333, radius = 0.6, segments = 48 } = {}) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((segments + 1) * 3), 3));
+        super(geometry, new THREE.LineBasicMaterial({ color }));
+
+        this.radius = radius;
+        this.segments = segments;
+        this.angle = 0;
+        this.midpoint = new THREE.Vector3();
+    }
+
+    /**
+     * @returns {number} The angle between u and v in radians
+     */
+    set(origin, u, v) {
+        const attribute = this.geometry.attributes.position;
+        const degenerate = u.lengthSq() < EPSILON || v.lengthSq() < EPSILON;
+        this.visible = !degenerate;
+        if (degenerate) return (this.angle = 0);
+
+        const start = u.clone().normalize();
+        this.angle = start.angleTo(v);
+
+        // Parallel and antiparallel vectors need some perpendicular axis to sweep around
+        let axis = new THREE.Vector3().crossVectors(u, v);
+        if (axis.lengthSq() < EPSILON) {
+            axis = new THREE.Vector3().crossVectors(start, Math.abs(start.y) < 0.9 ? UP : new THREE.Vector3(1, 0, 0));
+        }
+        axis.normalize();
+
+        const point = new THREE.Vector3();
+        for (let i = 0; i <= this.segments; i++) {
+            const t = i / this.segments;
+            point.copy(start).applyAxisAngle(axis, this.angle * t).multiplyScalar(this.radius).add(origin);
+            attribute.setXYZ(i, point.x, point.y, point.z);
+        }
+        attribute.needsUpdate = true;
+        this.geometry.computeBoundingSphere();
+
+        this.midpoint.copy(start).applyAxisAngle(axis, this.angle / 2).multiplyScalar(this.radius).add(origin);
+        return this.angle;
+    }
+}
+
+/**
+ * Circular arrow around an axis, turning counterclockwise when viewed from the
+ * axis tip (the right-hand rule). setPhase() spins it for animation.
+ */
+export class CurlArrow extends THREE.Group {
+    constructor({ color = 0xf59e0b, radius = 0.4, tube = 0.02, arc = Math.PI * 1.5 } = {}) {
+        super();
+
+        const material = new THREE.MeshStandardMaterial({ color, roughness: 0.5 });
+
+        // Built around local +z; set() turns +z onto the axis
+        this.spinner = new THREE.Group();
+        this.spinner.add(new THREE.Mesh(new THREE.TorusGeometry(radius, tube, 8, 48, arc), material));
+
+        const head = new THREE.Mesh(new THREE.ConeGeometry(tube * 4, tube * 10, 16), material);
+        head.position.set(radius * Math.cos(arc), radius * Math.sin(arc), 0);
+        head.rotation.z = arc; // Cone points along +y, the tangent at angle 0
+        this.spinner.add(head);
+
+        this.add(this.spinner);
+        this.material = material;
+    }
+
+    set(origin, axis) {
+        this.position.copy(origin);
+
+        const length = axis.length();
+        this.visible = length > EPSILON;
+        if (this.visible) {
+            this.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), axis.clone().divideScalar(length));
+        }
+        return this;
+    }
+
+    setPhase(angle) {
+        this.spinner.rotation.z = angle;
+    }
+
+    setColor(color) {
+        this.material.color.set(color);
+    }
+}
+
+/**
+ * Draggable arrow tips
+ *
+ * Each handle is a small sphere at an arrow's tip. Clicking a handle attaches
+ * the translate gizmo to it; dragging moves the tip while the arrow's origin
+ * stays put. Orbiting is suspended while the gizmo is dragged.
+ */
+export class VectorHandles {
+    constructor(visualization, { snap = 0.1, limit = 5, size = 0.6 } = {}) {
+        this.visualization = visualization;
+        this.limit = limit;
+        this.handles = [];
+        this.raycaster = new THREE.Raycaster();
+        this.pointerStart = null;
+
+        const { camera, renderer, scene } = visualization;
+
+        this.transform = new window.TransformControls(camera, renderer.domElement);
+        this.transform.setSize(size);
+        this.transform.setTranslationSnap(snap);
+        scene.add(this.transform.getHelper());
+
+        this.transform.addEventListener('dragging-changed', event => {
+            if (visualization.controls) visualization.controls.enabled = !event.value;
+        });
+        this.transform.addEventListener('objectChange', () => this.handleObjectChange());
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        renderer.domElement.addEventListener('pointerdown', this.handlePointerDown);
+        renderer.domElement.addEventListener('pointerup', this.handlePointerUp);
+    }
+
+    /**
+     * Make an arrow's tip draggable
+     *
+     * @param {VectorArrow} arrow - Arrow whose vector the handle edits
+     * @param {function} onChange - Called with the new vector while dragging
+     * @returns {THREE.Mesh} The handle
+     */
+    add(arrow, onChange) {
+        const handle = new THREE.Mesh(
+            new THREE.SphereGeometry(0.1, 16, 16),
+            new THREE.MeshBasicMaterial({ color: arrow.material.color, transparent: true, opacity: 0.6 })
+        );
+        handle.userData = { arrow, onChange };
+        handle.position.copy(arrow.tip);
+
+        this.visualization.scene.add(handle);
+        this.handles.push(handle);
+
+        if (this.handles.length === 1) this.select(handle);
+        return handle;
+    }
+
+    select(handle) {
+        if (handle && handle.visible) {
+            this.transform.attach(handle);
+        } else {
+            this.transform.detach();
+        }
+    }
+
+    /**
+     * Show or hide a handle, moving the gizmo off it when hidden
+     */
+    setVisible(handle, visible) {
+        handle.visible = visible;
+        if (!visible && this.transform.object === handle) {
+            this.select(this.handles.find(h => h.visible));
+        } else if (visible && !this.transform.object) {
+            this.select(handle);
+        }
+    }
+
+    /**
+     * Move a handle back onto its arrow's tip after a programmatic change
+     */
+    sync(handle) {
+        handle.position.copy(handle.userData.arrow.tip);
+    }
+
+    handleObjectChange() {
+        const handle = this.transform.object;
+        if (!handle) return;
+
+        const { arrow, onChange } = handle.userData;
+        const min = new THREE.Vector3().setScalar(-this.limit).add(arrow.origin);
+        const max = new THREE.Vector3().setScalar(this.limit).add(arrow.origin);
+        handle.position.clamp(min, max);
+
+        const vector = handle.position.clone().sub(arrow.origin);
+        arrow.set(arrow.origin, vector);
+        if (onChange) onChange(vector);
+    }
+
+    handlePointerDown(event) {
+        this.pointerStart = { x: event.clientX, y: event.clientY };
+    }
+
+    // A click without a drag picks the handle under the pointer
+    handlePointerUp(event) {
+        if (!this.pointerStart) return;
+
+        const moved = Math.hypot(event.clientX - this.pointerStart.x, event.clientY - this.pointerStart.y);
+        this.pointerStart = null;
+        if (moved > 5) return;
+
+        const canvas = this.visualization.renderer.domElement;
+        const rect = canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        this.raycaster.setFromCamera(pointer, this.visualization.camera);
+        const hits = this.raycaster.intersectObjects(this.handles.filter(h => h.visible), false);
+        if (hits.length > 0) this.select(hits[0].object);
+    }
+
+    dispose() {
+        const canvas = this.visualization.renderer.domElement;
+        canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        canvas.removeEventListener('pointerup', this.handlePointerUp);
+
+        this.transform.detach();
+        this.transform.dispose();
+    }
+}
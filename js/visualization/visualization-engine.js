@@ -19,6 +19,67 @@ VistaKine.visualization = {
     initialized: false,
     engine: null,
 
+    // Visualization types keyed by their data-threejs id
+    registry: new Map(),
+
+    /**
+     * Register a visualization type for a data-threejs id
+     *
+     * The factory is constructed as `new factory(container, engine)` and must
+     * implement the lifecycle methods the engine calls: create() (may return a
+     * promise, `false` signals failure), resize(width, height), pause(), resume()
+     * and dispose(). Extending BaseVisualization provides all of them.
+     *
+     * To keep the initial page light, pass `options.module` instead of a factory.
+     * The module is imported the first time a matching container is found and
+     * its default export (or `options.exportName`) becomes the factory.
+     *
+     * @param {string} id - Value of the container's data-threejs attribute
+     * @param {Function|null} factory - Visualization class, or null when lazy
+     * @param {object} options - { module, exportName, type }
+     * @param {string} options.module - Module path relative to js/visualization/
+     * @param {string} options.type - Optional category stored with the scene (e.g. 'physics')
+     * @returns {boolean} Whether the registration was accepted
+     */
+    register: function(id, factory, options = {}) {
+        if (!id || (typeof factory !== 'function' && !options.module)) {
+            console.error(`Cannot register visualization '${id}': a factory or module path is required`);
+            return false;
+        }
+
+        if (this.registry.has(id)) {
+            console.warn(`Visualization '${id}' is already registered, replacing it`);
+        }
+
+        this.registry.set(id, {
+            id,
+            factory: typeof factory === 'function' ? factory : null,
+            module: options.module || null,
+            exportName: options.exportName || 'default',
+            type: options.type || null,
+            loading: null
+        });
+
+        return true;
+    },
+
+    /**
+     * Look up the registration for a data-threejs id
+     */
+    getRegistration: function(id) {
+        return this.registry.get(id) || null;
+    },
+
+    /**
+     * Dispose every visualization inside a section that is being unloaded
+     * This is called from content-module.js before the section content is replaced
+     */
+    cleanupScene: function(section) {
+        if (this.engine) {
+            this.engine.disposeContainersIn(section);
+        }
+    },
+
     /**
      * Initialize the visualization module
      */
@@ -196,11 +257,13 @@ class VisualizationEngine {
         this.initialized = false;
         this.initCallbacks = []; // Callbacks to run after initialization
         this.initAttempted = false;
+        this.visibilityObserver = null;
 
         // Bind methods that will be used as event handlers
         this.handleResize = this.handleResize.bind(this);
         this.toggleFullscreen = this.toggleFullscreen.bind(this);
         this.scanForContainers = this.scanForContainers.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
 
         // Add a timestamp for debugging
         this.constructorTimestamp = Date.now();
@@ -230,6 +293,13 @@ class VisualizationEngine {
             // Listen for window resize events
             window.addEventListener('resize', this.handleResize);
 
+            // Pause visualizations that are scrolled out of view or in a background tab
+            this.setupVisibilityTracking();
+
+            // Load the renderer service early so quality settings apply before the first scene
+            import('./renderer-service.js')
+                .catch(error => console.error('Failed to load the renderer service:', error));
+
             // Scan the page for visualization containers
             this.scanForContainers();
 
@@ -358,21 +428,19 @@ class VisualizationEngine {
             // Mark container as being processed
             container.setAttribute('data-viz-processing', 'true');
 
+            // Reserve a unique key so repeated IDs on one page don't overwrite each other
+            this.getSceneKey(container, vizId);
+
             // Add expand button to the container
             this.addExpandButton(container);
 
-            // Create the Three.js scene based on the visualization ID
-            switch(vizId) {
-                case 'coordinate-intro':
-                    this.createCoordinateSystem(container, vizId);
-                    break;
-                case 'physics-playground':
-                    this.createPhysicsPlayground(container, vizId);
-                    break;
-                // Add more visualization types here
-                default:
-                    console.warn(`Unknown visualization type: ${vizId}, using default scene`);
-                    this.createDefaultScene(container, vizId);
+            // Create the visualization registered for this ID
+            const registration = VistaKine.visualization.getRegistration(vizId);
+            if (registration) {
+                this.createRegisteredVisualization(container, vizId, registration);
+            } else {
+                console.warn(`Unknown visualization type: ${vizId}, using default scene`);
+                this.createDefaultScene(container, vizId);
             }
 
             // Mark container as initialized
@@ -407,6 +475,224 @@ class VisualizationEngine {
         }
     }
 
+    /**
+     * Get the key this container's scene is stored under in this.scenes
+     * The first container for an ID uses the ID itself, later ones get a suffix
+     */
+    getSceneKey(container, vizId = container.getAttribute('data-threejs')) {
+        if (container.dataset.vizKey) {
+            return container.dataset.vizKey;
+        }
+
+        let key = vizId;
+        let suffix = 2;
+        const keyInUse = candidate => this.scenes.has(candidate) ||
+            document.querySelector(`[data-viz-key="${candidate}"]`);
+
+        while (keyInUse(key)) {
+            key = `${vizId}-${suffix++}`;
+        }
+
+        container.dataset.vizKey = key;
+        return key;
+    }
+
+    /**
+     * Resolve the factory for a registration, importing its module on first use
+     */
+    loadFactory(registration) {
+        if (registration.factory) {
+            return Promise.resolve(registration.factory);
+        }
+
+        // Share one import between containers that appear at the same time
+        if (!registration.loading) {
+            registration.loading = import(registration.module)
+                .then(module => {
+                    const factory = module[registration.exportName];
+                    if (typeof factory !== 'function') {
+                        throw new Error(`Module ${registration.module} has no '${registration.exportName}' export`);
+                    }
+                    registration.factory = factory;
+                    return factory;
+                })
+                .catch(error => {
+                    // Allow a later container to retry the import
+                    registration.loading = null;
+                    throw error;
+                });
+        }
+
+        return registration.loading;
+    }
+
+    /**
+     * Create a registered visualization and hand it to the lifecycle manager
+     */
+    createRegisteredVisualization(container, vizId, registration) {
+        const key = this.getSceneKey(container);
+        let instance = null;
+
+        this.loadFactory(registration)
+            .then(async Factory => {
+                instance = new Factory(container, this);
+                const result = await instance.create();
+
+                if (result === false) {
+                    throw new Error('create() reported failure');
+                }
+
+                // The section may have been unloaded while the module was loading
+                if (!container.isConnected) {
+                    instance.dispose();
+                    return;
+                }
+
+                const sceneData = {
+                    container,
+                    instance,
+                    scene: instance.scene,
+                    camera: instance.camera,
+                    renderer: instance.renderer,
+                    gridHelper: instance.gridHelper || instance.grid,
+                    type: registration.type
+                };
+
+                if (registration.type === 'physics') {
+                    sceneData.playground = instance;
+                }
+
+                this.scenes.set(key, sceneData);
+                this.observeVisibility(container);
+
+                console.log(`Visualization '${vizId}' created successfully`);
+            })
+            .catch(error => {
+                console.error(`Error creating visualization '${vizId}':`, error);
+
+                // A failed create() may already hold a renderer, listeners or a physics world
+                if (instance) {
+                    try {
+                        instance.dispose();
+                    } catch (disposeError) {
+                        console.error(`Error disposing visualization '${vizId}':`, disposeError);
+                    }
+                }
+
+                this.createDefaultScene(container, vizId);
+            });
+    }
+
+    /**
+     * Pause scenes that are off screen and resume them when they scroll back in
+     */
+    setupVisibilityTracking() {
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        if (typeof IntersectionObserver === 'undefined') return;
+
+        this.visibilityObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const sceneData = this.scenes.get(entry.target.dataset.vizKey);
+                if (!sceneData || !sceneData.instance) return;
+
+                sceneData.inView = entry.isIntersecting;
+                if (entry.isIntersecting && !document.hidden) {
+                    sceneData.instance.resume();
+                } else {
+                    sceneData.instance.pause();
+                }
+            });
+        }, { rootMargin: '100px' });
+    }
+
+    /**
+     * Start tracking a container's visibility
+     */
+    observeVisibility(container) {
+        if (this.visibilityObserver) {
+            this.visibilityObserver.observe(container);
+        }
+    }
+
+    /**
+     * Pause everything while the tab is hidden
+     */
+    handleVisibilityChange() {
+        this.scenes.forEach(sceneData => {
+            if (!sceneData.instance) return;
+
+            if (document.hidden) {
+                sceneData.instance.pause();
+            } else if (sceneData.inView !== false) {
+                sceneData.instance.resume();
+            }
+        });
+    }
+
+    /**
+     * Dispose of every scene whose container lives inside the given element
+     */
+    disposeContainersIn(root) {
+        this.scenes.forEach((sceneData, key) => {
+            const { container } = sceneData;
+            if (!container || !root.contains(container)) return;
+
+            if (this.visibilityObserver) {
+                this.visibilityObserver.unobserve(container);
+            }
+
+            try {
+                if (sceneData.instance) {
+                    sceneData.instance.dispose();
+                } else {
+                    sceneData.disposed = true;
+                    if (sceneData.renderer) {
+                        if (VistaKine.renderer) VistaKine.renderer.release(sceneData.renderer);
+                        sceneData.renderer.dispose();
+                    }
+                }
+            } catch (error) {
+                console.error(`Error disposing visualization '${key}':`, error);
+            }
+
+            container.removeAttribute('data-viz-initialized');
+            this.scenes.delete(key);
+        });
+    }
+
+    /**
+     * Resize a single scene to match its container
+     */
+    resizeScene(sceneData) {
+        const { renderer, camera, container, instance } = sceneData;
+        if (!container) return;
+
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+
+        // Skip if dimensions are zero (container not visible)
+        if (width === 0 || height === 0) return;
+
+        if (instance) {
+            instance.resize(width, height);
+            return;
+        }
+
+        if (!renderer) return;
+
+        if (VistaKine.renderer) {
+            VistaKine.renderer.setSize(renderer, width, height);
+        } else {
+            renderer.setSize(width, height);
+        }
+
+        if (camera && camera.aspect) {
+            camera.aspect = width / height;
+            camera.updateProjectionMatrix();
+        }
+    }
+
     /**
      * Add expand button to the visualization container
      */
@@ -448,8 +734,8 @@ class VisualizationEngine {
         gridToggle.setAttribute('aria-label', 'Toggle grid visibility');
         gridToggle.setAttribute('title', 'Toggle grid visibility');
 
-        // Get the visualization ID
-        const vizId = container.getAttribute('data-threejs');
+        // Get the key the scene is stored under
+        const sceneKey = this.getSceneKey(container);
 
         // Track grid state in the container's data attributes
         container.dataset.gridVisible = 'true';
@@ -458,7 +744,7 @@ class VisualizationEngine {
         gridToggle.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            this.toggleGrid(container, vizId);
+            this.toggleGrid(container, sceneKey);
         });
 
         // Add button to container
@@ -468,9 +754,9 @@ class VisualizationEngine {
     /**
      * Toggle grid visibility
      */
-    toggleGrid(container, vizId) {
+    toggleGrid(container, sceneKey) {
         // Get the scene data
-        const sceneData = this.scenes.get(vizId);
+        const sceneData = this.scenes.get(sceneKey);
         if (!sceneData) return;
 
         // Toggle grid visibility state
@@ -517,25 +803,11 @@ class VisualizationEngine {
     handleResize() {
         // Resize all active scenes
         this.scenes.forEach((sceneData, id) => {
-            const { renderer, camera, container } = sceneData;
+            const { renderer, container } = sceneData;
 
             if (!renderer || !container) return;
 
-            // Get container dimensions
-            const width = container.clientWidth;
-            const height = container.clientHeight;
-
-            // Skip if dimensions are zero (container not visible)
-            if (width === 0 || height === 0) return;
-
-            // Update renderer size
-            renderer.setSize(width, height);
-
-            // Update camera aspect ratio
-            if (camera && camera.aspect) {
-                camera.aspect = width / height;
-                camera.updateProjectionMatrix();
-            }
+            this.resizeScene(sceneData);
 
             // Ensure canvas is properly positioned, especially in fullscreen mode
             if (renderer.domElement) {
@@ -565,8 +837,7 @@ class VisualizationEngine {
      */
     toggleFullscreen(container) {
         // Get the scene data for this container
-        const sceneId = container.getAttribute('data-threejs');
-        const sceneData = this.scenes.get(sceneId);
+        const sceneData = this.scenes.get(this.getSceneKey(container));
 
         if (!sceneData) return;
 
@@ -663,19 +934,7 @@ class VisualizationEngine {
         // Delay resize to ensure transitions complete
         setTimeout(() => {
             // Force a specific resize for this container
-            if (sceneData.renderer) {
-                const width = container.clientWidth;
-                const height = container.clientHeight;
-
-                // Properly resize renderer
-                sceneData.renderer.setSize(width, height);
-
-                // Update camera aspect ratio
-                if (sceneData.camera && sceneData.camera.aspect) {
-                    sceneData.camera.aspect = width / height;
-                    sceneData.camera.updateProjectionMatrix();
-                }
-            }
+            this.resizeScene(sceneData);
         }, 300); // Wait for transitions to complete
 
         // Update button icon
@@ -810,310 +1069,6 @@ class VisualizationEngine {
         }
     }
 
-    /**
-     * Create a basic coordinate system visualization
-     */
-    createCoordinateSystem(container, id) {
-        try {
-            // Check if Three.js is available
-            if (typeof THREE === 'undefined') {
-                console.error('Three.js is not loaded. Cannot create coordinate system.');
-                if (VistaKine.loader && typeof VistaKine.loader.showErrorMessage === 'function') {
-                    VistaKine.loader.showErrorMessage('Three.js library is missing. Please check your internet connection and reload the page.');
-                }
-                return;
-            }
-
-            // Create Three.js scene
-            const scene = new THREE.Scene();
-            scene.background = new THREE.Color(0xffffff); // White background
-
-            // Set up camera
-            const aspectRatio = container.clientWidth / container.clientHeight;
-            const camera = new THREE.PerspectiveCamera(45, aspectRatio, 0.1, 1000);
-            camera.position.set(5, 5, 5);
-            camera.lookAt(0, 0, 0);
-
-            // Set up renderer
-            const renderer = new THREE.WebGLRenderer({ antialias: true });
-            renderer.setSize(container.clientWidth, container.clientHeight);
-            renderer.setPixelRatio(window.devicePixelRatio);
-
-            // Ensure canvas is properly positioned
-            const canvas = renderer.domElement;
-            canvas.style.width = '100%';
-            canvas.style.height = '100%';
-            canvas.style.display = 'block';
-
-            // Add canvas to container
-            container.appendChild(canvas);
-
-            // Check if OrbitControls is available
-            if (typeof THREE.OrbitControls === 'undefined') {
-                console.error('THREE.OrbitControls is not loaded. Using static camera view.');
-                // Create a fallback div to inform the user
-                const fallbackElement = document.createElement('div');
-                fallbackElement.style.position = 'absolute';
-                fallbackElement.style.bottom = '10px';
-                fallbackElement.style.left = '10px';
-                fallbackElement.style.background = 'rgba(255,0,0,0.7)';
-                fallbackElement.style.color = 'white';
-                fallbackElement.style.padding = '5px 10px';
-                fallbackElement.style.borderRadius = '5px';
-                fallbackElement.textContent = 'Camera controls unavailable - reload page';
-                container.appendChild(fallbackElement);
-
-                // Continue with static camera
-                var controls = null;
-            } else {
-                // Add orbit controls
-                const controls = new THREE.OrbitControls(camera, renderer.domElement);
-                controls.enableDamping = true;
-                controls.dampingFactor = 0.05;
-            }
-
-            // Colors for axes
-            const xAxisColor = 0xff0000; // Red
-            const yAxisColor = 0x00ff00; // Green
-            const zAxisColor = 0x0000ff; // Blue
-
-            // Add colored axes
-            const axisLength = 5;
-
-            // X-axis (red)
-            const xAxisGeometry = new THREE.BufferGeometry().setFromPoints([
-                new THREE.Vector3(0, 0, 0),
-                new THREE.Vector3(axisLength, 0, 0)
-            ]);
-            const xAxisMaterial = new THREE.LineBasicMaterial({ color: xAxisColor, linewidth: 2 });
-            const xAxis = new THREE.Line(xAxisGeometry, xAxisMaterial);
-            scene.add(xAxis);
-
-            // Y-axis (green)
-            const yAxisGeometry = new THREE.BufferGeometry().setFromPoints([
-                new THREE.Vector3(0, 0, 0),
-                new THREE.Vector3(0, axisLength, 0)
-            ]);
-            const yAxisMaterial = new THREE.LineBasicMaterial({ color: yAxisColor, linewidth: 2 });
-            const yAxis = new THREE.Line(yAxisGeometry, yAxisMaterial);
-            scene.add(yAxis);
-
-            // Z-axis (blue)
-            const zAxisGeometry = new THREE.BufferGeometry().setFromPoints([
-                new THREE.Vector3(0, 0, 0),
-                new THREE.Vector3(0, 0, axisLength)
-            ]);
-            const zAxisMaterial = new THREE.LineBasicMaterial({ color: zAxisColor, linewidth: 2 });
-            const zAxis = new THREE.Line(zAxisGeometry, zAxisMaterial);
-            scene.add(zAxis);
-
-            // Add axis labels
-            this.addAxisLabel(scene, 'X', new THREE.Vector3(axisLength + 0.3, 0, 0), xAxisColor);
-            this.addAxisLabel(scene, 'Y', new THREE.Vector3(0, axisLength + 0.3, 0), yAxisColor);
-            this.addAxisLabel(scene, 'Z', new THREE.Vector3(0, 0, axisLength + 0.3), zAxisColor);
-
-            // Add grid - store a reference to it for toggling
-            const gridHelper = new THREE.GridHelper(10, 10, 0x888888, 0xcccccc);
-            gridHelper.name = 'grid'; // Name it for easy finding
-            scene.add(gridHelper);
-
-            // Add a point at the origin (0,0,0)
-            const originGeometry = new THREE.SphereGeometry(0.1, 16, 16);
-            const originMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
-            const originPoint = new THREE.Mesh(originGeometry, originMaterial);
-            scene.add(originPoint);
-
-            // Add a demo point at (2,3,1)
-            const pointGeometry = new THREE.SphereGeometry(0.1, 16, 16);
-            const pointMaterial = new THREE.MeshBasicMaterial({ color: 0xff9900 });
-            const demoPoint = new THREE.Mesh(pointGeometry, pointMaterial);
-            demoPoint.position.set(2, 3, 1);
-            scene.add(demoPoint);
-
-            // Add coordinate lines to the demo point
-            this.addCoordinateLines(scene, demoPoint.position, xAxisColor, yAxisColor, zAxisColor);
-
-            // Add point label
-            this.addPointLabel(scene, '(2,3,1)', new THREE.Vector3(2, 3, 1), 0xff9900);
-
-            // Add ambient light
-            const ambientLight = new THREE.AmbientLight(0xffffff, 0.7); // Brighter ambient light
-            scene.add(ambientLight);
-
-            // Add directional light
-            const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
-            directionalLight.position.set(5, 10, 7.5);
-            scene.add(directionalLight);
-
-            // Animation function
-            const animate = () => {
-                requestAnimationFrame(animate);
-
-                if (controls) controls.update();
-                renderer.render(scene, camera);
-            };
-
-            // Start animation
-            animate();
-
-            // Store scene data for later reference
-            this.scenes.set(id, {
-                scene,
-                camera,
-                renderer,
-                controls,
-                container,
-                gridHelper // Store reference to grid helper
-            });
-
-            console.log(`Coordinate system visualization created successfully for container '${id}'`);
-
-        } catch (error) {
-            console.error('Error creating coordinate system visualization:', error);
-
-            // Show user-friendly error message
-            if (VistaKine.loader && typeof VistaKine.loader.showErrorMessage === 'function') {
-                VistaKine.loader.showErrorMessage('Error creating visualization: ' + error.message);
-            }
-
-            // Create a fallback visualization with an error message
-            container.innerHTML = `
-                <div style="width: 100%; height: 100%; display: flex; align-items: center; justify-content: center;
-                      background-color: #f8f9fa; border: 1px solid #dee2e6; border-radius: 4px;">
-                    <div style="text-align: center; padding: 20px;">
-                        <h3 style="color: #dc3545; margin-bottom: 10px;">Visualization Error</h3>
-                        <p style="margin-bottom: 15px;">There was a problem loading the 3D visualization.</p>
-                        <p style="font-size: 0.9em; color: #6c757d;">${error.message}</p>
-                        <button onclick="location.reload()"
-                                style="background: #007bff; color: white; border: none; padding: 8px 16px;
-                                border-radius: 4px; cursor: pointer; margin-top: 15px;">
-                            Reload Page
-                        </button>
-                    </div>
-                </div>
-            `;
-        }
-    }
-
-    /**
-     * Add a text label for an axis
-     */
-    addAxisLabel(scene, text, position, color) {
-        // Create canvas for the label
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        canvas.width = 64;
-        canvas.height = 64;
-
-        // Draw text on canvas
-        context.fillStyle = 'var(--text-color)';
-        context.fillRect(0, 0, canvas.width, canvas.height);
-        context.font = 'bold 48px Arial';
-        context.fillStyle = '#' + color.toString(16).padStart(6, '0');
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
-        context.fillText(text, canvas.width / 2, canvas.height / 2);
-
-        // Create texture from canvas
-        const texture = new THREE.CanvasTexture(canvas);
-
-        // Create sprite material with the texture
-        const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
-
-        // Create sprite and position it
-        const sprite = new THREE.Sprite(spriteMaterial);
-        sprite.position.copy(position);
-        sprite.scale.set(0.5, 0.5, 1);
-
-        // Add sprite to scene
-        scene.add(sprite);
-    }
-
-    /**
-     * Add a label for a point in 3D space
-     */
-    addPointLabel(scene, text, position, color) {
-        // Create canvas for the label
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        canvas.width = 128;
-        canvas.height = 64;
-
-        // Draw text on canvas
-        context.fillStyle = '#ffffff';
-        context.fillRect(0, 0, canvas.width, canvas.height);
-        context.font = 'bold 24px Arial';
-        context.fillStyle = '#' + color.toString(16).padStart(6, '0');
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
-        context.fillText(text, canvas.width / 2, canvas.height / 2);
-
-        // Create texture from canvas
-        const texture = new THREE.CanvasTexture(canvas);
-
-        // Create sprite material with the texture
-        const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
-
-        // Create sprite and position it
-        const sprite = new THREE.Sprite(spriteMaterial);
-        sprite.position.copy(position);
-        sprite.position.y += 0.4; // Position label slightly above point
-        sprite.scale.set(0.8, 0.4, 1);
-
-        // Add sprite to scene
-        scene.add(sprite);
-    }
-
-    /**
-     * Add coordinate lines from origin to a point
-     */
-    addCoordinateLines(scene, position, xColor, yColor, zColor) {
-        // X coordinate line
-        const xLineGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(position.x, 0, 0)
-        ]);
-        const xLineMaterial = new THREE.LineDashedMaterial({
-            color: xColor,
-            dashSize: 0.2,
-            gapSize: 0.1,
-            linewidth: 1
-        });
-        const xLine = new THREE.Line(xLineGeometry, xLineMaterial);
-        xLine.computeLineDistances(); // Required for dashed lines
-        scene.add(xLine);
-
-        // Y coordinate line
-        const yLineGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(position.x, 0, 0),
-            new THREE.Vector3(position.x, position.y, 0)
-        ]);
-        const yLineMaterial = new THREE.LineDashedMaterial({
-            color: yColor,
-            dashSize: 0.2,
-            gapSize: 0.1,
-            linewidth: 1
-        });
-        const yLine = new THREE.Line(yLineGeometry, yLineMaterial);
-        yLine.computeLineDistances();
-        scene.add(yLine);
-
-        // Z coordinate line
-        const zLineGeometry = new THREE.BufferGeometry().setFromPoints([
-            new THREE.Vector3(position.x, position.y, 0),
-            new THREE.Vector3(position.x, position.y, position.z)
-        ]);
-        const zLineMaterial = new THREE.LineDashedMaterial({
-            color: zColor,
-            dashSize: 0.2,
-            gapSize: 0.1,
-            linewidth: 1
-        });
-        const zLine = new THREE.Line(zLineGeometry, zLineMaterial);
-        zLine.computeLineDistances();
-        scene.add(zLine);
-    }
-
     /**
      * Create a default scene for unknown visualization types
      */
@@ -1127,10 +1082,11 @@ class VisualizationEngine {
         const camera = new THREE.PerspectiveCamera(45, aspectRatio, 0.1, 1000);
         camera.position.set(0, 0, 5);
 
-        // Set up renderer
-        const renderer = new THREE.WebGLRenderer({ antialias: true });
+        // Set up renderer, through the quality service when it has loaded
+        const renderers = VistaKine.renderer;
+        const renderer = renderers ? renderers.createRenderer() : new THREE.WebGLRenderer({ antialias: true });
         renderer.setSize(container.clientWidth, container.clientHeight);
-        renderer.setPixelRatio(window.devicePixelRatio);
+        if (!renderers) renderer.setPixelRatio(window.devicePixelRatio);
 
         // Ensure canvas is properly positioned
         const canvas = renderer.domElement;
@@ -1147,66 +1103,27 @@ class VisualizationEngine {
         message.textContent = `Visualization '${id}' not implemented yet`;
         container.appendChild(message);
 
-        // Start simple animation
-        const animate = () => {
-            requestAnimationFrame(animate);
-            renderer.render(scene, camera);
-        };
-
-        animate();
-
         // Store scene data
-        this.scenes.set(id, {
+        const sceneData = {
             scene,
             camera,
             renderer,
             container
-        });
-    }
+        };
+        this.scenes.set(this.getSceneKey(container, id), sceneData);
 
-    /**
-     * Create a physics playground visualization
-     */
-    createPhysicsPlayground(container, id) {
-        console.log('Creating physics playground visualization');
-
-        // Dynamically import the physics playground module
-        import('./physics-playground.js')
-            .then(module => {
-                // Create a new physics playground instance
-                console.log('Physics playground module loaded');
-                const PhysicsPlayground = module.default;
-                const playground = new PhysicsPlayground(container, this);
-
-                // Initialize the playground
-                playground.init()
-                    .then(success => {
-                        if (success) {
-                            console.log('Physics playground initialized successfully');
-                            // Store in scenes map for management
-                            this.scenes.set(id, {
-                                container,
-                                playground,
-                                type: 'physics'
-                            });
-
-                            // Mark container as initialized
-                            container.removeAttribute('data-viz-processing');
-                            container.setAttribute('data-viz-initialized', 'true');
-                        } else {
-                            console.error('Failed to initialize physics playground');
-                            this.createDefaultScene(container, id);
-                        }
-                    })
-                    .catch(error => {
-                        console.error('Error initializing physics playground:', error);
-                        this.createDefaultScene(container, id);
-                    });
-            })
-            .catch(error => {
-                console.error('Error loading physics playground module:', error);
-                this.createDefaultScene(container, id);
-            });
+        // Start simple animation, stopped by disposeContainersIn()
+        const animate = () => {
+            if (sceneData.disposed) return;
+            requestAnimationFrame(animate);
+            if (renderers) {
+                renderers.render(renderer, scene, camera);
+            } else {
+                renderer.render(scene, camera);
+            }
+        };
+
+        animate();
     }
 
     /**
@@ -1214,22 +1131,53 @@ class VisualizationEngine {
      */
     getActivePlayground() {
         // Loop through all initialized containers
-        for (const containerId in this.scenes) {
-            const container = this.scenes[containerId];
-
+        for (const sceneData of this.scenes.values()) {
             // Check if this container has a physics playground
-            if (container && container.playground) {
-                return container.playground;
+            if (sceneData && sceneData.playground) {
+                return sceneData.playground;
             }
         }
 
         return null;
     }
+
+    /**
+     * Every physics playground on the page
+     */
+    getPlaygrounds() {
+        return Array.from(this.scenes.values())
+            .filter(sceneData => sceneData && sceneData.playground)
+            .map(sceneData => sceneData.playground);
+    }
 }
 
+// Built-in visualizations. Module paths are relative to this file and each
+// module is only fetched the first time a matching container is found.
+VistaKine.visualization.register('coordinate-intro', null, { module: './scenes/coordinate-intro.js' });
+VistaKine.visualization.register('cartesian-demo', null, { module: './scenes/coordinate-explorer.js' });
+VistaKine.visualization.register('physics-playground', null, { module: './physics-playground.js', type: 'physics' });
+VistaKine.visualization.register('matrix-lab', null, { module: './scenes/matrix-lab.js' });
+VistaKine.visualization.register('matrix-composition', null, { module: './scenes/matrix-composition.js' });
+VistaKine.visualization.register('matrix-transform', null, { module: './scenes/matrix-composition.js' });
+VistaKine.visualization.register('vector-intro', null, { module: './scenes/vector-intro.js' });
+VistaKine.visualization.register('vector-addition', null, { module: './scenes/vector-operations.js' });
+VistaKine.visualization.register('dot-product-demo', null, { module: './scenes/dot-product.js' });
+VistaKine.visualization.register('work-physics', null, { module: './scenes/work-physics.js' });
+VistaKine.visualization.register('cross-product-basic', null, { module: './scenes/cross-product.js' });
+VistaKine.visualization.register('cross-product-properties', null, { module: './scenes/cross-product.js', exportName: 'CrossProductProperties' });
+VistaKine.visualization.register('cross-product-area', null, { module: './scenes/cross-product.js', exportName: 'CrossProductArea' });
+VistaKine.visualization.register('right-hand-rule', null, { module: './scenes/cross-product.js', exportName: 'RightHandRule' });
+VistaKine.visualization.register('triple-product-volume', null, { module: './scenes/triple-product.js' });
+VistaKine.visualization.register('torque-demo', null, { module: './scenes/torque-demo.js' });
+VistaKine.visualization.register('angular-momentum', null, { module: './scenes/angular-momentum.js' });
+VistaKine.visualization.register('magnetic-force', null, { module: './scenes/magnetic-force.js' });
+VistaKine.visualization.register('inertia-demo', null, { module: './scenes/newtons-laws.js' });
+VistaKine.visualization.register('force-mass-accel', null, { module: './scenes/newtons-laws.js', exportName: 'ForceMassAccel' });
+VistaKine.visualization.register('action-reaction', null, { module: './scenes/newtons-laws.js', exportName: 'ActionReaction' });
+
 // Register with VistaKine core if available
 if (typeof VistaKine.registerModule === 'function') {
     VistaKine.registerModule('visualization', VistaKine.visualization);
 }
 
-console.log('VistaKine visualization module loaded');
+console.log('VistaKine visualization module loaded');
\ No newline at end of file